@@ -7,6 +7,15 @@
 const { Command } = require('commander');
 const AutoCoder = require('../src/auto-coder');
 const InputTypeManager = require('../src/adapters/input-type-manager');
+const { DEFAULT_DOMAINS_DIR, readDomainPacks, rankDomainPacks } = require('../src/utils/domain-packs');
+const { EXPANSION_KINDS, parseExpansionKinds } = require('../src/utils/edge-case-expander');
+const { DEFAULT_MATRIX_PATH, loadRoleMatrix } = require('../src/utils/role-matrix');
+const { DEFAULT_RESULTS_PATH, refreshTraceabilityReport } = require('../src/utils/traceability');
+const { setDryRun, takePendingWrites } = require('../src/utils/artifact-merge');
+const { buildPreview, printPreview } = require('../src/utils/dry-run-preview');
+const { analyzeStepUsage, writeStepStubs } = require('../src/utils/step-usage-analyzer');
+const { DEFAULT_PATTERNS_PATH, loadLintConfig, lintFiles, summarize, toJsonReport, toSarifReport, printLintResults } = require('../src/utils/gherkin-linter');
+const PageDriftDetector = require('../scripts/page-drift-detector');
 const fs = require('fs-extra');
 const path = require('path');
 const readline = require('readline');
@@ -18,6 +27,26 @@ program
     .description('Intelligent test artifact generator using SBS automation patterns')
     .version('1.0.0');
 
+/**
+ * --roles [matrix]: validate the matrix up front and hand the adapters its path
+ */
+function resolveRoleMatrixOption(value) {
+    if (!value) return null;
+    const matrixPath = value === true ? DEFAULT_MATRIX_PATH : path.resolve(value);
+    const matrix = loadRoleMatrix(matrixPath);
+    console.log(`👥 Role matrix: ${matrix.roles.length} roles x ${Object.keys(matrix.capabilities).length} capabilities`);
+    return matrixPath;
+}
+
+/**
+ * --dry-run: diff every planned write against the files on disk and summarize instead of writing
+ */
+function printDryRunPreview() {
+    const preview = buildPreview(takePendingWrites());
+    printPreview(preview);
+    return preview;
+}
+
 /**
  * Generate command - single requirement
  */
@@ -26,7 +55,7 @@ program
     .description('Generate test artifacts from a requirement file or text')
     .argument('<input>', 'The requirement file path or requirement text')
     .option('-o, --output <path>', 'Output directory', './SBS_Automation')
-    .option('-t, --type <type>', 'Input type (text, curl, record, jira, images)', 'auto')
+    .option('-t, --type <type>', 'Input type (text, curl, openapi, har, graphql, record, jira, images)', 'auto')
     .option('-f, --framework <framework>', 'Testing framework (sbs, cucumber, playwright, jest, multi)', 'sbs')
     .option('-c, --confidence <threshold>', 'Minimum confidence threshold (0-1)', '0.3')
     .option('--no-metadata', 'Skip metadata generation')
@@ -34,11 +63,25 @@ program
     .option('--project <name>', 'Project name for generated files')
     .option('--browsers <browsers>', 'Target browsers for Playwright (comma-separated)', 'chromium,firefox')
     .option('--test-type <type>', 'Jest test type (unit, integration, component)', 'unit')
+    .option('--infer-schema', 'Infer response contract schemas for cURL inputs (needs --responses or --stub-url)')
+    .option('--responses <path>', 'Recorded responses: directory of <curl_id>.json files or one JSON map keyed by curl id')
+    .option('--stub-url <url>', 'Stub server base URL called once per cURL command to capture a response sample')
+    .option('--graphql-schema <file>', 'GraphQL introspection result used to validate GraphQL cURL operations offline')
+    .option('--graphql-endpoint <url>', 'Endpoint for operations generated from an introspection schema', '{{baseUrl}}/graphql')
+    .option('--include-mutations', 'Also generate mutations from an introspection schema')
+    .option('--expand [kinds]', `Add edge case scenarios (${EXPANSION_KINDS.join(', ')}; all when no kinds are given)`)
+    .option('--roles [matrix]', `Expand the main scenario into per-role allowed/denied variants (default matrix: ${path.relative(process.cwd(), DEFAULT_MATRIX_PATH)})`)
+    .option('--dry-run', 'Generate in memory and show a unified diff against existing files without writing anything')
     .action(async (input, options) => {
         try {
             console.log('🚀 Auto Coder - Intelligent Test Generation');
             console.log('==========================================\n');
 
+            setDryRun(options.dryRun);
+
+            const expand = parseExpansionKinds(options.expand);
+            const roleMatrix = resolveRoleMatrixOption(options.roles);
+
             // Check if input is a file path or direct text
             const isFilePath = await fs.pathExists(input);
             
@@ -59,7 +102,15 @@ program
                     projectName: options.project,
                     confidence: parseFloat(options.confidence),
                     includeMetadata: options.metadata,
-                    generateComments: options.comments
+                    generateComments: options.comments,
+                    inferSchema: options.inferSchema,
+                    responseSamples: options.responses,
+                    stubBaseUrl: options.stubUrl,
+                    graphqlSchema: options.graphqlSchema,
+                    graphqlEndpoint: options.graphqlEndpoint,
+                    includeMutations: options.includeMutations,
+                    expand,
+                    roleMatrix
                 });
                 
                 if (!processResult.success) {
@@ -75,6 +126,11 @@ program
                     process.exit(1);
                 }
                 
+                if (options.dryRun) {
+                    printDryRunPreview();
+                    return;
+                }
+                
                 console.log('\n🎉 Generation Summary:');
                 console.log('=====================');
                 console.log(`✅ Input Type: ${processResult.inputType}`);
@@ -118,10 +174,14 @@ program
 
                 const result = await autoCoder.generateFromRequirement(input, {
                     framework,
+                    expand,
+                    roleMatrix,
                     ...frameworkOptions
                 });
 
-                if (result.success) {
+                if (result.success && options.dryRun) {
+                    printDryRunPreview();
+                } else if (result.success) {
                     console.log('\n🎉 Generation Summary:');
                     console.log('=====================');
                     console.log(`✅ Domain: ${result.analysis.domain}`);
@@ -215,11 +275,19 @@ program
     .option('-f, --format <format>', 'Template format (cucumber, playwright, jest)', 'cucumber')
     .option('-c, --confidence <threshold>', 'Minimum confidence threshold (0-1)', '0.3')
     .option('--no-report', 'Skip batch report generation')
+    .option('--expand [kinds]', `Add edge case scenarios (${EXPANSION_KINDS.join(', ')}; all when no kinds are given)`)
+    .option('--roles [matrix]', 'Expand the main scenario into per-role allowed/denied variants')
+    .option('--dry-run', 'Generate in memory and show a unified diff against existing files without writing anything')
     .action(async (file, options) => {
         try {
             console.log('🚀 Auto Coder - Batch Processing');
             console.log('=================================\n');
 
+            setDryRun(options.dryRun);
+
+            const expand = parseExpansionKinds(options.expand);
+            const roleMatrix = resolveRoleMatrixOption(options.roles);
+
             // Read requirements from file
             const requirementsText = await fs.readFile(file, 'utf8');
             const requirements = requirementsText
@@ -241,7 +309,9 @@ program
             });
 
             const batchResult = await autoCoder.generateBatch(requirements, {
-                generateReport: options.report
+                generateReport: options.report,
+                expand,
+                roleMatrix
             });
 
             console.log('\n📊 Batch Summary:');
@@ -267,6 +337,10 @@ program
                 });
             }
 
+            if (options.dryRun) {
+                printDryRunPreview();
+            }
+
         } catch (error) {
             console.error('❌ Error:', error.message);
             process.exit(1);
@@ -427,6 +501,243 @@ program
         }
     });
 
+/**
+ * Domains command - validate and list the installed domain packs
+ */
+program
+    .command('domains')
+    .description('Check and list the installed domain packs (domains/*.yaml|json)')
+    .option('-d, --dir <path>', 'Domain pack folder', DEFAULT_DOMAINS_DIR)
+    .option('-e, --explain <text>', 'Show how the packs rank for a requirement text or file')
+    .action((options) => {
+        const dir = path.resolve(options.dir);
+        const { packs, errors, warnings } = readDomainPacks(dir);
+
+        console.log('🧩 Auto Coder - Domain Packs');
+        console.log('============================');
+        console.log(`📁 ${dir}\n`);
+
+        packs.forEach(pack => {
+            const parts = [
+                `${pack.keywords.length} keywords`,
+                `${pack.scenarios.length} scenarios`,
+                pack.persona ? 'persona' : null,
+                pack.background.length ? 'background' : null,
+                pack.pages.length ? `${pack.pages.length} pages` : null
+            ].filter(Boolean);
+            console.log(`   ${pack.fallback ? '⭐' : '✅'} ${pack.id.padEnd(24)} ${pack.name || ''} (priority ${pack.priority}; ${parts.join(', ')})`);
+        });
+
+        warnings.forEach(warning => console.log(`⚠️ ${warning.file}: ${warning.message}`));
+        errors.forEach(error => console.log(`❌ ${error.file}: ${error.message}`));
+
+        if (options.explain) {
+            const text = fs.existsSync(options.explain) ? fs.readFileSync(options.explain, 'utf8') : options.explain;
+            const ranked = rankDomainPacks(text, packs);
+            console.log('\n🎯 Ranking:');
+            if (ranked.length === 0) {
+                const fallback = packs.find(pack => pack.fallback);
+                console.log(`   No pack matched${fallback ? ` - no-ai generators use the fallback pack "${fallback.id}"` : ''}`);
+            }
+            ranked.forEach((entry, index) => {
+                console.log(`   ${index + 1}. ${entry.pack.id} - score ${entry.score} (${entry.matched.join(', ')})`);
+            });
+        }
+
+        console.log(`\n📊 ${packs.length} valid packs, ${errors.length} errors, ${warnings.length} warnings`);
+        if (errors.length > 0) {
+            process.exit(1);
+        }
+    });
+
+/**
+ * Trace command - rebuild a traceability report with the latest execution results
+ */
+program
+    .command('trace')
+    .description('Rebuild a requirement traceability report (HTML + CSV) with the latest cucumber results')
+    .argument('<traceability>', 'The <name>-traceability.json written next to the generated summary')
+    .option('-r, --results <path>', 'Cucumber JSON report', DEFAULT_RESULTS_PATH)
+    .action(async (tracePath, options) => {
+        try {
+            console.log('🔗 Auto Coder - Requirement Traceability');
+            console.log('========================================\n');
+
+            const { matrix, files } = await refreshTraceabilityReport(path.resolve(tracePath), {
+                resultsPath: path.resolve(options.results)
+            });
+
+            matrix.rows.forEach(row => {
+                const icon = { passed: '✅', failed: '❌', uncovered: '🚫' }[row.status] || '⏸️ ';
+                console.log(`   ${icon} ${row.id.padEnd(20)} ${row.status.padEnd(10)} ${row.criterion}`);
+            });
+
+            console.log(`\n📊 ${matrix.coverage}% of ${matrix.rows.length} criteria covered, ${matrix.uncovered.length} uncovered`);
+            console.log(matrix.resultsPath ? `🧪 Results: ${matrix.resultsPath}` : `⚠️  No results at ${options.results} - statuses show "not run"`);
+            console.log(`📄 HTML: ${files.html}`);
+            console.log(`📄 CSV:  ${files.csv}`);
+
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Lint command - check feature files and fix the safe issues
+ */
+program
+    .command('lint')
+    .description('Lint feature files: scenario names, Given/When/Then structure, secrets, URLs, tags and UI wording')
+    .argument('<paths...>', 'Feature files or directories to lint')
+    .option('--fix', 'Fix safe issues in place (keywords, tag casing, unused Backgrounds, formatting)')
+    .option('--format <format>', 'Report format (text, json, sarif)', 'text')
+    .option('-o, --output <file>', 'Write the JSON or SARIF report to a file')
+    .option('--config <path>', 'Patterns config with featurePatterns.tagConventions and featureLint', path.relative(process.cwd(), DEFAULT_PATTERNS_PATH))
+    .action(async (paths, options) => {
+        try {
+            if (!['text', 'json', 'sarif'].includes(options.format)) {
+                throw new Error(`Unknown format "${options.format}" (use text, json or sarif)`);
+            }
+
+            const results = lintFiles(paths, { fix: options.fix, config: loadLintConfig(path.resolve(options.config)) });
+            const summary = summarize(results);
+
+            if (options.format === 'text') {
+                console.log('🧹 Auto Coder - Feature Lint');
+                console.log('============================');
+                printLintResults(results);
+            } else {
+                const report = options.format === 'sarif' ? toSarifReport(results) : toJsonReport(results);
+                if (options.output) {
+                    await fs.outputJson(options.output, report, { spaces: 2 });
+                    console.log(`📄 ${options.format.toUpperCase()} report: ${options.output} (${summary.errors} errors, ${summary.warnings} warnings)`);
+                } else {
+                    console.log(JSON.stringify(report, null, 2));
+                }
+            }
+
+            if (summary.errors > 0) process.exit(1);
+
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Steps command - undefined, ambiguous and unused step definitions
+ */
+program
+    .command('steps')
+    .description('Match feature steps against step definitions and report undefined, ambiguous and unused steps')
+    .option('--features <path>', 'Feature files directory', './SBS_Automation/features')
+    .option('--steps <path>', 'Step definitions directory', './SBS_Automation/steps')
+    .option('--stubs', 'Add pending stubs for undefined steps to the steps file paired with each feature')
+    .option('--json', 'Print the analysis as JSON')
+    .action(async (options) => {
+        try {
+            const analysis = analyzeStepUsage({ featuresDirs: [options.features], stepsDirs: [options.steps] });
+            const where = item => `${path.relative(process.cwd(), item.file)}:${item.line}`;
+
+            if (options.json) {
+                const stepJson = item => ({ location: where(item), keyword: item.keyword, text: item.text, matches: item.matches.map(where) });
+                console.log(JSON.stringify({
+                    definitions: analysis.definitions.length,
+                    steps: analysis.steps.length,
+                    undefined: analysis.undefined.map(stepJson),
+                    ambiguous: analysis.ambiguous.map(stepJson),
+                    unused: analysis.unused.map(item => ({ location: where(item), keyword: item.keyword, pattern: item.pattern })),
+                    invalid: analysis.invalid.map(item => ({ location: where(item), message: item.message }))
+                }, null, 2));
+            } else {
+                console.log('🔎 Auto Coder - Step Usage');
+                console.log('==========================\n');
+                console.log(`📋 ${analysis.steps.length} feature steps, ${analysis.definitions.length} step definitions`);
+
+                const section = (title, items, format) => {
+                    if (items.length === 0) return;
+                    console.log(`\n${title} (${items.length}):`);
+                    items.forEach(item => console.log(format(item)));
+                };
+                section('❓ Undefined steps', analysis.undefined, item => `   ${where(item)}  ${item.keyword} ${item.text}`);
+                section('⚠️  Ambiguous steps', analysis.ambiguous, item => [
+                    `   ${where(item)}  ${item.keyword} ${item.text}`,
+                    ...item.matches.map(match => `      ↳ ${where(match)}  ${match.pattern}`)
+                ].join('\n'));
+                section('💤 Unused step definitions', analysis.unused, item => `   ${where(item)}  ${item.keyword}('${item.pattern}')`);
+                section('❌ Unreadable files', analysis.invalid, item => `   ${where(item)}  ${item.message}`);
+
+                if (!analysis.undefined.length && !analysis.ambiguous.length && !analysis.unused.length) {
+                    console.log('\n✅ Every step has exactly one definition and every definition is used');
+                }
+            }
+
+            if (options.stubs && analysis.undefined.length) {
+                const written = writeStepStubs(analysis, { featuresRoot: options.features, stepsRoot: options.steps });
+                written.forEach(({ file, created, stubs }) => {
+                    console.log(`📝 ${created ? 'Created' : 'Updated'} ${path.relative(process.cwd(), file)} with ${stubs.length} pending stub(s)`);
+                });
+            }
+
+            if (analysis.ambiguous.length || (analysis.undefined.length && !options.stubs)) process.exit(1);
+
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        }
+    });
+
+/**
+ * Drift command - compare a page object with its live page (or a local fixture)
+ */
+program
+    .command('drift')
+    .description('Compare a page object with its page and report missing, ambiguous, changed and new unmapped elements')
+    .argument('<pageFile>', 'Page object file with By constants')
+    .requiredOption('-u, --url <url>', 'Page URL, or a local HTML fixture path')
+    .option('-o, --output <dir>', 'Report directory', 'reports/page-drift')
+    .option('--fail-on <kinds>', `Exit with 1 when any of these are found (${PageDriftDetector.DRIFT_KINDS.join(', ')}, all or none)`, 'missing,ambiguous,changed')
+    .option('--settle <ms>', 'Wait after the page has loaded, before scanning', '1000')
+    .option('--headed', 'Show the browser while scanning')
+    .action(async (pageFile, options) => {
+        try {
+            const failOn = options.failOn === 'all' ? PageDriftDetector.DRIFT_KINDS
+                : options.failOn === 'none' ? [] : options.failOn.split(',').map(kind => kind.trim()).filter(Boolean);
+            const unknown = failOn.filter(kind => !PageDriftDetector.DRIFT_KINDS.includes(kind));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown drift kind(s): ${unknown.join(', ')} (use ${PageDriftDetector.DRIFT_KINDS.join(', ')}, all or none)`);
+            }
+            if (!fs.existsSync(pageFile)) {
+                throw new Error(`Page object not found: ${pageFile}`);
+            }
+
+            console.log('🧭 Auto Coder - Page Object Drift');
+            console.log('=================================');
+
+            const detector = new PageDriftDetector();
+            const report = await detector.detectDrift(path.resolve(pageFile), options.url, {
+                headless: !options.headed,
+                settle: parseInt(options.settle, 10)
+            });
+            detector.printDriftReport(report);
+
+            const files = await detector.writeDriftReport(report, path.resolve(options.output));
+            console.log(`\n📄 Reports: ${path.relative(process.cwd(), files.json)}, ${path.relative(process.cwd(), files.markdown)}`);
+
+            const found = failOn.filter(kind => report.summary[kind] > 0);
+            if (found.length > 0) {
+                console.log(`❌ Drift found: ${found.map(kind => `${report.summary[kind]} ${kind}`).join(', ')}`);
+                process.exit(1);
+            }
+            console.log('✅ No failing drift');
+
+        } catch (error) {
+            console.error('❌ Error:', error.message);
+            process.exit(1);
+        }
+    });
+
 /**
  * Stats command - show framework statistics
  */
@@ -480,7 +791,11 @@ program
         console.log('🎯 Single requirement generation:');
         console.log('   auto-coder generate "As a user, I want to create a new employee record"');
         console.log('   auto-coder generate "Test login functionality" --framework playwright --browsers chromium,firefox');
-        console.log('   auto-coder generate "Unit test user service" --framework jest --test-type unit\n');
+        console.log('   auto-coder generate "Unit test user service" --framework jest --test-type unit');
+        console.log('   auto-coder generate requirements/text/new-hire.txt --expand');
+        console.log('   auto-coder generate requirements/text/new-hire.txt --expand boundary');
+        console.log('   auto-coder generate requirements/text/new-hire.txt --roles config/role-matrix.json');
+        console.log('   auto-coder generate requirements/text/new-hire.txt --dry-run\n');
         
         console.log('🧠 Framework suggestion:');
         console.log('   auto-coder suggest "Test user interface interactions"');
@@ -488,7 +803,8 @@ program
         
         console.log('📋 Batch processing:');
         console.log('   auto-coder batch requirements.txt --output ./test-artifacts');
-        console.log('   auto-coder batch user-stories.txt --confidence 0.5\n');
+        console.log('   auto-coder batch user-stories.txt --confidence 0.5');
+        console.log('   auto-coder batch user-stories.txt --dry-run\n');
         
         console.log('🔍 Analysis only:');
         console.log('   auto-coder analyze "Verify payroll calculation for overtime hours"');
@@ -498,6 +814,27 @@ program
         console.log('   auto-coder interactive');
         console.log('   auto-coder i --output ./SBS_Automation\n');
         
+        console.log('🧩 Domain packs:');
+        console.log('   auto-coder domains');
+        console.log('   auto-coder domains --explain "Move Workers\' comp under Additional requirements"\n');
+        
+        console.log('🔗 Traceability:');
+        console.log('   auto-coder trace SBS_Automation/summary/new-hire-traceability.json');
+        console.log('   auto-coder trace SBS_Automation/summary/new-hire-traceability.json --results reports/cucumber-report.json\n');
+        
+        console.log('🧹 Feature lint:');
+        console.log('   auto-coder lint SBS_Automation/features');
+        console.log('   auto-coder lint SBS_Automation/features --fix');
+        console.log('   auto-coder lint SBS_Automation/features --format sarif --output reports/feature-lint.sarif\n');
+        
+        console.log('🔎 Step usage:');
+        console.log('   auto-coder steps');
+        console.log('   auto-coder steps --features SBS_Automation/features --steps SBS_Automation/steps --stubs\n');
+        
+        console.log('🧭 Page object drift:');
+        console.log('   auto-coder drift SBS_Automation/pages/home-page.js --url https://runpayroll.adp.com/home');
+        console.log('   auto-coder drift examples/page-drift/home-page.js --url examples/page-drift/home-page.html --fail-on all\n');
+        
         console.log('📊 Statistics:');
         console.log('   auto-coder stats\n');
         
@@ -0,0 +1,47 @@
+const By = require('../../support/By.js');
+const BasePage = require('../../support/base-page');
+
+const WELCOME_TO_RUN = By.css('h1'); // Welcome to RUN
+const RUN_PAYROLL = By.css('[data-test-id="run-payroll-btn"]'); // Run payroll
+const EMPLOYEES = By.css('[data-test-id="employees-link"]'); // Employees
+const SEARCH = By.label('Search'); // Search
+const HOME = By.shadow('sfc-shell-left-nav', '[data-id="home"]'); // home
+const PAYROLL = By.shadow('sfc-shell-left-nav', '[data-id="payroll"]'); // payroll
+const VIEW_SUMMARY = By.within('#shell', By.css('[data-test-id="view-summary-btn"]')); // View summary
+
+class HomePage extends BasePage {
+  constructor(page) {
+    super(page);
+    this.page = page;
+  }
+
+  async isWelcomeToRunVisible() {
+    return await this.isVisible(WELCOME_TO_RUN);
+  }
+
+  async clickRunPayroll() {
+    await this.click(RUN_PAYROLL);
+  }
+
+  async clickEmployees() {
+    await this.click(EMPLOYEES);
+  }
+
+  async searchEmployees(text) {
+    await this.fill(SEARCH, text);
+  }
+
+  async clickHome() {
+    await this.click(HOME);
+  }
+
+  async clickPayroll() {
+    await this.click(PAYROLL);
+  }
+
+  async clickViewSummary() {
+    await this.click(VIEW_SUMMARY);
+  }
+}
+
+module.exports = HomePage;
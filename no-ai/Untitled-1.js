@@ -3,6 +3,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 
 const requirementFile = process.argv[2] || path.resolve(__dirname, '../requirements/text/jira-story-employee-contrator.txt');
 const baseName = process.argv[3] || path.basename(requirementFile, path.extname(requirementFile));
@@ -73,17 +75,15 @@ if (acceptanceCriteria.length > 0 && bddSteps.length === 0) {
 }
 
 // 3. Generate feature file
-let feature = '';
-if (tags.length > 0) feature += tags.join(' ') + '\n';
-feature += `Feature: ${baseName.replace(/-/g, ' ')}\n\n`;
-scenarios.forEach((sc, idx) => {
-  feature += `  Scenario: ${sc.title}\n`;
-  sc.steps.forEach(step => {
-    feature += `    ${step}\n`;
-  });
-  feature += '\n';
-});
-fs.writeFileSync(featureFile, feature);
+const feature = gherkin.formatGherkin(gherkin.feature({
+  name: baseName.replace(/-/g, ' '),
+  tags,
+  children: scenarios.map(sc => gherkin.scenario({
+    name: sc.title,
+    steps: sc.steps.map(step => gherkin.stepFromText(step))
+  }))
+}));
+writeGeneratedFile(featureFile, feature);
 console.log(`✅ Feature file generated: ${featureFile}`);
 
 // 4. Generate steps file
@@ -107,7 +107,7 @@ scenarios.forEach((sc, idx) => {
     prevKeyword = keyword;
   });
 });
-fs.writeFileSync(stepsFile, stepsCode);
+writeGeneratedFile(stepsFile, stepsCode);
 console.log(`✅ Steps file generated: ${stepsFile}`);
 
 // 5. Generate page file
@@ -138,5 +138,5 @@ scenarios.forEach((sc, idx) => {
   });
 });
 pageCode += `  async waitForPageLoad() {\n    await this.page.waitForSelector(this.selectors.mainContent, { timeout: 5000 });\n    return true;\n  }\n}\n\nmodule.exports = ${baseName.replace(/-/g, '')}Page;\n`;
-fs.writeFileSync(pageFile, pageCode);
+writeGeneratedFile(pageFile, pageCode);
 console.log(`✅ Page file generated: ${pageFile}`);
@@ -1,53 +1,72 @@
 // api-coder.js
 // Usage: node api-coder.js curl.txt --env QAFIT
+// The generated test keeps {{baseUrl}} and {{secret:NAME}} placeholders - switch hosts with ADP_ENV
 
 const fs = require('fs');
 const path = require('path');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 const template = require('./templates/api-test.template');
 const { getEnvConfig } = require('./env-config');
+const { parseCurl: parseCurlRequest } = require('../src/utils/curl-parser');
+const { templateRequest } = require('../src/utils/env-templating');
 
 function parseCurl(curlStr) {
-  // Simple parser for GET cURL
-  const lines = curlStr.split(/\r?\n/);
-  let url = '';
-  let headers = {};
-  for (const line of lines) {
-    if (line.startsWith('curl')) {
-      // Handle URLs in single or double quotes
-      const urlMatch = line.match(/'(.*?)'/) || line.match(/"(.*?)"/) || line.match(/curl\s+-X\s+\w+\s+(\S+)/);
-      url = urlMatch ? urlMatch[1] : '';
-    } else if (line.includes('--header')) {
-      const [, key, value] = line.match(/--header\s+'([^:]+):\s*(.*?)'/) || [];
-      if (key && value) headers[key.trim()] = value.trim();
-    }
+  const request = parseCurlRequest(curlStr);
+  if (!request) {
+    throw new Error('No cURL command with a URL found');
   }
-  const urlObj = new URL(url);
+  const templated = templateRequest(request);
+  const hasAuthorization = Object.keys(templated.headers).some(key => key.toLowerCase() === 'authorization');
   return {
-    baseURL: urlObj.origin,
-    endpoint: urlObj.pathname + urlObj.search,
-    headers,
+    url: templated.url,
+    endpoint: templated.url.slice(templated.baseUrl.length),
+    headers: templated.headers,
+    method: templated.method,
+    body: templated.body.type === 'multipart' ? null : templated.data,
+    auth: templated.auth && templated.auth.type === 'basic' && !hasAuthorization ? templated.auth : null,
+    secrets: templated.secrets,
   };
 }
 
+function readEnvArg(args) {
+  const index = args.findIndex(arg => arg === '--env' || arg.startsWith('--env='));
+  if (index === -1) return 'QAFIT';
+  return (args[index].includes('=') ? args[index].split('=')[1] : args[index + 1]) || 'QAFIT';
+}
+
 function main() {
   const curlFile = process.argv[2];
-  const env = (process.argv[3] || '').replace('--env', '').trim() || 'QAFIT';
+  const env = readEnvArg(process.argv.slice(3));
   if (!curlFile) {
-    console.error('Usage: node api-coder.js <curl.txt> [--env QAFIT|IAT]');
+    console.error('Usage: node api-coder.js <curl.txt> [--env QAFIT|IAT|PROD]');
     process.exit(1);
   }
   const curlStr = fs.readFileSync(curlFile, 'utf-8');
   const curlData = parseCurl(curlStr);
-  const envConfig = getEnvConfig(env);
+  try {
+    const envConfig = getEnvConfig(env);
+    console.log(`Default environment: ${envConfig.name} (${envConfig.baseURL})`);
+  } catch (error) {
+    console.warn(`Warning: ${error.message}`);
+  }
   const testCode = template({
-    baseURL: envConfig.baseURL,
+    env: env.toUpperCase(),
+    url: curlData.url,
     endpoint: curlData.endpoint,
     headers: curlData.headers,
+    method: curlData.method,
+    body: curlData.body,
+    auth: curlData.auth,
+    secrets: curlData.secrets,
   });
-  const outPath = path.join(__dirname, 'generated', 'test-cashflowCentral.js');
+  const outPath = path.join(__dirname, 'generated', 'cashflowCentral.test.js');
   fs.mkdirSync(path.dirname(outPath), { recursive: true });
-  fs.writeFileSync(outPath, testCode);
+  writeGeneratedFile(outPath, testCode);
   console.log('API test generated at:', outPath);
+  console.log(`Run it with: ADP_ENV=${env.toUpperCase()} npx jest --roots no-ai/generated`);
+  if (curlData.secrets.length) {
+    console.log(`Secrets read at runtime from env vars or config/secrets.local.json: ${curlData.secrets.join(', ')}`);
+  }
 }
 
 main();
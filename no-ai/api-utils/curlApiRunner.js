@@ -1,5 +1,12 @@
 const axios = require('axios');
 const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const { parseCurl: parseCurlRequest, parseCurlCommands } = require('../../src/utils/curl-parser');
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some(key => key.toLowerCase() === name);
+}
 
 /**
  * Utility to run API tests from a cURL command or file
@@ -11,36 +18,76 @@ class CurlApiRunner {
    * Parse a cURL command string and convert to axios config
    */
   static parseCurl(curlString) {
-    // Basic parser for demonstration (expand as needed)
-    const methodMatch = curlString.match(/-X (\w+)/);
-    const urlMatch = curlString.match(/(https?:\/\/[^\s"']+)/);
-    const headerMatches = [...curlString.matchAll(/-H "([^"]+)"/g)];
-    const dataMatch = curlString.match(/--data-raw '([^']+)'/);
+    const request = parseCurlRequest(curlString);
+    if (!request) {
+      throw new Error('No cURL command with a URL found');
+    }
+    return CurlApiRunner.toAxiosConfig(request);
+  }
+
+  /**
+   * Convert the shared cURL request model to an axios config
+   */
+  static toAxiosConfig(request) {
+    const config = {
+      method: request.method,
+      url: request.url,
+      headers: { ...request.headers },
+      data: undefined,
+    };
+
+    if (request.auth && request.auth.type === 'basic' && !hasHeader(config.headers, 'authorization')) {
+      config.auth = { username: request.auth.username, password: request.auth.password };
+    }
 
-    const method = methodMatch ? methodMatch[1] : 'GET';
-    const url = urlMatch ? urlMatch[1] : '';
-    const headers = {};
-    headerMatches.forEach(h => {
-      const [key, value] = h[1].split(':').map(s => s.trim());
-      headers[key] = value;
-    });
-    const data = dataMatch ? dataMatch[1] : undefined;
+    if (Object.keys(request.cookies).length && !hasHeader(config.headers, 'cookie')) {
+      config.headers.Cookie = Object.entries(request.cookies)
+        .map(([name, value]) => `${name}=${value}`)
+        .join('; ');
+    }
 
-    return { method, url, headers, data };
+    if (request.body.type === 'multipart') {
+      const form = new FormData();
+      request.body.multipart.forEach(part => {
+        if (part.type === 'field') {
+          form.append(part.name, part.value);
+        } else {
+          const content = fs.readFileSync(part.file);
+          const blob = new Blob([content], part.contentType ? { type: part.contentType } : {});
+          form.append(part.name, blob, path.basename(part.file));
+        }
+      });
+      config.data = form;
+    } else if (request.body.type === 'binary') {
+      config.data = fs.readFileSync(request.body.file);
+    } else if (request.body.type !== 'none') {
+      config.data = request.body.raw;
+    }
+
+    if (request.body.type === 'form' && !hasHeader(config.headers, 'content-type')) {
+      config.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+
+    if (request.flags.insecure) {
+      config.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+    }
+
+    return config;
   }
 
   /**
    * Run a cURL command string
    */
   static async runCurl(curlString) {
-    const config = CurlApiRunner.parseCurl(curlString);
+    return CurlApiRunner.runRequest(CurlApiRunner.parseCurl(curlString));
+  }
+
+  /**
+   * Run an axios config built from a parsed cURL command
+   */
+  static async runRequest(config) {
     try {
-      const response = await axios({
-        method: config.method,
-        url: config.url,
-        headers: config.headers,
-        data: config.data,
-      });
+      const response = await axios(config);
       console.log('Status:', response.status);
       console.log('Response:', response.data);
       return response;
@@ -58,11 +105,8 @@ class CurlApiRunner {
    */
   static async runFromFile(filePath) {
     const content = fs.readFileSync(filePath, 'utf-8');
-    const curlCommands = content.split(/\n(?=curl )/); // Split by lines starting with 'curl '
-    for (const curlCmd of curlCommands) {
-      if (curlCmd.trim()) {
-        await CurlApiRunner.runCurl(curlCmd);
-      }
+    for (const request of parseCurlCommands(content)) {
+      await CurlApiRunner.runRequest(CurlApiRunner.toAxiosConfig(request));
     }
   }
 }
@@ -1,15 +1,12 @@
 // env-config.js
 // Usage: require('./env-config').getEnvConfig('QAFIT')
+// API hosts live in config/environment-config.json (apiBaseUrl) - QAFIT/IAT map onto fit/iat
 
-const configs = {
-  QAFIT: {
-    baseURL: 'https://runtoolapiportal-qafit.nj.adp.com',
-  },
-  IAT: {
-    baseURL: 'https://runtoolapiportal-iat.nj.adp.com',
-  },
-};
+const ApiEnvironment = require('../support/api-environment');
 
 module.exports = {
-  getEnvConfig: (env) => configs[env] || configs.QAFIT,
+  getEnvConfig: (env) => {
+    const name = ApiEnvironment.normalize(env || 'QAFIT');
+    return { name, baseURL: ApiEnvironment.baseUrl(name) };
+  },
 };
@@ -5,6 +5,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 const PathValidator = require('../utils/path-validator');
 const MasterLibraryManager = require('../src/master-steps/master-library-manager');
 
@@ -208,8 +210,8 @@ async function generateCustomArtifacts(analysis, context) {
   await generateCustomPageFile(context);
 }
 
-// Generate custom feature file with Master Library background
-async function generateCustomFeatureFile(context) {
+// 3. Build scenarios from the BDD steps, or from the UI elements named in the acceptance criteria
+const scenarios = [];
 
 if (bddSteps.length > 0) {
   scenarios.push({
@@ -267,32 +269,26 @@ if (bddSteps.length > 0) {
   });
 }
 
-// 4. Generate feature file with mandatory background
-let feature = '@Team:TechnoRebels\n@parentSuite:' + baseName.split('-')[0] + '\n@regression\n';
-if (tags.length > 0) feature += tags.join(' ') + '\n';
-feature += `Feature: ${baseName.replace(/-/g, ' ')} UI Elements Validation\n\n`;
-
-// CRITICAL RULE: Use ONLY these mandatory background steps
-feature += `  Background:\n`;
-feature += `    Given Alex is logged into RunMod with a homepage test client\n`;
-feature += `    Then Alex verifies that the Payroll section on the Home Page is displayed\n\n`;
-
-scenarios.forEach((scenario, idx) => {
-  feature += `  Scenario: ${scenario.title}\n`;
-  scenario.steps.forEach(step => {
-    const cleanStep = step.trim();
-    if (cleanStep && cleanStep.length > 0) {
-      if (!/^(Given|When|Then|And)\s+/i.test(cleanStep)) {
-        feature += `    Given ${cleanStep}\n`;
-      } else {
-        feature += `    ${cleanStep}\n`;
-      }
-    }
-  });
-  feature += '\n';
-});
-
-fs.writeFileSync(featureFile, feature);
+// 4. Generate feature file with mandatory background (shared Gherkin document model)
+const feature = gherkin.formatGherkin(gherkin.feature({
+  name: `${baseName.replace(/-/g, ' ')} UI Elements Validation`,
+  tags: ['@Team:TechnoRebels', `@parentSuite:${baseName.split('-')[0]}`, '@regression', ...tags],
+  children: [
+    // CRITICAL RULE: Use ONLY these mandatory background steps
+    gherkin.background({
+      steps: [
+        'Given Alex is logged into RunMod with a homepage test client',
+        'Then Alex verifies that the Payroll section on the Home Page is displayed'
+      ]
+    }),
+    ...scenarios.map(scenario => gherkin.scenario({
+      name: scenario.title,
+      steps: scenario.steps.filter(step => step.trim()).map(step => gherkin.stepFromText(step))
+    }))
+  ]
+}));
+
+writeGeneratedFile(featureFile, feature);
 console.log(`✅ Feature file generated: ${featureFile}`);
 
 // 5. Generate steps file with CRITICAL RULES
@@ -374,7 +370,7 @@ scenarios.forEach((scenario, idx) => {
   });
 });
 
-fs.writeFileSync(stepsFile, stepsCode);
+writeGeneratedFile(stepsFile, stepsCode);
 console.log(`✅ Steps file generated: ${stepsFile}`);
 
 // 6. Generate page file with ALL CRITICAL RULES + COMBINED LOCATOR STRATEGY
@@ -438,7 +434,7 @@ class ${className} extends BasePage {
 module.exports = ${className};
 `;
 
-fs.writeFileSync(pageFile, pageCode);
+writeGeneratedFile(pageFile, pageCode);
 console.log(`✅ Page file generated: ${pageFile}`);
 
 console.log('\n🎉 CRITICAL RULES ENFORCED GENERATION COMPLETE!');
@@ -5,6 +5,9 @@
 const fs = require('fs');
 const path = require('path');
 const domainTemplates = require('./domain-templates');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
+const { personaDescription } = require('../src/utils/domain-packs');
 
 // Import domain templates for contextual scenario generation
 const { getDomainTemplates, identifyDomain } = domainTemplates;
@@ -339,36 +342,35 @@ switch (requirementType) {
 }
 
 // 10. Generate Feature File with Enhanced Quality
-let feature = `@Team:SBSBusinessContinuity @smoke @${baseName}\n`;
-feature += `Feature: ${baseName.replace(/-/g, ' ')}\n\n`;
-feature += `  ${baseName.replace(/-/g, ' ')} functionality\n\n`;
+// Persona and background come from the matched domain pack (domains/*.yaml) when it defines them
+const domainPack = domainTemplates.getDomainPack(filteredContent);
 
 // Add mandatory Background steps (SBS standard)
-feature += `  Background:\n`;
-feature += `    Given Alex is logged into RunMod with a homepage test client\n`;
-feature += `    Then Alex verifies that the Payroll section on the Home Page is displayed\n\n`;
-
-scenarios.forEach((scenario, idx) => {
-  if (scenario.isOutline) {
-    feature += `  Scenario Outline: ${scenario.title}\n`;
-    scenario.steps.forEach(step => {
-      feature += `    ${step}\n`;
-    });
-    feature += `\n    Examples:\n`;
-    feature += `      | environment | vendorId | expectedValue |\n`;
-    scenario.examples.forEach(example => {
-      feature += `      | ${example.environment} | ${example.vendorId} | ${example.expectedValue} |\n`;
-    });
-  } else {
-    feature += `  Scenario: ${scenario.title}\n`;
-    scenario.steps.forEach(step => {
-      feature += `    ${step}\n`;
-    });
-  }
-  feature += '\n';
-});
+const backgroundSteps = domainPack && domainPack.background.length
+  ? domainPack.background
+  : [
+    'Given Alex is logged into RunMod with a homepage test client',
+    'Then Alex verifies that the Payroll section on the Home Page is displayed'
+  ];
 
-fs.writeFileSync(featureFile, feature);
+const feature = gherkin.formatGherkin(gherkin.feature({
+  name: baseName.replace(/-/g, ' '),
+  tags: ['@Team:SBSBusinessContinuity', '@smoke', `@${baseName}`],
+  description: domainPack && domainPack.persona
+    ? personaDescription(domainPack.persona)
+    : `${baseName.replace(/-/g, ' ')} functionality`,
+  children: [
+    gherkin.background({ steps: backgroundSteps.map(step => gherkin.stepFromText(step)) }),
+    // Outline scenarios carry their Examples as row objects - columns come from the keys
+    ...scenarios.map(scenario => gherkin.scenario({
+      name: scenario.title,
+      steps: scenario.steps.map(step => gherkin.stepFromText(step)),
+      examples: scenario.isOutline ? scenario.examples : undefined
+    }))
+  ]
+}));
+
+writeGeneratedFile(featureFile, feature);
 console.log(`✅ Enhanced Feature file generated: ${featureFile}`);
 
 // 11. Generate Enhanced Steps File (same logic as before but with better method names)
@@ -419,7 +421,7 @@ scenarios.forEach((scenario) => {
   });
 });
 
-fs.writeFileSync(stepsFile, stepsCode);
+writeGeneratedFile(stepsFile, stepsCode);
 console.log(`✅ Enhanced Steps file generated: ${stepsFile}`);
 
 // 12. Generate Enhanced Page File (with better locators and methods)
@@ -494,7 +496,7 @@ pageCode += `}
 
 module.exports = ${pageObjectName};`;
 
-fs.writeFileSync(pageFile, pageCode);
+writeGeneratedFile(pageFile, pageCode);
 console.log(`✅ Enhanced Page file generated: ${pageFile}`);
 
 // Quality scoring mechanism to assess and improve output quality
@@ -5,6 +5,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 const PathValidator = require('../utils/path-validator');
 const MasterLibraryManager = require('../src/master-steps/master-library-manager');
 
@@ -410,38 +412,42 @@ async function generateBasicWithSBSCompliance() {
     const mandatoryBackground = masterLibraryManager.featuresLibrary.getMandatoryBackground();
     
     const featureTitle = extractFeatureTitle() || toPascalCase(baseName);
-    let featureCode = `@Team:SBSBusinessContinuity @smoke @${baseName}
-Feature: ${featureTitle}
+    const backgroundSteps = mandatoryBackground.pattern.split('\n')
+      .map(line => line.trim())
+      .filter(line => /^(Given|When|Then|And|But)\s/.test(line));
 
-${mandatoryBackground.pattern}
-
-`;
-
-    // Add scenarios with SBS patterns
-    let scenarioCount = 1;
+    // Add scenarios with SBS patterns - steps before the first "Scenario" line get a scenario named after the feature
+    const scenarios = [];
     if (bddSteps.length > 0) {
       bddSteps.forEach(step => {
         const trimmed = step.trim();
         if (trimmed.toLowerCase().includes('scenario')) {
-          featureCode += `  Scenario: ${trimmed.replace(/^scenario[:\s]*/i, '')}
-`;
+          scenarios.push(gherkin.scenario({ name: trimmed.replace(/^scenario[:\s]*/i, '') }));
         } else if (trimmed.match(/^(Given|When|Then|And)\s/i)) {
-          featureCode += `    ${trimmed}
-`;
+          if (scenarios.length === 0) scenarios.push(gherkin.scenario({ name: featureTitle }));
+          scenarios[scenarios.length - 1].steps.push(gherkin.stepFromText(trimmed));
         }
       });
     } else {
-      featureCode += `  Scenario: ${featureTitle} - Basic Test
-    Given Alex navigates to the application
-    When Alex performs the required action
-    Then Alex verifies the expected result
-
-`;
+      scenarios.push(gherkin.scenario({
+        name: `${featureTitle} - Basic Test`,
+        steps: [
+          'Given Alex navigates to the application',
+          'When Alex performs the required action',
+          'Then Alex verifies the expected result'
+        ]
+      }));
     }
 
+    const featureCode = gherkin.formatGherkin(gherkin.feature({
+      name: featureTitle,
+      tags: ['@Team:SBSBusinessContinuity', '@smoke', `@${baseName}`],
+      children: [gherkin.background({ steps: backgroundSteps }), ...scenarios]
+    }));
+
     // Validate and save feature file
     masterLibraryManager.enforceSBSCompliance(featureCode, 'feature', featureFile);
-    fs.writeFileSync(featureFile, featureCode);
+    writeGeneratedFile(featureFile, featureCode);
     console.log(`✅ Feature file generated with SBS compliance: ${featureFile}`);
 
     // Generate steps file with SBS patterns
@@ -458,7 +464,7 @@ Then('Alex verifies that the Payroll section on the Home Page is displayed', { t
 module.exports = {};
 `;
 
-    fs.writeFileSync(stepsFile, stepsCode);
+    writeGeneratedFile(stepsFile, stepsCode);
     console.log(`✅ Steps file generated with SBS compliance: ${stepsFile}`);
 
     // Generate page object with SBS compliance
@@ -472,7 +478,7 @@ module.exports = {};
     
     // Validate and save page file
     masterLibraryManager.enforceSBSCompliance(pageCode, 'page', pageFile);
-    fs.writeFileSync(pageFile, pageCode);
+    writeGeneratedFile(pageFile, pageCode);
     console.log(`✅ Page file generated with SBS compliance: ${pageFile}`);
 
   } catch (error) {
@@ -883,27 +889,26 @@ async function generateCompliantFeatureFile(context) {
   const featureTitle = context.featureName;
   const scenarios = context.scenarios;
   
-  let featureCode = `@Team:SBSBusinessContinuity @smoke @${context.fileName}
-Feature: ${featureTitle}
-
-  ${featureTitle} functionality
-
-  Background:
-    Given Alex is logged into RunMod with a homepage test client
-    Then Alex verifies that the Payroll section on the Home Page is displayed
-
-`;
-
-  // Add scenarios
-  scenarios.forEach(scenario => {
-    featureCode += `  Scenario: ${scenario.title}\n`;
-    scenario.steps.forEach(step => {
-      featureCode += `    ${step}\n`;
-    });
-    featureCode += '\n';
-  });
-
-  fs.writeFileSync(featureFile, featureCode);
+  const featureCode = gherkin.formatGherkin(gherkin.feature({
+    name: featureTitle,
+    tags: ['@Team:SBSBusinessContinuity', '@smoke', `@${context.fileName}`],
+    description: `${featureTitle} functionality`,
+    children: [
+      gherkin.background({
+        steps: [
+          'Given Alex is logged into RunMod with a homepage test client',
+          'Then Alex verifies that the Payroll section on the Home Page is displayed'
+        ]
+      }),
+      // Add scenarios
+      ...scenarios.map(scenario => gherkin.scenario({
+        name: scenario.title,
+        steps: scenario.steps.map(step => gherkin.stepFromText(step))
+      }))
+    ]
+  }));
+
+  writeGeneratedFile(featureFile, featureCode);
   console.log(`✅ SBS compliance validated for feature file`);
 }
 
@@ -1020,7 +1025,7 @@ const ${className} = require('../../pages/auto-coder/${context.fileName}-page');
 
   stepsCode += 'module.exports = {};\n';
 
-  fs.writeFileSync(stepsFile, stepsCode);
+  writeGeneratedFile(stepsFile, stepsCode);
   console.log(`✅ SBS compliance validated for steps file`);
 }
 
@@ -1305,7 +1310,7 @@ class ${className} extends BasePage {
 module.exports = ${className};
 `;
 
-  fs.writeFileSync(pageFile, pageCode);
+  writeGeneratedFile(pageFile, pageCode);
   console.log(`✅ SBS compliance validated for page file`);
 }
 
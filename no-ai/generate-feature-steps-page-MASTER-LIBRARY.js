@@ -5,6 +5,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 const PathValidator = require('../utils/path-validator');
 const MasterLibraryManager = require('../src/master-steps/master-library-manager');
 
@@ -206,40 +208,46 @@ async function generateWithMasterLibrary() {
 
 // Custom generation with SBS compliance
 async function generateCustomArtifacts(context) {
-  // Generate feature file
-  let feature = '@Team:SBSBusinessContinuity\n@regression\n';
-  if (tags.length > 0) feature += tags.join(' ') + '\n';
-  feature += `Feature: ${context.featureName} UI Elements Validation\n\n`;
-  
-  // CRITICAL: Use SBS background steps
-  feature += `  Background:\n`;
-  feature += `    Given Alex is logged into RunMod with a homepage test client\n`;
-  feature += `    Then Alex verifies that the Payroll section on the Home Page is displayed\n\n`;
+  // Generate feature file through the shared Gherkin document model
+  const scenarios = [];
   
   // Add scenarios
   if (bddSteps.length > 0) {
-    feature += `  Scenario: ${context.featureName}\n`;
-    bddSteps.forEach(step => {
-      feature += `    ${step}\n`;
-    });
-    feature += '\n';
+    scenarios.push(gherkin.scenario({
+      name: context.featureName,
+      steps: bddSteps.map(step => gherkin.stepFromText(step))
+    }));
   }
   
   // Add UI validation scenario
   if (uiElements.buttons.length > 0 || uiElements.links.length > 0) {
-    feature += `  Scenario: Verify ${context.featureName} page elements\n`;
-    feature += `    When Alex navigates to ${context.featureName} page\n`;
-    feature += `    Then Alex verifies "${context.featureName}" page title is displayed\n`;
-    uiElements.buttons.forEach(btn => {
-      feature += `    And Alex verifies "${btn}" button is visible\n`;
-    });
-    uiElements.links.forEach(link => {
-      feature += `    And Alex verifies "${link}" link is visible\n`;
-    });
-    feature += '\n';
+    scenarios.push(gherkin.scenario({
+      name: `Verify ${context.featureName} page elements`,
+      steps: [
+        `When Alex navigates to ${context.featureName} page`,
+        `Then Alex verifies "${context.featureName}" page title is displayed`,
+        ...uiElements.buttons.map(btn => `And Alex verifies "${btn}" button is visible`),
+        ...uiElements.links.map(link => `And Alex verifies "${link}" link is visible`)
+      ]
+    }));
   }
   
-  fs.writeFileSync(featureFile, feature);
+  const feature = gherkin.formatGherkin(gherkin.feature({
+    name: `${context.featureName} UI Elements Validation`,
+    tags: ['@Team:SBSBusinessContinuity', '@regression', ...tags],
+    children: [
+      // CRITICAL: Use SBS background steps
+      gherkin.background({
+        steps: [
+          'Given Alex is logged into RunMod with a homepage test client',
+          'Then Alex verifies that the Payroll section on the Home Page is displayed'
+        ]
+      }),
+      ...scenarios
+    ]
+  }));
+  
+  writeGeneratedFile(featureFile, feature);
   console.log(`✅ Feature file generated: ${featureFile}`);
   
   // Generate steps file
@@ -289,7 +297,7 @@ ${keyword}('${stepPattern}', { timeout: 240 * 1000 }, async function (${hasQuote
     }
   });
   
-  fs.writeFileSync(stepsFile, stepsCode);
+  writeGeneratedFile(stepsFile, stepsCode);
   console.log(`✅ Steps file generated: ${stepsFile}`);
   
   // Generate page file with combined locator strategy
@@ -342,7 +350,7 @@ class ${className} extends BasePage {
 module.exports = ${className};
 `;
 
-  fs.writeFileSync(pageFile, pageCode);
+  writeGeneratedFile(pageFile, pageCode);
   console.log(`✅ Page file generated: ${pageFile}`);
 }
 
@@ -7,6 +7,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 
 const requirementFile = process.argv[2] || path.resolve(__dirname, '../requirements/text/jira-story-employee-contrator.txt');
 const inputBaseName = process.argv[3] || path.basename(requirementFile, path.extname(requirementFile));
@@ -166,33 +168,27 @@ if (bddSteps.length > 0) {
   });
 }
 
-// 4. Generate feature file (CLEAN FORMAT)
-let feature = '@Team:SBSBusinessContinuity\n@jira=AUTO-' + Date.now() + '\n@parentSuite:AutoGenerated\n@regression @critical\n';
-if (tags.length > 0) feature += tags.join(' ') + '\n';
-feature += `Feature: ${baseName.replace(/-/g, ' ')}\n\n`;
-
-// Add mandatory Background steps (SBS standard)
-feature += `  Background:\n`;
-feature += `    Given Alex is logged into RunMod with a homepage test client\n`;
-feature += `    Then Alex verifies that the Payroll section on the Home Page is displayed\n\n`;
-
-scenarios.forEach((scenario, idx) => {
-  feature += `  Scenario: ${scenario.title}\n`;
-  scenario.steps.forEach(step => {
-    const cleanStep = step.trim();
-    if (cleanStep && cleanStep.length > 0) {
-      // Ensure step starts with proper BDD keyword
-      if (!/^(Given|When|Then|And)\s+/i.test(cleanStep)) {
-        feature += `    Given ${cleanStep}\n`;
-      } else {
-        feature += `    ${cleanStep}\n`;
-      }
-    }
-  });
-  feature += '\n';
-});
-
-fs.writeFileSync(featureFile, feature);
+// 4. Generate feature file (CLEAN FORMAT) through the shared Gherkin document model
+const feature = gherkin.formatGherkin(gherkin.feature({
+  name: baseName.replace(/-/g, ' '),
+  tags: ['@Team:SBSBusinessContinuity', `@jira=AUTO-${Date.now()}`, '@parentSuite:AutoGenerated', '@regression', '@critical', ...tags],
+  children: [
+    // Add mandatory Background steps (SBS standard)
+    gherkin.background({
+      steps: [
+        'Given Alex is logged into RunMod with a homepage test client',
+        'Then Alex verifies that the Payroll section on the Home Page is displayed'
+      ]
+    }),
+    // Steps without a BDD keyword become Given steps
+    ...scenarios.map(scenario => gherkin.scenario({
+      name: scenario.title,
+      steps: scenario.steps.filter(step => step.trim()).map(step => gherkin.stepFromText(step))
+    }))
+  ]
+}));
+
+writeGeneratedFile(featureFile, feature);
 console.log(`✅ Feature file generated: ${featureFile}`);
 
 // 4. Generate steps file
@@ -248,7 +244,7 @@ scenarios.forEach((sc, idx) => {
     prevKeyword = keyword;
   });
 });
-fs.writeFileSync(stepsFile, stepsCode);
+writeGeneratedFile(stepsFile, stepsCode);
 console.log(`✅ Steps file generated: ${stepsFile}`);
 
 // 6. Generate page file (CRITICAL RULES ENFORCED + FALLBACK LOCATORS)
@@ -357,7 +353,7 @@ ${methods}  async isPageDisplayed() {
 module.exports = ${toPageObjectName(baseName)};
 `;
 
-fs.writeFileSync(pageFile, pageCode);
+writeGeneratedFile(pageFile, pageCode);
 console.log(`✅ Page file generated: ${pageFile}`);
 
 // Helper function to segment steps
@@ -3,6 +3,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 
 const inputFile = process.argv[2] || path.resolve(__dirname, '../requirements/text/jira-story-classic-footer.txt');
 const outputFile = process.argv[3] || path.resolve(__dirname, '../SBS_Automation/features/jira-story-classic-footer.feature');
@@ -27,16 +29,16 @@ if (criteriaStart !== -1) {
   }
 }
 
-// 3. Generate feature file content
-let feature = `Feature: ${title}\n\n`;
-feature += '  Scenario: Classic Footer Display Logic\n';
-acceptanceCriteria.forEach((criteria, idx) => {
-  if (idx === 0) feature += `    Given ${criteria}\n`;
-  else if (idx === 1) feature += `    When ${criteria}\n`;
-  else if (idx === 2) feature += `    Then ${criteria}\n`;
-  else feature += `    And ${criteria}\n`;
-});
+// 3. Generate feature file content (first three criteria become Given/When/Then, the rest And)
+const stepKeywords = ['Given', 'When', 'Then'];
+const feature = gherkin.formatGherkin(gherkin.feature({
+  name: title,
+  children: [gherkin.scenario({
+    name: 'Classic Footer Display Logic',
+    steps: acceptanceCriteria.map((criteria, idx) => gherkin.step(stepKeywords[idx] || 'And', criteria))
+  })]
+}));
 
 // 4. Write feature file
-fs.writeFileSync(outputFile, feature);
+writeGeneratedFile(outputFile, feature);
 console.log(`✅ Feature file generated: ${outputFile}`);
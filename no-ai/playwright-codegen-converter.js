@@ -2,12 +2,15 @@
 /**
  * NO-AI PLAYWRIGHT CODEGEN TO TEST ARTIFACTS CONVERTER
  * 
- * Converts Playwright CodeGen recordings to SBS_Automation test artifacts
+ * Converts Playwright CodeGen recordings (JS/TS, Python, Java) to SBS_Automation test artifacts
  * Usage: node playwright-codegen-converter.js <recording-file> <base-name>
  */
 
 const fs = require('fs');
 const path = require('path');
+const { parseRecording, toStepExpression } = require('../src/utils/recording-parser');
+const gherkin = require('../src/utils/gherkin-document');
+const { writeGeneratedFile } = require('../src/utils/artifact-merge');
 
 function convertPlaywrightToSBS(recordingFile, baseName) {
     const recordingContent = fs.readFileSync(recordingFile, 'utf8');
@@ -25,9 +28,9 @@ function convertPlaywrightToSBS(recordingFile, baseName) {
     const stepsFile = path.resolve(__dirname, `../SBS_Automation/steps/${baseName}-steps.js`);
     const pageFile = path.resolve(__dirname, `../SBS_Automation/pages/common/${baseName}-page.js`);
     
-    fs.writeFileSync(featureFile, feature);
-    fs.writeFileSync(stepsFile, steps);
-    fs.writeFileSync(pageFile, page);
+    writeGeneratedFile(featureFile, feature);
+    writeGeneratedFile(stepsFile, steps);
+    writeGeneratedFile(pageFile, page);
     
     console.log(`✅ Feature file generated: ${featureFile}`);
     console.log(`✅ Steps file generated: ${stepsFile}`);
@@ -35,106 +38,47 @@ function convertPlaywrightToSBS(recordingFile, baseName) {
 }
 
 function extractActionsFromRecording(content) {
-    const actions = [];
-    const lines = content.split('\n');
+    const recording = parseRecording(content);
     
-    for (const line of lines) {
-        const trimmed = line.trim();
-        
-        // Extract goto actions
-        if (trimmed.includes('page.goto(')) {
-            const urlMatch = trimmed.match(/page\.goto\(['"]([^'"]+)['"]/);
-            if (urlMatch) {
-                actions.push({
-                    type: 'navigate',
-                    url: urlMatch[1],
-                    description: `Navigate to ${urlMatch[1]}`
-                });
-            }
-        }
-        
-        // Extract click actions
-        if (trimmed.includes('page.click(')) {
-            const selectorMatch = trimmed.match(/page\.click\(\s*['"]([^'"]+)['"]\s*\)/);
-            if (selectorMatch) {
-                actions.push({
-                    type: 'click',
-                    selector: selectorMatch[1],
-                    description: `Click element ${selectorMatch[1]}`
-                });
-            }
-        }
-        
-        // Extract fill actions
-        if (trimmed.includes('page.fill(')) {
-            const match = trimmed.match(/page\.fill\(\s*['"]([^'"]+)['"],\s*['"]([^'"]+)['"]\s*\)/);
-            if (match) {
-                actions.push({
-                    type: 'fill',
-                    selector: match[1],
-                    value: match[2],
-                    description: `Fill ${match[1]} with ${match[2]}`
-                });
-            }
-        }
-        
-        // Extract waitForSelector actions
-        if (trimmed.includes('page.waitForSelector(')) {
-            const selectorMatch = trimmed.match(/page\.waitForSelector\(\s*['"]([^'"]+)['"]\s*\)/);
-            if (selectorMatch) {
-                actions.push({
-                    type: 'wait',
-                    selector: selectorMatch[1],
-                    description: `Wait for element ${selectorMatch[1]}`
-                });
-            }
-        }
-    }
-    
-    return actions;
+    return recording.steps.map(step => ({
+        type: step.type,
+        page: step.page,
+        url: step.url,
+        value: step.value,
+        alias: step.alias,
+        assertion: step.assertion,
+        selector: step.locator ? step.locator.selector : undefined,
+        by: step.locator ? step.locator.by : undefined,
+        frames: step.locator ? step.locator.frames : [],
+        kind: step.locator ? step.locator.kind : undefined,
+        label: step.locator ? step.locator.label : undefined,
+        keyword: step.keyword,
+        phrase: step.phrase,
+        description: step.phrase
+    }));
 }
 
 function generateFeatureFile(actions, baseName) {
     const featureName = baseName.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
     
-    let feature = `@Team:SBSBusinessContinuity
-@jira=AUTO-${Date.now()}
-@parentSuite:AutoGenerated
-@regression @critical
-Feature: ${featureName}
-  As a user
-  I want to perform recorded actions
-  So that I can validate the application workflow
-
-  Background:
-    Given the application is available
-
-  @smoke @RecordedWorkflow
-  Scenario: Execute recorded workflow
-`;
-
-    let stepNumber = 1;
-    actions.forEach(action => {
-        switch (action.type) {
-            case 'navigate':
-                feature += `    When I navigate to "${action.url}"\n`;
-                break;
-            case 'click':
-                feature += `    And I click on element "${action.selector}"\n`;
-                break;
-            case 'fill':
-                feature += `    And I fill "${action.selector}" with "${action.value}"\n`;
-                break;
-            case 'wait':
-                feature += `    Then I should see element "${action.selector}"\n`;
-                break;
-        }
-        stepNumber++;
+    // Recorded order is kept; repeated keywords collapse to And
+    let previousKeyword = 'Given';
+    const steps = actions.map(action => {
+        const keyword = action.keyword === previousKeyword ? 'And' : action.keyword;
+        previousKeyword = action.keyword;
+        return gherkin.step(keyword, action.phrase);
     });
-    
-    feature += `    Then the workflow should complete successfully\n`;
-    
-    return feature;
+    steps.push(gherkin.step('Then', 'the workflow should complete successfully'));
+
+    return gherkin.formatGherkin(gherkin.feature({
+        name: featureName,
+        tags: ['@Team:SBSBusinessContinuity', `@jira=AUTO-${Date.now()}`, '@parentSuite:AutoGenerated', '@regression', '@critical'],
+        description: 'As a user\nI want to perform recorded actions\nSo that I can validate the application workflow',
+        children: [
+            gherkin.background({ steps: ['Given the application is available'] }),
+            gherkin.scenario({ name: 'Execute recorded workflow', tags: ['@smoke', '@RecordedWorkflow'], steps })
+        ]
+    }));
 }
 
 function generateStepsFile(actions, baseName) {
@@ -156,41 +100,19 @@ Given('the application is available', { timeout: 60 * 1000 }, async function ()
 
 `;
 
-    // Generate unique steps for each action type
-    const uniqueActions = getUniqueActionsByType(actions);
-    
-    uniqueActions.forEach(action => {
-        switch (action.type) {
-            case 'navigate':
-                steps += `When('I navigate to {string}', { timeout: 60 * 1000 }, async function (url) {
-  await pageObject.navigateToUrl(url);
-});
-
-`;
-                break;
-            case 'click':
-                steps += `When('I click on element {string}', { timeout: 60 * 1000 }, async function (selector) {
-  await pageObject.clickElement(selector);
-});
-
-`;
-                break;
-            case 'fill':
-                steps += `When('I fill {string} with {string}', { timeout: 60 * 1000 }, async function (selector, value) {
-  await pageObject.fillElement(selector, value);
-});
-
-`;
-                break;
-            case 'wait':
-                steps += `Then('I should see element {string}', { timeout: 60 * 1000 }, async function (selector) {
-  const isVisible = await pageObject.isElementVisible(selector);
-  assert.isTrue(isVisible, \`Element \${selector} should be visible\`);
+    // One parameterized step per distinct phrase
+    const expressions = new Set();
+    actions.forEach(action => {
+        const expression = toStepExpression(action.phrase);
+        if (expressions.has(expression)) return;
+        expressions.add(expression);
+        
+        const [params, body] = getStepBody(action);
+        steps += `${action.keyword}('${expression.replace(/'/g, "\\'")}', { timeout: 60 * 1000 }, async function (${params}) {
+${body}
 });
 
 `;
-                break;
-        }
     });
     
     steps += `Then('the workflow should complete successfully', { timeout: 60 * 1000 }, async function () {
@@ -203,36 +125,113 @@ module.exports = { pageObject };`;
     return steps;
 }
 
+function getStepBody(action) {
+    const element = `pageObject.getElement('${action.kind}', label)`;
+    const simple = { click: 'click', dblclick: 'dblclick', hover: 'hover', focus: 'focus', clear: 'clear', check: 'check', uncheck: 'uncheck' };
+    const withValue = { fill: ['value', 'fill'], press: ['key', 'press'], select: ['value', 'selectOption'], upload: ['file', 'setInputFiles'] };
+    
+    if (simple[action.type]) {
+        return ['label', `  await ${element}.${simple[action.type]}();`];
+    }
+    if (withValue[action.type]) {
+        const [param, method] = withValue[action.type];
+        return [`${param}, label`, `  await ${element}.${method}(${param});`];
+    }
+    
+    switch (action.type) {
+        case 'navigate':
+            return ['url', '  await pageObject.navigateToUrl(url);'];
+        case 'reload':
+        case 'goBack':
+        case 'goForward':
+            return ['', `  await pageObject.currentPage().${action.type}();`];
+        case 'popup':
+            return ['alias', '  await pageObject.switchToPopup(alias);'];
+        case 'close':
+            return ['alias', '  await pageObject.closePage(alias);'];
+        case 'download': 
+            return ['', `  const download = await pageObject.waitForDownload();
+  assert.isOk(download.suggestedFilename(), 'A file should be downloaded');`];
+        default:
+            return getAssertionBody(action, element);
+    }
+}
+
+function getAssertionBody(action, element) {
+    const { name, negated, expected } = action.assertion;
+    const isPattern = expected && typeof expected === 'object' && expected.kind === 'regex';
+    const compare = actual => isPattern
+        ? `  assert.${negated ? 'notMatch' : 'match'}(${actual}, new RegExp(expected));`
+        : `  assert.${negated ? 'notEqual' : 'equal'}(${actual}, expected);`;
+    
+    switch (name) {
+        case 'url':
+            return ['expected', compare('pageObject.currentPage().url()')];
+        case 'title':
+            return ['expected', compare('await pageObject.currentPage().title()')];
+        case 'visible':
+        case 'hidden': {
+            const shouldSee = (name === 'visible') !== Boolean(negated);
+            return ['label', `  const isVisible = await pageObject.isElementVisible('${action.kind}', label);
+  assert.${shouldSee ? 'isTrue' : 'isFalse'}(isVisible, \`\${label} should ${shouldSee ? '' : 'not '}be visible\`);`];
+        }
+        case 'text':
+            return ['label, expected', `  const text = (await ${element}.innerText()).trim();
+${compare('text')}`];
+        case 'containsText':
+            return ['label, expected', `  const text = await ${element}.innerText();
+  assert.${negated ? 'notInclude' : 'include'}(text, expected);`];
+        case 'value':
+            return ['label, expected', `  const value = await ${element}.inputValue();
+${compare('value')}`];
+        case 'count':
+            return ['count, label', `  assert.equal(await ${element}.count(), count);`];
+        case 'attribute':
+            return ['label, attribute, expected', `  const value = await ${element}.getAttribute(attribute);
+${compare('value')}`];
+        default: {
+            const method = `is${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+            return ['label', `  assert.${negated ? 'isFalse' : 'isTrue'}(await ${element}.${method}(), \`\${label} should ${negated ? 'not ' : ''}be ${name}\`);`];
+        }
+    }
+}
+
 function generatePageFile(actions, baseName) {
     const className = baseName.replace(/-/g, '').replace(/\b\w/g, l => l.toUpperCase()) + 'Page';
     
-    // Extract unique selectors for constants
-    const selectors = [...new Set(actions
-        .filter(a => a.selector)
-        .map(a => a.selector)
-    )];
+    // Unique elements become By constants
+    const elements = new Map();
+    actions.filter(a => a.by).forEach(action => {
+        const key = `${action.kind}|${action.label}`;
+        if (!elements.has(key)) {
+            elements.set(key, { ...action, constant: uniqueConstantName(action, elements) });
+        }
+    });
     
     let page = `const By = require('./../../support/By.js');
 let BasePage = require('../common/base-page');
 const helpers = require('./../../support/helpers.js');
 
-// Selectors extracted from recorded actions
+// Locators extracted from recorded actions
 `;
     
-    selectors.forEach(selector => {
-        const constantName = selectorToConstantName(selector);
-        if (selector.startsWith('[data-test') || selector.startsWith('#') || selector.startsWith('.')) {
-            page += `const ${constantName} = By.css('${selector}');\n`;
-        } else {
-            page += `const ${constantName} = By.xpath('//*[contains(@*, "${selector}")]');\n`;
-        }
+    elements.forEach(element => {
+        page += `const ${element.constant} = ${element.by};\n`;
     });
     
     page += `
+// Recorded elements by kind and label, with the page alias and frames they live in
+const ELEMENTS = {
+${[...elements.entries()].map(([key, element]) => `  ${quote(key)}: { page: '${element.page}', frames: [${element.frames.map(quote).join(', ')}], locator: ${element.constant} }`).join(',\n')}
+};
+
 class ${className} extends BasePage {
   constructor(page) {
     super(page);
     this.page = page;
+    this.pages = { page };
+    this.downloads = [];
+    page.on('download', download => this.downloads.push(download));
   }
 
   async ensureApplicationAvailable() {
@@ -245,31 +244,59 @@ class ${className} extends BasePage {
     }
   }
 
-  async navigateToUrl(url) {
-    await this.page.goto(url);
-    await this.page.waitForLoadState('networkidle');
+  currentPage() {
+    const pages = Object.values(this.pages);
+    return pages[pages.length - 1];
   }
 
-  async clickElement(selector) {
-    await this.page.click(selector);
+  getElement(kind, label) {
+    const element = ELEMENTS[\`\${kind}|\${label}\`];
+    if (!element) {
+      throw new Error(\`No recorded locator for \${kind} "\${label}"\`);
+    }
+    
+    let scope = this.pages[element.page] || this.page;
+    for (const frame of element.frames) {
+      scope = scope.frameLocator(frame);
+    }
+    return scope.locator(element.locator);
   }
 
-  async fillElement(selector, value) {
-    await this.page.fill(selector, value);
+  async navigateToUrl(url) {
+    await this.currentPage().goto(url);
+    await this.currentPage().waitForLoadState('networkidle');
   }
 
-  async isElementVisible(selector) {
+  async isElementVisible(kind, label) {
     try {
-      return await this.page.isVisible(selector);
+      return await this.getElement(kind, label).isVisible();
     } catch (error) {
       return false;
     }
   }
 
+  async switchToPopup(alias) {
+    // The popup may already be open once the click that triggered it has finished
+    const context = this.page.context();
+    const known = Object.values(this.pages);
+    const popup = context.pages().find(candidate => !known.includes(candidate)) || await context.waitForEvent('page');
+    await popup.waitForLoadState();
+    this.pages[alias] = popup;
+  }
+
+  async closePage(alias) {
+    await this.pages[alias].close();
+    delete this.pages[alias];
+  }
+
+  async waitForDownload() {
+    return this.downloads.length > 0 ? this.downloads[this.downloads.length - 1] : await this.page.waitForEvent('download');
+  }
+
   async verifyWorkflowCompletion() {
     try {
       // Add specific verification logic based on your application
-      await this.page.waitForLoadState('networkidle');
+      await this.currentPage().waitForLoadState('networkidle');
       return true;
     } catch (error) {
       console.error('Workflow verification failed:', error.message);
@@ -283,9 +310,18 @@ module.exports = ${className};`;
     return page;
 }
 
-function getUniqueActionsByType(actions) {
-    const types = [...new Set(actions.map(a => a.type))];
-    return types.map(type => actions.find(a => a.type === type));
+function uniqueConstantName(action, elements) {
+    const base = selectorToConstantName(`${action.label}_${action.kind}`).slice(0, 60) || 'ELEMENT';
+    const taken = new Set([...elements.values()].map(element => element.constant));
+    let name = /^\d/.test(base) ? `E_${base}` : base;
+    for (let i = 2; taken.has(name); i++) {
+        name = `${base}_${i}`;
+    }
+    return name;
+}
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
 }
 
 function selectorToConstantName(selector) {
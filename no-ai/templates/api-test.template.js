@@ -0,0 +1,40 @@
+// api-test.template.js
+// Renders a runnable API test for api-coder - host and credentials stay placeholders
+// resolved by support/api-environment.js, so the file runs against fit, iat or prod unchanged
+
+module.exports = ({ env, url, endpoint, headers, method, body, auth, secrets }) => `// Generated by no-ai/api-coder.js - do not put credentials in this file
+// Run: ADP_ENV=${env} npx jest --roots no-ai/generated (secrets: ${secrets.length ? secrets.join(', ') : 'none'})
+
+const axios = require('axios');
+const https = require('https');
+const { assert } = require('chai');
+const ApiEnvironment = require('../../support/api-environment');
+
+const ENVIRONMENT = ApiEnvironment.current('${env}');
+const SECRETS = ${JSON.stringify(secrets)};
+// Certificate checks stay on unless the environment sets allowInsecureTls
+const httpsAgent = new https.Agent({ rejectUnauthorized: !ApiEnvironment.allowsInsecureTls(ENVIRONMENT) });
+
+describe(${JSON.stringify(`${method} ${endpoint}`)}, () => {
+  test('responds with a 2xx status in ' + ENVIRONMENT, async () => {
+    const missing = ApiEnvironment.missingSecrets(SECRETS, ENVIRONMENT);
+    assert.isEmpty(missing, \`Set \${missing.join(', ')} or add them to config/secrets.local.json\`);
+
+    const response = await axios({
+      method: '${method}',
+      url: ApiEnvironment.resolve(${JSON.stringify(url)}, ENVIRONMENT),
+      headers: ApiEnvironment.resolveAll(${JSON.stringify(headers, null, 2).replace(/\n/g, '\n      ')}, ENVIRONMENT),${body ? `
+      data: ApiEnvironment.resolve(${JSON.stringify(body)}, ENVIRONMENT),` : ''}${auth ? `
+      auth: {
+        username: ApiEnvironment.resolve(${JSON.stringify(auth.username)}, ENVIRONMENT),
+        password: ApiEnvironment.resolve(${JSON.stringify(auth.password)}, ENVIRONMENT),
+      },` : ''}
+      httpsAgent,
+      validateStatus: () => true,
+    });
+
+    assert.isAtLeast(response.status, 200, \`\${response.config.url} returned \${response.status}\`);
+    assert.isBelow(response.status, 300, \`\${response.config.url} returned \${response.status}\`);
+  });
+});
+`;
@@ -14,6 +14,9 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { chromium } = require('playwright');
+const { captureElementFingerprint, writeFingerprintSidecar } = require('./locator-fingerprint');
+const { rankLocators, measureSurvival } = require('./locator-scoring');
+const By = require('../support/By');
 
 class AdvancedLocatorCapture {
   constructor() {
@@ -27,6 +30,9 @@ class AdvancedLocatorCapture {
       modals: true,
       deepNesting: true
     };
+    
+    // 🔄 Re-render checks per element (no reloads - navigation state would be lost)
+    this.SURVIVAL_CAPTURES = 3;
   }
 
   /**
@@ -143,9 +149,10 @@ class AdvancedLocatorCapture {
       
       try {
         const locatorInfo = await this.analyzeElementAdvanced(page, element);
+        locatorInfo.fingerprint = await captureElementFingerprint(page, this.fingerprintTarget(locatorInfo));
         captured[this.generateConstantName(element.description)] = locatorInfo;
         
-        console.log(`✅ Captured: ${element.description}`);
+        console.log(`✅ Captured: ${element.description} (${locatorInfo.type}, score ${locatorInfo.score}, ${locatorInfo.fallbacks.length} fallbacks)`);
         
       } catch (error) {
         console.log(`❌ Failed: ${element.description} - ${error.message}`);
@@ -189,8 +196,44 @@ class AdvancedLocatorCapture {
       throw new Error('No working selector found');
     }
     
-    // Return the best strategy (prefer Shadow DOM, then direct, then iframe)
-    return this.selectBestStrategy(strategies);
+    // Check each strategy still matches after the UI re-renders
+    const survival = await measureSurvival(page, strategies.map(strategy => this.strategyLocator(strategy)), {
+      captures: this.SURVIVAL_CAPTURES,
+      reload: false,
+      count: locator => this.countStrategy(page, strategies.find(strategy => this.strategyLocator(strategy) === locator))
+    });
+    
+    return this.selectBestStrategy(strategies, survival);
+  }
+
+  /**
+   * 🔗 STRATEGY AS ONE PLAYWRIGHT LOCATOR CHAIN (used as its scoring key)
+   */
+  strategyLocator(strategy) {
+    switch (strategy.type) {
+      case 'shadow-depth-1':
+        return By.shadow(strategy.hostSelector, strategy.elementSelector);
+      case 'shadow-depth-2':
+        return By.shadow(strategy.hostSelector, strategy.rootSelector, strategy.elementSelector);
+      case 'iframe':
+        return By.within(strategy.iframeSelector, strategy.elementSelector);
+      case 'modal':
+        return By.chain(strategy.modalContainer, strategy.elementSelector);
+      default:
+        return strategy.selector;
+    }
+  }
+
+  /**
+   * 🔢 COUNT MATCHES FOR A STRATEGY IN ITS CONTEXT
+   */
+  async countStrategy(page, strategy) {
+    try {
+      // Playwright CSS pierces open shadow roots and By.within enters the iframe, so every context is one locator
+      return await page.locator(this.strategyLocator(strategy)).count();
+    } catch (error) {
+      return 0;
+    }
   }
 
   /**
@@ -283,8 +326,8 @@ class AdvancedLocatorCapture {
             type: 'shadow-depth-1',
             hostSelector: host,
             elementSelector: selector,
-            method: 'getShadowElementDepthOfOne',
-            code: `await this.getShadowElementDepthOfOne(By.css('${host}'), By.css('${selector}'))`
+            method: 'By.shadow',
+            code: `By.shadow('${host}', '${selector}')`
           };
         }
       } catch (error) {
@@ -327,7 +370,7 @@ class AdvancedLocatorCapture {
               rootSelector: root,
               elementSelector: selector,
               method: 'getShadowElementDepthOfTwo',
-              code: `await this.getShadowElementDepthOfTwo(By.css('${host}'), By.css('${root}'), By.css('${selector}'))`
+              code: `By.shadow('${host}', '${root}', '${selector}')`
             };
           }
         } catch (error) {
@@ -361,8 +404,8 @@ class AdvancedLocatorCapture {
               type: 'iframe',
               iframeSelector: iframe,
               elementSelector: selector,
-              method: 'frameLocator',
-              code: `await this.page.frameLocator('${iframe}').locator('${selector}')`
+              method: 'By.within',
+              code: `By.within('${iframe}', '${selector}')`
             };
           }
         }
@@ -404,7 +447,7 @@ class AdvancedLocatorCapture {
                 modalContainer: container,
                 elementSelector: selector,
                 method: 'modal-locator',
-                code: `await this.page.locator('${container}').locator('${selector}')`
+                code: `By.chain('${container}', '${selector}')`
               };
             }
           }
@@ -417,19 +460,47 @@ class AdvancedLocatorCapture {
     return null;
   }
 
+  /**
+   * 🧬 WHERE TO FIND A CAPTURED ELEMENT FOR ITS FINGERPRINT
+   */
+  fingerprintTarget(locatorInfo) {
+    const selector = locatorInfo.elementSelector || locatorInfo.selector;
+    switch (locatorInfo.type) {
+      case 'shadow-depth-1':
+        return { selector, shadowPath: [locatorInfo.hostSelector] };
+      case 'shadow-depth-2':
+        return { selector, shadowPath: [locatorInfo.hostSelector, locatorInfo.rootSelector] };
+      case 'iframe':
+        return { selector, frame: locatorInfo.iframeSelector };
+      case 'modal':
+        return { selector: By.chain(locatorInfo.modalContainer, selector) };
+      default:
+        return { selector };
+    }
+  }
+
   /**
    * 🎯 SELECT BEST STRATEGY
+   * 
+   * Ranked by stability score (locator-scoring.js); the context priority
+   * Shadow DOM > Direct > Modal > iframe only breaks ties
    */
-  selectBestStrategy(strategies) {
-    // Priority: Shadow DOM > Direct > Modal > iframe
+  selectBestStrategy(strategies, survival = {}) {
     const priority = ['shadow-depth-1', 'shadow-depth-2', 'direct', 'modal', 'iframe'];
-    
-    for (const type of priority) {
-      const strategy = strategies.find(s => s.type === type);
-      if (strategy) return strategy;
-    }
-    
-    return strategies[0]; // Return first available
+    const ordered = [...strategies].sort((a, b) => priority.indexOf(a.type) - priority.indexOf(b.type));
+    
+    const ranking = rankLocators(ordered.map(strategy => {
+      const selector = this.strategyLocator(strategy);
+      return { selector, ...survival[selector], strategy };
+    }));
+    const best = ranking.best || ranking.ranked[0];
+    
+    return {
+      ...best.strategy,
+      score: best.score,
+      scores: ranking.ranked.map(({ selector, type, count, score, factors }) => ({ selector, type, count, score, factors })),
+      fallbacks: ranking.fallbacks.map(candidate => ({ ...candidate.strategy, score: candidate.score }))
+    };
   }
 
   /**
@@ -493,6 +564,11 @@ module.exports = ${className};`;
     await fs.writeFile(filePath, pageContent, 'utf8');
     
     console.log(`✅ Generated: ${filePath}`);
+    
+    await writeFingerprintSidecar(filePath, {
+      url: navigationInfo && navigationInfo.url,
+      elements: Object.fromEntries(Object.entries(capturedElements).map(([name, info]) => [name, info.fingerprint]))
+    });
   }
 
   /**
@@ -507,7 +583,8 @@ module.exports = ${className};`;
       } else if (info.type === 'fallback') {
         constants.push(`const ${name} = ${info.selector}; // ${info.notes}`);
       } else {
-        constants.push(`// ${name} - ${info.type} - Use: ${info.code}`);
+        // Shadow DOM, iframe and modal strategies carry their By.shadow / By.within / By.chain expression
+        constants.push(`const ${name} = ${info.code}; // ${info.type}`);
       }
     }
     
@@ -530,49 +607,7 @@ module.exports = ${className};`;
       const methodName = this.generateMethodName(name, 'click');
       const verifyMethodName = this.generateMethodName(name, 'verify');
       
-      if (info.type === 'shadow-depth-1') {
-        methods.push(`
-  async ${methodName}() {
-    const element = await this.getShadowElementDepthOfOne(By.css('${info.hostSelector}'), By.css('${info.elementSelector}'));
-    await element.click();
-  }
-
-  async ${verifyMethodName}() {
-    const element = await this.getShadowElementDepthOfOne(By.css('${info.hostSelector}'), By.css('${info.elementSelector}'));
-    const isVisible = await element.isVisible();
-    if (!isVisible) {
-      throw new Error('${name} is not visible');
-    }
-  }`);
-      } else if (info.type === 'shadow-depth-2') {
-        methods.push(`
-  async ${methodName}() {
-    const element = await this.getShadowElementDepthOfTwo(By.css('${info.hostSelector}'), By.css('${info.rootSelector}'), By.css('${info.elementSelector}'));
-    await element.click();
-  }
-
-  async ${verifyMethodName}() {
-    const element = await this.getShadowElementDepthOfTwo(By.css('${info.hostSelector}'), By.css('${info.rootSelector}'), By.css('${info.elementSelector}'));
-    const isVisible = await element.isVisible();
-    if (!isVisible) {
-      throw new Error('${name} is not visible');
-    }
-  }`);
-      } else if (info.type === 'iframe') {
-        methods.push(`
-  async ${methodName}() {
-    await this.page.frameLocator('${info.iframeSelector}').locator('${info.elementSelector}').click();
-  }
-
-  async ${verifyMethodName}() {
-    const isVisible = await this.page.frameLocator('${info.iframeSelector}').locator('${info.elementSelector}').isVisible();
-    if (!isVisible) {
-      throw new Error('${name} is not visible');
-    }
-  }`);
-      } else {
-        // Direct or fallback
-        methods.push(`
+      methods.push(`
   async ${methodName}() {
     await this.clickElement(${name});
   }
@@ -583,7 +618,6 @@ module.exports = ${className};`;
       throw new Error('${name} is not visible');
     }
   }`);
-      }
     }
     
     return methods.join('\n');
@@ -596,8 +630,10 @@ module.exports = ${className};`;
     const steps = navigationInfo.steps.map(step => {
       if (step.type === 'click' && step.context?.shadow) {
         return `    // ${step.description}
-    const ${step.variableName} = await this.getShadowElementDepthOf${step.context.shadowDepth === 2 ? 'Two' : 'One'}(By.css('${step.context.shadowHost}'), ${step.context.shadowDepth === 2 ? `By.css('${step.context.shadowRoot}'), ` : ''}By.css('${step.selector}'));
-    await ${step.variableName}.click();`;
+    await this.clickElement(By.shadow('${step.context.shadowHost}', ${step.context.shadowDepth === 2 ? `'${step.context.shadowRoot}', ` : ''}'${step.selector}'));`;
+      } else if (step.type === 'click' && step.context?.iframe) {
+        return `    // ${step.description}
+    await this.clickElement(By.within('${step.context.iframe}', '${step.selector}'));`;
       } else {
         return `    // ${step.description}
     await this.clickElement(By.css('${step.selector}'));`;
@@ -17,6 +17,7 @@ const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
+const { captureElementFingerprint, writeFingerprintSidecar } = require('./locator-fingerprint');
 
 class InstantCapture {
   constructor() {
@@ -100,6 +101,9 @@ class InstantCapture {
       console.log(`   ✅ Visible: ${elements.filter(e => e.isVisible).length}`);
       console.log(`   ⚠️  Hidden: ${elements.filter(e => !e.isVisible).length}`);
       
+      // Fingerprint visible elements while the page is still open
+      await this.captureFingerprints(page, elements.filter(e => e.isVisible));
+      
       // Generate perfect SBS file with error handling
       try {
         await this.generateEnhancedSBSFile(pageName, elements, currentUrl);
@@ -539,6 +543,42 @@ class InstantCapture {
     });
   }
 
+  /**
+   * 🧬 Record a fingerprint for each element (strategies, match counts, ARIA, shadow path)
+   */
+  async captureFingerprints(page, elements) {
+    console.log(`🧬 Fingerprinting ${elements.length} elements...`);
+    
+    for (const el of elements) {
+      const { selector } = this.locatorFor(el);
+      const strategies = [...el.strategies.primary, ...el.strategies.secondary, ...el.strategies.fallback];
+      el.fingerprint = await captureElementFingerprint(page, { selector, strategies });
+    }
+  }
+
+  /**
+   * Locator the page object uses for an element: CSS strategies combined, else the first XPath
+   */
+  locatorFor(el) {
+    const allLocators = [
+      ...el.strategies.primary,
+      ...el.strategies.secondary,
+      ...el.strategies.fallback
+    ].slice(0, 4); // Limit to top 4 strategies
+    
+    // Separate CSS and XPath locators
+    const cssLocators = allLocators.filter(loc => !loc.startsWith('//') && !loc.startsWith('//*'));
+    const xpathLocators = allLocators.filter(loc => loc.startsWith('//') || loc.startsWith('//*'));
+    
+    if (cssLocators.length > 0) {
+      return { method: 'css', selector: cssLocators.join(', ') };
+    }
+    if (xpathLocators.length > 0) {
+      return { method: 'xpath', selector: xpathLocators[0] };
+    }
+    return { method: 'css', selector: el.tagName };
+  }
+
   async generateEnhancedSBSFile(pageName, elements, pageUrl) {
     const className = this.toClassName(pageName);
     const fileName = this.toFileName(pageName);
@@ -550,31 +590,18 @@ class InstantCapture {
     // Generate constants for visible elements with PRIMARY/SECONDARY/FALLBACK strategies
     const visibleConstants = visibleElements.map(el => {
       const constantName = this.toConstantName(el.identifier);
-      const strategies = el.strategies;
-      
-      // Combine all strategies with comments
-      const allLocators = [
-        ...strategies.primary,
-        ...strategies.secondary,
-        ...strategies.fallback
-      ].slice(0, 4); // Limit to top 4 strategies
-      
-      // Separate CSS and XPath locators
-      const cssLocators = allLocators.filter(loc => !loc.startsWith('//') && !loc.startsWith('//*'));
-      const xpathLocators = allLocators.filter(loc => loc.startsWith('//') || loc.startsWith('//*'));
       
       // Generate primary locator (prefer CSS, fallback to XPath)
-      let primaryLocator;
-      if (cssLocators.length > 0) {
-        primaryLocator = `const ${constantName} = By.css(\`${cssLocators.join(', ')}\`);`;
-      } else if (xpathLocators.length > 0) {
-        primaryLocator = `const ${constantName} = By.xpath(\`${xpathLocators[0]}\`);`;
-      } else {
-        primaryLocator = `const ${constantName} = By.css(\`${el.tagName}\`);`;
+      const { method, selector } = this.locatorFor(el);
+      
+      // Elements inside shadow roots spell out their hosts
+      const shadowPath = (el.fingerprint && el.fingerprint.context.shadowPath) || [];
+      if (method === 'css' && shadowPath.length > 0) {
+        return `const ${constantName} = By.shadow(${[...shadowPath, selector].map(part => `\`${part}\``).join(', ')});`;
       }
       
       // NO STRATEGY COMMENTS - Clean output as requested
-      return primaryLocator;
+      return `const ${constantName} = By.${method}(\`${selector}\`);`;
     }).join('\n'); // NO EMPTY LINES between constants
     
     // Generate constants for hidden elements (commented out) with strategies
@@ -680,6 +707,11 @@ module.exports = ${className};`;
     await fs.writeFile(filePath, fileContent, 'utf8');
     
     console.log(`✅ Enhanced SBS file generated: ${filePath}`);
+    
+    await writeFingerprintSidecar(filePath, {
+      url: pageUrl,
+      elements: Object.fromEntries(visibleElements.map(el => [this.toConstantName(el.identifier), el.fingerprint]))
+    });
   }
 
   // Utility methods for name conversion
@@ -13,10 +13,15 @@
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
+const { captureElementFingerprint, writeFingerprintSidecar } = require('./locator-fingerprint');
+const { rankLocators, measureSurvival } = require('./locator-scoring');
 
 class LivePageScanner {
   constructor() {
     this.AUTO_CODER_PAGES_PATH = '/Users/gadea/auto/auto/qa_automation/auto-coder/SBS_Automation/pages';
+    
+    // 🔄 Page captures (reloads) used to score how well locators survive
+    this.SURVIVAL_CAPTURES = 3;
   }
 
   /**
@@ -52,8 +57,14 @@ class LivePageScanner {
       
       console.log(`📍 Found ${scannedElements.length} interactive elements`);
       
+      // Check which candidate selectors survive reloads before ranking them
+      console.log(`🔄 Checking locator stability across ${this.SURVIVAL_CAPTURES} captures...`);
+      const survival = await measureSurvival(page, scannedElements.flatMap(element => element.selectors || []), {
+        captures: this.SURVIVAL_CAPTURES
+      });
+      
       // Generate locators for all found elements
-      const generatedLocators = await this.generateLocators(page, scannedElements);
+      const generatedLocators = await this.generateLocators(page, scannedElements, survival);
       
       // Generate SBS page file
       await this.generateSBSPageFile(pageName, generatedLocators, pageUrl);
@@ -354,7 +365,7 @@ class LivePageScanner {
             const frame = page.frameLocator(iframeSelector);
             
             // Scan for interactive elements in iframe
-            const elements = await frame.evaluate(() => {
+            const elements = await frame.locator('body').evaluate(() => {
               const found = [];
               const interactiveElements = document.querySelectorAll('button, a[href], input, [data-test-id], [data-e2e], [role="button"]');
               
@@ -371,7 +382,6 @@ class LivePageScanner {
                   tagName: el.tagName.toLowerCase(),
                   selector: dataTestId ? `[data-test-id="${dataTestId}"]` : el.tagName.toLowerCase(),
                   context: 'iframe',
-                  iframeSelector: '${iframeSelector}',
                   isVisible: true
                 });
               });
@@ -379,7 +389,7 @@ class LivePageScanner {
               return found;
             });
             
-            iframeElements.push(...elements);
+            iframeElements.push(...elements.map(element => ({ ...element, iframeSelector })));
           }
         } catch (error) {
           // Continue with next iframe
@@ -396,7 +406,7 @@ class LivePageScanner {
   /**
    * 🎯 GENERATE LOCATORS FOR ALL ELEMENTS
    */
-  async generateLocators(page, elements) {
+  async generateLocators(page, elements, survival = {}) {
     const locators = {};
     
     for (const element of elements) {
@@ -408,7 +418,8 @@ class LivePageScanner {
           description: element.description,
           hostSelector: element.shadowHost,
           elementSelector: element.selector,
-          code: `await this.getShadowElementDepthOfOne(By.css('${element.shadowHost}'), By.css('${element.selector}'))`
+          by: `By.shadow('${element.shadowHost}', '${element.selector}')`,
+          code: `await this.clickElement(${constantName})`
         };
       } else if (element.context === 'shadow-depth-2') {
         locators[constantName] = {
@@ -417,7 +428,8 @@ class LivePageScanner {
           hostSelector: element.shadowHost,
           rootSelector: element.shadowRoot,
           elementSelector: element.selector,
-          code: `await this.getShadowElementDepthOfTwo(By.css('${element.shadowHost}'), By.css('${element.shadowRoot}'), By.css('${element.selector}'))`
+          by: `By.shadow('${element.shadowHost}', '${element.shadowRoot}', '${element.selector}')`,
+          code: `await this.clickElement(${constantName})`
         };
       } else if (element.context === 'iframe') {
         locators[constantName] = {
@@ -425,23 +437,46 @@ class LivePageScanner {
           description: element.description,
           iframeSelector: element.iframeSelector,
           elementSelector: element.selector,
-          code: `await this.page.frameLocator('${element.iframeSelector}').locator('${element.selector}')`
+          by: `By.within('${element.iframeSelector}', '${element.selector}')`,
+          code: `await this.clickElement(${constantName})`
         };
       } else {
-        // Direct element
-        const bestSelector = element.selectors ? element.selectors[0] : element.selector;
+        // Direct element - highest stability score wins, the rest are ordered fallbacks
+        const ranking = rankLocators((element.selectors || [element.selector]).map(selector => ({ selector, ...survival[selector] })));
+        const best = ranking.best || ranking.ranked[0];
         locators[constantName] = {
           type: 'direct',
           description: element.description,
-          selector: bestSelector,
+          selector: best.selector,
+          score: best.score,
+          fallbacks: ranking.fallbacks.map(candidate => candidate.selector),
+          scores: ranking.ranked.map(({ selector, type, count, score, factors }) => ({ selector, type, count, score, factors })),
           code: `await this.clickElement(${constantName})`
         };
       }
+      
+      locators[constantName].fingerprint = await captureElementFingerprint(page, { ...this.fingerprintTarget(element, locators[constantName]), survival });
     }
     
     return locators;
   }
 
+  /**
+   * 🧬 WHERE TO FIND AN ELEMENT FOR ITS FINGERPRINT
+   */
+  fingerprintTarget(element, locator = {}) {
+    if (element.context === 'shadow-depth-1') {
+      return { selector: element.selector, shadowPath: [element.shadowHost] };
+    }
+    if (element.context === 'shadow-depth-2') {
+      return { selector: element.selector, shadowPath: [element.shadowHost, element.shadowRoot] };
+    }
+    if (element.context === 'iframe') {
+      return { selector: element.selector, frame: element.iframeSelector };
+    }
+    return { selector: locator.selector || element.selector, strategies: element.selectors || [] };
+  }
+
   /**
    * 📄 GENERATE SBS PAGE FILE
    */
@@ -474,6 +509,11 @@ module.exports = ${className};`;
     await fs.writeFile(filePath, pageContent, 'utf8');
     
     console.log(`✅ Generated: ${filePath}`);
+    
+    await writeFingerprintSidecar(filePath, {
+      url: pageUrl,
+      elements: Object.fromEntries(Object.entries(locators).map(([name, info]) => [name, info.fingerprint]))
+    });
   }
 
   /**
@@ -490,7 +530,10 @@ module.exports = ${className};`;
       summary: {
         directElements: elements.filter(e => e.context === 'direct').length,
         shadowElements: elements.filter(e => e.context.includes('shadow')).length,
-        iframeElements: elements.filter(e => e.context === 'iframe').length
+        iframeElements: elements.filter(e => e.context === 'iframe').length,
+        lowStabilityLocators: Object.entries(locators)
+          .filter(([, info]) => info.score !== undefined && info.score < 0.5)
+          .map(([name, info]) => `${name} (${info.score})`)
       },
       elements: elements,
       generatedLocators: locators
@@ -526,11 +569,8 @@ module.exports = ${className};`;
     const constants = [];
     
     for (const [name, info] of Object.entries(locators)) {
-      if (info.type === 'direct') {
-        constants.push(`const ${name} = By.css('${info.selector}'); // ${info.description}`);
-      } else {
-        constants.push(`// ${name} - ${info.type} - ${info.description}`);
-      }
+      // Shadow DOM and iframe elements carry their own By.shadow / By.within expression
+      constants.push(`const ${name} = ${info.by || `By.css('${info.selector}')`}; // ${info.description}`);
     }
     
     return constants.join('\n');
@@ -543,51 +583,7 @@ module.exports = ${className};`;
       const clickMethod = this.generateMethodName(name, 'click');
       const verifyMethod = this.generateMethodName(name, 'verify');
       
-      if (info.type === 'shadow-depth-1') {
-        methods.push(`
-  async ${clickMethod}() {
-    // ${info.description}
-    const element = await this.getShadowElementDepthOfOne(By.css('${info.hostSelector}'), By.css('${info.elementSelector}'));
-    await element.click();
-  }
-
-  async ${verifyMethod}() {
-    const element = await this.getShadowElementDepthOfOne(By.css('${info.hostSelector}'), By.css('${info.elementSelector}'));
-    const isVisible = await element.isVisible();
-    if (!isVisible) {
-      throw new Error('${info.description} is not visible');
-    }
-  }`);
-      } else if (info.type === 'shadow-depth-2') {
-        methods.push(`
-  async ${clickMethod}() {
-    // ${info.description}
-    const element = await this.getShadowElementDepthOfTwo(By.css('${info.hostSelector}'), By.css('${info.rootSelector}'), By.css('${info.elementSelector}'));
-    await element.click();
-  }
-
-  async ${verifyMethod}() {
-    const element = await this.getShadowElementDepthOfTwo(By.css('${info.hostSelector}'), By.css('${info.rootSelector}'), By.css('${info.elementSelector}'));
-    const isVisible = await element.isVisible();
-    if (!isVisible) {
-      throw new Error('${info.description} is not visible');
-    }
-  }`);
-      } else if (info.type === 'iframe') {
-        methods.push(`
-  async ${clickMethod}() {
-    // ${info.description}
-    await this.page.frameLocator('${info.iframeSelector}').locator('${info.elementSelector}').click();
-  }
-
-  async ${verifyMethod}() {
-    const isVisible = await this.page.frameLocator('${info.iframeSelector}').locator('${info.elementSelector}').isVisible();
-    if (!isVisible) {
-      throw new Error('${info.description} is not visible');
-    }
-  }`);
-      } else {
-        methods.push(`
+      methods.push(`
   async ${clickMethod}() {
     // ${info.description}
     await this.clickElement(${name});
@@ -599,7 +595,6 @@ module.exports = ${className};`;
       throw new Error('${info.description} is not visible');
     }
   }`);
-      }
     }
     
     return methods.join('\n');
@@ -0,0 +1,98 @@
+/**
+ * 🧬 LOCATOR FINGERPRINTS
+ *
+ * Structured record of every captured element, saved next to the generated page object
+ * (<page>.fingerprints.json) so validation, healing and drift tools can reason about
+ * elements instead of bare selector strings:
+ * - every candidate strategy with its match count and stability score (locator-scoring.js)
+ * - iframe / shadow DOM path
+ * - text and ARIA role/name
+ * - the element fingerprint support/self-healing.js matches against at runtime
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { sidecarPath, describeElement } = require('../support/self-healing');
+const { scoreLocator } = require('./locator-scoring');
+
+function playwrightSelector(selector) {
+  return selector.startsWith('//') || selector.startsWith('(') ? `xpath=${selector}` : selector;
+}
+
+/**
+ * 🔢 COUNT AND SCORE EVERY CANDIDATE STRATEGY, MOST STABLE FIRST
+ *
+ * Playwright CSS pierces open shadow roots, so counts cover shadow DOM elements as well.
+ * survival holds reload/re-render results from measureSurvival when the capture ran them
+ */
+async function scoreStrategies(scope, selectors, survival = {}) {
+  const scored = [];
+  for (const selector of [...new Set(selectors.filter(Boolean))]) {
+    let count = 0;
+    try {
+      count = await scope.locator(playwrightSelector(selector)).count();
+    } catch {
+      count = 0;
+    }
+    const measured = survival[selector] ? survival[selector].survival : null;
+    const { type, score } = scoreLocator(selector, { count, survival: measured });
+    scored.push({ type, selector, count, stability: score });
+  }
+  return scored.sort((a, b) => b.stability - a.stability);
+}
+
+/**
+ * 🧬 CAPTURE ONE ELEMENT'S FINGERPRINT RECORD
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} element - { selector, strategies, frame, shadowPath, survival }
+ * @returns {Object|null} Sidecar record, or null when the element is not on the page
+ */
+async function captureElementFingerprint(page, { selector, strategies = [], frame = null, shadowPath = [], survival }) {
+  let scope = page;
+  if (frame) {
+    const frameElement = await page.$(frame);
+    scope = frameElement && await frameElement.contentFrame();
+    if (!scope) return null;
+  }
+
+  const described = await describeElement(scope, selector, { shadowPath }).catch(() => null);
+  if (!described) return null;
+
+  return {
+    selector,
+    strategies: await scoreStrategies(scope, [selector, ...strategies], survival),
+    context: { frame, shadowPath: shadowPath.length > 0 ? shadowPath : described.shadowPath },
+    text: described.fingerprint.text,
+    aria: described.aria,
+    fingerprint: described.fingerprint
+  };
+}
+
+/**
+ * 💾 WRITE THE SIDECAR NEXT TO A PAGE OBJECT
+ *
+ * @param {string} pageFile - Generated page object path
+ * @param {Object} capture - { url, elements: { CONSTANT_NAME: record } }
+ * @returns {string} Sidecar path
+ */
+async function writeFingerprintSidecar(pageFile, { url, elements }) {
+  const recorded = Object.fromEntries(Object.entries(elements).filter(([, record]) => record));
+  const filePath = sidecarPath(pageFile);
+
+  await fs.writeFile(filePath, JSON.stringify({
+    page: path.basename(pageFile),
+    url,
+    capturedAt: new Date().toISOString(),
+    elements: recorded
+  }, null, 2), 'utf8');
+
+  console.log(`🧬 Fingerprints saved: ${filePath} (${Object.keys(recorded).length} elements)`);
+  return filePath;
+}
+
+module.exports = {
+  scoreStrategies,
+  captureElementFingerprint,
+  writeFingerprintSidecar
+};
@@ -15,6 +15,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { chromium } = require('playwright');
+const { rankLocators, measureSurvival, printRanking } = require('./locator-scoring');
 
 class AutoLocatorManager {
   constructor() {
@@ -35,11 +36,19 @@ class AutoLocatorManager {
       'tag+text',
       'xpath-text'
     ];
+    
+    // 🔄 Captures (reloads) used to check how well each candidate survives
+    this.SURVIVAL_CAPTURES = 3;
+    this.CAPTURE_REPORT = 'locator-capture-report.json';
   }
 
   /**
    * 🔍 CAPTURE ELEMENT LOCATORS FROM LIVE PAGE
    * 
+   * Candidates are ranked by stability (see locator-scoring.js) after reloading the
+   * page SURVIVAL_CAPTURES times; the top choice, ordered fallbacks and per-locator
+   * scores go to the capture report.
+   * 
    * @param {string} pageUrl - The page URL to analyze
    * @param {Array} elementDescriptions - Array of element descriptions
    * @returns {Object} Generated locators
@@ -53,15 +62,52 @@ class AutoLocatorManager {
     try {
       await page.goto(pageUrl, { waitUntil: 'networkidle' });
       
-      const capturedLocators = {};
+      const candidates = {};
       
       for (const description of elementDescriptions) {
         console.log(`📍 Capturing: ${description}`);
         
-        const locator = await this.generateSmartLocator(page, description);
-        capturedLocators[this.generateConstantName(description)] = locator;
+        const strategies = await this.analyzeElementStrategies(page, description);
+        if (strategies.length === 0) {
+          throw new Error(`Could not find element: ${description}`);
+        }
+        candidates[this.generateConstantName(description)] = { description, strategies };
       }
       
+      console.log(`🔄 Checking locator stability across ${this.SURVIVAL_CAPTURES} captures...`);
+      const survival = await measureSurvival(
+        page,
+        Object.values(candidates).flatMap(candidate => candidate.strategies),
+        { captures: this.SURVIVAL_CAPTURES }
+      );
+      
+      const capturedLocators = {};
+      const report = {};
+      
+      for (const [name, { description, strategies }] of Object.entries(candidates)) {
+        const ranking = rankLocators(strategies.map(selector => ({ selector, ...survival[selector] })));
+        printRanking(name, ranking);
+        
+        if (!ranking.best) {
+          throw new Error(`No locator for "${description}" matched after reloading`);
+        }
+        capturedLocators[name] = this.buildSBSCompliantSelector(ranking);
+        report[name] = {
+          description,
+          selector: ranking.best.selector,
+          fallbacks: ranking.fallbacks.map(candidate => candidate.selector),
+          scores: ranking.ranked.map(({ selector, type, count, score, factors }) => ({ selector, type, count, score, factors }))
+        };
+      }
+      
+      await fs.writeFile(this.CAPTURE_REPORT, JSON.stringify({
+        pageUrl,
+        capturedAt: new Date().toISOString(),
+        captures: this.SURVIVAL_CAPTURES,
+        locators: report
+      }, null, 2));
+      console.log(`\n📊 Capture report saved: ${this.CAPTURE_REPORT}`);
+      
       await browser.close();
       return capturedLocators;
       
@@ -86,8 +132,14 @@ class AutoLocatorManager {
       throw new Error(`Could not find element: ${elementDescription}`);
     }
     
-    // Generate SBS-compliant fallback selector
-    return this.buildSBSCompliantSelector(strategies);
+    // Rank candidates on the current page (no reloads here - see captureLocators)
+    const survival = await measureSurvival(page, strategies, { captures: 1 });
+    const ranking = rankLocators(strategies.map(selector => ({ selector, count: survival[selector].count })));
+    if (!ranking.best) {
+      throw new Error(`Could not find element: ${elementDescription}`);
+    }
+    
+    return this.buildSBSCompliantSelector(ranking);
   }
 
   /**
@@ -139,26 +191,12 @@ class AutoLocatorManager {
 
   /**
    * 🏗️ BUILD SBS-COMPLIANT SELECTOR
+   * 
+   * The top-ranked candidate; the ranked fallbacks stay in the capture report
+   * instead of being joined into one selector
    */
-  buildSBSCompliantSelector(strategies) {
-    if (strategies.length === 1) {
-      return strategies[0];
-    }
-    
-    // Create fallback selector in SBS style
-    const cssStrategies = strategies.filter(s => !s.startsWith('//'));
-    const xpathStrategies = strategies.filter(s => s.startsWith('//'));
-    
-    if (cssStrategies.length > 0 && xpathStrategies.length === 0) {
-      return cssStrategies.join(', ');
-    }
-    
-    if (xpathStrategies.length > 0 && cssStrategies.length === 0) {
-      return xpathStrategies.join(' | ');
-    }
-    
-    // Mixed: Use CSS with xpath comment
-    return cssStrategies.join(', ') + ' /* XPath fallback: ' + xpathStrategies.join(' | ') + ' */';
+  buildSBSCompliantSelector(ranking) {
+    return ranking.best.selector;
   }
 
   /**
@@ -0,0 +1,206 @@
+/**
+ * 📊 LOCATOR STABILITY SCORING
+ *
+ * Ranks candidate locators for one element instead of taking the first one that works.
+ * Each candidate is scored (0-1) on:
+ * - uniqueness   matches exactly one element
+ * - survival     still matches the same way after reloads / re-renders (measureSurvival)
+ * - generated    no generated IDs or hashed class names
+ * - depth        short, non-positional paths
+ * - convention   fits SBS By conventions (By.css('[data-test-id="..."]'), attribute XPath)
+ */
+
+const WEIGHTS = { uniqueness: 0.3, survival: 0.25, generated: 0.15, depth: 0.1, convention: 0.2 };
+
+// How well each strategy fits SBS page objects: data-test-id first, attribute XPath next
+const CONVENTION = {
+  'data-test-id': 1,
+  'data-testid': 0.9,
+  'data-e2e': 0.9,
+  'data-cy': 0.9,
+  'data-id': 0.85,
+  id: 0.8,
+  name: 0.75,
+  'aria-label': 0.7,
+  role: 0.65,
+  placeholder: 0.6,
+  text: 0.5,
+  class: 0.35,
+  xpath: 0.3,
+  position: 0.15,
+  tag: 0.1
+};
+
+/**
+ * 🏷️ CLASSIFY A SELECTOR BY THE STRATEGY IT RELIES ON
+ */
+function strategyType(selector) {
+  const value = String(selector || '').replace(/^xpath=/, '');
+  const attribute = ['data-test-id', 'data-testid', 'data-e2e', 'data-cy', 'data-id', 'name', 'aria-label', 'placeholder', 'role']
+    .find(name => value.includes(`[${name}`) || value.includes(`@${name}`));
+  if (attribute) return attribute;
+  if (/^#[\w-]+$/.test(value) || /@id\s*=/.test(value) || /\[id[*^$]?=/.test(value)) return 'id';
+  if (/:has-text\(|:text\(|normalize-space\(|text\(\)/.test(value)) return 'text';
+  if (value.startsWith('/') || value.startsWith('(')) return /\[\d+\]/.test(value) ? 'position' : 'xpath';
+  if (/:nth-(?:child|of-type)\(|:first-child|:last-child/.test(value)) return 'position';
+  if (/\.[\w-]+|\[class/.test(value)) return 'class';
+  return 'tag';
+}
+
+/**
+ * 🎲 GENERATED IDS AND HASHED CLASS NAMES CHANGE BETWEEN BUILDS
+ */
+function looksGenerated(selector) {
+  return /(?:^|[#."'=\s])(?:ember|react|mui|ng|css|sc|jss)-?[\w-]*\d/i.test(selector)
+    || /\b(?=[a-f0-9]*\d)(?=[a-f0-9]*[a-f])[a-f0-9]{6,}\b|\d{4,}/i.test(String(selector).replace(/^xpath=/, ''));
+}
+
+/**
+ * 📏 NUMBER OF STEPS IN A SELECTOR (CSS combinators, XPath steps, Playwright >> chains)
+ */
+function selectorDepth(selector) {
+  const value = String(selector || '')
+    .replace(/^xpath=/, '')
+    .replace(/\[[^\]]*\]/g, '[]')
+    .replace(/(["']).*?\1/g, '""');
+  return value.split(/\s*>>\s*/).reduce((depth, part) => {
+    if (part.startsWith('/') || part.startsWith('(')) {
+      return depth + part.split(/\/+/).filter(step => step.trim()).length;
+    }
+    const first = part.split(',')[0].trim();
+    return depth + first.split(/\s*[>+~]\s*|\s+/).filter(Boolean).length;
+  }, 0);
+}
+
+function depthScore(selector) {
+  const positional = strategyType(selector) === 'position' || /:nth-|\[\d+\]|nth=/.test(selector);
+  const score = Math.max(0.2, 1 - 0.15 * (selectorDepth(selector) - 1));
+  return positional ? score * 0.6 : score;
+}
+
+function conventionScore(selector) {
+  let score = CONVENTION[strategyType(selector)];
+  // SBS page objects use plain By.css / By.xpath; Playwright-only pseudo selectors and lists are not portable
+  if (/:has-text\(|:text\(/.test(selector)) score *= 0.8;
+  if (/,\s*[^,]/.test(selector.replace(/\([^)]*\)|\[[^\]]*\]/g, ''))) score *= 0.8;
+  if (/\[[\w-]+[*^$]=|contains\(/.test(selector)) score *= 0.8;
+  return score;
+}
+
+/**
+ * 📈 SCORE ONE CANDIDATE
+ *
+ * @param {string} selector - Candidate locator
+ * @param {Object} measured - { count, survival } - survival (0-1) is left out when not measured
+ * @returns {Object} { selector, type, count, score, factors }
+ */
+function scoreLocator(selector, { count = 1, survival = null } = {}) {
+  const factors = {
+    uniqueness: count === 1 ? 1 : count > 1 ? 1 / count : 0,
+    survival,
+    generated: looksGenerated(selector) ? 0.3 : 1,
+    depth: depthScore(selector),
+    convention: conventionScore(selector)
+  };
+  const used = Object.keys(WEIGHTS).filter(factor => factors[factor] !== null);
+  const weight = used.reduce((sum, factor) => sum + WEIGHTS[factor], 0);
+  const score = count === 0 ? 0 : used.reduce((sum, factor) => sum + WEIGHTS[factor] * factors[factor], 0) / weight;
+
+  return {
+    selector,
+    type: strategyType(selector),
+    count,
+    score: Number(score.toFixed(2)),
+    factors: Object.fromEntries(Object.entries(factors).map(([name, value]) => [name, value === null ? null : Number(value.toFixed(2))]))
+  };
+}
+
+/**
+ * 🏆 RANK CANDIDATES - best first, equal scores keep their original order
+ *
+ * @param {Array} candidates - [{ selector, count, survival }]
+ * @returns {Object} { best, fallbacks, ranked }
+ */
+function rankLocators(candidates) {
+  const bySelector = new Map();
+  candidates.filter(candidate => candidate.selector).forEach(candidate => {
+    if (!bySelector.has(candidate.selector)) bySelector.set(candidate.selector, candidate);
+  });
+  const ranked = [...bySelector.values()]
+    .map(candidate => ({ ...candidate, ...scoreLocator(candidate.selector, candidate) }))
+    .sort((a, b) => b.score - a.score);
+  const usable = ranked.filter(candidate => candidate.count > 0);
+
+  return {
+    best: usable[0] || null,
+    fallbacks: usable.slice(1),
+    ranked
+  };
+}
+
+/**
+ * 🔄 CHECK HOW LOCATORS SURVIVE RELOADS AND RE-RENDERS
+ *
+ * Captures the page several times (reloading between captures, or just waiting for
+ * re-renders when reload is false) and records, per selector, the share of captures
+ * whose match count equals the first non-zero one.
+ *
+ * @param {Object} page - Playwright page
+ * @param {Array<string>} selectors - Locators to check
+ * @param {Object} options - { captures, reload, interval, count(selector) }
+ * @returns {Object} { [selector]: { count, survival } }
+ */
+async function measureSurvival(page, selectors, { captures = 3, reload = true, interval = 1000, count } = {}) {
+  const countMatches = count || (async selector => {
+    try {
+      return await page.locator(selector.startsWith('//') ? `xpath=${selector}` : selector).count();
+    } catch {
+      return 0;
+    }
+  });
+  const unique = [...new Set(selectors.filter(Boolean))];
+  const rounds = [];
+
+  for (let capture = 0; capture < Math.max(1, captures); capture++) {
+    if (capture > 0) {
+      if (reload) {
+        await page.reload({ waitUntil: 'networkidle' });
+      } else {
+        await page.waitForTimeout(interval);
+      }
+    }
+    const counts = {};
+    for (const selector of unique) {
+      counts[selector] = await countMatches(selector);
+    }
+    rounds.push(counts);
+  }
+
+  return Object.fromEntries(unique.map(selector => {
+    const counts = rounds.map(round => round[selector]);
+    const baseline = counts.find(value => value > 0) || 0;
+    const stable = baseline === 0 ? 0 : counts.filter(value => value === baseline).length;
+    return [selector, { count: counts[0], survival: Number((stable / counts.length).toFixed(2)) }];
+  }));
+}
+
+/**
+ * 🖨️ PRINT A RANKING TABLE FOR ONE ELEMENT
+ */
+function printRanking(name, ranking) {
+  console.log(`\n📊 ${name}`);
+  ranking.ranked.forEach((candidate, index) => {
+    const marker = candidate === ranking.best ? '🏆' : candidate.count > 0 ? `${index + 1}.` : '❌';
+    const survival = candidate.factors.survival === null ? '' : ` survival ${candidate.factors.survival}`;
+    console.log(`   ${marker} ${candidate.score.toFixed(2)}  ${candidate.selector}  (${candidate.type}, ${candidate.count} match${candidate.count === 1 ? '' : 'es'}${survival})`);
+  });
+}
+
+module.exports = {
+  WEIGHTS,
+  strategyType,
+  scoreLocator,
+  rankLocators,
+  measureSurvival,
+  printRanking
+};
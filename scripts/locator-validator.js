@@ -66,7 +66,9 @@ class LocatorValidator {
     console.log(`🔧 Healing broken locators...`);
     
     const AutoLocatorManager = require('./locator-manager');
+    const { loadSidecar, healSelector } = require('../support/self-healing');
     const manager = new AutoLocatorManager();
+    const fingerprinted = Object.fromEntries(loadSidecar(pageFilePath).map(entry => [entry.name, entry]));
     
     const browser = await chromium.launch({ headless: false });
     const page = await browser.newPage();
@@ -79,9 +81,11 @@ class LocatorValidator {
       for (const locatorName of brokenLocators) {
         console.log(`🔧 Healing: ${locatorName}`);
         
-        // Try to find element using smart strategies
+        // Prefer the stored fingerprint (same matching BasePage uses at runtime), then smart strategies
+        const fingerprint = fingerprinted[locatorName];
+        const heal = fingerprint ? await healSelector(page, fingerprint.selector, fingerprint) : null;
         const elementDescription = this.constantToDescription(locatorName);
-        const newLocator = await manager.generateSmartLocator(page, elementDescription);
+        const newLocator = heal ? heal.selector : await manager.generateSmartLocator(page, elementDescription);
         
         healedLocators[locatorName] = newLocator;
         console.log(`✨ Healed: ${locatorName} -> ${newLocator}`);
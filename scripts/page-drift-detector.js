@@ -0,0 +1,340 @@
+/**
+ * 🧭 PAGE OBJECT DRIFT DETECTOR
+ *
+ * Compares a committed page object with the page it describes:
+ * - missing     constants that no longer match anything
+ * - ambiguous   constants that match more than one element
+ * - changed     constants whose element moved to another selector or no longer looks like
+ *               its stored fingerprint (<page>.fingerprints.json)
+ * - unmapped    interactive elements (direct, shadow DOM, iframe) no constant points at
+ *
+ * Unmapped elements come back as SBS-style constants and methods ready to paste. The page can
+ * be a live URL or a local HTML fixture, so the check also runs on a schedule in CI.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { chromium } = require('playwright');
+const By = require('../support/By');
+const LivePageScanner = require('./live-page-scanner');
+const { loadSidecar, describeElement, scoreCandidate, healSelector, healThreshold } = require('../support/self-healing');
+
+const DRIFT_KINDS = ['missing', 'ambiguous', 'changed', 'unmapped'];
+const MARK = '__autoCoderDrift';
+
+class PageDriftDetector {
+  constructor() {
+    this.scanner = new LivePageScanner();
+    this.REPORTS_PATH = path.join(process.cwd(), 'reports', 'page-drift');
+    this.SETTLE_TIME = 1000;
+  }
+
+  /**
+   * 🧭 CHECK ONE PAGE OBJECT AGAINST ITS PAGE
+   *
+   * @param {string} pageFilePath - Page object with By constants
+   * @param {string} url - Page URL or local HTML fixture path
+   * @param {Object} options - { headless, settle } settle is ms to wait after load
+   * @returns {Object} Drift report
+   */
+  async detectDrift(pageFilePath, url, { headless = true, settle = this.SETTLE_TIME } = {}) {
+    const pageUrl = this.toPageUrl(url);
+    console.log(`🧭 Drift check: ${path.basename(pageFilePath)} against ${pageUrl}`);
+
+    const browser = await chromium.launch({ headless });
+    const page = await browser.newPage();
+    page.setDefaultTimeout(5000);
+
+    try {
+      await page.goto(pageUrl, { waitUntil: 'networkidle' });
+      await page.waitForTimeout(settle);
+
+      const report = await this.comparePage(page, pageFilePath);
+      await browser.close();
+      return report;
+
+    } catch (error) {
+      await browser.close();
+      throw error;
+    }
+  }
+
+  /**
+   * 🔍 COMPARE THE PAGE OBJECT WITH THE OPEN PAGE
+   */
+  async comparePage(page, pageFilePath) {
+    const content = await fs.readFile(pageFilePath, 'utf8');
+    const locators = this.extractPageLocators(content);
+    const fingerprints = new Map(loadSidecar(pageFilePath).map(entry => [entry.name, entry]));
+    const report = { missing: [], ambiguous: [], changed: [], unmapped: [] };
+
+    console.log(`📄 ${Object.keys(locators).length} page object locators, ${fingerprints.size} fingerprints`);
+
+    for (const [name, selector] of Object.entries(locators)) {
+      const { count, error } = await this.countMatches(page, selector);
+      const entry = fingerprints.get(name);
+
+      if (count === 0) {
+        const heal = entry && !this.isScoped(entry) ? await healSelector(page, selector, entry).catch(() => null) : null;
+        if (heal) {
+          await this.markElements(page, name, heal.selector);
+          report.changed.push({ name, selector, reason: 'selector', suggested: `By.css('${heal.selector}')`, confidence: Number(heal.confidence.toFixed(2)) });
+        } else {
+          report.missing.push({ name, selector, ...(error ? { error } : {}) });
+        }
+        continue;
+      }
+
+      await this.markElements(page, name, selector);
+      if (count > 1) {
+        report.ambiguous.push({ name, selector, count });
+      } else if (entry) {
+        const changed = await this.compareFingerprint(page, selector, entry);
+        if (changed) report.changed.push({ name, selector, reason: 'element', ...changed });
+      }
+    }
+
+    console.log('🔍 Scanning page elements...');
+    const scanned = await this.scanner.scanAllElements(page);
+    const unmapped = [];
+    for (const element of scanned) {
+      const selector = await this.scannedSelector(page, element);
+      if (selector && !(await this.isMapped(page, selector))) {
+        unmapped.push(element.context === 'direct'
+          ? { ...element, selectors: [selector, ...element.selectors.filter(candidate => candidate !== selector)] }
+          : element);
+      }
+    }
+
+    const suggested = this.uniqueNames(await this.scanner.generateLocators(page, unmapped), Object.keys(locators));
+    report.unmapped = Object.entries(suggested).map(([name, info]) => ({
+      name,
+      description: info.description,
+      context: info.type,
+      locator: info.by || `By.css('${info.selector}')`
+    }));
+
+    return {
+      page: path.relative(process.cwd(), pageFilePath).split(path.sep).join('/'),
+      url: page.url(),
+      checkedAt: new Date().toISOString(),
+      summary: {
+        locators: Object.keys(locators).length,
+        scanned: scanned.length,
+        ...Object.fromEntries(DRIFT_KINDS.map(kind => [kind, report[kind].length]))
+      },
+      ...report,
+      suggestions: {
+        constants: this.scanner.generateConstants(suggested),
+        methods: this.scanner.generateMethods(suggested)
+      }
+    };
+  }
+
+  /**
+   * 📋 BY CONSTANTS OF A PAGE OBJECT AS PLAYWRIGHT SELECTORS
+   *
+   * Each `const NAME = By.x(...)` is evaluated with support/By, so chained, shadow and frame
+   * locators come out exactly as the page object uses them. Parameterised locators are skipped
+   */
+  extractPageLocators(content) {
+    const locators = {};
+    const pattern = /^[ \t]*const\s+([A-Z][A-Z0-9_]*)\s*=\s*(By\.\w+\(.*\))\s*;/gm;
+    let match;
+
+    while ((match = pattern.exec(content)) !== null) {
+      try {
+        const selector = vm.runInNewContext(match[2], { By }, { timeout: 100 });
+        if (typeof selector === 'string') locators[match[1]] = selector;
+      } catch (error) {
+        console.log(`⚠️  Skipping ${match[1]}: ${error.message}`);
+      }
+    }
+
+    return locators;
+  }
+
+  /**
+   * 🔢 MATCH COUNT, OR 0 AND THE ERROR FOR SELECTORS PLAYWRIGHT REJECTS
+   */
+  async countMatches(page, selector) {
+    try {
+      return { count: await page.locator(this.playwrightSelector(selector)).count() };
+    } catch (error) {
+      return { count: 0, error: error.message.split('\n')[0] };
+    }
+  }
+
+  /**
+   * 🏷️ REMEMBER WHICH CONSTANT POINTS AT EACH ELEMENT
+   *
+   * Kept in a WeakMap on the element's own window (main page or iframe), so the DOM is untouched
+   */
+  async markElements(page, name, selector) {
+    await page.locator(this.playwrightSelector(selector)).evaluateAll((elements, { mark, constant }) => {
+      window[mark] = window[mark] || new WeakMap();
+      elements.forEach(element => window[mark].set(element, constant));
+    }, { mark: MARK, constant: name }).catch(() => {});
+  }
+
+  async isMapped(page, selector) {
+    // Elements that vanished since the scan have nothing left to map
+    if ((await this.countMatches(page, selector)).count === 0) return true;
+    return await page.locator(this.playwrightSelector(selector)).first().evaluate((element, mark) => Boolean(window[mark] && window[mark].get(element)), MARK).catch(() => false);
+  }
+
+  /**
+   * 🧬 HOW FAR THE ELEMENT HAS MOVED FROM ITS STORED FINGERPRINT, OR NULL WHEN IT STILL MATCHES
+   */
+  async compareFingerprint(page, selector, entry) {
+    const described = await describeElement(page, this.playwrightSelector(selector)).catch(() => null);
+    if (!described) return null;
+
+    const similarity = scoreCandidate(entry.fingerprint, described.fingerprint);
+    if (similarity >= healThreshold()) return null;
+
+    return {
+      similarity: Number(similarity.toFixed(2)),
+      before: { tag: entry.fingerprint.tag, text: entry.fingerprint.text },
+      after: { tag: described.fingerprint.tag, text: described.fingerprint.text }
+    };
+  }
+
+  /**
+   * 🎯 SELECTOR FOR A SCANNED ELEMENT - unique where possible, else its position among the matches
+   */
+  async scannedSelector(page, element) {
+    switch (element.context) {
+      case 'shadow-depth-1':
+        return By.shadow(element.shadowHost, element.selector);
+      case 'shadow-depth-2':
+        return By.shadow(element.shadowHost, element.shadowRoot, element.selector);
+      case 'iframe':
+        return By.within(element.iframeSelector, element.selector);
+    }
+
+    const selectors = element.selectors || [];
+    for (const selector of selectors) {
+      if ((await this.countMatches(page, selector)).count === 1) return selector;
+    }
+    if (selectors.length === 0) return null;
+
+    const index = await page.locator(selectors[0]).evaluateAll((elements, box) => elements.findIndex(candidate => {
+      const rect = candidate.getBoundingClientRect();
+      return Math.round(rect.left) === box.x && Math.round(rect.top) === box.y
+        && Math.round(rect.width) === box.width && Math.round(rect.height) === box.height;
+    }), element.location).catch(() => -1);
+    return index >= 0 ? By.nth(selectors[0], index) : selectors[0];
+  }
+
+  /**
+   * 🔤 SUGGESTED NAMES THAT DO NOT CLASH WITH EXISTING CONSTANTS
+   */
+  uniqueNames(locators, existing) {
+    const taken = new Set(existing);
+    const renamed = {};
+
+    for (const [name, info] of Object.entries(locators)) {
+      let unique = name;
+      for (let suffix = 2; taken.has(unique); suffix++) unique = `${name}_${suffix}`;
+      taken.add(unique);
+      renamed[unique] = info;
+    }
+
+    return renamed;
+  }
+
+  // Frame and shadow DOM fingerprints cannot be healed from the main document
+  isScoped(entry) {
+    return Boolean(entry.context.frame) || (entry.context.shadowPath || []).length > 0;
+  }
+
+  playwrightSelector(selector) {
+    return selector.startsWith('//') || selector.startsWith('(') ? `xpath=${selector}` : selector;
+  }
+
+  toPageUrl(url) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : pathToFileURL(path.resolve(url)).href;
+  }
+
+  /**
+   * 📄 WRITE <page>-drift.json AND A MARKDOWN SUMMARY WITH THE SUGGESTED ADDITIONS
+   */
+  async writeDriftReport(report, outputDir = this.REPORTS_PATH) {
+    await fs.mkdir(outputDir, { recursive: true });
+    const baseName = path.basename(report.page, '.js');
+    const files = {
+      json: path.join(outputDir, `${baseName}-drift.json`),
+      markdown: path.join(outputDir, `${baseName}-drift.md`)
+    };
+
+    await fs.writeFile(files.json, JSON.stringify(report, null, 2), 'utf8');
+    await fs.writeFile(files.markdown, this.toMarkdown(report), 'utf8');
+    return files;
+  }
+
+  toMarkdown(report) {
+    const cell = value => String(value === undefined ? '' : value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const table = (header, rows) => rows.length === 0 ? '_None_\n' : [
+      `| ${header.join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(value => `\`${cell(value)}\``.replace(/^``$/, '')).join(' | ')} |`)
+    ].join('\n') + '\n';
+
+    return `# Page object drift - ${report.page}
+
+Checked ${report.url} at ${report.checkedAt}: ${report.summary.locators} locators, ${report.summary.scanned} elements scanned.
+
+## Missing (${report.missing.length})
+
+${table(['Constant', 'Selector', 'Error'], report.missing.map(item => [item.name, item.selector, item.error]))}
+## Ambiguous (${report.ambiguous.length})
+
+${table(['Constant', 'Selector', 'Matches'], report.ambiguous.map(item => [item.name, item.selector, item.count]))}
+## Changed (${report.changed.length})
+
+${table(['Constant', 'Selector', 'Change'], report.changed.map(item => [item.name, item.selector, this.describeChange(item)]))}
+## New unmapped elements (${report.unmapped.length})
+
+${table(['Suggested constant', 'Context', 'Locator'], report.unmapped.map(item => [item.name, item.context, item.locator]))}
+${report.unmapped.length > 0 ? `## Suggested additions
+
+\`\`\`js
+${report.suggestions.constants}
+${report.suggestions.methods}
+\`\`\`
+` : ''}`;
+  }
+
+  describeChange(item) {
+    if (item.reason === 'selector') return `now ${item.suggested} (confidence ${item.confidence})`;
+    return `${item.before.tag} "${item.before.text}" -> ${item.after.tag} "${item.after.text}" (similarity ${item.similarity})`;
+  }
+
+  /**
+   * 🖨️ PRINT THE DRIFT SUMMARY
+   */
+  printDriftReport(report) {
+    const icons = { missing: '❌', ambiguous: '⚠️ ', changed: '🔀', unmapped: '🆕' };
+
+    console.log(`\n🧭 ${report.page}: ${report.summary.locators} locators, ${report.summary.scanned} elements scanned`);
+    DRIFT_KINDS.forEach(kind => {
+      console.log(`${icons[kind]} ${kind}: ${report[kind].length}`);
+      report[kind].forEach(item => {
+        if (kind === 'unmapped') {
+          console.log(`   ${item.name} = ${item.locator} (${item.context})`);
+        } else if (kind === 'changed') {
+          console.log(`   ${item.name} ${item.selector} - ${this.describeChange(item)}`);
+        } else {
+          console.log(`   ${item.name} ${item.selector}${item.count ? ` (${item.count} matches)` : ''}${item.error ? ` - ${item.error}` : ''}`);
+        }
+      });
+    });
+  }
+}
+
+PageDriftDetector.DRIFT_KINDS = DRIFT_KINDS;
+
+module.exports = PageDriftDetector;
@@ -1,22 +1,27 @@
 /**
  * API cURL Adapter - Processes cURL commands and generates test artifacts
- * Handles parsing cURL commands from input files and generating Node.js API tests
+ * Handles parsing cURL commands or OpenAPI/Swagger specs from input files and generating Node.js API tests
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const { execSync } = require('child_process');
+const axios = require('axios');
+const { parseCurl, parseCurlCommands } = require('../utils/curl-parser');
+const { loadSpec, parseOpenApi, sampleFromSchema, schemaBoundaries } = require('../utils/openapi-parser');
+const { COMMON_API_STEPS_FILE, generateCommonApiSteps } = require('../utils/api-step-library');
+const { inferSchema } = require('../utils/schema-inferrer');
+const { templateBaseUrl, templateRequest } = require('../utils/env-templating');
+const { isGraphQLRequest, loadIntrospection } = require('../utils/graphql-parser');
+const { SmartTestDataGenerator } = require('../../utils/smart-test-data-generator');
+const gherkin = require('../utils/gherkin-document');
+const HarAdapter = require('./har-adapter');
+const GraphQLAdapter = require('./graphql-adapter');
 
 class ApiCurlAdapter {
     constructor() {
         this.initialized = false;
-        this.patterns = {
-            curlCommand: /curl\s+[^;]+/gi,
-            url: /-X\s+\w+\s+"([^"]+)"|'([^']+)'|(\S+)/gi,
-            method: /-X\s+(\w+)/gi,
-            headers: /-H\s+"([^"]+)"|'([^']+)'/gi,
-            data: /--data(?:-raw)?\s+"([^"]+)"|'([^']+)'/gi
-        };
+        this.graphqlAdapter = new GraphQLAdapter();
     }
 
     async initialize() {
@@ -52,50 +57,19 @@ class ApiCurlAdapter {
      * Extract cURL commands from text content
      */
     extractCurlCommands(content) {
-        const commands = [];
-        const curlMatches = content.match(this.patterns.curlCommand) || [];
-        
-        curlMatches.forEach((curlCmd, index) => {
-            const parsed = this.parseCurlCommand(curlCmd);
-            if (parsed) {
-                parsed.id = `curl_${index + 1}`;
-                parsed.originalCommand = curlCmd.trim();
-                commands.push(parsed);
-            }
-        });
-        
-        return commands;
+        return parseCurlCommands(content).map((parsed, index) => ({
+            ...parsed,
+            id: `curl_${index + 1}`,
+            ...this.readChainAnnotations(parsed)
+        }));
     }
 
     /**
-     * Parse individual cURL command
+     * Parse individual cURL command into the shared request model
      */
     parseCurlCommand(curlCmd) {
         try {
-            const urlMatch = curlCmd.match(/(?:curl\s+(?:-[^\s]+\s+)*)?["']?([^"'\s]+)["']?/);
-            const methodMatch = curlCmd.match(/-X\s+(\w+)/i);
-            const headerMatches = curlCmd.match(/-H\s+["']([^"']+)["']/gi) || [];
-            const dataMatch = curlCmd.match(/--data(?:-raw)?\s+["']([^"']+)["']/i);
-            
-            const headers = {};
-            headerMatches.forEach(headerMatch => {
-                const headerContent = headerMatch.match(/-H\s+["']([^"']+)["']/i);
-                if (headerContent && headerContent[1]) {
-                    const [key, ...valueParts] = headerContent[1].split(':');
-                    if (key && valueParts.length > 0) {
-                        headers[key.trim()] = valueParts.join(':').trim();
-                    }
-                }
-            });
-
-            return {
-                url: urlMatch ? urlMatch[1] : null,
-                method: methodMatch ? methodMatch[1].toUpperCase() : 'GET',
-                headers: headers,
-                data: dataMatch ? dataMatch[1] : null,
-                hasAuth: curlCmd.includes('-u ') || curlCmd.includes('Authorization:'),
-                hasData: !!dataMatch
-            };
+            return parseCurl(curlCmd);
         } catch (error) {
             console.warn(`Failed to parse cURL command: ${error.message}`);
             return null;
@@ -106,6 +80,28 @@ class ApiCurlAdapter {
      * Generate test artifacts from cURL commands
      */
     async generateTestArtifacts(curlCommands, options = {}) {
+        // Environment hosts and credentials become placeholders resolved at runtime
+        if (options.templating !== false) {
+            curlCommands = curlCommands.map(cmd => templateRequest(cmd, options));
+            const secrets = [...new Set(curlCommands.flatMap(cmd => cmd.secrets))];
+            if (secrets.length > 0) {
+                console.log(`🔐 Credentials replaced with secret references: ${secrets.join(', ')}`);
+            }
+        }
+
+        // GraphQL requests become one feature per operation instead of an opaque POST test
+        const graphqlCommands = options.graphql === false ? [] : curlCommands.filter(cmd => isGraphQLRequest(cmd));
+        if (graphqlCommands.length > 0) {
+            return this.generateWithGraphQL(curlCommands, graphqlCommands, options);
+        }
+
+        // Commands that pass values to each other become one ordered scenario
+        const chain = options.chain === false ? null : await this.buildChain(curlCommands, options);
+        if (chain && chain.isChained) {
+            console.log(`🔗 Chaining ${chain.commands.length} cURL commands (${chain.variables.join(', ') || 'no extracted variables'})`);
+            return this.generateChainArtifacts(chain, options);
+        }
+
         const artifacts = {
             features: [],
             steps: [],
@@ -113,191 +109,641 @@ class ApiCurlAdapter {
             tests: []
         };
 
+        const prepared = new Set();
         for (const cmd of curlCommands) {
+            // Infer a response contract from a recorded or stubbed response (opt-in)
+            const contract = options.inferSchema ? await this.inferResponseContract(cmd, options) : null;
+            // A second command with the same method and endpoint needs its own prepare step
+            const requestKey = `${cmd.method} ${this.extractEndpoint(cmd.url)}`;
+            const cmdOptions = { ...options, contract, requestAlias: prepared.has(requestKey) ? cmd.id : null };
+            prepared.add(requestKey);
+
             // Generate Cucumber feature
-            const feature = this.generateCucumberFeature(cmd, options);
+            const feature = this.generateCucumberFeature(cmd, cmdOptions);
             artifacts.features.push({
                 filename: `${cmd.id}_api.feature`,
                 content: feature
             });
 
+            // Save the contract schema beside the feature
+            if (contract) {
+                artifacts.features.push({
+                    filename: contract.filename,
+                    content: `${JSON.stringify(contract.schema, null, 2)}\n`
+                });
+            }
+
             // Generate step definitions
-            const stepDef = this.generateStepDefinitions(cmd, options);
+            const stepDef = this.generateStepDefinitions(cmd, cmdOptions);
             artifacts.steps.push({
                 filename: `${cmd.id}_steps.js`,
                 content: stepDef
             });
 
             // Generate API page object
-            const pageObject = this.generatePageObject(cmd, options);
+            const pageObject = this.generatePageObject(cmd, cmdOptions);
             artifacts.pages.push({
                 filename: `${cmd.id}_api.js`,
                 content: pageObject
             });
 
             // Generate Node.js test
-            const nodeTest = this.generateNodeJsTest(cmd, options);
+            const nodeTest = this.generateNodeJsTest(cmd, cmdOptions);
             artifacts.tests.push({
                 filename: `${cmd.id}_test.js`,
                 content: nodeTest
             });
         }
 
+        // Executing requests and asserting responses are shared API steps
+        if (artifacts.steps.length > 0) {
+            artifacts.steps.push({
+                filename: COMMON_API_STEPS_FILE,
+                content: generateCommonApiSteps()
+            });
+        }
+
         return artifacts;
     }
 
     /**
-     * Generate Cucumber feature for API test
+     * Generate GraphQL operation artifacts, plus regular cURL artifacts for the remaining commands
      */
-    generateCucumberFeature(cmd, options) {
-        const featureName = this.generateFeatureName(cmd);
-        const endpoint = this.extractEndpoint(cmd.url);
-        
-        return `@Generated @API @${cmd.method} @Team:AutoCoder
-Feature: ${featureName}
-    As a test automation engineer
-    I want to validate the ${endpoint} API endpoint
-    So that I can ensure the API functions correctly
-
-    Background:
-        Given the API base URL is configured
-        And I have valid authentication credentials
-
-    Scenario: Validate ${cmd.method} ${endpoint} API response
-        Given I prepare the ${cmd.method} request to "${endpoint}"
-        And I set the required headers
-        ${cmd.hasData ? 'And I set the request payload' : ''}
-        When I execute the API request
-        Then the response status should be successful
-        And the response should contain valid data
-        And the response time should be acceptable
-
-    Scenario: Validate ${cmd.method} ${endpoint} API error handling
-        Given I prepare the ${cmd.method} request to "${endpoint}"
-        And I set invalid authentication
-        When I execute the API request
-        Then the response status should be 401 or 403
-        And the error message should be appropriate
-`;
+    async generateWithGraphQL(curlCommands, graphqlCommands, options = {}) {
+        const schema = options.graphqlSchema ? await loadIntrospection(options.graphqlSchema) : null;
+        const operations = this.graphqlAdapter.operationsFromRequests(graphqlCommands, schema);
+        console.log(`🔷 Found ${operations.length} GraphQL operation(s): ${operations.map(operation => operation.name).join(', ')}${schema ? ' (validated against the schema)' : ''}`);
+
+        const artifacts = this.graphqlAdapter.generateTestArtifacts(operations, {
+            ...options,
+            apiName: options.chainName || 'graphql'
+        });
+
+        const rest = curlCommands.filter(cmd => !graphqlCommands.includes(cmd));
+        if (rest.length > 0) {
+            const restArtifacts = await this.generateTestArtifacts(rest, { ...options, graphql: false, templating: false });
+            Object.keys(artifacts).forEach(kind => {
+                const filenames = new Set(artifacts[kind].map(artifact => artifact.filename));
+                artifacts[kind].push(...(restArtifacts[kind] || []).filter(artifact => !filenames.has(artifact.filename)));
+            });
+        }
+
+        return artifacts;
     }
 
     /**
-     * Generate step definitions
+     * Infer a JSON Schema contract for a command's response
      */
-    generateStepDefinitions(cmd, options) {
-        const className = this.generateClassName(cmd);
-        
-        return `const { Given, When, Then } = require('@cucumber/cucumber');
-const { execSync } = require('child_process');
+    async inferResponseContract(cmd, options = {}) {
+        const sample = await this.loadResponseSample(cmd, options);
+
+        if (sample === undefined || sample === null || typeof sample !== 'object') {
+            console.log(`⚠️ No JSON response sample for ${cmd.id} - skipping contract schema`);
+            return null;
+        }
+
+        return {
+            filename: `${cmd.id}_api.schema.json`,
+            schema: inferSchema([sample], { title: `${cmd.method} ${this.extractEndpoint(cmd.url)} response` })
+        };
+    }
+
+    /**
+     * Response sample from a recording (directory of <id>.json, JSON map or object) or a single stub call
+     */
+    async loadResponseSample(cmd, options = {}) {
+        const recorded = await this.loadRecordedResponse(cmd, options.responseSamples);
+        if (recorded !== undefined) {
+            return recorded;
+        }
+
+        if (options.stubBaseUrl) {
+            try {
+                const response = await axios({
+                    method: cmd.method,
+                    url: options.stubBaseUrl.replace(/\/$/, '') + this.extractEndpoint(cmd.url),
+                    headers: cmd.headers,
+                    data: cmd.data || undefined,
+                    timeout: 30000,
+                    validateStatus: () => true
+                });
+                return response.data;
+            } catch (error) {
+                console.log(`⚠️ Stub request for ${cmd.id} failed: ${error.message}`);
+            }
+        }
+
+        return undefined;
+    }
+
+    async loadRecordedResponse(cmd, samples) {
+        if (!samples) {
+            return undefined;
+        }
+        if (typeof samples === 'object') {
+            return samples[cmd.id];
+        }
+
+        const stats = await fs.stat(samples);
+        if (stats.isDirectory()) {
+            const samplePath = path.join(samples, `${cmd.id}.json`);
+            return await fs.pathExists(samplePath) ? fs.readJSON(samplePath) : undefined;
+        }
+        const recorded = await fs.readJSON(samples);
+        return recorded[cmd.id];
+    }
+
+    /**
+     * Read chaining annotations - `# @extract orderId=$.data.id`, `# @use {{orderId}}`, `# @name Create order`
+     */
+    readChainAnnotations(parsed) {
+        const annotations = parsed.annotations || [];
+        const extract = [];
+        const uses = [];
+        let name = null;
+
+        annotations.forEach(({ name: annotation, value }) => {
+            if (annotation === 'extract') {
+                for (const match of value.matchAll(/(\w+)\s*=\s*(\$[^\s,]*)/g)) {
+                    extract.push({ name: match[1], path: match[2] });
+                }
+            } else if (annotation === 'use' || annotation === 'uses') {
+                const names = value.includes('{{')
+                    ? [...value.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1])
+                    : value.split(/[\s,]+/).filter(Boolean);
+                uses.push(...names);
+            } else if (annotation === 'name') {
+                name = value;
+            }
+        });
+
+        return { extract, uses, name };
+    }
+
+    /**
+     * Work out variable producers/consumers and the execution order of a cURL file
+     */
+    async buildChain(curlCommands, options = {}) {
+        const commands = curlCommands.map(cmd => ({
+            ...cmd,
+            headers: { ...cmd.headers },
+            extract: [...(cmd.extract || [])],
+            uses: [...(cmd.uses || [])]
+        }));
+
+        await this.correlateFromSamples(commands, options.responseSamples);
+        this.correlateByResource(commands);
+
+        const producers = new Map();
+        commands.forEach(cmd => cmd.extract.forEach(({ name }) => {
+            if (!producers.has(name)) producers.set(name, cmd.id);
+        }));
+
+        const inputs = new Set();
+        commands.forEach(cmd => {
+            cmd.placeholders = [...new Set([cmd.url, ...Object.values(cmd.headers), cmd.data || '']
+                .flatMap(text => [...String(text).matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1])))]
+                .filter(name => name !== 'baseUrl');
+            const needed = [...new Set([...cmd.placeholders, ...cmd.uses])];
+
+            cmd.dependsOn = [...new Set(needed
+                .filter(name => producers.has(name) && producers.get(name) !== cmd.id)
+                .map(name => producers.get(name)))];
+            needed.filter(name => !producers.has(name)).forEach(name => inputs.add(name));
+        });
+
+        return {
+            commands: this.orderByDependencies(commands),
+            variables: [...producers.keys()],
+            inputs: [...inputs],
+            isChained: commands.some(cmd => cmd.extract.length > 0 || cmd.placeholders.length > 0 || cmd.uses.length > 0)
+        };
+    }
+
+    /**
+     * Stable topological sort - file order is kept unless a dependency says otherwise
+     */
+    orderByDependencies(commands) {
+        const ordered = [];
+        const done = new Set();
+        const pending = [...commands];
+
+        while (pending.length > 0) {
+            const index = pending.findIndex(cmd => cmd.dependsOn.every(id => done.has(id)));
+            if (index === -1) {
+                throw new Error(`Circular dependency between cURL commands: ${pending.map(cmd => cmd.id).join(', ')}`);
+            }
+            const [next] = pending.splice(index, 1);
+            ordered.push(next);
+            done.add(next.id);
+        }
+
+        return ordered;
+    }
+
+    /**
+     * Correlate with recorded responses: a response value reused verbatim by a later command
+     */
+    async correlateFromSamples(commands, samples) {
+        if (!samples) return;
+
+        const correlator = new HarAdapter();
+        const taken = commands.flatMap(cmd => cmd.extract);
+
+        for (const [index, cmd] of commands.entries()) {
+            const sample = await this.loadRecordedResponse(cmd, samples);
+            if (!sample || typeof sample !== 'object') continue;
+
+            correlator.collectLeaves(sample, '$').forEach(({ path: jsonPath, key, value }) => {
+                if (!correlator.isCorrelationCandidate(key, value)) return;
+
+                // Values the client sent itself were not produced by this response
+                const literal = String(value);
+                if (commands.slice(0, index + 1).some(previous => this.commandText(previous).includes(literal))) return;
+
+                const consumers = commands.slice(index + 1).filter(later => this.findLiteral(this.commandText(later), literal));
+                if (consumers.length === 0) return;
+
+                const existing = cmd.extract.find(extract => extract.path === jsonPath);
+                const name = existing ? existing.name : correlator.uniqueName(correlator.variableName(key, jsonPath, cmd), taken);
+                if (!existing) {
+                    cmd.extract.push({ name, path: jsonPath });
+                    taken.push({ name });
+                }
+                consumers.forEach(later => this.replaceLiteral(later, literal, `{{${name}}}`));
+            });
+        }
+    }
+
+    /**
+     * Without recordings: POST /orders followed by a call to /orders/<id> is a create-then-use pair.
+     * The id is a literal containing a digit or a {orderId} / :orderId path placeholder
+     */
+    correlateByResource(commands) {
+        commands.forEach((cmd, index) => {
+            if (cmd.method !== 'POST' || cmd.extract.length > 0) return;
+
+            const resourcePath = cmd.path.replace(/\/$/, '');
+            const idPattern = new RegExp(`^${resourcePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/([^/]+)(?=/|$)`);
+            const later = commands.slice(index + 1)
+                .map(candidate => ({ candidate, match: candidate.path.match(idPattern) }))
+                .filter(({ match }) => match && (this.pathPlaceholder(match[1])
+                    || (/\d/.test(match[1]) && !/^v\d+$/i.test(match[1]) && !/[{}]/.test(match[1]))));
+            if (later.length === 0) return;
+
+            const resource = resourcePath.split('/').pop() || 'item';
+            const placeholder = later.map(({ match }) => this.pathPlaceholder(match[1])).find(Boolean);
+            const name = placeholder || `${this.singularize(resource).replace(/[-_](\w)/g, (match, char) => char.toUpperCase())}Id`;
+            cmd.extract.push({ name, path: '$.id', assumed: true });
+            console.log(`⚠️ ${cmd.id}: assuming ${name} is at $.id - add "# @extract ${name}=<jsonpath>" above the command to override`);
+
+            later.forEach(({ candidate, match }) => this.replaceLiteral(candidate, `${resourcePath}/${match[1]}`, `${resourcePath}/{{${name}}}`));
+        });
+    }
+
+    /**
+     * Variable name of an OpenAPI-style {name} or Express-style :name path segment, else null
+     */
+    pathPlaceholder(segment) {
+        const match = segment.match(/^(?:\{(\w+)\}|:(\w+))$/);
+        return match ? match[1] || match[2] : null;
+    }
+
+    commandText(cmd) {
+        return [cmd.url, ...Object.values(cmd.headers), cmd.data || ''].join('\n');
+    }
+
+    /**
+     * Whole-token match - "ord_1" must not hit "ord_12"
+     */
+    literalPattern(literal, flags = '') {
+        const escaped = literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const before = /^[\w-]/.test(literal) ? '(^|[^\\w-])' : '()';
+        const after = /[\w-]$/.test(literal) ? '(?![\\w-])' : '';
+        return new RegExp(`${before}${escaped}${after}`, flags);
+    }
+
+    findLiteral(text, literal) {
+        return this.literalPattern(literal).test(text);
+    }
+
+    replaceLiteral(cmd, literal, placeholder) {
+        const pattern = this.literalPattern(literal, 'g');
+        const replace = text => text.replace(pattern, (match, prefix) => `${prefix}${placeholder}`);
+
+        cmd.url = replace(cmd.url);
+        cmd.path = replace(cmd.path);
+        Object.keys(cmd.headers).forEach(key => {
+            cmd.headers[key] = replace(cmd.headers[key]);
+        });
+        if (cmd.data) cmd.data = replace(cmd.data);
+    }
+
+    displayEndpoint(url) {
+        return url.replace(/^([a-z][a-z0-9+.-]*:\/\/[^/?#]*|\{\{baseUrl\}\})/i, '') || '/';
+    }
+
+    singularize(word) {
+        return word.replace(/ies$/, 'y').replace(/(ss|x|ch|sh)es$/, '$1').replace(/([^s])s$/, '$1');
+    }
+
+    /**
+     * Generate one ordered scenario for a chained cURL file
+     */
+    async generateChainArtifacts(chain, options = {}) {
+        const chainId = this.toSnakeCase(options.chainName || 'curl_chain');
+        const contracts = {};
+
+        if (options.inferSchema) {
+            for (const cmd of chain.commands) {
+                contracts[cmd.id] = await this.inferResponseContract(cmd, options);
+            }
+        }
+
+        const artifacts = {
+            features: [
+                { filename: `${chainId}_api.feature`, content: this.generateChainFeature(chain, chainId, contracts) },
+                ...Object.values(contracts).filter(Boolean).map(contract => ({
+                    filename: contract.filename,
+                    content: `${JSON.stringify(contract.schema, null, 2)}\n`
+                }))
+            ],
+            steps: [
+                { filename: COMMON_API_STEPS_FILE, content: generateCommonApiSteps() },
+                { filename: 'curl_chain_steps.js', content: this.generateChainStepDefinitions() }
+            ],
+            pages: [
+                { filename: `${chainId}_api.js`, content: this.generateChainPageObject(chain, chainId) }
+            ],
+            tests: [
+                { filename: `${chainId}_test.js`, content: this.generateChainNodeTest(chain, chainId, contracts) }
+            ]
+        };
+
+        return artifacts;
+    }
+
+    generateChainFeature(chain, chainId, contracts) {
+        const steps = chain.commands.flatMap(cmd => [
+            gherkin.step('When', `I execute the chain request "${cmd.id}"`, {
+                comments: [`# ${cmd.name || `${cmd.method} ${this.displayEndpoint(cmd.url)}`}`]
+            }),
+            'Then the response status should be in the 2xx range',
+            ...cmd.extract.map(({ name, path: jsonPath }) => `And I store "${jsonPath}" from the response as "${name}"`),
+            ...(contracts[cmd.id] ? [`And the response should match the contract schema "${contracts[cmd.id].filename}"`] : [])
+        ]);
+
+        return gherkin.formatGherkin(gherkin.feature({
+            name: `API flow ${chainId.replace(/_/g, ' ')}`,
+            tags: ['@Generated', '@API', '@Chained', '@Team:AutoCoder'],
+            description: [
+                'As a test automation engineer',
+                `I want to run the ${chain.commands.length} cURL requests as one ordered flow`,
+                'So that IDs and tokens returned by one call are used by the next'
+            ].join('\n'),
+            children: [
+                gherkin.background({ steps: [`Given the "${chainId}" cURL chain is loaded`] }),
+                gherkin.scenario({ name: 'Execute the cURL requests in dependency order', steps })
+            ]
+        }));
+    }
+
+    generateChainStepDefinitions() {
+        return `const { Given, When } = require('@cucumber/cucumber');
 const { assert } = require('chai');
 
-let apiResponse = null;
-let responseTime = 0;
+Given('the {string} cURL chain is loaded', function (chainId) {
+    const Chain = require(\`../pages/\${chainId}_api\`);
+    this.api = new Chain();
+    this.variables = {};
 
-Given('I prepare the {word} request to {string}', function (method, endpoint) {
-    this.method = method;
-    this.endpoint = endpoint;
-    this.headers = ${JSON.stringify(cmd.headers, null, 8)};
-    ${cmd.hasData ? `this.payload = ${JSON.stringify(cmd.data, null, 8)};` : 'this.payload = null;'}
+    const missing = this.api.missingInputs();
+    assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this flow\`);
 });
 
-Given('I set the required headers', function () {
-    // Headers are already set in the previous step
-    console.log('Headers configured:', this.headers);
+When('I execute the chain request {string}', async function (requestId) {
+    this.response = await this.api.send(requestId, this.variables);
+    console.log(\`\${requestId}: \${this.response.status} (\${this.response.time} ms)\`);
 });
+`;
+    }
 
-${cmd.hasData ? `Given('I set the request payload', function () {
-    console.log('Payload configured:', this.payload);
-});` : ''}
-
-When('I execute the API request', function () {
-    const startTime = Date.now();
-    
-    try {
-        // Execute original cURL command for exact fidelity
-        const curlCommand = \`${cmd.originalCommand.replace(/`/g, '\\`')}\`;
-        console.log('Executing cURL command:', curlCommand);
-        
-        const result = execSync(curlCommand, { 
-            encoding: 'utf8', 
-            timeout: 30000,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-        
-        responseTime = Date.now() - startTime;
-        
-        try {
-            apiResponse = {
-                status: 200, // Default for successful execution
-                data: JSON.parse(result),
-                raw: result,
-                time: responseTime
-            };
-        } catch (parseError) {
-            apiResponse = {
-                status: 200,
-                data: result,
-                raw: result,
-                time: responseTime
+    generateChainPageObject(chain, chainId) {
+        const className = `${chainId.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}API`;
+        const requests = {};
+
+        const secrets = [...new Set(chain.commands.flatMap(cmd => cmd.secrets || []))];
+
+        chain.commands.forEach(cmd => {
+            const headers = { ...cmd.headers };
+            const hasAuthorization = Object.keys(headers).some(key => key.toLowerCase() === 'authorization');
+            if (cmd.auth && cmd.auth.type !== 'basic' && !hasAuthorization) {
+                headers.Authorization = `Bearer ${cmd.auth.token}`;
+            }
+            requests[cmd.id] = {
+                method: cmd.method,
+                url: cmd.url,
+                headers,
+                // -u credentials may be secret references, so axios encodes them after resolving
+                ...(cmd.auth && cmd.auth.type === 'basic' && !hasAuthorization
+                    ? { auth: { username: cmd.auth.username, password: cmd.auth.password } }
+                    : {}),
+                body: cmd.data || null,
+                dependsOn: cmd.dependsOn
             };
+        });
+
+        return `/**
+ * ${className} - API Page Object
+ * Generated from a chained cURL file - requests run in dependency order sharing {{variables}}
+ */
+
+const axios = require('axios');
+const ApiEnvironment = require('../support/api-environment');
+
+const REQUESTS = ${JSON.stringify(requests, null, 4)};
+
+// Placeholders no request produces - read from the environment
+const INPUTS = ${JSON.stringify(chain.inputs)};
+
+// {{secret:NAME}} references - env vars or config/secrets.local.json
+const SECRETS = ${JSON.stringify(secrets)};
+
+class ${className} {
+    missingInputs() {
+        return [
+            ...INPUTS.filter(name => process.env[name] === undefined),
+            ...ApiEnvironment.missingSecrets(SECRETS)
+        ];
+    }
+
+    resolve(text, variables) {
+        return ApiEnvironment.resolve(text).replace(/\\{\\{\\s*(\\w+)\\s*\\}\\}/g, (match, name) => {
+            const value = variables[name] !== undefined ? variables[name] : process.env[name];
+            if (value === undefined) {
+                throw new Error(\`No value for {{\${name}}} - an earlier request should extract it\`);
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+
+    async send(requestId, variables = {}) {
+        const request = REQUESTS[requestId];
+        if (!request) {
+            throw new Error(\`Unknown chain request: \${requestId}\`);
         }
-        
-        console.log('API Response received in', responseTime, 'ms');
-        
-    } catch (error) {
-        responseTime = Date.now() - startTime;
-        
-        // Handle cURL errors
-        const errorOutput = error.stderr ? error.stderr.toString() : error.message;
-        const statusMatch = errorOutput.match(/HTTP\\/\\d\\.\\d\\s+(\\d+)/);
-        const status = statusMatch ? parseInt(statusMatch[1]) : 500;
-        
-        apiResponse = {
-            status: status,
-            error: errorOutput,
-            time: responseTime
+
+        const url = this.resolve(request.url, variables);
+        const headers = Object.fromEntries(Object.entries(request.headers).map(([key, value]) => [key, this.resolve(value, variables)]));
+        const data = request.body === null ? undefined : this.resolve(request.body, variables);
+        const auth = request.auth
+            ? { username: this.resolve(request.auth.username, variables), password: this.resolve(request.auth.password, variables) }
+            : undefined;
+
+        const startTime = Date.now();
+        const response = await axios({ method: request.method, url, headers, data, auth, validateStatus: () => true });
+
+        return {
+            url,
+            status: response.status,
+            data: response.data,
+            headers: response.headers,
+            time: Date.now() - startTime
         };
-        
-        console.log('API Error:', error.message);
     }
-});
 
-Then('the response status should be successful', function () {
-    assert.isNotNull(apiResponse, 'API response should not be null');
-    assert.isTrue(apiResponse.status >= 200 && apiResponse.status <= 299, 'Response status should be in 200-299 range');
-});
+    extract(data, jsonPath) {
+        const keys = [...jsonPath.matchAll(/\\.([A-Za-z_$][\\w$]*)|\\[(\\d+)\\]|\\['([^']+)'\\]/g)]
+            .map(match => match[1] || match[2] || match[3]);
+        return keys.reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), data);
+    }
+}
 
-Then('the response should contain valid data', function () {
-    assert.isNotNull(apiResponse.data, 'Response data should not be null');
-    assert.isDefined(apiResponse.data, 'Response data should be defined');
-});
+${className}.REQUESTS = REQUESTS;
+
+module.exports = ${className};
+`;
+    }
+
+    generateChainNodeTest(chain, chainId, contracts) {
+        const className = `${chainId.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}API`;
+        const hasContracts = Object.values(contracts).some(Boolean);
+        const calls = chain.commands.map(cmd => {
+            const extracts = cmd.extract.map(({ name, path: jsonPath }) => `
+        variables.${name} = api.extract(response.data, '${jsonPath}');
+        assert.isDefined(variables.${name}, '${jsonPath} should exist in the ${cmd.id} response');`).join('');
+            const contract = contracts[cmd.id] ? `
+        assert.isEmpty(SchemaValidator.validate(require('../features/${contracts[cmd.id].filename}'), response.data), 'Contract drift in ${contracts[cmd.id].filename}');` : '';
+
+            return `
+        // ${cmd.method} ${this.displayEndpoint(cmd.url)}
+        response = await api.send('${cmd.id}', variables);
+        assert.isAtLeast(response.status, 200, \`${cmd.id} \${response.url}\`);
+        assert.isBelow(response.status, 300, \`${cmd.id} \${response.url}\`);${extracts}${contract}`;
+        }).join('\n');
+
+        return `/**
+ * ${className} - Node.js API Test
+ * Generated from a chained cURL file
+ */
+
+const { assert } = require('chai');${hasContracts ? `
+const SchemaValidator = require('../support/schema-validator');` : ''}
+const ${className} = require('../pages/${chainId}_api');
+
+describe('${className} chained API flow', () => {
+    const api = new ${className}();
+    const variables = {};
 
-Then('the response time should be acceptable', function () {
-    assert.isBelow(responseTime, 5000, 'Response time should be below 5 seconds');
+    test('should run the requests in dependency order', async () => {
+        const missing = api.missingInputs();
+        assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this flow\`);
+
+        let response;${calls}
+
+        console.log('✅ Chain completed with variables:', Object.keys(variables).join(', ') || 'none');
+    });
 });
+`;
+    }
+
+    /**
+     * Generate Cucumber feature for API test
+     */
+    generateCucumberFeature(cmd, options) {
+        const featureName = this.generateFeatureName(cmd);
+        const endpoint = this.extractEndpoint(cmd.url);
 
-Given('I set invalid authentication', function () {
-    // Modify headers to use invalid auth
-    if (this.headers.Authorization) {
-        this.headers.Authorization = 'Bearer invalid_token';
-    } else {
-        this.headers.Authorization = 'Bearer invalid_token';
+        return gherkin.formatGherkin(gherkin.feature({
+            name: featureName,
+            tags: ['@Generated', '@API', `@${cmd.method}`, '@Team:AutoCoder'],
+            description: [
+                'As a test automation engineer',
+                `I want to validate the ${endpoint} API endpoint`,
+                'So that I can ensure the API functions correctly'
+            ].join('\n'),
+            children: [
+                gherkin.background({
+                    steps: ['Given the API base URL is configured', 'And I have valid authentication credentials']
+                }),
+                gherkin.scenario({
+                    name: `Validate ${cmd.method} ${endpoint} API response`,
+                    steps: [
+                        `Given ${this.prepareStepText(cmd, endpoint, options.requestAlias)}`,
+                        'And I set the required headers',
+                        ...(cmd.hasData ? ['And I set the request payload'] : []),
+                        'When I execute the API request',
+                        'Then the response status should be successful',
+                        'And the response should contain valid data',
+                        ...(options.contract ? [`And the response should match the contract schema "${options.contract.filename}"`] : []),
+                        'And the response time should be acceptable'
+                    ]
+                }),
+                gherkin.scenario({
+                    name: `Validate ${cmd.method} ${endpoint} API error handling`,
+                    steps: [
+                        `Given ${this.prepareStepText(cmd, endpoint, options.requestAlias)}`,
+                        'And I set invalid authentication',
+                        'When I execute the API request',
+                        'Then the response status should be 401 or 403',
+                        'And the error message should be appropriate'
+                    ]
+                })
+            ]
+        }));
     }
-});
 
-Then('the response status should be {int} or {int}', function (status1, status2) {
-    assert.isTrue(
-        apiResponse.status === status1 || apiResponse.status === status2,
-        \`Expected status \${status1} or \${status2}, got \${apiResponse.status}\`
-    );
-});
+    /**
+     * Generate step definitions - only the command's own prepare step; executing and asserting
+     * are shared steps in api_common_steps.js
+     */
+    generateStepDefinitions(cmd, options = {}) {
+        const endpoint = this.extractEndpoint(cmd.url);
+        const stepText = this.prepareStepText(cmd, endpoint, options.requestAlias);
+        const stepPattern = `^${stepText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\//g, '\\/')}$`;
+
+        return `const { Given } = require('@cucumber/cucumber');
 
-Then('the error message should be appropriate', function () {
-    assert.exists(apiResponse.error || apiResponse.data, 'Response should contain error information or data');
+// ${cmd.method} ${endpoint} - sent by "I execute the API request" in ${COMMON_API_STEPS_FILE}
+Given(/${stepPattern}/, function () {
+    this.request = {
+        method: '${cmd.method}',
+        endpoint: ${JSON.stringify(endpoint)},
+        headers: ${JSON.stringify(cmd.headers, null, 4).replace(/\n/g, '\n        ')},
+        payload: ${cmd.hasData ? JSON.stringify(cmd.data) : 'null'},
+        curl: \`${cmd.originalCommand.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${')}\`
+    };
 });
 `;
     }
 
+    /**
+     * "I prepare the POST request to "/orders"" - a repeated method and endpoint also names the command
+     */
+    prepareStepText(cmd, endpoint, alias = null) {
+        return `I prepare the ${cmd.method} request to "${endpoint}"${alias ? ` as "${alias}"` : ''}`;
+    }
+
     /**
      * Generate page object for API
      */
@@ -310,18 +756,19 @@ Then('the error message should be appropriate', function () {
  */
 
 const { execSync } = require('child_process');
+const ApiEnvironment = require('../support/api-environment');
 
 class ${className} {
     constructor() {
-        this.baseUrl = '${this.extractBaseUrl(cmd.url)}';
-        this.endpoint = '${this.extractEndpoint(cmd.url)}';
+        this.baseUrl = ApiEnvironment.resolve('${this.extractBaseUrl(cmd.url)}');
+        this.endpoint = ApiEnvironment.resolve(${JSON.stringify(this.extractEndpoint(cmd.url))});
         this.method = '${cmd.method}';
         this.defaultHeaders = ${JSON.stringify(cmd.headers, null, 12)};
     }
 
     async executeRequest(options = {}) {
-        const headers = { ...this.defaultHeaders, ...options.headers };
-        const payload = options.payload || ${cmd.hasData ? JSON.stringify(cmd.data) : 'null'};
+        const headers = ApiEnvironment.resolveAll({ ...this.defaultHeaders, ...options.headers });
+        const payload = options.payload || ${cmd.hasData ? `ApiEnvironment.resolve(${JSON.stringify(cmd.data)})` : 'null'};
         
         // Build cURL command
         let curlCommand = \`curl -X \${this.method}\`;
@@ -340,7 +787,7 @@ class ${className} {
         // Add URL
         curlCommand += \` "\${this.baseUrl}\${this.endpoint}"\`;
         
-        console.log('Executing:', curlCommand);
+        console.log('Executing:', \`\${this.method} \${this.baseUrl}\${this.endpoint}\`);
         
         try {
             const result = execSync(curlCommand, { 
@@ -403,7 +850,10 @@ module.exports = ${className};
  */
 
 const { execSync } = require('child_process');
-const { expect } = require('chai');
+const { assert } = require('chai');
+const ApiEnvironment = require('../support/api-environment');${options.contract ? `
+const SchemaValidator = require('../support/schema-validator');
+const contractSchema = require('../features/${options.contract.filename}');` : ''}
 
 describe('${className} API Tests', () => {
     let response;
@@ -418,11 +868,11 @@ describe('${className} API Tests', () => {
         const startTime = Date.now();
         
         try {
-            // Execute original cURL command for exact fidelity
-            const curlCommand = \`${cmd.originalCommand.replace(/`/g, '\\`')}\`;
-            console.log('Executing cURL:', curlCommand);
+            // Execute original cURL command for exact fidelity - host and secrets resolved for ADP_ENV
+            const curlTemplate = \`${cmd.originalCommand.replace(/`/g, '\\`')}\`;
+            console.log('Executing cURL:', curlTemplate);
             
-            const result = execSync(curlCommand, { 
+            const result = execSync(ApiEnvironment.resolve(curlTemplate), { 
                 encoding: 'utf8', 
                 timeout: 30000,
                 stdio: ['pipe', 'pipe', 'pipe']
@@ -465,11 +915,495 @@ describe('${className} API Tests', () => {
             // If text response, verify it's not empty
             assert.isAbove(response.toString().length, 0, 'Response should not be empty');
         }
-    });
+    });${options.contract ? `
+
+    test('should match the recorded response contract', async () => {
+        // Sends its own request - beforeEach clears the response between tests
+        const result = execSync(ApiEnvironment.resolve(\`${cmd.originalCommand.replace(/`/g, '\\`')}\`), {
+            encoding: 'utf8',
+            timeout: 30000,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        let body;
+        try {
+            body = JSON.parse(result);
+        } catch (parseError) {
+            body = result;
+        }
+
+        // Contract drift (renamed, removed or retyped fields) fails here, not just server errors
+        const differences = SchemaValidator.validate(contractSchema, body);
+        assert.isEmpty(differences, \`Contract drift in ${options.contract.filename}:\\n  - \${differences.join('\\n  - ')}\`);
+    });` : ''}
+});
+`;
+    }
+
+    /**
+     * Parse an OpenAPI 2/3 spec (YAML or JSON) into normalized operations
+     */
+    async parseOpenApiFile(filePath) {
+        try {
+            const spec = await loadSpec(filePath);
+            const api = parseOpenApi(spec);
+            api.name = this.generateApiName(api.title, filePath);
+
+            return {
+                success: true,
+                api,
+                operations: api.operations,
+                count: api.operations.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                operations: []
+            };
+        }
+    }
+
+    /**
+     * Generate one feature per operation plus a shared page object and step definitions
+     */
+    async generateOpenApiArtifacts(api, options = {}) {
+        const artifacts = {
+            features: [],
+            steps: [
+                { filename: COMMON_API_STEPS_FILE, content: generateCommonApiSteps() },
+                { filename: 'openapi_api_steps.js', content: this.generateOpenApiStepDefinitions(options) }
+            ],
+            pages: [
+                { filename: `${api.name}_api.js`, content: this.generateOpenApiPageObject(api, options) }
+            ],
+            tests: []
+        };
+
+        for (const operation of api.operations) {
+            artifacts.features.push({
+                filename: `${api.name}_${this.toSnakeCase(operation.operationId)}_api.feature`,
+                content: this.generateOpenApiFeature(api, operation, options)
+            });
+        }
+
+        return artifacts;
+    }
+
+    /**
+     * Generate positive, negative, boundary and auth scenarios for one operation
+     */
+    generateOpenApiFeature(api, operation, options = {}) {
+        const { operationId } = operation;
+        const secured = operation.security.length > 0;
+        const authSteps = secured ? ['Given I am authenticated for the API'] : [];
+        const bodySchema = operation.requestBody ? operation.requestBody.schema : null;
+        const bodyProperties = bodySchema && bodySchema.properties ? bodySchema.properties : {};
+        const queryParameters = operation.parameters.filter(parameter => parameter.in !== 'path');
+        const successStatus = /^\d+$/.test(operation.successStatus) ? operation.successStatus : '200';
+        const successSchema = operation.responses[operation.successStatus] && operation.responses[operation.successStatus].schema;
+        const scenarios = [];
+
+        scenarios.push(gherkin.scenario({
+            name: `${operationId} succeeds with a valid request`,
+            tags: ['@positive'],
+            steps: [
+                ...authSteps,
+                'When I send the API request',
+                `Then the response status should be ${successStatus}`,
+                ...(successSchema ? [`And the response should match the "${operation.successStatus}" response schema`] : [])
+            ]
+        }));
+
+        const requiredFields = [
+            ...(bodySchema && bodySchema.required ? bodySchema.required : []),
+            ...queryParameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+        ].slice(0, 10);
+        if (requiredFields.length > 0) {
+            scenarios.push(gherkin.scenario({
+                name: `${operationId} rejects a request without the required "<field>" field`,
+                tags: ['@negative'],
+                steps: [...authSteps, 'When I send the API request without the "<field>" field', 'Then the response status should be a client error'],
+                examples: [['field'], ...requiredFields.map(field => [field])]
+            }));
+        }
+
+        const typedFields = [
+            ...Object.entries(bodyProperties).filter(([, schema]) => schema.type && !schema.readOnly).map(([name]) => name),
+            ...queryParameters.filter(parameter => ['integer', 'number', 'boolean'].includes(parameter.schema.type)).map(parameter => parameter.name)
+        ].slice(0, 10);
+        if (typedFields.length > 0) {
+            scenarios.push(gherkin.scenario({
+                name: `${operationId} rejects "<field>" with the wrong type`,
+                tags: ['@negative'],
+                steps: [...authSteps, 'When I send the API request with a wrong type for "<field>"', 'Then the response status should be a client error'],
+                examples: [['field'], ...typedFields.map(field => [field])]
+            }));
+        }
+
+        const boundaries = [
+            ...Object.entries(bodyProperties).filter(([, schema]) => !schema.readOnly).map(([name, schema]) => ({ name, schema })),
+            ...queryParameters.map(parameter => ({ name: parameter.name, schema: parameter.schema }))
+        ].flatMap(({ name, schema }) => schemaBoundaries(schema).map(boundary => ({ field: name, ...boundary })));
+        const validBoundaries = boundaries.filter(boundary => boundary.valid);
+        const invalidBoundaries = boundaries.filter(boundary => !boundary.valid);
+
+        if (validBoundaries.length > 0) {
+            scenarios.push(gherkin.scenario({
+                name: `${operationId} accepts "<field>" at its <boundary>`,
+                tags: ['@boundary'],
+                steps: [...authSteps, 'When I send the API request with the "<field>" field at its "<boundary>"', `Then the response status should be ${successStatus}`],
+                examples: [['field', 'boundary'], ...validBoundaries.map(boundary => [boundary.field, boundary.boundary])]
+            }));
+        }
+        if (invalidBoundaries.length > 0) {
+            scenarios.push(gherkin.scenario({
+                name: `${operationId} rejects "<field>" <boundary>`,
+                tags: ['@boundary', '@negative'],
+                steps: [...authSteps, 'When I send the API request with the "<field>" field at its "<boundary>"', 'Then the response status should be a client error'],
+                examples: [['field', 'boundary'], ...invalidBoundaries.map(boundary => [boundary.field, boundary.boundary])]
+            }));
+        }
+
+        if (secured) {
+            const authStatus = operation.responses['401'] ? '401' : (operation.responses['403'] ? '403' : null);
+            scenarios.push(gherkin.scenario({
+                name: `${operationId} rejects unauthenticated requests`,
+                tags: ['@auth'],
+                steps: [
+                    'Given I am not authenticated for the API',
+                    'When I send the API request',
+                    `Then the response status should be ${authStatus || 'a client error'}`
+                ]
+            }));
+        }
+
+        const tags = ['@Generated', '@API', '@OpenAPI', `@${operation.method}`, ...operation.tags.map(tag => `@${tag.replace(/\s+/g, '_')}`), '@Team:AutoCoder'];
+
+        return gherkin.formatGherkin(gherkin.feature({
+            name: `API ${operationId} - ${operation.summary.split('\n')[0]}`,
+            tags,
+            description: [
+                'As a test automation engineer',
+                `I want to validate the ${operation.method} ${operation.path} operation from the "${api.title}" specification`,
+                'So that I can ensure the API honours its OpenAPI contract'
+            ].join('\n'),
+            children: [
+                gherkin.background({ steps: [`Given the "${api.name}" API operation "${operationId}"`] }),
+                ...scenarios
+            ]
+        }));
+    }
+
+    /**
+     * Generate step definitions shared by every OpenAPI operation feature
+     */
+    generateOpenApiStepDefinitions(options = {}) {
+        return `const { Given, When, Then } = require('@cucumber/cucumber');
+const { assert } = require('chai');
+const SchemaValidator = require('../support/schema-validator');
+
+Given('the {string} API operation {string}', function (apiName, operationId) {
+    const Api = require(\`../pages/\${apiName}_api\`);
+    this.api = new Api();
+    this.request = this.api.buildRequest(operationId);
+    this.variables = this.variables || {};
+});
+
+Given('I am authenticated for the API', function () {
+    const missing = this.api.missingCredentials(this.request);
+    assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this operation\`);
+    this.request.authenticated = true;
+});
+
+Given('I am not authenticated for the API', function () {
+    this.request.authenticated = false;
+});
+
+When('I send the API request', async function () {
+    this.response = await this.api.send(this.request);
+});
+
+When('I send the API request without the {string} field', async function (field) {
+    this.response = await this.api.send(this.api.withoutField(this.request, field));
+});
+
+When('I send the API request with a wrong type for {string}', async function (field) {
+    this.response = await this.api.send(this.api.withWrongType(this.request, field));
+});
+
+When('I send the API request with the {string} field at its {string}', async function (field, boundary) {
+    this.response = await this.api.send(this.api.withBoundary(this.request, field, boundary));
+});
+
+Then('the response should match the {string} response schema', function (status) {
+    const schema = this.api.responseSchema(this.request.operationId, status);
+    SchemaValidator.assert(schema, this.response.data, \`\${this.request.operationId} \${status} response\`);
 });
 `;
     }
 
+    /**
+     * Generate the API page object holding the operation catalogue and sample payloads
+     */
+    generateOpenApiPageObject(api, options = {}) {
+        const className = `${api.name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}API`;
+        const generator = new SmartTestDataGenerator({ seed: 42 });
+        const operations = {};
+
+        api.operations.forEach(operation => {
+            operations[operation.operationId] = {
+                method: operation.method,
+                path: operation.path,
+                security: operation.security,
+                parameters: operation.parameters.map(parameter => ({
+                    name: parameter.name,
+                    in: parameter.in,
+                    required: parameter.required,
+                    schema: parameter.schema,
+                    value: parameter.example !== undefined ? parameter.example : sampleFromSchema(parameter.schema, parameter.name, generator)
+                })),
+                requestBody: operation.requestBody ? {
+                    contentType: operation.requestBody.contentType,
+                    schema: operation.requestBody.schema,
+                    value: operation.requestBody.example !== undefined
+                        ? operation.requestBody.example
+                        : sampleFromSchema(operation.requestBody.schema, '', generator)
+                } : null,
+                responses: Object.fromEntries(Object.entries(operation.responses)
+                    .filter(([, response]) => response.schema)
+                    .map(([status, response]) => [status, response.schema]))
+            };
+        });
+
+        return `/**
+ * ${className} - API Page Object
+ * Generated from OpenAPI ${api.specVersion} spec: ${api.title} ${api.version}
+ */
+
+const axios = require('axios');
+const ApiEnvironment = require('../support/api-environment');
+
+// {{baseUrl}} resolves to the API host of ADP_ENV (or API_BASE_URL)
+const BASE_URL = ${JSON.stringify(templateBaseUrl(api.baseUrl))};
+
+// Credentials are read from these environment variables, never from the spec
+const SECURITY_SCHEMES = ${JSON.stringify(api.securitySchemes, null, 4)};
+
+const OPERATIONS = ${JSON.stringify(operations, null, 4)};
+
+const BOUNDARY_KINDS = ['minimum', 'below minimum', 'maximum', 'above maximum', 'min length', 'below min length',
+    'max length', 'above max length', 'min items', 'below min items', 'max items', 'above max items'];
+
+class ${className} {
+    constructor(baseUrl = ApiEnvironment.resolve(BASE_URL)) {
+        this.baseUrl = baseUrl;
+    }
+
+    /**
+     * Build a valid request for an operation from the sample values
+     */
+    buildRequest(operationId) {
+        const operation = OPERATIONS[operationId];
+        if (!operation) {
+            throw new Error(\`Unknown operation: \${operationId}\`);
+        }
+
+        return {
+            operationId,
+            authenticated: true,
+            parameters: operation.parameters.filter(parameter => parameter.in === 'path' || parameter.required || parameter.value !== undefined)
+                .map(parameter => ({ ...parameter })),
+            body: operation.requestBody ? JSON.parse(JSON.stringify(operation.requestBody.value)) : undefined
+        };
+    }
+
+    withoutField(request, field) {
+        const copy = this.copy(request);
+        if (copy.body && typeof copy.body === 'object' && field in copy.body) {
+            delete copy.body[field];
+        } else {
+            copy.parameters = copy.parameters.filter(parameter => parameter.name !== field);
+        }
+        return copy;
+    }
+
+    withWrongType(request, field) {
+        const schema = this.fieldSchema(request, field);
+        const wrongValues = { string: 12345, integer: 'not-a-number', number: 'not-a-number', boolean: 'not-a-boolean', array: 'not-an-array', object: 'not-an-object' };
+        const type = Array.isArray(schema.type) ? schema.type.find(item => item !== 'null') : schema.type;
+        return this.setField(request, field, type in wrongValues ? wrongValues[type] : null);
+    }
+
+    withBoundary(request, field, boundary) {
+        if (!BOUNDARY_KINDS.includes(boundary)) {
+            throw new Error(\`Unknown boundary "\${boundary}" - expected one of: \${BOUNDARY_KINDS.join(', ')}\`);
+        }
+
+        const schema = this.fieldSchema(request, field);
+        const step = schema.type === 'integer' ? 1 : 0.01;
+        const lowest = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + step : (schema.exclusiveMinimum ? schema.minimum + step : schema.minimum);
+        const highest = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - step : (schema.exclusiveMaximum ? schema.maximum - step : schema.maximum);
+        const current = this.getField(request, field);
+        const item = Array.isArray(current) && current.length > 0 ? current[0] : 'x';
+        const values = {
+            'minimum': lowest,
+            'below minimum': lowest - step,
+            'maximum': highest,
+            'above maximum': highest + step,
+            'min length': 'a'.repeat(schema.minLength || 0),
+            'below min length': 'a'.repeat(Math.max((schema.minLength || 1) - 1, 0)),
+            'max length': 'a'.repeat(schema.maxLength || 0),
+            'above max length': 'a'.repeat((schema.maxLength || 0) + 1),
+            'min items': Array(schema.minItems || 0).fill(item),
+            'below min items': Array(Math.max((schema.minItems || 1) - 1, 0)).fill(item),
+            'max items': Array(schema.maxItems || 0).fill(item),
+            'above max items': Array((schema.maxItems || 0) + 1).fill(item)
+        };
+
+        return this.setField(request, field, values[boundary]);
+    }
+
+    /**
+     * Send a request built from the operation catalogue
+     */
+    async send(request) {
+        const operation = OPERATIONS[request.operationId];
+        const headers = {};
+        const params = {};
+        let url = this.baseUrl + operation.path;
+
+        request.parameters.forEach(parameter => {
+            if (parameter.in === 'path') {
+                url = url.replace(\`{\${parameter.name}}\`, encodeURIComponent(parameter.value));
+            } else if (parameter.in === 'query') {
+                params[parameter.name] = parameter.value;
+            } else if (parameter.in === 'header') {
+                headers[parameter.name] = String(parameter.value);
+            }
+        });
+
+        if (request.authenticated) {
+            this.applyCredentials(operation, headers, params);
+        }
+
+        let data = request.body;
+        if (operation.requestBody) {
+            headers['Content-Type'] = operation.requestBody.contentType;
+            if (/x-www-form-urlencoded/.test(operation.requestBody.contentType) && data) {
+                data = new URLSearchParams(data).toString();
+            }
+        }
+
+        const startTime = Date.now();
+        // indexes: null sends arrays as repeated keys (OpenAPI form/explode style)
+        const response = await axios({
+            method: operation.method, url, params, headers, data,
+            paramsSerializer: { indexes: null },
+            validateStatus: () => true
+        });
+
+        return {
+            url,
+            status: response.status,
+            data: response.data,
+            headers: response.headers,
+            time: Date.now() - startTime
+        };
+    }
+
+    applyCredentials(operation, headers, params) {
+        const requirement = operation.security[0] || [];
+
+        requirement.forEach(name => {
+            const scheme = SECURITY_SCHEMES[name];
+            if (!scheme) return;
+            const [first, second] = scheme.env.map(env => process.env[env]);
+
+            if (scheme.type === 'basic' && first) {
+                headers.Authorization = \`Basic \${Buffer.from(\`\${first}:\${second || ''}\`).toString('base64')}\`;
+            } else if (scheme.type === 'bearer' && first) {
+                headers.Authorization = \`Bearer \${first}\`;
+            } else if (scheme.type === 'apiKey' && first) {
+                if (scheme.in === 'query') {
+                    params[scheme.name] = first;
+                } else {
+                    headers[scheme.name] = first;
+                }
+            }
+        });
+    }
+
+    missingCredentials(request) {
+        const requirement = OPERATIONS[request.operationId].security[0] || [];
+        return requirement
+            .flatMap(name => (SECURITY_SCHEMES[name] ? SECURITY_SCHEMES[name].env.slice(0, 1) : []))
+            .filter(env => !process.env[env]);
+    }
+
+    responseSchema(operationId, status) {
+        const responses = OPERATIONS[operationId].responses;
+        const schema = responses[status] || responses[\`\${String(status).charAt(0)}XX\`] || responses.default;
+        if (!schema) {
+            throw new Error(\`No "\${status}" response schema documented for \${operationId}\`);
+        }
+        return schema;
+    }
+
+    extract(data, jsonPath) {
+        const keys = [...jsonPath.matchAll(/\\.([A-Za-z_$][\\w$]*)|\\[(\\d+)\\]|\\['([^']+)'\\]/g)]
+            .map(match => match[1] || match[2] || match[3]);
+        return keys.reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), data);
+    }
+
+    /**
+     * Field helpers - a field is a top-level body property or a parameter
+     */
+    fieldSchema(request, field) {
+        const operation = OPERATIONS[request.operationId];
+        const bodySchema = operation.requestBody && operation.requestBody.schema;
+        if (bodySchema && bodySchema.properties && bodySchema.properties[field]) {
+            return bodySchema.properties[field];
+        }
+        const parameter = operation.parameters.find(candidate => candidate.name === field);
+        if (!parameter) {
+            throw new Error(\`\${request.operationId} has no field or parameter named "\${field}"\`);
+        }
+        return parameter.schema;
+    }
+
+    getField(request, field) {
+        if (request.body && typeof request.body === 'object' && field in request.body) {
+            return request.body[field];
+        }
+        const parameter = request.parameters.find(candidate => candidate.name === field);
+        return parameter ? parameter.value : undefined;
+    }
+
+    setField(request, field, value) {
+        const copy = this.copy(request);
+        const operation = OPERATIONS[request.operationId];
+        const parameter = operation.parameters.find(candidate => candidate.name === field);
+
+        if (parameter && !(copy.body && typeof copy.body === 'object' && field in copy.body)) {
+            copy.parameters = copy.parameters.filter(candidate => candidate.name !== field)
+                .concat({ ...parameter, value });
+        } else {
+            copy.body = { ...(copy.body || {}), [field]: value };
+        }
+        return copy;
+    }
+
+    copy(request) {
+        return JSON.parse(JSON.stringify(request));
+    }
+}
+
+${className}.OPERATIONS = OPERATIONS;
+
+module.exports = ${className};
+`;
+    }
+
     /**
      * Helper methods
      */
@@ -485,7 +1419,24 @@ describe('${className} API Tests', () => {
         return `${cmd.method}${cleanEndpoint}API`;
     }
 
+    generateApiName(title, filePath) {
+        const name = this.toSnakeCase(title || path.basename(filePath, path.extname(filePath)))
+            .replace(/_?(open_?api|swagger|api|spec)$/g, '');
+        return name || 'openapi';
+    }
+
+    toSnakeCase(value) {
+        return String(value)
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_|_$/g, '')
+            .toLowerCase();
+    }
+
     extractBaseUrl(url) {
+        if (url.startsWith('{{baseUrl}}')) {
+            return '{{baseUrl}}';
+        }
         try {
             const urlObj = new URL(url);
             return `${urlObj.protocol}//${urlObj.host}`;
@@ -496,6 +1447,9 @@ describe('${className} API Tests', () => {
     }
 
     extractEndpoint(url) {
+        if (url.startsWith('{{baseUrl}}')) {
+            return url.slice('{{baseUrl}}'.length) || '/';
+        }
         try {
             const urlObj = new URL(url);
             return urlObj.pathname + urlObj.search;
@@ -7,6 +7,28 @@ const path = require('path');
 const fs = require('fs-extra');
 const Handlebars = require('handlebars');
 const FrameworkAdapter = require('./framework-adapter');
+const gherkin = require('../utils/gherkin-document');
+const { formatGherkin, parseGherkin } = gherkin;
+const { extractOutlines } = require('../utils/criteria-tables');
+const { expandEdgeCases, parseExpansionKinds } = require('../utils/edge-case-expander');
+const { loadRoleMatrix, applyRoleMatrix, DEFAULT_MATRIX_PATH } = require('../utils/role-matrix');
+const {
+    traceId,
+    traceTag,
+    uniqueCriteria,
+    buildTraceabilityMatrix,
+    writeTraceabilityReport,
+    DEFAULT_RESULTS_PATH
+} = require('../utils/traceability');
+const { writeGeneratedFile, isDryRun } = require('../utils/artifact-merge');
+const {
+    loadDomainPacks,
+    rankDomainPacks,
+    selectScenarios,
+    selectFeatureTitle,
+    toScenarioNode,
+    personaDescription
+} = require('../utils/domain-packs');
 
 class CucumberAdapter extends FrameworkAdapter {
     constructor() {
@@ -58,13 +80,15 @@ class CucumberAdapter extends FrameworkAdapter {
             };
         }
 
-        const { requirement, requirementFile, outputDir, analysis } = options;
+        const { requirement, requirementFile, outputDir, analysis, story } = options;
         
         let requirementText = requirement;
         let baseName = 'generated-feature';
         
-        // Handle different input formats - prioritize source file information from templateContext
-        if (templateContext?.sourceFile && typeof templateContext.sourceFile === 'string') {
+        // Handle different input formats - prioritize explicit names, then source file information from templateContext
+        if (options.baseName) {
+            baseName = options.baseName;
+        } else if (templateContext?.sourceFile && typeof templateContext.sourceFile === 'string') {
             // Use source file name from template context (passed through from auto-coder)
             baseName = path.basename(templateContext.sourceFile, path.extname(templateContext.sourceFile));
             requirementText = templateContext.requirementText || requirement;
@@ -82,13 +106,23 @@ class CucumberAdapter extends FrameworkAdapter {
         
         // Generate context for templates
         const context = this.buildContext(enhancedAnalysis, baseName, requirementText);
+        if (story) {
+            this.applyStory(context, story);
+        }
         
-        // Generate artifacts
-        const artifacts = {
-            feature: this.generateFeatureFile(context),
-            steps: this.generateStepDefinitions(context),
-            page: this.generatePageObject(context)
-        };
+        // Opt-in @negative/@boundary scenarios, driven by the RequirementAnalyzer analysis when AutoCoder passes one
+        context.expand = parseExpansionKinds(options.expand || templateContext?.expand);
+        context.requirementAnalysis = analysis;
+        
+        // Opt-in per-role allowed/denied variants (true = config/role-matrix.json, or a matrix file path)
+        const roleMatrix = options.roleMatrix || templateContext?.roleMatrix;
+        context.roleMatrix = roleMatrix ? loadRoleMatrix(typeof roleMatrix === 'string' ? roleMatrix : DEFAULT_MATRIX_PATH) : null;
+        
+        // Generate artifacts - step definitions are parsed from the generated feature
+        const artifacts = { feature: this.generateFeatureFile(context) };
+        context.feature = artifacts.feature;
+        artifacts.steps = this.generateStepDefinitions(context);
+        artifacts.page = this.generatePageObject(context);
         
         // Ensure output directory structure is valid per AGENT_PROMPTS requirements
         const validOutputDir = outputDir || './SBS_Automation';
@@ -101,22 +135,40 @@ class CucumberAdapter extends FrameworkAdapter {
         const testsDir = path.join(validOutputDir, 'tests');
         const summaryDir = path.join(validOutputDir, 'summary');
         
-        await fs.ensureDir(featuresDir);
-        await fs.ensureDir(stepsDir);
-        await fs.ensureDir(pagesDir);
-        await fs.ensureDir(supportDir);
-        await fs.ensureDir(testsDir);
-        await fs.ensureDir(summaryDir);
+        // Dry runs only record the planned writes (see artifact-merge), so leave the tree untouched
+        if (!isDryRun()) {
+            await fs.ensureDir(featuresDir);
+            await fs.ensureDir(stepsDir);
+            await fs.ensureDir(pagesDir);
+            await fs.ensureDir(supportDir);
+            await fs.ensureDir(testsDir);
+            await fs.ensureDir(summaryDir);
+        }
         
+        // Structured stories (JIRA components) place artifacts in their SBS module folder
+        const moduleDir = context.module || '';
         const files = {
-            feature: path.join(featuresDir, `${baseName}.feature`),
-            steps: path.join(stepsDir, `${baseName}-steps.js`),
-            page: path.join(pagesDir, `${baseName}-page.js`)
+            feature: path.join(featuresDir, moduleDir, `${baseName}.feature`),
+            steps: path.join(stepsDir, moduleDir, `${baseName}-steps.js`),
+            page: path.join(pagesDir, moduleDir, `${baseName}-page.js`)
         };
         
-        await fs.writeFile(files.feature, artifacts.feature);
-        await fs.writeFile(files.steps, artifacts.steps);
-        await fs.writeFile(files.page, artifacts.page);
+        if (moduleDir && !isDryRun()) {
+            await Promise.all(Object.values(files).map(file => fs.ensureDir(path.dirname(file))));
+        }
+        
+        // Regeneration merges with hand edits made since the last run instead of overwriting them
+        const merge = {};
+        Object.entries(files).forEach(([type, file]) => {
+            const { status, conflicts } = writeGeneratedFile(file, artifacts[type]);
+            merge[type] = { status, conflicts };
+        });
+        
+        // Criterion -> scenarios -> steps -> page methods report, highlighting uncovered criteria
+        const traceability = await this.writeTraceability(context, artifacts, files, {
+            outputDir: summaryDir,
+            resultsPath: options.results || templateContext?.results || DEFAULT_RESULTS_PATH
+        });
         
         // Return in format expected by framework manager
         return {
@@ -126,11 +178,44 @@ class CucumberAdapter extends FrameworkAdapter {
                 framework: 'cucumber',
                 generatedAt: new Date().toISOString(),
                 baseName: baseName,
-                requirementLength: requirementText.length
+                requirementLength: requirementText.length,
+                traceability,
+                merge,
+                ...(story ? { source: story.source, issueKey: story.key, module: context.module } : {})
             }
         };
     }
 
+    /**
+     * Build and write the traceability report for the generated artifacts; null when there are no criteria
+     */
+    async writeTraceability(context, artifacts, files, { outputDir, resultsPath }) {
+        if (!context.criteria || context.criteria.length === 0) {
+            return null;
+        }
+        
+        const matrix = buildTraceabilityMatrix({
+            criteria: context.criteria,
+            feature: artifacts.feature,
+            steps: artifacts.steps,
+            page: artifacts.page,
+            resultsPath
+        });
+        const reportFiles = isDryRun() ? null : await writeTraceabilityReport(matrix, {
+            outputDir,
+            baseName: context.baseName,
+            title: context.featureName,
+            criteria: context.criteria,
+            files
+        });
+        
+        if (matrix.uncovered.length > 0) {
+            console.log(`⚠️  Traceability: ${matrix.uncovered.length} of ${matrix.rows.length} acceptance criteria have no scenario`);
+        }
+        
+        return { coverage: matrix.coverage, uncovered: matrix.uncovered, files: reportFiles };
+    }
+
     /**
      * Analyze requirement text to extract key information
      */
@@ -140,8 +225,12 @@ class CucumberAdapter extends FrameworkAdapter {
             text = 'Default requirement text';
         }
         
+        // The no-ai fallback pack is not ranked - unmatched text keeps the requirement-specific steps
+        const [rankedPack] = rankDomainPacks(text, loadDomainPacks());
+        const domainPack = rankedPack ? rankedPack.pack : null;
         const analysis = {
-            featureName: this.extractFeatureName(text),
+            domainPack,
+            featureName: selectFeatureTitle(domainPack, text) || this.extractFeatureName(text),
             domain: this.extractDomain(text),
             scenarios: this.extractScenarios(text),
             entities: this.extractEntities(text),
@@ -160,19 +249,8 @@ class CucumberAdapter extends FrameworkAdapter {
             return 'Feature Implementation';
         }
         
-        // Extract feature name from first line or key phrases
+        // Domain pack titles are tried first (analyzeRequirement) - fall back to the first line
         const firstLine = text.split('\n')[0].trim();
-        
-        // Look for key phrases that indicate the feature
-        if (text.includes('Workers\' comp') && text.includes('Additional requirements')) {
-            return 'Workers Comp Additional Requirements Step';
-        }
-        
-        if (text.includes('CFC') && text.includes('landing')) {
-            return 'CFC Landing Page Access';
-        }
-        
-        // Fallback to first line
         return firstLine.length > 5 ? firstLine : 'Feature Implementation';
     }
 
@@ -268,16 +346,31 @@ class CucumberAdapter extends FrameworkAdapter {
             
             lines.forEach(line => {
                 const trimmedLine = line.trim();
-                if (trimmedLine && !trimmedLine.includes(':') && trimmedLine.length > 10) {
+                if (trimmedLine && !trimmedLine.includes(':') && !trimmedLine.startsWith('|') && trimmedLine.length > 10) {
                     scenarios.push({
                         name: this.generateScenarioName(trimmedLine),
                         description: trimmedLine,
-                        originalText: trimmedLine
+                        originalText: trimmedLine,
+                        traceId: traceId(trimmedLine),
+                        tags: [traceTag(traceId(trimmedLine))]
                     });
                 }
             });
         }
         
+        // Input/output tables become one Scenario Outline each instead of a flat scenario per row
+        extractOutlines(text).forEach(outline => {
+            scenarios.push({
+                name: outline.name,
+                description: outline.name,
+                originalText: outline.name,
+                traceId: traceId(outline.name),
+                tags: [traceTag(traceId(outline.name))],
+                steps: outline.steps,
+                examples: outline.examples
+            });
+        });
+        
         // Add feature flag scenarios if present
         const featureFlags = this.extractFeatureFlags(text);
         if (featureFlags.length > 0) {
@@ -420,12 +513,94 @@ class CucumberAdapter extends FrameworkAdapter {
             scenarios: analysis.scenarios,
             featureFlags: analysis.featureFlags,
             acceptanceCriteria: analysis.acceptanceCriteria,
+            criteria: this.collectCriteria(analysis),
             requirementText: requirementText,
+            domainPack: analysis.domainPack,
+            uiElements: (analysis.domainPack?.pages || []).flatMap(page => page.elements),
             className: this.toPascalCase(baseName),
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Acceptance criteria with their trace IDs: every criterion line (table rows excluded) and
+     * every criteria table, whether or not a scenario was derived from it
+     */
+    collectCriteria(analysis) {
+        return uniqueCriteria([
+            ...analysis.acceptanceCriteria
+                .filter(line => !line.startsWith('|'))
+                .map(line => ({ id: traceId(line), text: line })),
+            ...analysis.scenarios
+                .filter(scenario => scenario.traceId)
+                .map(scenario => ({ id: scenario.traceId, text: scenario.originalText }))
+        ]);
+    }
+
+    /**
+     * Use a structured story (JIRA, image analysis) instead of text heuristics: summary, issue-key tags,
+     * components as tags/module folder, and one scenario per acceptance criterion
+     */
+    applyStory(context, story) {
+        const keyTag = story.key ? `@${story.key}` : null;
+
+        context.fromStory = true;
+        context.issueKey = story.key;
+        context.module = story.module;
+        context.category = story.module || context.category;
+        context.featureName = this.storyTitle(story) || context.featureName;
+        context.storyNarrative = story.narrative || null;
+        context.tags = [
+            keyTag,
+            ...story.components.map(component => `@Component:${component.replace(/\s+/g, '')}`),
+            ...story.labels.map(label => `@${label.replace(/\s+/g, '-')}`)
+        ].filter(Boolean);
+
+        if (story.acceptanceCriteria.length > 0) {
+            // Trace IDs are scoped by the issue key so criteria with the same wording in two stories stay distinct
+            const criteria = story.acceptanceCriteria.map(criterion => ({
+                id: traceId(criterion.text || criterion.name, story.key),
+                text: criterion.text || criterion.name
+            }));
+            context.criteria = uniqueCriteria(criteria);
+            context.scenarios = story.acceptanceCriteria.map((criterion, index) => ({
+                name: criterion.name || this.truncateAtWord(this.generateScenarioName(criterion.text), 120),
+                description: criterion.text,
+                originalText: criterion.text,
+                tags: [keyTag, traceTag(criteria[index].id)].filter(Boolean),
+                steps: criterion.steps.length ? criterion.steps : undefined,
+                examples: criterion.examples
+            }));
+        }
+
+        // Screen elements detected in mockups become page object locators
+        context.uiElements = story.uiElements?.length ? story.uiElements : context.uiElements || [];
+
+        return context;
+    }
+
+    /**
+     * Feature title for a story: the first sentence of its summary (or description), never a whole paragraph
+     */
+    storyTitle(story) {
+        const source = [story.summary, story.description].find(text => text && text.trim()) || '';
+        const firstLine = source.trim().split('\n')[0].trim();
+        const sentence = firstLine.match(/^.+?[.!?](?=\s|$)/)?.[0] || firstLine;
+        return this.truncateAtWord(sentence.replace(/[.!?]+$/, ''), 80);
+    }
+
+    /**
+     * Shorten text to at most max characters without cutting a word in half
+     */
+    truncateAtWord(text, max) {
+        if (text.length <= max) {
+            return text;
+        }
+        const cut = text.slice(0, max + 1);
+        const lastSpace = cut.lastIndexOf(' ');
+        return (lastSpace > 0 ? cut.slice(0, lastSpace) : text.slice(0, max)).replace(/[\s,;:-]+$/, '');
+    }
+
     toPascalCase(str) {
         return str
             .split(/[-_\\s]+/)
@@ -434,110 +609,113 @@ class CucumberAdapter extends FrameworkAdapter {
     }
 
     /**
-     * Generate feature file based on actual requirement content
+     * Generate feature file based on actual requirement content - built as a Gherkin document
+     * and emitted through the shared pretty-printer
      */
     generateFeatureFile(context) {
-        let featureContent = `Feature: ${context.featureName}\n`;
+        // The story's own narrative wins; otherwise user story and background come from the best-ranked domain pack (domains/*.yaml)
+        const requirementText = context.requirementText || '';
+        const pack = context.domainPack;
+        const description = context.storyNarrative || (pack?.persona
+            ? personaDescription(pack.persona)
+            : [
+                `As a ${context.primaryRole}`,
+                `I want to ${context.primaryAction} ${context.primaryEntity}`,
+                'So that I can achieve my business objectives'
+            ].join('\n'));
+        
+        const backgroundSteps = pack?.background.length
+            ? pack.background
+            : ['Given I am authenticated in the system', `And I am on the ${context.domain} page`];
+        
+        const background = gherkin.background({ steps: backgroundSteps });
+        const scenarios = [...this.generateScenarioNodes(context), ...this.generateEdgeCaseNodes(context)];
+        
+        return formatGherkin(gherkin.feature({
+            name: context.featureName,
+            tags: context.tags || [],
+            description,
+            children: context.roleMatrix
+                ? applyRoleMatrix({ background, scenarios }, requirementText, context.roleMatrix)
+                : [background, ...scenarios]
+        }));
+    }
+
+    /**
+     * Negative and boundary scenarios requested with the expand option
+     */
+    generateEdgeCaseNodes(context) {
+        if (!context.expand || context.expand.length === 0) {
+            return [];
+        }
         
-        // Generate proper user story based on requirement
+        const analysis = context.requirementAnalysis;
+        return expandEdgeCases({
+            text: context.requirementText || '',
+            entities: analysis?.entities?.length ? analysis.entities : [context.primaryEntity],
+            actions: analysis?.actions?.length ? analysis.actions : [context.primaryAction],
+            roles: analysis?.roles?.length ? analysis.roles : [context.primaryRole],
+            inputLabels: (context.uiElements || []).filter(element => element.type === 'input').map(element => element.label)
+        }, context.expand);
+    }
+
+    /**
+     * Scenario nodes in order of precedence: structured story, targeted domain pack skeletons,
+     * extracted scenarios, SBS patterns, default pack skeletons, requirement-specific fallback
+     */
+    generateScenarioNodes(context) {
         const requirementText = context.requirementText || '';
-        if (context.featureName.includes('CFC') || requirementText.includes('RUN client')) {
-            featureContent += `  As a RUN client\n`;
-            featureContent += `  I want to have the ability to access CashFlow Central (CFC)\n`;
-            featureContent += `  So that I can benefit from the services offered and streamline my financial operations\n\n`;
-        } else if (context.featureName.includes('Workers Comp') || requirementText.includes('Workers')) {
-            featureContent += `  As a tax professional\n`;
-            featureContent += `  I want to move Workers' comp under Additional requirements step\n`;
-            featureContent += `  So that I can properly organize tax requirements with feature flag control\n\n`;
-        } else {
-            featureContent += `  As a ${context.primaryRole}\n`;
-            featureContent += `  I want to ${context.primaryAction} ${context.primaryEntity}\n`;
-            featureContent += `  So that I can achieve my business objectives\n\n`;
+        const packScenarios = selectScenarios(context.domainPack, requirementText);
+        
+        if (context.fromStory && context.scenarios.length > 0) {
+            return this.generateStoryScenarios(context);
+        }
+        if (packScenarios.targeted) {
+            return packScenarios.scenarios.map(toScenarioNode);
+        }
+        if (context.scenarios.length > 0) {
+            return context.scenarios.map(scenario => gherkin.scenario({
+                name: scenario.name,
+                tags: scenario.tags || [],
+                steps: scenario.steps || [
+                    // Generate context-specific steps
+                    ...(scenario.featureFlag ? [`Given the feature flag "${scenario.featureFlag}" is enabled`] : []),
+                    ...this.generateScenarioSteps(scenario, context)
+                ],
+                examples: scenario.examples
+            }));
         }
         
-        // Add background
-        featureContent += `  Background:\n`;
-        if (context.domain === 'financial' || requirementText.includes('CFC')) {
-            featureContent += `    Given I am authenticated as a RUN client\n`;
-            featureContent += `    And I am on the main navigation menu\n\n`;
-        } else if (context.domain === 'tax' || requirementText.includes('Workers')) {
-            featureContent += `    Given I am on the tax configuration page\n`;
-            featureContent += `    And the system is configured for tax profile management\n\n`;
-        } else {
-            featureContent += `    Given I am authenticated in the system\n`;
-            featureContent += `    And I am on the ${context.domain} page\n\n`;
+        // DYNAMIC SBS PATTERN-BASED SCENARIO GENERATION (replaces hardcoded generic steps)
+        const sbsScenarios = this.generateSBSBasedScenarios(context);
+        if (sbsScenarios.length > 0) {
+            return sbsScenarios.map(scenario => gherkin.scenario({ name: scenario.name, steps: scenario.steps }));
         }
         
-        // Generate scenarios based on actual requirements
-        if (requirementText.includes('CFC') && requirementText.includes('Learn More')) {
-            featureContent += `  Scenario: Client facing roles can access Learn More functionality\n`;
-            featureContent += `    Given I have client facing role permissions\n`;
-            featureContent += `    When I access the CFC menu option\n`;
-            featureContent += `    Then I should be able to click on "Learn More"\n`;
-            featureContent += `    And I should see IPM content on "Learn More" page\n\n`;
-            
-            featureContent += `  Scenario: Role 67 restriction for Learn More access\n`;
-            featureContent += `    Given I am logged in with Role 67\n`;
-            featureContent += `    When I access the CFC menu option\n`;
-            featureContent += `    Then I should not have access to the "Learn More" functionality\n`;
-        } else if (requirementText.includes('Workers') && requirementText.includes('feature flag')) {
-            featureContent += `  Scenario: Move Workers comp with feature flag enabled\n`;
-            featureContent += `    Given the feature flag "workersCompReorganization" is enabled\n`;
-            featureContent += `    When I access the tax profile configuration\n`;
-            featureContent += `    Then Workers comp should be moved to Additional requirements step\n`;
-            featureContent += `    And the workflow should be properly organized\n\n`;
-            
-            featureContent += `  Scenario: Workers comp remains in current location when flag disabled\n`;
-            featureContent += `    Given the feature flag "workersCompReorganization" is disabled\n`;
-            featureContent += `    When I access the tax profile configuration\n`;
-            featureContent += `    Then Workers comp should remain in Tax Profile section\n`;
-        } else if (context.scenarios.length > 0) {
-            context.scenarios.forEach((scenario, index) => {
-                if (scenario.tags) {
-                    featureContent += `  ${scenario.tags.join(' ')}\n`;
-                }
-                featureContent += `  Scenario: ${scenario.name}\n`;
-                
-                // Generate context-specific steps
-                if (scenario.featureFlag) {
-                    featureContent += `    Given the feature flag "${scenario.featureFlag}" is enabled\n`;
-                }
-                
-                const steps = this.generateScenarioSteps(scenario, context);
-                steps.forEach(step => {
-                    featureContent += `    ${step}\n`;
-                });
-                
-                if (index < context.scenarios.length - 1) {
-                    featureContent += `\n`;
-                }
-            });
-        } else {
-            // DYNAMIC SBS PATTERN-BASED SCENARIO GENERATION (replaces hardcoded generic steps)
-            const sbsScenarios = this.generateSBSBasedScenarios(context);
-            
-            if (sbsScenarios.length > 0) {
-                // Use SBS patterns to generate requirement-specific scenarios
-                sbsScenarios.forEach((scenario, index) => {
-                    featureContent += `  Scenario: ${scenario.name}\n`;
-                    scenario.steps.forEach(step => {
-                        featureContent += `    ${step}\n`;
-                    });
-                    if (index < sbsScenarios.length - 1) {
-                        featureContent += `\n`;
-                    }
-                });
-            } else {
-                // Fallback only if no SBS patterns match - but make it requirement-specific
-                const requirementSpecificSteps = this.generateRequirementSpecificSteps(context);
-                featureContent += `  Scenario: ${context.featureName} functionality\n`;
-                requirementSpecificSteps.forEach(step => {
-                    featureContent += `    ${step}\n`;
-                });
-            }
+        // Default skeletons of the matched domain pack
+        if (packScenarios.scenarios.length > 0) {
+            return packScenarios.scenarios.map(toScenarioNode);
         }
         
-        return featureContent;
+        // Fallback only if no SBS patterns match - but make it requirement-specific
+        return [gherkin.scenario({
+            name: `${context.featureName} functionality`,
+            steps: this.generateRequirementSpecificSteps(context)
+        })];
+    }
+
+    /**
+     * Structured story scenarios, keeping Given/When/Then steps and tables verbatim
+     */
+    generateStoryScenarios(context) {
+        return context.scenarios.map(scenario => gherkin.scenario({
+            name: scenario.name,
+            tags: scenario.tags || [],
+            steps: scenario.steps
+                ? scenario.steps.map(step => gherkin.step(step.keyword, step.text, { dataTable: step.dataTable }))
+                : this.generateScenarioSteps(scenario, context),
+            examples: scenario.examples && scenario.examples.length ? scenario.examples : undefined
+        }));
     }
 
     generateScenarioSteps(scenario, context) {
@@ -584,7 +762,7 @@ class CucumberAdapter extends FrameworkAdapter {
         const featureSteps = this.extractStepsFromFeature(context.feature);
         
         // Generate minimal, clean step definitions following SBS_Automation rules
-        const pagePathPrefix = '../../pages/common/';
+        const pagePathPrefix = `../../pages/${context.module || 'common'}/`;
         const pageFileName = `${context.baseName}-page`;
         
         let stepDefinitions = `const { Given, When, Then } = require('@cucumber/cucumber');
@@ -593,13 +771,23 @@ const ${context.className}Page = require('${pagePathPrefix}${pageFileName}');
 
 `;
 
-        // Generate step definitions for each extracted step
+        // Generate step definitions for each extracted step (once per distinct pattern)
+        const definedPatterns = new Set();
         featureSteps.forEach(step => {
             const stepType = step.type; // Given, When, Then
             const stepText = step.text;
             const parameterizedText = this.parameterizeStepText(stepText);
             
-            stepDefinitions += `${stepType}('${parameterizedText}', async function (${this.generateStepParameters(parameterizedText)}) {
+            if (definedPatterns.has(parameterizedText)) {
+                return;
+            }
+            definedPatterns.add(parameterizedText);
+            
+            const parameters = [this.generateStepParameters(parameterizedText), step.hasDataTable ? 'dataTable' : '']
+                .filter(Boolean)
+                .join(', ');
+            
+            stepDefinitions += `${stepType}('${parameterizedText.replace(/'/g, "\\'")}', async function (${parameters}) {
   const ${context.baseName.replace(/-/g, '')}Page = new ${context.className}Page(this.page);
   ${this.generateStepImplementation(step, context)}
 });
@@ -610,6 +798,72 @@ const ${context.className}Page = require('${pagePathPrefix}${pageFileName}');
         return stepDefinitions;
     }
 
+    /**
+     * Locator constants for screen elements (buttons, fields, links, headings) from a structured story
+     */
+    generateElementLocators(context) {
+        const locators = {
+            button: element => `By.button('${this.escapeQuote(element.label)}')`,
+            link: element => `By.link('${this.escapeQuote(element.label)}')`,
+            heading: element => `By.role('heading', { name: '${this.escapeQuote(element.label)}' })`,
+            input: element => `By.xpath('//label[normalize-space()=${this.xpathLiteral(element.label)}]/following::input[1]')`
+        };
+
+        return (context.uiElements || [])
+            .filter(element => locators[element.type])
+            .map(element => `const ${element.constant} = ${locators[element.type](element)};\n`)
+            .join('');
+    }
+
+    /**
+     * Page methods for screen elements from a structured story
+     */
+    generateElementMethods(context) {
+        const methods = {
+            button: element => `
+  async click${element.name}Button() {
+    await this.clickElement(${element.constant});
+  }
+`,
+            link: element => `
+  async click${element.name}Link() {
+    await this.clickElement(${element.constant});
+  }
+`,
+            input: element => `
+  async enter${element.name}(value) {
+    await this.fill(${element.constant}, value);
+  }
+`
+        };
+
+        return (context.uiElements || [])
+            .map(element => `
+  async is${element.name}${element.type === 'heading' ? 'Heading' : ''}Visible() {
+    return await this.isVisible(${element.constant});
+  }
+${methods[element.type] ? methods[element.type](element) : ''}`)
+            .join('');
+    }
+
+    /**
+     * Extra getPageUrl entries from the domain pack page mappings
+     */
+    generatePackPageUrls(context) {
+        return (context.domainPack?.pages || [])
+            .filter(page => page.url)
+            .map(page => `,\n      '${this.escapeQuote(page.id)}': '${this.escapeQuote(page.url)}'`)
+            .join('');
+    }
+
+    escapeQuote(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+
+    xpathLiteral(value) {
+        return value.includes('"') ? `'${this.escapeQuote(value)}'` : `"${value}"`;
+    }
+
     /**
      * Generate page object with proper SBS patterns
      */
@@ -622,7 +876,7 @@ let BasePage = require('../common/base-page');
 // Locator constants following SBS pattern
 const ${context.baseName.toUpperCase().replace(/-/g, '_')}_CONTAINER = By.css('[data-test-id="${context.baseName}-container"]');
 const ${context.baseName.toUpperCase().replace(/-/g, '_')}_PRIMARY_ELEMENT = By.css('[data-test-id="${context.baseName}-primary"]');
-
+${this.generateElementLocators(context)}
 class ${context.className}Page extends BasePage {
   constructor(page) {
     super(page);
@@ -637,7 +891,7 @@ class ${context.className}Page extends BasePage {
   async isPrimaryElementVisible() {
     return await this.isVisible(${context.baseName.toUpperCase().replace(/-/g, '_')}_PRIMARY_ELEMENT);
   }
-
+${this.generateElementMethods(context)}
   // Navigation methods following SBS patterns
   async navigateToPage(pageType) {
     const url = this.getPageUrl(pageType);
@@ -661,7 +915,7 @@ class ${context.className}Page extends BasePage {
       hr: '/hr',
       client: '/client',
       application: '/',
-      main: baseUrl
+      main: baseUrl${this.generatePackPageUrls(context)}
     };
     
     return urlMappings[pageType] || baseUrl;
@@ -1032,52 +1286,56 @@ module.exports = ${context.className}Page;
     }
 
     /**
-     * Extract steps from feature file content
+     * Extract steps from feature file content (And/But take the previous step type;
+     * data tables and doc strings become an extra step argument, Examples rows do not).
+     * Outline placeholders are filled from the Examples so they parameterize as {string}/{int}/{float}
      */
     extractStepsFromFeature(featureContent) {
         const steps = [];
-        const lines = featureContent.split('\n');
+        const children = parseGherkin(featureContent).feature?.children || [];
         
-        for (const line of lines) {
-            const trimmedLine = line.trim();
-            
-            // Match Given, When, Then, And, But steps
-            const stepMatch = trimmedLine.match(/^(Given|When|Then|And|But)\s+(.+)$/);
-            if (stepMatch) {
-                let stepType = stepMatch[1];
-                const stepText = stepMatch[2];
-                
-                // Convert And/But to the previous step type
-                if (stepType === 'And' || stepType === 'But') {
-                    // Find the last non-And/But step type
-                    for (let i = steps.length - 1; i >= 0; i--) {
-                        if (steps[i].type !== 'And' && steps[i].type !== 'But') {
-                            stepType = steps[i].type;
-                            break;
-                        }
-                    }
-                }
-                
+        children
+            .flatMap(child => (child.type === 'Rule' ? child.children : [child]))
+            .forEach(node => node.steps.forEach(step => {
+                const previousType = steps.length ? steps[steps.length - 1].type : 'Given';
                 steps.push({
-                    type: stepType,
-                    text: stepText,
-                    originalType: stepMatch[1]
+                    type: ['And', 'But', '*'].includes(step.keyword) ? previousType : step.keyword,
+                    text: this.fillPlaceholders(step.text, node.examples || []),
+                    originalType: step.keyword,
+                    hasDataTable: Boolean(step.dataTable || step.docString)
                 });
-            }
-        }
+            }));
         
         return steps;
     }
 
+    /**
+     * Replace <param> with a sample Examples value - a decimal when the column has one, so the
+     * definition takes {float} rather than {int}
+     */
+    fillPlaceholders(stepText, examplesList) {
+        const rows = examplesList.flatMap(examples => {
+            const [header = [], ...body] = examples.table.rows;
+            return body.map(row => Object.fromEntries(header.map((column, index) => [column, row[index]])));
+        });
+        if (rows.length === 0) return stepText;
+        
+        return stepText.replace(/<([^<>]+)>/g, (placeholder, name) => {
+            const values = rows.map(row => row[name]).filter(value => value !== undefined);
+            return values.find(value => /^-?\d+\.\d+$/.test(value)) || values[0] || placeholder;
+        });
+    }
+
     /**
      * Parameterize step text for Cucumber step definitions
      */
     parameterizeStepText(stepText) {
         // Handle common parameterization patterns
         return stepText
+            .replace(/"([^"]*)"/g, '{string}')
             .replace(/\b(hr|tap|system|employee|worker|endpoint|schema|api)\b/gi, '{word}')
-            .replace(/\b\d+\b/g, '{int}')
-            .replace(/"([^"]+)"/g, '{string}')
+            .replace(/-?\b\d+\.\d+\b/g, '{float}')
+            .replace(/-?\b\d+\b/g, '{int}')
             .replace(/\(([^)]+)\)/g, '\\($1\\)'); // Escape parentheses
     }
 
@@ -1085,7 +1343,7 @@ module.exports = ${context.className}Page;
      * Generate step parameters based on parameterized text
      */
     generateStepParameters(parameterizedText) {
-        const paramCount = (parameterizedText.match(/\{(word|int|string)\}/g) || []).length;
+        const paramCount = (parameterizedText.match(/\{(word|int|float|string)\}/g) || []).length;
         const params = [];
         
         for (let i = 0; i < paramCount; i++) {
@@ -0,0 +1,420 @@
+/**
+ * GraphQL Adapter - Turns GraphQL requests and introspection schemas into API tests
+ * Generates one Cucumber feature per operation asserting on `errors` and the selected `data` shape,
+ * a shared page object holding the operation documents, step definitions and a Node.js test
+ */
+
+const path = require('path');
+const { COMMON_API_STEPS_FILE, generateCommonApiSteps } = require('../utils/api-step-library');
+const gherkin = require('../utils/gherkin-document');
+const {
+    parseGraphQLRequest,
+    typeToString,
+    describeSelections,
+    loadIntrospection,
+    validateOperation,
+    dataSchemaFor,
+    parseDocument,
+    buildOperationForField
+} = require('../utils/graphql-parser');
+
+// Transport headers are rebuilt by axios on every send
+const IGNORED_HEADERS = /^(host|content-length|connection|accept-encoding)$/i;
+const DEFAULT_ENDPOINT = '{{baseUrl}}/graphql';
+
+class GraphQLAdapter {
+    constructor(options = {}) {
+        this.initialized = false;
+        this.options = {
+            includeMutations: false,
+            ...options
+        };
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        // Silent initialization
+        this.initialized = true;
+    }
+
+    /**
+     * Parse an introspection result and build one query per root field
+     */
+    async parseIntrospectionFile(filePath, options = {}) {
+        try {
+            const schema = await loadIntrospection(filePath);
+            const apiName = this.toSnakeCase(options.apiName || path.basename(filePath, path.extname(filePath)));
+            const operations = this.buildOperationsFromSchema(schema, options);
+
+            return {
+                success: true,
+                schema,
+                apiName,
+                operations,
+                count: operations.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                operations: []
+            };
+        }
+    }
+
+    /**
+     * Queries (and mutations when asked) for every root field, with sample values for required arguments
+     */
+    buildOperationsFromSchema(schema, options = {}) {
+        const includeMutations = options.includeMutations !== undefined ? options.includeMutations : this.options.includeMutations;
+        const roots = [['query', schema.queryType], ...(includeMutations && schema.mutationType ? [['mutation', schema.mutationType]] : [])];
+        const usedNames = new Set();
+        const operations = [];
+
+        roots.forEach(([operationType, typeName]) => {
+            Object.keys(schema.types[typeName].fields).forEach(fieldName => {
+                const built = buildOperationForField(schema, operationType, fieldName);
+                const [parsed] = parseDocument(built.document).operations;
+                operations.push(this.normalizeOperation({
+                    ...parsed,
+                    operationName: built.operationName,
+                    document: built.document,
+                    variables: built.variables,
+                    fragments: {}
+                }, {
+                    endpoint: options.graphqlEndpoint || DEFAULT_ENDPOINT,
+                    method: 'POST',
+                    headers: {},
+                    secrets: []
+                }, schema, usedNames));
+            });
+        });
+
+        return operations;
+    }
+
+    /**
+     * Split parsed cURL requests into GraphQL operations, validated when a schema is available
+     */
+    operationsFromRequests(requests, schema = null) {
+        const usedNames = new Set();
+        const operations = [];
+
+        requests.forEach(request => {
+            const endpoint = request.method === 'GET' ? request.url.split('?')[0] : request.url;
+            const headers = Object.fromEntries(Object.entries(request.headers || {})
+                .filter(([key]) => !IGNORED_HEADERS.test(key)));
+
+            parseGraphQLRequest(request).forEach(parsed => {
+                operations.push(this.normalizeOperation(parsed, {
+                    endpoint,
+                    method: request.method === 'GET' ? 'GET' : 'POST',
+                    headers,
+                    secrets: request.secrets || []
+                }, schema, usedNames));
+            });
+        });
+
+        return operations;
+    }
+
+    normalizeOperation(parsed, transport, schema, usedNames) {
+        const rootField = parsed.selections.find(selection => selection.kind === 'Field');
+        const fallbackName = rootField ? `${rootField.name.charAt(0).toUpperCase()}${rootField.name.slice(1)}` : 'Operation';
+        const name = this.uniqueName(parsed.operationName || fallbackName, usedNames);
+        const errors = schema ? validateOperation({ ...parsed, operationName: name }, schema) : [];
+
+        if (errors.length > 0) {
+            console.log(`⚠️ ${name} does not match the GraphQL schema:\n   - ${errors.join('\n   - ')}`);
+        }
+
+        return {
+            name,
+            operationName: parsed.operationName,
+            type: parsed.type,
+            document: parsed.document,
+            variables: parsed.variables || {},
+            variableDefinitions: parsed.variableDefinitions.map(definition => ({
+                name: definition.name,
+                type: typeToString(definition.type),
+                required: definition.type.kind === 'NON_NULL' && definition.defaultValue === undefined
+            })),
+            selectedFields: describeSelections(parsed.selections, parsed.fragments),
+            dataSchema: dataSchemaFor(parsed, schema),
+            validatedAgainstSchema: Boolean(schema),
+            schemaErrors: errors,
+            ...transport
+        };
+    }
+
+    /**
+     * Generate test artifacts for a set of operations sharing one page object
+     */
+    generateTestArtifacts(operations, options = {}) {
+        const apiName = this.toSnakeCase(options.apiName || 'graphql');
+
+        const artifacts = {
+            features: operations.map(operation => ({
+                filename: `${apiName}_${this.toSnakeCase(operation.name)}_graphql.feature`,
+                content: this.generateCucumberFeature(apiName, operation, options)
+            })),
+            steps: [
+                { filename: COMMON_API_STEPS_FILE, content: generateCommonApiSteps() },
+                { filename: 'graphql_api_steps.js', content: this.generateStepDefinitions() }
+            ],
+            pages: [
+                { filename: `${apiName}_graphql.js`, content: this.generatePageObject(apiName, operations) }
+            ],
+            tests: [
+                { filename: `${apiName}_graphql_test.js`, content: this.generateNodeJsTest(apiName, operations) }
+            ]
+        };
+
+        return artifacts;
+    }
+
+    /**
+     * One feature per operation - no GraphQL errors, selected data shape, missing required variables
+     */
+    generateCucumberFeature(apiName, operation, options = {}) {
+        const typeTag = `@${operation.type.charAt(0).toUpperCase()}${operation.type.slice(1)}`;
+        const tags = ['@Generated', '@API', '@GraphQL', typeTag, ...(operation.schemaErrors.length > 0 ? ['@schema-invalid'] : []), '@Team:AutoCoder'];
+        const variables = operation.variableDefinitions.map(definition => `$${definition.name}: ${definition.type}`);
+        const required = operation.variableDefinitions.filter(definition => definition.required).map(definition => definition.name);
+        const selected = operation.selectedFields.length > 200 ? `${operation.selectedFields.slice(0, 197)}...` : operation.selectedFields;
+        const schemaNotes = operation.schemaErrors.map(error => `# Schema: ${error}`);
+
+        const scenarios = [gherkin.scenario({
+            name: `${operation.name} returns the selected fields without errors`,
+            tags: ['@positive'],
+            steps: [
+                gherkin.step('When', 'I send the GraphQL operation', { comments: schemaNotes }),
+                'Then the response status should be 200',
+                'And the GraphQL response should have no errors',
+                `And the GraphQL data should match the "${operation.name}" selection`
+            ]
+        })];
+
+        if (required.length > 0) {
+            scenarios.push(gherkin.scenario({
+                name: `${operation.name} reports an error without the required "<variable>" variable`,
+                tags: ['@negative'],
+                steps: [
+                    'When I send the GraphQL operation without the "<variable>" variable',
+                    'Then the GraphQL response should report an error'
+                ],
+                examples: [['variable'], ...required.map(name => [name])]
+            }));
+        }
+
+        return gherkin.formatGherkin(gherkin.feature({
+            name: `GraphQL ${operation.type} ${operation.name}`,
+            tags,
+            description: [
+                'As a test automation engineer',
+                `I want to validate the ${operation.name} GraphQL ${operation.type}`,
+                'So that I can ensure it answers without errors in the shape it selects',
+                `Variables: ${variables.length > 0 ? variables.join(', ') : 'none'}`,
+                `Selected fields: ${selected}`
+            ].join('\n'),
+            children: [
+                gherkin.background({ steps: [`Given the "${apiName}" GraphQL operation "${operation.name}"`] }),
+                ...scenarios
+            ]
+        }));
+    }
+
+    /**
+     * Generate step definitions shared by every GraphQL operation feature
+     */
+    generateStepDefinitions() {
+        return `const { Given, When, Then } = require('@cucumber/cucumber');
+const { assert } = require('chai');
+const SchemaValidator = require('../support/schema-validator');
+
+Given('the {string} GraphQL operation {string}', function (apiName, operationName) {
+    const Api = require(\`../pages/\${apiName}_graphql\`);
+    this.api = new Api();
+    this.request = this.api.buildRequest(operationName);
+    this.variables = this.variables || {};
+
+    const missing = this.api.missingSecrets(operationName);
+    assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this operation\`);
+});
+
+When('I send the GraphQL operation', async function () {
+    this.response = await this.api.send(this.request);
+});
+
+When('I send the GraphQL operation without the {string} variable', async function (variable) {
+    this.response = await this.api.send(this.api.withoutVariable(this.request, variable));
+});
+
+Then('the GraphQL response should have no errors', function () {
+    const errors = (this.response.data && this.response.data.errors) || [];
+    assert.isEmpty(errors, \`GraphQL errors: \${errors.map(error => error.message).join('; ')}\`);
+});
+
+Then('the GraphQL response should report an error', function () {
+    const errors = (this.response.data && this.response.data.errors) || [];
+    assert.isTrue(this.response.status >= 400 || errors.length > 0,
+        \`Expected GraphQL errors or a 4xx status, got \${this.response.status} without errors\`);
+});
+
+Then('the GraphQL data should match the {string} selection', function (operationName) {
+    assert.exists(this.response.data && this.response.data.data, 'GraphQL response has no data');
+    SchemaValidator.assert(this.api.dataSchema(operationName), this.response.data.data, \`\${operationName} data\`);
+});
+`;
+    }
+
+    /**
+     * Generate the GraphQL page object holding the operation documents
+     */
+    generatePageObject(apiName, operations) {
+        const className = this.generateClassName(apiName);
+        const catalogue = Object.fromEntries(operations.map(operation => [operation.name, {
+            type: operation.type,
+            operationName: operation.operationName,
+            endpoint: operation.endpoint,
+            method: operation.method,
+            headers: operation.headers,
+            secrets: operation.secrets,
+            document: operation.document,
+            variables: operation.variables,
+            requiredVariables: operation.variableDefinitions.filter(definition => definition.required).map(definition => definition.name),
+            dataSchema: operation.dataSchema
+        }]));
+
+        return `/**
+ * ${className} - GraphQL Page Object
+ * Generated operations: ${operations.map(operation => operation.name).join(', ')}
+ */
+
+const axios = require('axios');
+const ApiEnvironment = require('../support/api-environment');
+
+// {{baseUrl}} and {{secret:NAME}} placeholders are resolved for ADP_ENV at send time
+const OPERATIONS = ${JSON.stringify(catalogue, null, 4)};
+
+class ${className} {
+    operation(name) {
+        const operation = OPERATIONS[name];
+        if (!operation) {
+            throw new Error(\`Unknown GraphQL operation: \${name}\`);
+        }
+        return operation;
+    }
+
+    missingSecrets(name) {
+        return ApiEnvironment.missingSecrets(this.operation(name).secrets);
+    }
+
+    buildRequest(name) {
+        return { name, variables: JSON.parse(JSON.stringify(this.operation(name).variables)) };
+    }
+
+    withoutVariable(request, variable) {
+        const variables = { ...request.variables };
+        delete variables[variable];
+        return { ...request, variables };
+    }
+
+    dataSchema(name) {
+        return this.operation(name).dataSchema;
+    }
+
+    async send(request) {
+        const operation = this.operation(request.name);
+        const url = ApiEnvironment.resolve(operation.endpoint);
+        const headers = { ...ApiEnvironment.resolveAll(operation.headers), 'Content-Type': 'application/json' };
+        const payload = {
+            query: operation.document,
+            variables: request.variables,
+            ...(operation.operationName ? { operationName: operation.operationName } : {})
+        };
+
+        const startTime = Date.now();
+        const response = operation.method === 'GET'
+            ? await axios({ method: 'GET', url, headers, params: { ...payload, variables: JSON.stringify(payload.variables) }, validateStatus: () => true })
+            : await axios({ method: 'POST', url, headers, data: payload, validateStatus: () => true });
+
+        return {
+            url,
+            status: response.status,
+            data: response.data,
+            headers: response.headers,
+            time: Date.now() - startTime
+        };
+    }
+
+    extract(data, jsonPath) {
+        const keys = [...jsonPath.matchAll(/\\.([A-Za-z_$][\\w$]*)|\\[(\\d+)\\]|\\['([^']+)'\\]/g)]
+            .map(match => match[1] || match[2] || match[3]);
+        return keys.reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), data);
+    }
+}
+
+${className}.OPERATIONS = OPERATIONS;
+
+module.exports = ${className};
+`;
+    }
+
+    /**
+     * Generate Node.js test - every operation answers without errors in its selected shape
+     */
+    generateNodeJsTest(apiName, operations) {
+        const className = this.generateClassName(apiName);
+        const tests = operations.map(operation => `
+    test('${operation.name} returns the selected fields without errors', async () => {
+        const missing = api.missingSecrets('${operation.name}');
+        assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this operation\`);
+
+        const response = await api.send(api.buildRequest('${operation.name}'));
+        assert.equal(response.status, 200, \`\${response.url} returned \${response.status}\`);
+        assert.isEmpty(response.data.errors || [], 'GraphQL errors in the ${operation.name} response');
+        assert.isEmpty(SchemaValidator.validate(api.dataSchema('${operation.name}'), response.data.data), '${operation.name} data does not match its selection');
+    });`).join('\n');
+
+        return `/**
+ * ${className} - Node.js GraphQL Test
+ * Generated from ${operations.length} GraphQL operation(s)
+ */
+
+const { assert } = require('chai');
+const SchemaValidator = require('../support/schema-validator');
+const ${className} = require('../pages/${apiName}_graphql');
+
+describe('${className} GraphQL operations', () => {
+    const api = new ${className}();
+${tests}
+});
+`;
+    }
+
+    generateClassName(apiName) {
+        return `${apiName.split('_').filter(Boolean).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}GraphQL`;
+    }
+
+    uniqueName(name, usedNames) {
+        let unique = name;
+        let counter = 2;
+        while (usedNames.has(unique)) {
+            unique = `${name}${counter++}`;
+        }
+        usedNames.add(unique);
+        return unique;
+    }
+
+    toSnakeCase(value) {
+        return String(value)
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .replace(/[^A-Za-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .toLowerCase() || 'graphql';
+    }
+}
+
+module.exports = GraphQLAdapter;
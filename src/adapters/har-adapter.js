@@ -0,0 +1,675 @@
+/**
+ * HAR Adapter - Turns browser HAR captures into API flows
+ * Filters static assets and telemetry, correlates dynamic values (tokens, IDs) between calls,
+ * and generates Cucumber API features, step definitions, API page objects and Node replay tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { COMMON_API_STEPS_FILE, generateCommonApiSteps } = require('../utils/api-step-library');
+const { templateBaseUrl } = require('../utils/env-templating');
+const gherkin = require('../utils/gherkin-document');
+
+const STATIC_RESOURCE_TYPES = ['stylesheet', 'script', 'image', 'font', 'media', 'manifest', 'texttrack', 'document', 'websocket', 'ping', 'preflight'];
+const STATIC_EXTENSIONS = /\.(css|js|mjs|map|png|jpe?g|gif|svg|ico|webp|avif|woff2?|ttf|otf|eot|mp4|webm|mp3|html?)(\?|$)/i;
+const STATIC_MIME_TYPES = /^(text\/css|text\/html|(application|text)\/javascript|image\/|font\/|audio\/|video\/|application\/(font|x-font)|application\/manifest)/i;
+const TELEMETRY_PATTERNS = [
+    /google-analytics\.com|googletagmanager\.com|doubleclick\.net|analytics\.google\.com/i,
+    /segment\.(io|com)|mixpanel\.com|amplitude\.com|hotjar\.com|fullstory\.com|optimizely\.com|clarity\.ms/i,
+    /newrelic\.com|nr-data\.net|datadoghq\.com|browser-intake|sentry\.io|bugsnag\.com|omtrdc\.net|demdex\.net/i,
+    /\/(collect|beacon|telemetry|analytics|metrics|rum|track|pixel|log|logs|heartbeat)(\/|\?|$)/i
+];
+// Headers that only describe the browser or the connection
+const IGNORED_HEADERS = /^(:.*|host|connection|content-length|accept-encoding|accept-language|user-agent|origin|referer|pragma|cache-control|priority|dnt|upgrade-insecure-requests|sec-.*|if-none-match|if-modified-since)$/i;
+// Credentials are never written to generated files - they come from environment variables
+const SECRET_HEADERS = /^(authorization|cookie|x-api-key|api-key|x-auth-token|x-csrf-token|x-xsrf-token|proxy-authorization)$/i;
+const SECRET_FIELDS = /^(password|passwd|pass|secret|client_?secret|api_?key|pin|otp)$/i;
+const GENERIC_KEYS = /^(id|uuid|guid|key|value|token|code)$/i;
+const WRAPPER_KEYS = /^(data|result|results|payload|response|body|content|items|item|record)$/i;
+
+class HarAdapter {
+    constructor(options = {}) {
+        this.initialized = false;
+        this.options = {
+            flowGapMs: 5000,
+            includeHosts: null,
+            ...options
+        };
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        // Silent initialization
+        this.initialized = true;
+    }
+
+    /**
+     * Parse a HAR capture into API flows
+     */
+    async parseHarFile(filePath) {
+        try {
+            const har = await fs.readJSON(filePath);
+            const result = this.parseHar(har, { sourceFile: filePath });
+
+            return {
+                success: true,
+                ...result,
+                count: result.flows.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                flows: []
+            };
+        }
+    }
+
+    /**
+     * Normalize, filter, group and correlate HAR entries
+     */
+    parseHar(har, context = {}) {
+        if (!har || !har.log || !Array.isArray(har.log.entries)) {
+            throw new Error('Invalid HAR file: log.entries is missing');
+        }
+
+        const pages = new Map((har.log.pages || []).map(page => [page.id, page.title]));
+        const entries = har.log.entries
+            .map((entry, index) => this.normalizeEntry(entry, index))
+            .sort((a, b) => a.startedAt - b.startedAt);
+        const apiEntries = entries.filter(entry => this.isApiEntry(entry));
+        const flows = this.groupFlows(apiEntries, pages, context.sourceFile)
+            .map(flow => this.correlateFlow(flow));
+
+        return {
+            flows,
+            totalEntries: entries.length,
+            filteredEntries: entries.length - apiEntries.length
+        };
+    }
+
+    /**
+     * Normalize a HAR entry into the request model shared with the cURL adapter
+     */
+    normalizeEntry(entry, index) {
+        const { request, response = {} } = entry;
+        const url = new URL(request.url);
+        const headers = {};
+
+        (request.headers || []).forEach(({ name, value }) => {
+            if (!IGNORED_HEADERS.test(name)) {
+                headers[name.toLowerCase()] = value;
+            }
+        });
+
+        const postData = request.postData || null;
+        const responseText = response.content && response.content.text
+            ? (response.content.encoding === 'base64' ? Buffer.from(response.content.text, 'base64').toString('utf8') : response.content.text)
+            : '';
+
+        return {
+            index,
+            method: request.method.toUpperCase(),
+            url: request.url,
+            baseUrl: `${url.protocol}//${url.host}`,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams.entries()),
+            headers,
+            body: this.parseBody(postData),
+            hasData: Boolean(postData && postData.text),
+            startedAt: new Date(entry.startedDateTime).getTime() || index,
+            time: entry.time || 0,
+            pageref: entry.pageref || null,
+            resourceType: entry._resourceType || null,
+            response: {
+                status: response.status,
+                mimeType: (response.content && response.content.mimeType) || '',
+                headers: Object.fromEntries((response.headers || []).map(({ name, value }) => [name.toLowerCase(), value])),
+                json: this.parseJson(responseText),
+                text: responseText
+            }
+        };
+    }
+
+    parseBody(postData) {
+        if (!postData || !postData.text) {
+            return { type: 'none', raw: null };
+        }
+
+        const json = this.parseJson(postData.text);
+        if (json !== undefined) {
+            return { type: 'json', raw: postData.text, json };
+        }
+        if (/x-www-form-urlencoded/i.test(postData.mimeType || '')) {
+            return { type: 'form', raw: postData.text, form: Object.fromEntries(new URLSearchParams(postData.text)) };
+        }
+        return { type: 'text', raw: postData.text };
+    }
+
+    parseJson(text) {
+        if (!text || !/^\s*[[{]/.test(text)) return undefined;
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Keep XHR/fetch API calls; drop static assets, telemetry and CORS preflights
+     */
+    isApiEntry(entry) {
+        if (entry.method === 'OPTIONS' || !entry.response.status) return false;
+        if (this.options.includeHosts && !this.options.includeHosts.some(host => entry.url.includes(host))) return false;
+        if (TELEMETRY_PATTERNS.some(pattern => pattern.test(entry.url))) return false;
+        if (entry.resourceType) {
+            return !STATIC_RESOURCE_TYPES.includes(entry.resourceType);
+        }
+        return !STATIC_EXTENSIONS.test(entry.path) && !STATIC_MIME_TYPES.test(entry.response.mimeType);
+    }
+
+    /**
+     * Group entries by HAR page, then split on idle gaps between calls
+     */
+    groupFlows(entries, pages, sourceFile) {
+        const flows = [];
+        let current = null;
+
+        entries.forEach(entry => {
+            const previous = current && current.entries[current.entries.length - 1];
+            const gap = previous ? entry.startedAt - (previous.startedAt + previous.time) : 0;
+
+            if (!current || entry.pageref !== current.pageref || gap > this.options.flowGapMs) {
+                current = { pageref: entry.pageref, entries: [] };
+                flows.push(current);
+            }
+            current.entries.push(entry);
+        });
+
+        const sourceName = sourceFile ? path.basename(sourceFile, path.extname(sourceFile)) : 'har';
+        return flows.map((flow, index) => {
+            const title = pages.get(flow.pageref);
+            const name = title || `${sourceName} flow ${index + 1}`;
+            return {
+                id: `${this.slugify(sourceName)}_flow_${index + 1}`,
+                name,
+                baseUrl: this.mostCommon(flow.entries.map(entry => entry.baseUrl)),
+                entries: flow.entries
+            };
+        });
+    }
+
+    /**
+     * Find response values reused by later requests and replace them with {{variables}}
+     */
+    correlateFlow(flow) {
+        const variables = [];
+        const byValue = new Map();
+        const requests = flow.entries.map(entry => ({
+            method: entry.method,
+            baseUrl: entry.baseUrl,
+            path: entry.path,
+            query: { ...entry.query },
+            headers: { ...entry.headers },
+            body: entry.body.type === 'json' ? this.clone(entry.body.json) : entry.body.type === 'form' ? { ...entry.body.form } : entry.body.raw,
+            bodyType: entry.body.type,
+            status: entry.response.status,
+            extract: []
+        }));
+
+        flow.entries.forEach((entry, sourceIndex) => {
+            this.collectLeaves(entry.response.json, '$').forEach(({ path: jsonPath, key, value }) => {
+                if (!this.isCorrelationCandidate(key, value) || byValue.has(String(value))) return;
+
+                // Values the client already sent were not produced by this response
+                const sentBefore = flow.entries.slice(0, sourceIndex + 1).some(previous => this.findUsages(previous, value).length > 0);
+                if (sentBefore) return;
+
+                const usages = [];
+                flow.entries.slice(sourceIndex + 1).forEach((later, offset) => {
+                    this.findUsages(later, value).forEach(usage => usages.push({ request: sourceIndex + 1 + offset, ...usage }));
+                });
+                if (usages.length === 0) return;
+
+                const name = this.uniqueName(this.variableName(key, jsonPath, entry), variables);
+                const variable = { name, source: { request: sourceIndex, path: jsonPath }, sample: value, usages };
+                variables.push(variable);
+                byValue.set(String(value), variable);
+                requests[sourceIndex].extract.push({ name, path: jsonPath });
+            });
+        });
+
+        variables.forEach(variable => {
+            variable.usages.forEach(usage => this.applyPlaceholder(requests[usage.request], usage, variable));
+        });
+
+        const secrets = this.extractSecrets(requests, flow);
+
+        return {
+            ...flow,
+            requests,
+            variables,
+            secrets
+        };
+    }
+
+    collectLeaves(value, jsonPath, key = null, leaves = []) {
+        if (Array.isArray(value)) {
+            value.slice(0, 20).forEach((item, index) => this.collectLeaves(item, `${jsonPath}[${index}]`, key, leaves));
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([childKey, child]) => {
+                const childPath = /^[A-Za-z_$][\w$]*$/.test(childKey) ? `${jsonPath}.${childKey}` : `${jsonPath}['${childKey}']`;
+                this.collectLeaves(child, childPath, childKey, leaves);
+            });
+        } else if (value !== null && value !== undefined) {
+            leaves.push({ path: jsonPath, key, value });
+        }
+        return leaves;
+    }
+
+    /**
+     * Only values specific enough to be IDs or tokens - not flags, statuses or small counters
+     */
+    isCorrelationCandidate(key, value) {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) && (/id$/i.test(key || '') ? value > 0 : value >= 1000);
+        }
+        if (typeof value !== 'string' || value.length < 4 || value.length > 4096) return false;
+        if (/^(true|false|null|ok|success|active|pending|[a-z]+)$/i.test(value) && !/id$/i.test(key || '')) return false;
+        return /\d/.test(value) || value.length >= 16 || /id$|token/i.test(key || '');
+    }
+
+    /**
+     * Where a value appears in a request: path segment, query, header or body
+     */
+    findUsages(entry, value) {
+        const text = String(value);
+        const usages = [];
+
+        entry.path.split('/').forEach((segment, index) => {
+            if (decodeURIComponent(segment) === text) usages.push({ location: 'path', key: index });
+        });
+        Object.entries(entry.query).forEach(([key, queryValue]) => {
+            if (queryValue === text) usages.push({ location: 'query', key });
+        });
+        Object.entries(entry.headers).forEach(([key, headerValue]) => {
+            if (headerValue === text || (text.length >= 16 && headerValue.includes(text))) usages.push({ location: 'header', key });
+        });
+        if (entry.body.type === 'json') {
+            this.collectLeaves(entry.body.json, '$').forEach(leaf => {
+                if (leaf.value === value || String(leaf.value) === text) usages.push({ location: 'body', key: leaf.path });
+            });
+        } else if (entry.body.type === 'form') {
+            Object.entries(entry.body.form).forEach(([key, formValue]) => {
+                if (formValue === text) usages.push({ location: 'form', key });
+            });
+        }
+
+        return usages;
+    }
+
+    applyPlaceholder(request, usage, variable) {
+        const placeholder = `{{${variable.name}}}`;
+        const text = String(variable.sample);
+
+        switch (usage.location) {
+            case 'path': {
+                const segments = request.path.split('/');
+                segments[usage.key] = placeholder;
+                request.path = segments.join('/');
+                break;
+            }
+            case 'query':
+                request.query[usage.key] = placeholder;
+                break;
+            case 'header':
+                request.headers[usage.key] = request.headers[usage.key].split(text).join(placeholder);
+                break;
+            case 'form':
+                request.body[usage.key] = placeholder;
+                break;
+            case 'body':
+                this.setByPath(request.body, usage.key, placeholder);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Credential headers and body fields not produced inside the flow become environment inputs
+     */
+    extractSecrets(requests, flow) {
+        const secrets = [];
+        const prefix = this.slugify(flow.id).toUpperCase();
+        const secretFor = (location, key) => {
+            let secret = secrets.find(existing => existing.location === location && existing.key === key);
+            if (!secret) {
+                const name = this.toCamelCase(String(key).split('.').pop().replace(/^x-/, ''));
+                secret = {
+                    name: this.uniqueName(name, secrets.concat(flow.variables || [])),
+                    location,
+                    key,
+                    env: `${prefix}_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`
+                };
+                secrets.push(secret);
+            }
+            return `{{${secret.name}}}`;
+        };
+
+        requests.forEach(request => {
+            Object.entries(request.headers).forEach(([header, value]) => {
+                // Correlated tokens stay inside the header (e.g. "Bearer {{accessToken}}")
+                if (SECRET_HEADERS.test(header) && !value.includes('{{')) {
+                    request.headers[header] = secretFor('header', header);
+                }
+            });
+
+            if (request.body && typeof request.body === 'object') {
+                this.collectLeaves(request.body, '$').forEach(({ path: jsonPath, key, value }) => {
+                    if (SECRET_FIELDS.test(key || '') && !String(value).includes('{{')) {
+                        this.setByPath(request.body, jsonPath, secretFor('body', key));
+                    }
+                });
+            }
+        });
+
+        return secrets;
+    }
+
+    variableName(key, jsonPath, entry) {
+        if (key && !GENERIC_KEYS.test(key)) {
+            return this.toCamelCase(key);
+        }
+
+        // Generic "id" under a named object - $.user.id -> userId
+        const parent = (jsonPath.match(/\.([A-Za-z_$][\w$]*)(?:\[\d+\])?\.[A-Za-z_$][\w$]*$/) || [])[1];
+        if (parent && !WRAPPER_KEYS.test(parent)) {
+            return this.toCamelCase(`${parent.replace(/ies$/, 'y').replace(/s$/, '')}-${key || 'value'}`);
+        }
+
+        // Otherwise name it after the resource that returned it (POST /orders -> orderId)
+        const resource = entry.path.split('/')
+            .filter(segment => segment && !/^\d+$|^[0-9a-f-]{16,}$|^v\d+$|^api$/i.test(segment))
+            .pop() || 'item';
+        const singular = resource.replace(/ies$/, 'y').replace(/s$/, '');
+        return this.toCamelCase(`${singular}-${key || 'value'}`);
+    }
+
+    uniqueName(name, variables) {
+        let candidate = name || 'value';
+        for (let i = 2; variables.some(variable => variable.name === candidate); i++) {
+            candidate = `${name}${i}`;
+        }
+        return candidate;
+    }
+
+    setByPath(target, jsonPath, value) {
+        const keys = [...jsonPath.matchAll(/\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\['([^']+)'\]/g)]
+            .map(match => match[1] || (match[2] !== undefined ? Number(match[2]) : match[3]));
+        let node = target;
+        keys.slice(0, -1).forEach(key => {
+            node = node[key];
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+
+    /**
+     * Generate test artifacts for each flow
+     */
+    async generateTestArtifacts(flows, options = {}) {
+        const artifacts = {
+            features: [],
+            steps: [],
+            pages: [],
+            tests: []
+        };
+
+        // Step definitions are flow-independent so several flows never register duplicate steps
+        artifacts.steps.push(
+            { filename: COMMON_API_STEPS_FILE, content: generateCommonApiSteps() },
+            { filename: 'har_api_steps.js', content: this.generateStepDefinitions(options) }
+        );
+
+        for (const flow of flows) {
+            artifacts.features.push({
+                filename: `${flow.id}_api.feature`,
+                content: this.generateCucumberFeature(flow, options)
+            });
+            artifacts.pages.push({
+                filename: `${flow.id}_api.js`,
+                content: this.generatePageObject(flow, options)
+            });
+            artifacts.tests.push({
+                filename: `${flow.id}_test.js`,
+                content: this.generateNodeJsTest(flow, options)
+            });
+        }
+
+        return artifacts;
+    }
+
+    /**
+     * Generate Cucumber feature - one ordered scenario sharing correlation variables
+     */
+    generateCucumberFeature(flow, options) {
+        const steps = flow.requests.flatMap(request => [
+            `When I send a ${request.method} request to "${this.requestTarget(request)}"`,
+            `Then the response status should be ${request.status}`,
+            ...request.extract.map(({ name, path: jsonPath }) => `And I store "${jsonPath}" from the response as "${name}"`)
+        ]);
+
+        return gherkin.formatGherkin(gherkin.feature({
+            name: `API flow ${flow.name}`,
+            tags: ['@Generated', '@API', '@HAR', '@Team:AutoCoder'],
+            description: [
+                'As a test automation engineer',
+                `I want to replay the ${flow.name} API flow captured in the browser`,
+                'So that I can validate the API calls behind the user journey'
+            ].join('\n'),
+            children: [
+                gherkin.background({
+                    steps: [
+                        `Given the "${flow.id}" HAR flow is replayed against "${templateBaseUrl(flow.baseUrl)}"`,
+                        ...(flow.secrets.length > 0 ? ['And I have valid authentication credentials'] : [])
+                    ]
+                }),
+                gherkin.scenario({ name: `Replay ${flow.name}`, steps })
+            ]
+        }));
+    }
+
+    /**
+     * Generate step definitions - the page object is picked by flow id at runtime
+     */
+    generateStepDefinitions(options) {
+        return `const { Given, When } = require('@cucumber/cucumber');
+const ApiEnvironment = require('../support/api-environment');
+
+Given('the {string} HAR flow is replayed against {string}', function (flowId, baseUrl) {
+    const FlowApi = require(\`../pages/\${flowId}_api\`);
+    // {{baseUrl}} resolves to the API host of ADP_ENV (or API_BASE_URL)
+    this.api = new FlowApi(ApiEnvironment.resolve(baseUrl));
+    this.variables = {};
+});
+
+When('I send a {word} request to {string}', async function (method, target) {
+    this.response = await this.api.send(method, target, this.variables);
+    console.log(\`\${method} \${target} -> \${this.response.status} (\${this.response.time} ms)\`);
+});
+`;
+    }
+
+    /**
+     * Generate API page object holding the templated requests of the flow
+     */
+    generatePageObject(flow, options) {
+        const className = this.generateClassName(flow);
+        const requests = flow.requests.map(request => ({
+            method: request.method,
+            target: this.requestTarget(request),
+            headers: request.headers,
+            body: request.body,
+            bodyType: request.bodyType
+        }));
+
+        return `/**
+ * ${className} - API Page Object
+ * Generated from HAR flow: ${flow.name}
+ */
+
+const axios = require('axios');
+const ApiEnvironment = require('../support/api-environment');
+
+// Recorded requests - dynamic values are {{variables}} resolved at runtime
+const REQUESTS = ${JSON.stringify(requests, null, 4)};
+
+// Credentials come from the environment, never from the capture
+const SECRETS = ${JSON.stringify(Object.fromEntries(flow.secrets.map(secret => [secret.name, secret.env])), null, 4)};
+
+class ${className} {
+    constructor(baseUrl = ApiEnvironment.resolve(${JSON.stringify(templateBaseUrl(flow.baseUrl, { warn: false }))})) {
+        this.baseUrl = baseUrl;
+    }
+
+    missingSecrets() {
+        return Object.values(SECRETS).filter(env => !process.env[env]);
+    }
+
+    resolve(value, variables) {
+        const scope = { ...variables };
+        Object.entries(SECRETS).forEach(([name, env]) => {
+            if (scope[name] === undefined) scope[name] = process.env[env];
+        });
+
+        if (typeof value === 'string') {
+            const whole = value.match(/^\\{\\{(\\w+)\\}\\}$/);
+            if (whole) return scope[whole[1]];
+            return value.replace(/\\{\\{(\\w+)\\}\\}/g, (match, name) => (scope[name] === undefined ? match : scope[name]));
+        }
+        if (Array.isArray(value)) return value.map(item => this.resolve(item, variables));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolve(item, variables)]));
+        }
+        return value;
+    }
+
+    async send(method, target, variables = {}) {
+        const request = REQUESTS.find(candidate => candidate.method === method && candidate.target === target);
+        if (!request) {
+            throw new Error(\`No recorded request for \${method} \${target}\`);
+        }
+
+        const url = this.baseUrl + this.resolve(target, variables);
+        const headers = this.resolve(request.headers, variables);
+        let data = this.resolve(request.body, variables);
+        if (request.bodyType === 'form' && data) {
+            data = new URLSearchParams(data).toString();
+        }
+
+        const startTime = Date.now();
+        const response = await axios({ method, url, headers, data, validateStatus: () => true });
+
+        return {
+            url,
+            status: response.status,
+            data: response.data,
+            headers: response.headers,
+            time: Date.now() - startTime
+        };
+    }
+
+    extract(data, jsonPath) {
+        const keys = [...jsonPath.matchAll(/\\.([A-Za-z_$][\\w$]*)|\\[(\\d+)\\]|\\['([^']+)'\\]/g)]
+            .map(match => match[1] || match[2] || match[3]);
+        return keys.reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), data);
+    }
+}
+
+${className}.REQUESTS = REQUESTS;
+
+module.exports = ${className};
+`;
+    }
+
+    /**
+     * Generate Node.js replay test - requests run in recorded order with correlated variables
+     */
+    generateNodeJsTest(flow, options) {
+        const className = this.generateClassName(flow);
+        const calls = flow.requests.map(request => {
+            const extracts = request.extract.map(({ name, path: jsonPath }) => `
+        variables.${name} = api.extract(response.data, '${jsonPath}');
+        assert.isDefined(variables.${name}, '${jsonPath} should exist in the response');`).join('');
+
+            return `
+        response = await api.send('${request.method}', '${this.escape(this.requestTarget(request))}', variables);
+        assert.equal(response.status, ${request.status}, \`${request.method} \${response.url}\`);
+        assert.isBelow(response.time, 5000, 'Response time should be below 5 seconds');${extracts}`;
+        }).join('\n');
+
+        return `/**
+ * ${className} - Node.js API Replay Test
+ * Generated from HAR flow: ${flow.name}
+ */
+
+const { assert } = require('chai');
+const ${className} = require('../pages/${flow.id}_api');
+
+describe('${this.escape(flow.name)} API flow', () => {
+    const api = new ${className}();
+    const variables = {};
+
+    test('should replay the recorded flow in order', async () => {
+        const missing = api.missingSecrets();
+        assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this flow\`);
+
+        let response;${calls}
+
+        console.log('✅ Flow replayed with variables:', Object.keys(variables).join(', ') || 'none');
+    });
+});
+`;
+    }
+
+    /**
+     * Helper methods
+     */
+    requestTarget(request) {
+        const query = Object.entries(request.query)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${value.startsWith('{{') ? value : encodeURIComponent(value)}`)
+            .join('&');
+        return query ? `${request.path}?${query}` : request.path;
+    }
+
+    generateClassName(flow) {
+        return `${flow.id.split(/[^A-Za-z0-9]+/).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}API`;
+    }
+
+    toCamelCase(value) {
+        return value
+            .replace(/[^A-Za-z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''))
+            .replace(/^[A-Z]/, char => char.toLowerCase());
+    }
+
+    slugify(value) {
+        return value.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'har';
+    }
+
+    mostCommon(values) {
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    escape(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    }
+}
+
+module.exports = HarAdapter;
@@ -0,0 +1,431 @@
+/**
+ * Image Requirement Adapter - Extracts screen elements from mockups, wireframes and screenshots
+ * Runs OCR fully offline (bundled tesseract language data) and feeds a structured story to the Cucumber adapter
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const CucumberAdapter = require('./cucumber-adapter');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp', '.gif', '.webp', '.tif', '.tiff'];
+const BUTTON_WORDS = /^(save|cancel|next|back|previous|submit|continue|add|invite|done|close|ok|apply|confirm|delete|remove|edit|update|finish|start|sign in|sign up|log in|login|logout|log out|search|upload|download|export|import|send|create|get started|try now|learn more|fill out info|skip|yes|no)(\s+\w+){0,2}$/i;
+const LINK_WORDS = /\b(learn more|view( all)?|see (all|more|details)|click here|details|help|more info|forgot)\b|https?:\/\/|www\./i;
+const FIELD_WORDS = /\b(name|email|e-mail|phone|mobile|ssn|social security|address|street|city|state|zip|postal|date|birth|dob|password|username|user id|amount|salary|rate|title|department|gender|initial|suffix|country|id|number|code)\b/i;
+const MIN_CONFIDENCE = 60;
+
+class ImageRequirementAdapter {
+    constructor(options = {}) {
+        this.initialized = false;
+        this.options = options;
+        this.langPath = null;
+        this.sharp = null;
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        this.langPath = this.resolveLangPath();
+
+        // Optional preprocessing - the native binary is not available on every machine
+        try {
+            this.sharp = require('sharp');
+        } catch (error) {
+            this.sharp = null;
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Locate local tesseract language data so OCR never downloads anything
+     */
+    resolveLangPath() {
+        const candidates = [
+            this.options.langPath,
+            process.env.TESSERACT_LANG_PATH
+        ];
+
+        try {
+            const packageDir = path.dirname(require.resolve('@tesseract.js-data/eng/package.json'));
+            candidates.push(path.join(packageDir, '4.0.0_best_int'), path.join(packageDir, '4.0.0'));
+        } catch (error) {
+            // Language data package not installed - rely on explicit paths
+        }
+
+        return candidates.find(dir => dir && (
+            fs.existsSync(path.join(dir, 'eng.traineddata.gz')) || fs.existsSync(path.join(dir, 'eng.traineddata'))
+        )) || null;
+    }
+
+    /**
+     * Analyze a single image into screen elements and a structured story
+     */
+    async parseImageFile(filePath) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            if (!IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+                throw new Error(`Unsupported image format: ${path.extname(filePath) || 'none'}`);
+            }
+
+            const ocr = await this.recognize(filePath);
+            const pageName = this.derivePageName(filePath);
+            const elements = this.extractElements(ocr);
+            const story = this.buildStory(pageName, elements, filePath);
+
+            return {
+                success: true,
+                inputType: 'images',
+                imageFile: filePath,
+                pageName,
+                ocr: { text: ocr.text, confidence: ocr.confidence },
+                elements,
+                story,
+                requirementText: this.buildRequirementText(story, elements)
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                imageFile: filePath
+            };
+        }
+    }
+
+    /**
+     * Run tesseract against local language data
+     */
+    async recognize(filePath) {
+        if (!this.langPath) {
+            throw new Error('OCR language data not found - install @tesseract.js-data/eng or set TESSERACT_LANG_PATH');
+        }
+
+        const { createWorker } = require('tesseract.js');
+        const gzip = fs.existsSync(path.join(this.langPath, 'eng.traineddata.gz'));
+        const worker = await createWorker({
+            langPath: this.langPath,
+            gzip,
+            cacheMethod: 'none',
+            logger: () => {}
+        });
+
+        try {
+            await worker.loadLanguage('eng');
+            await worker.initialize('eng');
+
+            const { data } = await worker.recognize(await this.preprocess(filePath));
+            const lines = data.lines || [];
+            return {
+                text: data.text.trim(),
+                confidence: Math.round(data.confidence),
+                lines,
+                width: Math.max(...lines.map(line => line.bbox.x1), 1),
+                height: Math.max(...lines.map(line => line.bbox.y1), 1)
+            };
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    /**
+     * Grayscale/normalize and upscale small screenshots when sharp is available
+     */
+    async preprocess(filePath) {
+        if (!this.sharp) {
+            return filePath;
+        }
+
+        try {
+            const image = this.sharp(filePath);
+            const { width } = await image.metadata();
+            let pipeline = image.grayscale().normalize();
+            if (width && width < 1200) {
+                pipeline = pipeline.resize({ width: width * 2 });
+            }
+            return await pipeline.png().toBuffer();
+        } catch (error) {
+            return filePath;
+        }
+    }
+
+    /**
+     * Split OCR lines into visually separate segments and classify each one
+     */
+    extractElements(ocr) {
+        const segments = ocr.lines.flatMap(line => this.splitLine(line));
+        const medianHeight = this.median(segments.map(segment => segment.height));
+        const elements = [];
+        const seen = new Set();
+
+        for (const segment of segments) {
+            const label = this.cleanLabel(segment.text);
+            if (!label || !/[a-z]{3,}/i.test(label)) continue;
+
+            const type = this.classifySegment(label, segment, medianHeight);
+            const required = type === 'input' && label.endsWith('*');
+            const name = type === 'input' ? label.replace(/\s*[:*]+$/, '') : label;
+            const key = `${type}:${name.toLowerCase()}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            elements.push({
+                type,
+                label: name,
+                ...(type === 'input' ? { required } : {}),
+                name: this.toMethodName(name),
+                constant: this.toConstantName(name, type),
+                bbox: segment.bbox,
+                region: this.describeRegion(segment.bbox, ocr),
+                confidence: Math.round(segment.confidence)
+            });
+        }
+
+        return elements;
+    }
+
+    /**
+     * OCR joins words across wide gaps or font sizes (e.g. a close icon, a title and a button) -
+     * drop icon noise and split the line into separate segments
+     */
+    splitLine(line) {
+        const words = (line.words || []).filter(word => word.confidence >= MIN_CONFIDENCE && /[A-Za-z0-9]/.test(word.text));
+        if (words.length === 0) return [];
+
+        const wordHeight = word => word.bbox.y1 - word.bbox.y0;
+        const lineHeight = this.median(words.map(wordHeight));
+        const segments = [];
+        let current = [words[0]];
+
+        for (let i = 1; i < words.length; i++) {
+            const gap = words[i].bbox.x0 - words[i - 1].bbox.x1;
+            const sizeRatio = wordHeight(words[i]) / this.median(current.map(wordHeight));
+            if (gap > lineHeight * 2.5 || sizeRatio > 1.7 || sizeRatio < 1 / 1.7) {
+                segments.push(current);
+                current = [];
+            }
+            current.push(words[i]);
+        }
+        segments.push(current);
+
+        return segments.map(group => ({
+            text: group.map(word => word.text).join(' '),
+            height: this.median(group.map(wordHeight)),
+            confidence: group.reduce((sum, word) => sum + word.confidence, 0) / group.length,
+            bbox: {
+                x0: Math.min(...group.map(word => word.bbox.x0)),
+                y0: Math.min(...group.map(word => word.bbox.y0)),
+                x1: Math.max(...group.map(word => word.bbox.x1)),
+                y1: Math.max(...group.map(word => word.bbox.y1))
+            }
+        }));
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)] || 1;
+    }
+
+    cleanLabel(text) {
+        return text
+            .replace(/[|_~`©®°»«<>{}[\]]/g, ' ')
+            .replace(/^[^A-Za-z0-9]+|[^A-Za-z0-9?*:)]+$/g, '')
+            // Icons read as a stray capital letter in front of the label ("X Add new employee")
+            .replace(/^[B-HJ-Z]\s+(?=[A-Z])/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Classify a text segment as heading, button, link, input label or plain text
+     */
+    classifySegment(label, segment, medianHeight) {
+        const words = label.split(' ').length;
+        const isLabel = /[:*]$/.test(label);
+        const isSentence = words > 10 || /[.,;!]$/.test(label);
+        const isLarge = segment.height >= medianHeight * 1.3;
+
+        if (isLarge && words >= 3 && words <= 8) return 'heading';
+        if (LINK_WORDS.test(label) && words <= 5) return 'link';
+        if (BUTTON_WORDS.test(label)) return 'button';
+        if (isSentence) return 'text';
+        if (isLabel || (words <= 4 && FIELD_WORDS.test(label))) return 'input';
+        if (isLarge && words <= 8) return 'heading';
+        return 'text';
+    }
+
+    describeRegion(bbox, ocr) {
+        const vertical = bbox.y0 < ocr.height / 3 ? 'top' : bbox.y0 < (ocr.height * 2) / 3 ? 'middle' : 'bottom';
+        const centerX = (bbox.x0 + bbox.x1) / 2;
+        const horizontal = centerX < ocr.width / 3 ? 'left' : centerX < (ocr.width * 2) / 3 ? 'center' : 'right';
+        return `${vertical}-${horizontal}`;
+    }
+
+    /**
+     * Page name from the image file name (headings are often marketing copy)
+     */
+    derivePageName(filePath) {
+        const fromFile = path.basename(filePath, path.extname(filePath))
+            .replace(/^(req|plp)-/i, '')
+            .replace(/[-_]+/g, ' ')
+            .replace(/\b\w/g, char => char.toUpperCase());
+
+        return fromFile || 'Screen';
+    }
+
+    /**
+     * Build a JIRA-shaped story so the Cucumber adapter can render scenarios from the screen
+     */
+    buildStory(pageName, elements, filePath) {
+        const visible = elements.filter(element => element.type !== 'text');
+        const inputs = elements.filter(element => element.type === 'input');
+        const buttons = elements.filter(element => element.type === 'button');
+        const heading = elements.find(element => element.type === 'heading');
+        const given = { keyword: 'Given', text: `I am on the "${pageName}" page` };
+        const criteria = [];
+
+        if (visible.length > 0) {
+            criteria.push({
+                id: 'AC1',
+                name: `${pageName} screen displays expected elements`,
+                text: `The ${pageName} screen shows ${visible.length} elements`,
+                steps: [
+                    given,
+                    ...visible.map((element, index) => ({
+                        keyword: index === 0 ? 'Then' : 'And',
+                        text: `I should see the "${element.label}" ${element.type === 'input' ? 'field' : element.type}`
+                    }))
+                ]
+            });
+        }
+
+        if (inputs.length > 0 && buttons.length > 0) {
+            const primary = this.selectPrimaryButton(buttons);
+            criteria.push({
+                id: `AC${criteria.length + 1}`,
+                name: `Complete the ${pageName} form`,
+                text: `User fills the ${pageName} form and clicks ${primary.label}`,
+                steps: [
+                    given,
+                    ...inputs.map((element, index) => ({
+                        keyword: index === 0 ? 'When' : 'And',
+                        text: `I enter "${this.sampleValue(element.label)}" in the "${element.label}" field`
+                    })),
+                    { keyword: 'And', text: `I click the "${primary.label}" button` }
+                ]
+            });
+        }
+
+        return {
+            key: null,
+            summary: heading ? `${pageName} - ${heading.label}` : pageName,
+            description: `Generated from image ${path.basename(filePath)}`,
+            acceptanceCriteria: criteria,
+            labels: ['image-requirement'],
+            components: [],
+            linkedIssues: [],
+            uiElements: elements.filter(element => element.type !== 'text'),
+            source: 'image',
+            sourceFile: filePath
+        };
+    }
+
+    selectPrimaryButton(buttons) {
+        const priority = ['save', 'submit', 'continue', 'next', 'done', 'finish', 'confirm', 'apply', 'add', 'invite'];
+        const primary = priority
+            .map(verb => buttons.find(button => new RegExp(`^${verb}\\b`, 'i').test(button.label)))
+            .find(Boolean);
+        return primary || buttons[buttons.length - 1];
+    }
+
+    /**
+     * Realistic sample input for a detected field label
+     */
+    sampleValue(label) {
+        const samples = [
+            [/email|e-mail/i, 'john.doe@example.com'],
+            [/phone|mobile/i, '555-123-4567'],
+            [/ssn|social security/i, '123-45-6789'],
+            [/zip|postal/i, '10001'],
+            [/birth|dob/i, '01/15/1990'],
+            [/date/i, '01/15/2025'],
+            [/gender/i, 'Female'],
+            [/initial/i, 'A'],
+            [/first name/i, 'John'],
+            [/last name/i, 'Doe'],
+            [/name/i, 'John Doe'],
+            [/street|address/i, '123 Main Street'],
+            [/city/i, 'New York'],
+            [/state/i, 'NY'],
+            [/amount|salary|rate/i, '1000.00'],
+            [/password/i, 'Passw0rd!'],
+            [/number|id|code/i, '12345']
+        ];
+        const match = samples.find(([pattern]) => pattern.test(label));
+        return match ? match[1] : 'Test value';
+    }
+
+    buildRequirementText(story, elements) {
+        const lines = [
+            `Feature: ${story.summary}`,
+            '',
+            story.description,
+            '',
+            'Screen elements:',
+            ...elements.map(element => `- ${element.type}: ${element.label} (${element.region})`)
+        ];
+        return lines.join('\n');
+    }
+
+    toMethodName(label) {
+        const words = label.replace(/[^A-Za-z0-9 ]/g, ' ').trim().split(/\s+/).slice(0, 5);
+        return words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('') || 'Element';
+    }
+
+    toConstantName(label, type) {
+        const base = label.replace(/[^A-Za-z0-9 ]/g, ' ').trim().split(/\s+/).slice(0, 5).join('_').toUpperCase() || 'ELEMENT';
+        const suffix = { button: 'BUTTON', link: 'LINK', input: 'INPUT', heading: 'HEADING' }[type] || 'TEXT';
+        return `${/^\d/.test(base) ? `E_${base}` : base}_${suffix}`;
+    }
+
+    buildBaseName(analysis) {
+        return path.basename(analysis.imageFile, path.extname(analysis.imageFile))
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Generate feature/steps/page artifacts for analyzed images
+     */
+    async generateTestArtifacts(analyses, options = {}) {
+        const cucumberAdapter = new CucumberAdapter();
+        const artifacts = {
+            features: [],
+            steps: [],
+            pages: [],
+            tests: []
+        };
+
+        for (const analysis of [].concat(analyses)) {
+            const baseName = this.buildBaseName(analysis);
+            const result = await cucumberAdapter.generateArtifacts({
+                requirement: analysis.requirementText,
+                outputDir: options.outputDir,
+                baseName,
+                story: analysis.story
+            });
+
+            artifacts.features.push({ filename: `${baseName}.feature`, content: result.artifacts.feature });
+            artifacts.steps.push({ filename: `${baseName}-steps.js`, content: result.artifacts.steps });
+            artifacts.pages.push({ filename: `${baseName}-page.js`, content: result.artifacts.page });
+        }
+
+        return artifacts;
+    }
+}
+
+ImageRequirementAdapter.IMAGE_EXTENSIONS = IMAGE_EXTENSIONS;
+
+module.exports = ImageRequirementAdapter;
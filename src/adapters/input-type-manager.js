@@ -1,6 +1,6 @@
 /**
  * Input Type Manager - Routes different input types to appropriate adapters
- * Handles text, API cURL, Playwright recording, JIRA, images, and other input sources
+ * Handles text, API cURL, OpenAPI specs, HAR captures, GraphQL schemas, Playwright recording, JIRA, images, and other input sources
  */
 
 const fs = require('fs-extra');
@@ -8,6 +8,17 @@ const path = require('path');
 const AutoCoder = require('../auto-coder');
 const ApiCurlAdapter = require('./api-curl-adapter');
 const PlaywrightCodeGenAdapter = require('./playwright-codegen-adapter');
+const JiraStoryAdapter = require('./jira-story-adapter');
+const ImageRequirementAdapter = require('./image-requirement-adapter');
+const HarAdapter = require('./har-adapter');
+const GraphQLAdapter = require('./graphql-adapter');
+const { looksLikeOpenApi } = require('../utils/openapi-parser');
+const { writeGeneratedFile, isDryRun } = require('../utils/artifact-merge');
+
+// Runtime helpers generated API artifacts require as ../support/<name>
+const API_SUPPORT_HELPERS = ['api-environment', 'schema-validator'];
+const SUPPORT_DIR = path.join(__dirname, '..', '..', 'support');
+const ENVIRONMENT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'environment-config.json');
 
 class InputTypeManager {
     constructor() {
@@ -29,6 +40,10 @@ class InputTypeManager {
         this.adapters.set('api', new ApiCurlAdapter());
         this.adapters.set('record', new PlaywrightCodeGenAdapter());
         this.adapters.set('codegen', new PlaywrightCodeGenAdapter());
+        this.adapters.set('jira', new JiraStoryAdapter());
+        this.adapters.set('images', new ImageRequirementAdapter());
+        this.adapters.set('har', new HarAdapter());
+        this.adapters.set('graphql', new GraphQLAdapter());
 
         // Initialize all adapters
         for (const [type, adapter] of this.adapters) {
@@ -48,6 +63,23 @@ class InputTypeManager {
         const basename = path.basename(filePath).toLowerCase();
         
         // Priority 1: Detect by file location or name patterns (more specific)
+        if (filePath.includes('/jira/') || filePath.includes('\\jira\\') || basename.startsWith('jira-')) {
+            return 'jira';
+        }
+        
+        if (extension === '.har' || filePath.includes('/har/') || filePath.includes('\\har\\')) {
+            return 'har';
+        }
+        
+        if (this.isGraphQLSchemaFile(filePath, extension)) {
+            return 'graphql';
+        }
+        
+        // Before the api/curl name checks - "openapi.yaml" would otherwise read as a cURL file
+        if (this.isOpenApiFile(filePath, basename, extension)) {
+            return 'openapi';
+        }
+        
         if (filePath.includes('/curl/') || filePath.includes('\\curl\\') || basename.includes('curl')) {
             return 'curl';
         }
@@ -64,19 +96,42 @@ class InputTypeManager {
             return 'images';
         }
         
-        if (filePath.includes('/jira/') || filePath.includes('\\jira\\')) {
-            return 'jira';
-        }
-        
         // Priority 2: Detect by file extension (less specific)
         if (extension === '.txt' || extension === '.md') {
             return 'text';
         }
         
+        if (ImageRequirementAdapter.IMAGE_EXTENSIONS.includes(extension)) {
+            return 'images';
+        }
+        
         // Default to text
         return 'text';
     }
 
+    /**
+     * OpenAPI/Swagger specs are recognized by name or by their version field
+     */
+    isOpenApiFile(filePath, basename, extension) {
+        if (/openapi|swagger/.test(basename) || /[\\/](openapi|swagger)[\\/]/.test(filePath)) {
+            return true;
+        }
+        if (!['.yaml', '.yml', '.json'].includes(extension) || !fs.existsSync(filePath)) {
+            return false;
+        }
+        return looksLikeOpenApi(fs.readFileSync(filePath, 'utf8').slice(0, 2000));
+    }
+
+    /**
+     * GraphQL introspection results are JSON files holding __schema
+     */
+    isGraphQLSchemaFile(filePath, extension) {
+        if (extension !== '.json' || !fs.existsSync(filePath)) {
+            return false;
+        }
+        return /"__schema"\s*:/.test(fs.readFileSync(filePath, 'utf8').slice(0, 2000));
+    }
+
     /**
      * Process input file based on detected or specified type
      */
@@ -101,6 +156,16 @@ class InputTypeManager {
                 case 'api':
                     return await this.processCurlInput(filePath, options);
                 
+                case 'openapi':
+                case 'swagger':
+                    return await this.processOpenApiInput(filePath, options);
+                
+                case 'har':
+                    return await this.processHarInput(filePath, options);
+                
+                case 'graphql':
+                    return await this.processGraphQLInput(filePath, options);
+                
                 case 'record':
                 case 'codegen':
                     return await this.processRecordedInput(filePath, options);
@@ -155,9 +220,12 @@ class InputTypeManager {
 
             // AutoCoder saves files and returns them in result.output.files
             if (result.output && result.output.files) {
-                // Convert file paths to artifact structure expected by writeArtifacts
+                // Convert file paths to artifact structure expected by writeArtifacts. Dry runs wrote
+                // nothing, so take the generated content instead
                 for (const [type, filePath] of Object.entries(result.output.files)) {
-                    const content = await fs.readFile(filePath, 'utf8');
+                    const content = isDryRun()
+                        ? result.generation.templates[type]
+                        : await fs.readFile(filePath, 'utf8');
                     const filename = path.basename(filePath);
                     
                     if (type === 'feature') {
@@ -214,8 +282,11 @@ class InputTypeManager {
             
             console.log(`📡 Found ${parseResult.count} cURL commands`);
             
-            // Generate test artifacts
-            const artifacts = await curlAdapter.generateTestArtifacts(parseResult.commands, options);
+            // Generate test artifacts - chained commands are named after the input file
+            const artifacts = await curlAdapter.generateTestArtifacts(parseResult.commands, {
+                chainName: path.basename(filePath, path.extname(filePath)),
+                ...options
+            });
             
             return {
                 success: true,
@@ -269,50 +340,228 @@ class InputTypeManager {
     }
 
     /**
-     * Process JIRA files (placeholder - route to text for now)
+     * Process JIRA exports (XML/JSON) or copied story text
      */
     async processJiraInput(filePath, options = {}) {
-        console.log('🎫 Processing JIRA input (using text adapter)...');
-        
-        // For now, route JIRA processing to text adapter
-        // TODO: Implement dedicated JIRA adapter
-        const result = await this.processTextInput(filePath, options);
-        result.inputType = 'jira';
-        
-        return result;
+        try {
+            console.log('🎫 Processing JIRA input...');
+            
+            const jiraAdapter = this.adapters.get('jira');
+            
+            // Parse JIRA stories from file
+            const parseResult = await jiraAdapter.parseJiraFile(filePath);
+            
+            if (!parseResult.success) {
+                throw new Error(parseResult.error);
+            }
+            
+            console.log(`📋 Found ${parseResult.count} JIRA stories`);
+            
+            // Generate test artifacts through the cucumber adapter
+            const artifacts = await jiraAdapter.generateTestArtifacts(parseResult.stories, {
+                outputDir: options.outputPath || this.autoCoder.options.outputPath,
+                expand: options.expand,
+                roleMatrix: options.roleMatrix
+            });
+            
+            return {
+                success: true,
+                inputType: 'jira',
+                artifacts: artifacts,
+                stories: parseResult.stories,
+                count: parseResult.count
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                inputType: 'jira',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Process OpenAPI 2/3 specs (YAML or JSON)
+     */
+    async processOpenApiInput(filePath, options = {}) {
+        try {
+            console.log('📘 Processing OpenAPI spec...');
+            
+            const curlAdapter = this.adapters.get('curl');
+            
+            // Normalize operations from the spec
+            const parseResult = await curlAdapter.parseOpenApiFile(filePath);
+            
+            if (!parseResult.success) {
+                throw new Error(parseResult.error);
+            }
+            
+            console.log(`📡 Found ${parseResult.count} operations in ${parseResult.api.title} (OpenAPI ${parseResult.api.specVersion})`);
+            
+            // Generate test artifacts
+            const artifacts = await curlAdapter.generateOpenApiArtifacts(parseResult.api, options);
+            
+            return {
+                success: true,
+                inputType: 'openapi',
+                artifacts: artifacts,
+                operations: parseResult.operations,
+                count: parseResult.count
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                inputType: 'openapi',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Process HAR captures exported from browser dev tools
+     */
+    async processHarInput(filePath, options = {}) {
+        try {
+            console.log('🌐 Processing HAR capture...');
+            
+            const harAdapter = this.adapters.get('har');
+            
+            // Group API calls into flows and correlate dynamic values
+            const parseResult = await harAdapter.parseHarFile(filePath);
+            
+            if (!parseResult.success) {
+                throw new Error(parseResult.error);
+            }
+            
+            const variableCount = parseResult.flows.reduce((total, flow) => total + flow.variables.length, 0);
+            console.log(`📋 Found ${parseResult.count} API flows (${parseResult.filteredEntries} static/telemetry entries skipped, ${variableCount} correlated values)`);
+            
+            // Generate test artifacts
+            const artifacts = await harAdapter.generateTestArtifacts(parseResult.flows, {
+                outputDir: options.outputPath || this.autoCoder.options.outputPath
+            });
+            
+            return {
+                success: true,
+                inputType: 'har',
+                artifacts: artifacts,
+                flows: parseResult.flows,
+                count: parseResult.count
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                inputType: 'har',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Process GraphQL introspection results - one query per root field, validated offline
+     */
+    async processGraphQLInput(filePath, options = {}) {
+        try {
+            console.log('🔷 Processing GraphQL introspection schema...');
+            
+            const graphqlAdapter = this.adapters.get('graphql');
+            
+            // Build and validate operations from the schema
+            const parseResult = await graphqlAdapter.parseIntrospectionFile(filePath, options);
+            
+            if (!parseResult.success) {
+                throw new Error(parseResult.error);
+            }
+            
+            const invalid = parseResult.operations.filter(operation => operation.schemaErrors.length > 0).length;
+            console.log(`📡 Built ${parseResult.count} GraphQL operations (${invalid} failed schema validation)`);
+            
+            // Generate test artifacts
+            const artifacts = graphqlAdapter.generateTestArtifacts(parseResult.operations, {
+                ...options,
+                apiName: parseResult.apiName
+            });
+            
+            return {
+                success: true,
+                inputType: 'graphql',
+                artifacts: artifacts,
+                operations: parseResult.operations,
+                count: parseResult.count
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                inputType: 'graphql',
+                error: error.message
+            };
+        }
     }
 
     /**
-     * Process image files (placeholder - route to text for now)
+     * Process mockups, wireframes and screenshots with offline OCR
      */
     async processImageInput(filePath, options = {}) {
-        console.log('🖼️ Processing image input (using text adapter)...');
-        
-        // For now, route image processing to text adapter
-        // TODO: Implement dedicated image/OCR adapter
-        const result = await this.processTextInput(filePath, options);
-        result.inputType = 'images';
-        
-        return result;
+        try {
+            console.log('🖼️ Processing image input (offline OCR)...');
+            
+            const imageAdapter = this.adapters.get('images');
+            
+            // Extract screen elements from the image
+            const analysis = await imageAdapter.parseImageFile(filePath);
+            
+            if (!analysis.success) {
+                throw new Error(analysis.error);
+            }
+            
+            console.log(`🔍 Detected ${analysis.elements.length} screen elements (OCR confidence ${analysis.ocr.confidence}%)`);
+            
+            // Generate test artifacts through the cucumber adapter
+            const artifacts = await imageAdapter.generateTestArtifacts([analysis], {
+                outputDir: options.outputPath || this.autoCoder.options.outputPath
+            });
+            
+            return {
+                success: true,
+                inputType: 'images',
+                artifacts: artifacts,
+                analysis: analysis
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                inputType: 'images',
+                error: error.message
+            };
+        }
     }
 
     /**
-     * Write generated artifacts to files
+     * Write generated artifacts to files, merging with hand edits to previously generated files
      */
     async writeArtifacts(artifacts, outputDir) {
+        // Dry runs only record the planned writes
+        const ensureDir = dir => (isDryRun() ? null : fs.ensureDir(dir));
+
         try {
-            await fs.ensureDir(outputDir);
+            await ensureDir(outputDir);
             
             const writtenFiles = [];
+            const merges = [];
             
             // Write features
             if (artifacts.features && artifacts.features.length > 0) {
                 const featuresDir = path.join(outputDir, 'features');
-                await fs.ensureDir(featuresDir);
+                await ensureDir(featuresDir);
                 
                 for (const feature of artifacts.features) {
                     const filePath = path.join(featuresDir, feature.filename);
-                    await fs.writeFile(filePath, feature.content);
+                    merges.push(writeGeneratedFile(filePath, feature.content));
                     writtenFiles.push(filePath);
                 }
             }
@@ -320,11 +569,11 @@ class InputTypeManager {
             // Write step definitions
             if (artifacts.steps && artifacts.steps.length > 0) {
                 const stepsDir = path.join(outputDir, 'steps');
-                await fs.ensureDir(stepsDir);
+                await ensureDir(stepsDir);
                 
                 for (const step of artifacts.steps) {
                     const filePath = path.join(stepsDir, step.filename);
-                    await fs.writeFile(filePath, step.content);
+                    merges.push(writeGeneratedFile(filePath, step.content));
                     writtenFiles.push(filePath);
                 }
             }
@@ -332,11 +581,11 @@ class InputTypeManager {
             // Write page objects
             if (artifacts.pages && artifacts.pages.length > 0) {
                 const pagesDir = path.join(outputDir, 'pages');
-                await fs.ensureDir(pagesDir);
+                await ensureDir(pagesDir);
                 
                 for (const page of artifacts.pages) {
                     const filePath = path.join(pagesDir, page.filename);
-                    await fs.writeFile(filePath, page.content);
+                    merges.push(writeGeneratedFile(filePath, page.content));
                     writtenFiles.push(filePath);
                 }
             }
@@ -344,11 +593,24 @@ class InputTypeManager {
             // Write tests
             if (artifacts.tests && artifacts.tests.length > 0) {
                 const testsDir = path.join(outputDir, 'tests');
-                await fs.ensureDir(testsDir);
+                await ensureDir(testsDir);
                 
                 for (const test of artifacts.tests) {
                     const filePath = path.join(testsDir, test.filename);
-                    await fs.writeFile(filePath, test.content);
+                    merges.push(writeGeneratedFile(filePath, test.content));
+                    writtenFiles.push(filePath);
+                }
+            }
+            
+            // Support helpers the generated API artifacts load at runtime
+            const supportFiles = this.apiSupportFiles(artifacts);
+            if (supportFiles.length > 0) {
+                const supportDir = path.join(outputDir, 'support');
+                await ensureDir(supportDir);
+                
+                for (const support of supportFiles) {
+                    const filePath = path.join(supportDir, support.filename);
+                    merges.push(writeGeneratedFile(filePath, support.content));
                     writtenFiles.push(filePath);
                 }
             }
@@ -356,7 +618,10 @@ class InputTypeManager {
             return {
                 success: true,
                 files: writtenFiles,
-                count: writtenFiles.length
+                count: writtenFiles.length,
+                conflicts: merges
+                    .filter(merge => merge.status === 'conflict')
+                    .map(merge => ({ path: merge.path, units: merge.conflicts }))
             };
             
         } catch (error) {
@@ -367,6 +632,34 @@ class InputTypeManager {
         }
     }
 
+    /**
+     * Copies of the support helpers the artifacts require, plus the API hosts api-environment
+     * needs (api-environments.json - base URLs only, no credentials)
+     */
+    apiSupportFiles(artifacts) {
+        const contents = ['features', 'steps', 'pages', 'tests']
+            .flatMap(type => artifacts[type] || [])
+            .map(artifact => artifact.content)
+            .join('\n');
+        const helpers = API_SUPPORT_HELPERS.filter(name => contents.includes(`require('../support/${name}')`));
+
+        const files = helpers.map(name => ({
+            filename: `${name}.js`,
+            content: fs.readFileSync(path.join(SUPPORT_DIR, `${name}.js`), 'utf8')
+        }));
+        if (helpers.includes('api-environment')) {
+            const { environments = {} } = fs.existsSync(ENVIRONMENT_CONFIG_PATH) ? fs.readJsonSync(ENVIRONMENT_CONFIG_PATH) : {};
+            const apiHosts = Object.fromEntries(Object.entries(environments)
+                .map(([name, settings]) => [name, {
+                    name: settings.name,
+                    apiBaseUrl: settings.apiBaseUrl || '',
+                    ...(settings.allowInsecureTls === true ? { allowInsecureTls: true } : {})
+                }]));
+            files.push({ filename: 'api-environments.json', content: `${JSON.stringify({ environments: apiHosts }, null, 2)}\n` });
+        }
+        return files;
+    }
+
     /**
      * Get supported input types
      */
@@ -384,6 +677,24 @@ class InputTypeManager {
                 adapter: 'ApiCurlAdapter',
                 supported: true
             },
+            {
+                type: 'openapi',
+                description: 'OpenAPI/Swagger specs (YAML or JSON)',
+                adapter: 'ApiCurlAdapter',
+                supported: true
+            },
+            {
+                type: 'har',
+                description: 'HAR captures from browser dev tools',
+                adapter: 'HarAdapter',
+                supported: true
+            },
+            {
+                type: 'graphql',
+                description: 'GraphQL introspection schemas (JSON) - GraphQL cURL requests are split per operation',
+                adapter: 'GraphQLAdapter',
+                supported: true
+            },
             {
                 type: 'record',
                 description: 'Playwright recordings',
@@ -392,15 +703,15 @@ class InputTypeManager {
             },
             {
                 type: 'jira',
-                description: 'JIRA stories & requirements',
-                adapter: 'TextAdapter (fallback)',
-                supported: false
+                description: 'JIRA stories (XML/JSON exports or copied story text)',
+                adapter: 'JiraStoryAdapter',
+                supported: true
             },
             {
                 type: 'images',
-                description: 'Images & screenshots',
-                adapter: 'TextAdapter (fallback)',
-                supported: false
+                description: 'Images, mockups & screenshots (offline OCR)',
+                adapter: 'ImageRequirementAdapter',
+                supported: true
             },
             {
                 type: 'confluence',
@@ -0,0 +1,532 @@
+/**
+ * JIRA Story Adapter - Parses exported JIRA issues (XML/JSON) or copied story text
+ * Normalizes stories and feeds them to the Cucumber adapter with issue-key tags and SBS module folders
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const CucumberAdapter = require('./cucumber-adapter');
+const { stepFromText } = require('../utils/gherkin-document');
+const { splitRow, isSeparatorRow, tableToOutline } = require('../utils/criteria-tables');
+
+const ISSUE_KEY = /\b([A-Z][A-Z0-9]+-\d+)\b/;
+const LINK_PHRASE = /\b(relates to|is blocked by|blocks|is duplicated by|duplicates|is cloned by|clones|is caused by|causes|depends on|is parent of|is child of)\s*:?\s+([A-Z][A-Z0-9]+-\d+)/gi;
+const FIELD_LINE = /^(Key|Summary|Labels?|Components?|Component\/s|Priority|Status|Issue Type|Type|Sprint|Story Points|Fix Version\/s|Epic Link|Issue Links|Linked Issues|Attachments|Comments|Reporter|Assignee)\s*:\s*(.*)$/i;
+const AC_HEADING = /^(?:h\d\.\s*)?(?:\*+)?\s*acceptance\s+criteri(?:a|on)\s*(?:\*+)?\s*:?\s*(.*)$/i;
+const GHERKIN_STEP = /^(Given|When|Then|And|But)\s+(.+)$/;
+const DEFAULT_MODULE = 'common';
+
+class JiraStoryAdapter {
+    constructor(options = {}) {
+        this.initialized = false;
+        this.componentModulesPath = options.componentModulesPath
+            || path.join(__dirname, '..', '..', 'config', 'jira-component-modules.json');
+        this.componentModules = {};
+    }
+
+    async initialize() {
+        if (this.initialized) return;
+
+        if (await fs.pathExists(this.componentModulesPath)) {
+            const config = await fs.readJSON(this.componentModulesPath);
+            this.componentModules = Object.fromEntries(
+                Object.entries(config.components || {}).map(([name, module]) => [name.toLowerCase(), module])
+            );
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Parse JIRA stories from an exported file or copied story text
+     */
+    async parseJiraFile(filePath) {
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            const stories = this.parseJiraContent(content, path.extname(filePath));
+
+            // Remember the source so stories without a key keep the requirement file name
+            stories.forEach(story => {
+                story.sourceFile = filePath;
+            });
+
+            return {
+                success: true,
+                stories,
+                count: stories.length
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                stories: []
+            };
+        }
+    }
+
+    /**
+     * Detect the export format and parse into normalized stories
+     */
+    parseJiraContent(content, extension = '') {
+        const trimmed = content.trim();
+
+        if (extension === '.json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            return this.parseJsonExport(JSON.parse(trimmed));
+        }
+
+        if (extension === '.xml' || trimmed.startsWith('<')) {
+            return this.parseXmlExport(trimmed);
+        }
+
+        return [this.parseStoryText(trimmed)];
+    }
+
+    /**
+     * Parse REST API / JSON exports: a single issue, an array, or a search result { issues: [] }
+     */
+    parseJsonExport(json) {
+        const issues = Array.isArray(json) ? json : (json.issues || [json]);
+        const names = json.names || {};
+
+        return issues.map(issue => {
+            const fields = issue.fields || issue;
+            const description = this.toPlainText(fields.description);
+            const acField = Object.keys(fields).find(key =>
+                /acceptance\s*criteria/i.test(names[key] || issue.names?.[key] || key));
+            const parsedText = this.parseStoryText(
+                [fields.summary || '', description, acField ? `Acceptance Criteria:\n${this.toPlainText(fields[acField])}` : '']
+                    .filter(Boolean)
+                    .join('\n\n')
+            );
+
+            return {
+                ...parsedText,
+                key: issue.key || parsedText.key,
+                summary: fields.summary || parsedText.summary,
+                labels: fields.labels || parsedText.labels,
+                components: (fields.components || []).map(component => component.name || component),
+                linkedIssues: (fields.issuelinks || []).map(link => ({
+                    type: link.outwardIssue ? link.type?.outward : link.type?.inward,
+                    key: (link.outwardIssue || link.inwardIssue || {}).key
+                })).filter(link => link.key),
+                source: 'json'
+            };
+        });
+    }
+
+    /**
+     * Parse JIRA RSS/XML exports (Export > XML)
+     */
+    parseXmlExport(xml) {
+        const items = xml.match(/<item>[\s\S]*?<\/item>/g) || [xml];
+
+        return items.map(item => {
+            const description = this.htmlToText(this.decodeEntities(this.xmlValue(item, 'description')));
+            const summary = this.decodeEntities(this.xmlValue(item, 'summary'));
+            const parsedText = this.parseStoryText(`${summary}\n\n${description}`);
+
+            const linkedIssues = [];
+            const linkBlocks = item.match(/<(?:out|in)wardlinks description="([^"]+)">[\s\S]*?<\/(?:out|in)wardlinks>/g) || [];
+            linkBlocks.forEach(block => {
+                const type = block.match(/description="([^"]+)"/)[1];
+                (block.match(/<issuekey[^>]*>([^<]+)<\/issuekey>/g) || []).forEach(keyTag => {
+                    linkedIssues.push({ type, key: keyTag.replace(/<[^>]+>/g, '').trim() });
+                });
+            });
+
+            const customFields = item.match(/<customfield [\s\S]*?<\/customfield>/g) || [];
+            const acField = customFields.find(field => /<customfieldname>\s*Acceptance Criteria/i.test(field));
+            const acceptanceCriteria = acField
+                ? this.parseAcceptanceCriteria(this.htmlToText(this.decodeEntities(this.xmlValue(acField, 'customfieldvalue'))).split('\n'))
+                : parsedText.acceptanceCriteria;
+
+            return {
+                ...parsedText,
+                key: this.xmlValue(item, 'key') || parsedText.key,
+                summary: summary || parsedText.summary,
+                acceptanceCriteria,
+                labels: this.xmlValues(item, 'label'),
+                components: this.xmlValues(item, 'component').map(value => this.decodeEntities(value)),
+                linkedIssues: linkedIssues.length ? linkedIssues : parsedText.linkedIssues,
+                source: 'xml'
+            };
+        });
+    }
+
+    /**
+     * Parse copied story text (JIRA view or plain story description)
+     */
+    parseStoryText(text) {
+        const lines = text.split(/\r?\n/);
+        const fields = {};
+        const bodyLines = [];
+        const acLines = [];
+        let inAcceptance = false;
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            const fieldMatch = line.match(FIELD_LINE);
+            const acMatch = line.match(AC_HEADING);
+
+            if (acMatch) {
+                inAcceptance = true;
+                if (acMatch[1]) acLines.push(acMatch[1]);
+                continue;
+            }
+
+            if (fieldMatch) {
+                // A field line closes the acceptance criteria section
+                fields[fieldMatch[1].toLowerCase()] = fieldMatch[2].trim();
+                inAcceptance = false;
+                continue;
+            }
+
+            if (inAcceptance) {
+                acLines.push(rawLine);
+            } else {
+                bodyLines.push(line);
+            }
+        }
+
+        const firstLine = bodyLines.find(line => line.length > 0) || '';
+        const key = (fields.key && fields.key.match(ISSUE_KEY)?.[1]) || firstLine.match(new RegExp(`^\\[?${ISSUE_KEY.source}\\]?`))?.[1] || null;
+        const summary = fields.summary || this.deriveSummary(firstLine.replace(ISSUE_KEY, '').replace(/^[\]\s:-]+/, ''), text);
+        const summaryIndex = bodyLines.indexOf(firstLine);
+        const description = bodyLines
+            .slice(fields.summary || /^as an?\s/i.test(firstLine) ? 0 : summaryIndex + 1)
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        return {
+            key,
+            summary,
+            description,
+            narrative: this.parseNarrative(bodyLines),
+            acceptanceCriteria: this.parseAcceptanceCriteria(acLines),
+            labels: this.splitList(fields.labels || fields.label),
+            components: this.splitList(fields.components || fields.component || fields['component/s']),
+            linkedIssues: this.extractLinkedIssues(text, key),
+            source: 'text'
+        };
+    }
+
+    /**
+     * The story's own "As a / I want / So that" lines, or null when it has none
+     */
+    parseNarrative(lines) {
+        const cleaned = lines.map(line => line.trim().replace(/^(?:[*\-•]+|\d+[.)])\s+/, ''));
+        const start = cleaned.findIndex(line => /^as an?\s/i.test(line));
+        if (start === -1) return null;
+
+        const end = cleaned.findIndex((line, index) => index > start && !line);
+        const text = cleaned.slice(start, end === -1 ? undefined : end).join(' ').replace(/\s+/g, ' ');
+        const match = text.match(/^(As an?\s+.+?),?\s+I\s+((?:want|need|would like)\s+.+?)(?:,?\s+(so that\s+.+?))?[.\s]*$/i);
+        if (!match) return null;
+
+        return [
+            match[1],
+            `I ${match[2]}`,
+            ...(match[3] ? [match[3].charAt(0).toUpperCase() + match[3].slice(1)] : [])
+        ].join('\n');
+    }
+
+    deriveSummary(firstLine, text) {
+        if (/^as an?\s/i.test(firstLine)) {
+            const want = text.match(/I want (?:to )?(.+)/i);
+            if (want) {
+                const clause = want[1].trim();
+                return clause.charAt(0).toUpperCase() + clause.slice(1);
+            }
+        }
+        return firstLine;
+    }
+
+    /**
+     * Split acceptance criteria into plain criteria and Given/When/Then criteria with tables;
+     * an input/output table under a prose criterion becomes a Scenario Outline with Examples
+     */
+    parseAcceptanceCriteria(lines) {
+        const criteria = [];
+        let current = null;
+        let inExamples = false;
+        let previousLine = '';
+        let previousWasStep = false;
+
+        // Prose criteria often start with "When"/"If"; only treat steps as Gherkin when the block reads like it
+        const trimmedLines = lines.map(line => line.trim());
+        const isGherkin = trimmedLines.some(line => /^Scenario/i.test(line))
+            || (trimmedLines.some(line => /^Given\s/.test(line)) && trimmedLines.some(line => /^Then\s/.test(line)));
+
+        const startCriterion = (props) => {
+            current = { id: `AC${criteria.length + 1}`, name: null, text: '', steps: [], ...props };
+            criteria.push(current);
+            inExamples = false;
+            return current;
+        };
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim().replace(/^(?:[*\-•#]+|\d+[.)])\s+/, '');
+            // A blank line ends a table: the next table is not a data table of the step above it
+            const previousWasRow = previousLine.startsWith('|');
+            const followsStep = previousWasStep;
+            previousLine = line;
+            previousWasStep = false;
+            if (!line) continue;
+
+            const scenarioMatch = line.match(/^Scenario(?: Outline)?:\s*(.+)$/i);
+            if (scenarioMatch) {
+                startCriterion({ name: scenarioMatch[1].trim(), text: scenarioMatch[1].trim() });
+                continue;
+            }
+
+            if (/^Examples:/i.test(line) && current) {
+                current.examples = [];
+                inExamples = true;
+                continue;
+            }
+
+            if (line.startsWith('|')) {
+                const row = splitRow(line);
+                if (isSeparatorRow(row)) {
+                    previousWasStep = followsStep;
+                    continue;
+                }
+                const step = current && current.steps[current.steps.length - 1];
+                if (inExamples) {
+                    current.examples.push(row);
+                } else if (step && (followsStep || (previousWasRow && step.dataTable))) {
+                    step.dataTable = step.dataTable || [];
+                    step.dataTable.push(row);
+                } else {
+                    // A table under a prose criterion (or straight under the heading) is an input/output table
+                    if (!current || current.steps.length || (current.table && !previousWasRow)) {
+                        startCriterion({});
+                    }
+                    current.table = current.table || [];
+                    current.table.push(row);
+                }
+                continue;
+            }
+
+            const stepMatch = isGherkin && line.match(GHERKIN_STEP);
+            if (stepMatch) {
+                const keyword = stepMatch[1];
+                const lastStep = current && current.steps[current.steps.length - 1];
+                const restartsFlow = keyword === 'Given' && lastStep && !['Given', 'And'].includes(lastStep.keyword);
+                const continuesScenario = current && (current.steps.length > 0 || current.name);
+
+                if (!continuesScenario || restartsFlow || inExamples) {
+                    startCriterion({});
+                }
+                current.steps.push({ keyword, text: stepMatch[2].trim() });
+                previousWasStep = true;
+                continue;
+            }
+
+            // Short lines after "...the following bundles" or "...:" are items of that criterion
+            if (current && current.listLead && !current.table && !current.steps.length && line.split(/\s+/).length <= 6) {
+                current.items.push(line);
+                continue;
+            }
+
+            startCriterion({
+                text: line,
+                items: [],
+                listLead: /:$|\b(?:following|below)\b[^.]*$|\bfor all$/i.test(line)
+            });
+        }
+
+        criteria.forEach(criterion => {
+            const [header, ...rows] = criterion.table || [];
+            if (header && header.length > 1 && rows.length && rows.every(row => row.length === header.length)) {
+                const outline = tableToOutline({ header, rows, lead: criterion.text.replace(/:$/, '') });
+                criterion.name = criterion.name || outline.name;
+                criterion.text = criterion.text || outline.name;
+                criterion.steps = outline.steps.map(step => stepFromText(step));
+                criterion.examples = outline.examples;
+            }
+            delete criterion.table;
+            if (!criterion.text) {
+                criterion.text = criterion.steps.map(step => `${step.keyword} ${step.text}`).join(' ');
+            }
+            if (criterion.items && criterion.items.length) {
+                criterion.text = `${criterion.text.replace(/:$/, '')}: ${criterion.items.join(', ')}`;
+            }
+            delete criterion.listLead;
+        });
+
+        return criteria;
+    }
+
+    extractLinkedIssues(text, ownKey) {
+        const links = [];
+        let match;
+        LINK_PHRASE.lastIndex = 0;
+        while ((match = LINK_PHRASE.exec(text)) !== null) {
+            if (match[2] !== ownKey) {
+                links.push({ type: match[1].toLowerCase(), key: match[2] });
+            }
+        }
+        return links;
+    }
+
+    splitList(value) {
+        if (!value) return [];
+        return value.split(/[,;]/).map(item => item.trim()).filter(item => item && item.toLowerCase() !== 'none');
+    }
+
+    /**
+     * Map JIRA components to SBS module folders (config/jira-component-modules.json, else kebab-case)
+     */
+    resolveModule(story) {
+        const component = story.components[0];
+        if (!component) return DEFAULT_MODULE;
+
+        return this.componentModules[component.toLowerCase()]
+            || component.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+            || DEFAULT_MODULE;
+    }
+
+    /**
+     * Build the base file name from issue key and summary, or the source file name
+     */
+    buildBaseName(story) {
+        const slug = (story.summary || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '')
+            .split('-')
+            .slice(0, 6)
+            .join('-');
+
+        if (story.key) {
+            return [story.key.toLowerCase(), slug].filter(Boolean).join('-');
+        }
+
+        if (story.sourceFile) {
+            return path.basename(story.sourceFile, path.extname(story.sourceFile));
+        }
+
+        return slug || 'jira-story';
+    }
+
+    /**
+     * Rebuild requirement text for the Cucumber adapter's analysis helpers
+     */
+    buildRequirementText(story) {
+        const criteria = story.acceptanceCriteria.map(criterion => criterion.text).join('\n');
+        return [story.summary, story.description, criteria ? `Acceptance criteria:\n${criteria}` : '']
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    /**
+     * Generate Cucumber artifacts for parsed stories
+     */
+    async generateTestArtifacts(stories, options = {}) {
+        const artifacts = {
+            features: [],
+            steps: [],
+            pages: [],
+            tests: []
+        };
+
+        const cucumberAdapter = new CucumberAdapter();
+        await cucumberAdapter.initialize();
+
+        for (const story of stories) {
+            const module = this.resolveModule(story);
+            const result = await cucumberAdapter.generateArtifacts({
+                requirement: this.buildRequirementText(story),
+                outputDir: options.outputDir || './SBS_Automation',
+                baseName: this.buildBaseName(story),
+                story: { ...story, module },
+                expand: options.expand,
+                roleMatrix: options.roleMatrix
+            });
+
+            artifacts.features.push({ filename: path.join(module, path.basename(result.files.feature)), content: result.artifacts.feature });
+            artifacts.steps.push({ filename: path.join(module, path.basename(result.files.steps)), content: result.artifacts.steps });
+            artifacts.pages.push({ filename: path.join(module, path.basename(result.files.page)), content: result.artifacts.page });
+        }
+
+        return artifacts;
+    }
+
+    /**
+     * Flatten Atlassian Document Format (REST v3) or wiki markup (REST v2) into plain text lines
+     */
+    toPlainText(value) {
+        if (!value) return '';
+        if (typeof value === 'string') return this.wikiToText(value);
+
+        const walk = (node) => {
+            if (!node) return '';
+            if (node.type === 'text') return node.text || '';
+            if (node.type === 'hardBreak') return '\n';
+
+            const children = (node.content || []).map(walk);
+            switch (node.type) {
+                case 'paragraph':
+                case 'heading':
+                    return `${children.join('')}\n`;
+                case 'listItem':
+                    return `- ${children.join('').trim()}\n`;
+                case 'tableRow':
+                    return `| ${children.map(cell => cell.trim()).join(' | ')} |\n`;
+                case 'tableCell':
+                case 'tableHeader':
+                    return children.join(' ').trim();
+                default:
+                    return children.join('');
+            }
+        };
+
+        return walk(value).trim();
+    }
+
+    wikiToText(wiki) {
+        return wiki
+            .replace(/\r\n/g, '\n')
+            .replace(/^h\d\.\s*/gm, '')
+            .replace(/^\|\|(.+)\|\|$/gm, (match, cells) => `| ${cells.split('||').join(' | ')} |`)
+            .replace(/\{(?:code|noformat)[^}]*\}/g, '')
+            .replace(/\*([^*\n]+)\*/g, '$1');
+    }
+
+    htmlToText(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|h\d|tr)>/gi, '\n')
+            .replace(/<li[^>]*>/gi, '\n- ')
+            .replace(/<t[hd][^>]*>/gi, '| ')
+            .replace(/<\/t[hd]>/gi, ' ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/\| ([^\n]*?)\s*\n/g, (match, row) => `| ${row.trim()} |\n`)
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    decodeEntities(value) {
+        return (value || '')
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;|&apos;/g, '\'')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&');
+    }
+
+    xmlValue(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+        return match ? match[1].trim() : '';
+    }
+
+    xmlValues(xml, tag) {
+        const matches = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g')) || [];
+        return matches.map(match => match.replace(/<[^>]+>/g, '').trim()).filter(Boolean);
+    }
+}
+
+module.exports = JiraStoryAdapter;
@@ -6,6 +6,7 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { spawn, execSync } = require('child_process');
+const { parseRecording, toStepExpression } = require('../utils/recording-parser');
 
 class PlaywrightCodeGenAdapter {
     constructor() {
@@ -284,10 +285,16 @@ class PlaywrightCodeGenAdapter {
     }
 
     /**
-     * Analyze recorded Playwright code
+     * Analyze recorded Playwright code (JavaScript, TypeScript, Python or Java codegen output)
      */
     analyzeRecordedCode(code) {
+        const recording = parseRecording(code);
         const analysis = {
+            dialect: recording.dialect,
+            steps: recording.steps,
+            pages: recording.pages,
+            locators: recording.locators,
+            warnings: recording.warnings,
             actions: [],
             selectors: [],
             assertions: [],
@@ -297,56 +304,21 @@ class PlaywrightCodeGenAdapter {
             inputs: []
         };
 
-        // Extract actions
-        const actionPatterns = {
-            click: /await page\.click\(['"`]([^'"`]+)['"`]\)/g,
-            fill: /await page\.fill\(['"`]([^'"`]+)['"`],\s*['"`]([^'"`]+)['"`]\)/g,
-            goto: /await page\.goto\(['"`]([^'"`]+)['"`]\)/g,
-            waitFor: /await page\.waitFor[^(]*\(([^)]+)\)/g,
-            expect: /await expect\(([^)]+)\)/g
-        };
-
-        // Extract clicks
-        let match;
-        while ((match = actionPatterns.click.exec(code)) !== null) {
-            analysis.clicks.push({
-                selector: match[1],
-                action: 'click'
-            });
-            analysis.actions.push(`Click ${match[1]}`);
-            analysis.selectors.push(match[1]);
-        }
-
-        // Extract form fills
-        actionPatterns.fill.lastIndex = 0;
-        while ((match = actionPatterns.fill.exec(code)) !== null) {
-            analysis.inputs.push({
-                selector: match[1],
-                value: match[2],
-                action: 'fill'
-            });
-            analysis.actions.push(`Fill ${match[1]} with "${match[2]}"`);
-            analysis.selectors.push(match[1]);
-        }
-
-        // Extract navigation
-        actionPatterns.goto.lastIndex = 0;
-        while ((match = actionPatterns.goto.exec(code)) !== null) {
-            analysis.navigation.push({
-                url: match[1],
-                action: 'goto'
-            });
-            analysis.actions.push(`Navigate to ${match[1]}`);
-        }
+        recording.steps.forEach(step => {
+            analysis.actions.push(step.phrase);
+
+            if (step.type === 'navigate') {
+                analysis.navigation.push({ url: step.url, action: 'goto', page: step.page });
+            } else if (step.type === 'assert') {
+                analysis.assertions.push({ ...step.assertion, selector: step.locator?.selector, action: 'expect' });
+            } else if (step.type === 'click') {
+                analysis.clicks.push({ selector: step.locator.selector, by: step.locator.by, frames: step.locator.frames, action: 'click' });
+            } else if (['fill', 'select', 'check', 'uncheck', 'press', 'upload'].includes(step.type)) {
+                analysis.inputs.push({ selector: step.locator.selector, by: step.locator.by, frames: step.locator.frames, value: step.value, action: step.type });
+            }
+        });
 
-        // Extract waits and expectations
-        actionPatterns.waitFor.lastIndex = 0;
-        while ((match = actionPatterns.waitFor.exec(code)) !== null) {
-            analysis.assertions.push({
-                condition: match[1],
-                action: 'waitFor'
-            });
-        }
+        analysis.selectors = recording.locators.map(locator => locator.selector);
 
         return analysis;
     }
@@ -394,33 +366,19 @@ class PlaywrightCodeGenAdapter {
     }
 
     /**
-     * Generate Cucumber feature from recording
+     * Generate Cucumber feature from recording - one step per recorded statement, in order
      */
     generateCucumberFeature(analysis, options) {
         const featureName = options.featureName || 'Recorded User Workflow';
         const scenario = options.scenario || 'Execute recorded user interactions';
 
-        let steps = [];
-        
-        // Add navigation steps
-        analysis.navigation.forEach(nav => {
-            steps.push(`        When I navigate to "${nav.url}"`);
-        });
-
-        // Add interaction steps
-        analysis.clicks.forEach(click => {
-            steps.push(`        And I click on "${click.selector}"`);
+        let previousKeyword = 'Given';
+        const steps = analysis.steps.map(step => {
+            const keyword = step.keyword === previousKeyword ? 'And' : step.keyword;
+            previousKeyword = step.keyword;
+            return `        ${keyword} ${step.phrase}`;
         });
 
-        analysis.inputs.forEach(input => {
-            steps.push(`        And I fill "${input.selector}" with "${input.value}"`);
-        });
-
-        // Add verification steps
-        if (analysis.assertions.length > 0) {
-            steps.push(`        Then the page should be loaded correctly`);
-        }
-
         return `@Generated @UI @Recorded @Team:AutoCoder
 Feature: ${featureName}
     As a test automation engineer
@@ -445,19 +403,27 @@ ${steps.join('\n')}
     }
 
     /**
-     * Generate step definitions
+     * Generate step definitions - one parameterized definition per distinct step phrase
      */
     generateStepDefinitions(analysis, options) {
+        const definitions = new Map();
+
+        analysis.steps.forEach(step => {
+            const expression = toStepExpression(step.phrase);
+            if (!definitions.has(expression)) {
+                definitions.set(expression, this.generateStepBody(step, expression));
+            }
+        });
+
         return `const { Given, When, Then } = require('@cucumber/cucumber');
 const { assert } = require('chai');
+const RecordedWorkflowPage = require('../pages/recorded_workflow_page');
 
-let page;
-let context;
+let recordedPage;
 
 Given('I have a browser session', async function () {
     // Browser session is managed by world.js
-    page = this.page;
-    context = this.context;
+    recordedPage = new RecordedWorkflowPage(this.page);
 });
 
 Given('I am ready to execute the workflow', function () {
@@ -467,41 +433,9 @@ Given('I am ready to execute the workflow', function () {
 Given('I start the workflow execution', function () {
     console.log('▶️ Executing recorded workflow steps');
 });
-
-${analysis.navigation.map(nav => `
-When('I navigate to {string}', async function (url) {
-    console.log(\`📍 Navigating to: \${url}\`);
-    await page.goto(url);
-    await page.waitForLoadState('networkidle');
-});`).join('')}
-
-When('I click on {string}', async function (selector) {
-    console.log(\`👆 Clicking: \${selector}\`);
-    await page.waitForSelector(selector, { timeout: 10000 });
-    await page.click(selector);
-});
-
-When('I fill {string} with {string}', async function (selector, value) {
-    console.log(\`✏️ Filling \${selector} with: \${value}\`);
-    await page.waitForSelector(selector, { timeout: 10000 });
-    await page.fill(selector, value);
-});
-
+${[...definitions.values()].join('')}
 When('I check all required elements', async function () {
-    const selectors = \${JSON.stringify(analysis.selectors, null, 4)};
-    
-    for (const selector of selectors) {
-        console.log(\`🔍 Checking element: \${selector}\`);
-        await page.waitForSelector(selector, { timeout: 5000 });
-    }
-});
-
-Then('the page should be loaded correctly', async function () {
-    // Verify navigation completed
-    const currentUrl = page.url();
-    assert.isString(currentUrl, 'Current URL should be a string');
-    assert.isTrue(currentUrl.length > 0, 'URL should not be empty');
-    console.log('✅ Page loaded successfully');
+    await recordedPage.verifyAllElements();
 });
 
 Then('I verify the workflow completed successfully', function () {
@@ -509,103 +443,220 @@ Then('I verify the workflow completed successfully', function () {
 });
 
 Then('all workflow elements should be visible', async function () {
-    const selectors = \${JSON.stringify(analysis.selectors, null, 4)};
-    
-    for (const selector of selectors) {
-        const isVisible = await page.locator(selector).isVisible();
-        assert.isTrue(isVisible, \`Element \${selector} should be visible\`);
-    }
-    
+    await recordedPage.verifyAllElements();
     console.log('✅ All workflow elements are visible');
 });
 
 Then('all workflow elements should be interactive', async function () {
-    const clickableSelectors = \${JSON.stringify(analysis.clicks.map(c => c.selector), null, 4)};
-    
-    for (const selector of clickableSelectors) {
-        const isEnabled = await page.locator(selector).isEnabled();
-        assert.isTrue(isEnabled, \`Element \${selector} should be enabled\`);
-    }
-    
+    await recordedPage.verifyInteractiveElements();
     console.log('✅ All workflow elements are interactive');
 });
 `;
     }
 
     /**
-     * Generate page object
+     * Step definition body for one recorded step type
+     */
+    generateStepBody(step, expression) {
+        const keyword = step.keyword;
+        const kind = step.locator ? step.locator.kind : null;
+        const locate = `recordedPage.locate('${kind}', label)`;
+        const define = (params, body) => `
+${keyword}('${expression.replace(/'/g, "\\'")}', async function (${params}) {
+${body}
+});
+`;
+
+        const methods = { click: 'click', dblclick: 'dblclick', hover: 'hover', focus: 'focus', clear: 'clear', check: 'check', uncheck: 'uncheck' };
+        if (methods[step.type]) {
+            return define('label', `    await ${locate}.${methods[step.type]}();`);
+        }
+
+        switch (step.type) {
+            case 'navigate':
+                return define('url', `    console.log(\`📍 Navigating to: \${url}\`);
+    await recordedPage.navigateTo(url);`);
+            case 'reload':
+            case 'goBack':
+            case 'goForward':
+                return define('', `    await recordedPage.currentPage().${step.type}();`);
+            case 'close':
+                return define('alias', '    await recordedPage.closePage(alias);');
+            case 'popup':
+                return define('alias', '    await recordedPage.switchToPopup(alias);');
+            case 'download':
+                return define('', `    const download = await recordedPage.waitForDownload();
+    assert.isOk(download.suggestedFilename(), 'A file should be downloaded');`);
+            case 'fill':
+                return define('value, label', `    await ${locate}.fill(value);`);
+            case 'press':
+                return define('key, label', `    await ${locate}.press(key);`);
+            case 'select':
+                return define('value, label', `    await ${locate}.selectOption(value);`);
+            case 'upload':
+                return define('file, label', `    await ${locate}.setInputFiles(file);`);
+            default:
+                return define(...this.generateAssertionBody(step, locate));
+        }
+    }
+
+    /**
+     * Parameters and chai assertion for a recorded expect()/assertThat() step
+     */
+    generateAssertionBody(step, locate) {
+        const { name, negated, expected } = step.assertion;
+        const isPattern = expected && typeof expected === 'object' && expected.kind === 'regex';
+        const not = negated ? 'not' : '';
+        const compare = (actual) => isPattern
+            ? `    assert.${negated ? 'notMatch' : 'match'}(${actual}, new RegExp(expected));`
+            : `    assert.${negated ? 'notEqual' : 'equal'}(${actual}, expected);`;
+
+        switch (name) {
+            case 'url':
+                return ['expected', compare('recordedPage.currentPage().url()')];
+            case 'title':
+                return ['expected', compare('await recordedPage.currentPage().title()')];
+            case 'visible':
+            case 'hidden': {
+                const shouldSee = (name === 'visible') !== Boolean(negated);
+                return ['label', `    const isVisible = await ${locate}.isVisible();
+    assert.${shouldSee ? 'isTrue' : 'isFalse'}(isVisible, \`\${label} should ${shouldSee ? '' : 'not '}be visible\`);`];
+            }
+            case 'text':
+                return ['label, expected', `    const text = (await ${locate}.innerText()).trim();
+${compare('text')}`];
+            case 'containsText':
+                return ['label, expected', `    const text = await ${locate}.innerText();
+    assert.${negated ? 'notInclude' : 'include'}(text, expected);`];
+            case 'value':
+                return ['label, expected', `    const value = await ${locate}.inputValue();
+${compare('value')}`];
+            case 'count':
+                return ['count, label', `    assert.equal(await ${locate}.count(), count);`];
+            case 'attribute':
+                return ['label, attribute, expected', `    const value = await ${locate}.getAttribute(attribute);
+${compare('value')}`];
+            case 'empty':
+                return ['label', `    const text = (await ${locate}.innerText()).trim();
+    assert.${negated ? 'isNotEmpty' : 'isEmpty'}(text);`];
+            case 'focused':
+                return ['label', `    const isFocused = await ${locate}.evaluate(element => element === document.activeElement);
+    assert.${negated ? 'isFalse' : 'isTrue'}(isFocused);`];
+            default: {
+                const method = `is${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+                return ['label', `    assert.${not ? 'isFalse' : 'isTrue'}(await ${locate}.${method}(), \`\${label} should ${not ? 'not ' : ''}be ${name}\`);`];
+            }
+        }
+    }
+
+    /**
+     * Generate page object with SBS By locators keyed by element kind and label
      */
     generatePageObject(analysis, options) {
         const className = options.className || 'RecordedWorkflowPage';
+        const elements = new Map();
 
-        const selectors = {};
-        let selectorIndex = 1;
-        
-        analysis.selectors.forEach(selector => {
-            const key = `element${selectorIndex++}`;
-            selectors[key] = selector;
+        analysis.steps.filter(step => step.locator).forEach(step => {
+            const key = `${step.locator.kind}|${step.locator.label}`;
+            if (!elements.has(key)) {
+                elements.set(key, { page: step.page, locator: step.locator });
+            }
         });
 
+        const elementEntries = [...elements.entries()].map(([key, { page, locator }]) =>
+            `            ${this.quote(key)}: { page: '${page}', selector: ${locator.by} }`
+        );
+
         return `/**
  * ${className} - Page Object for Recorded Workflow
- * Generated from Playwright CodeGen recording
+ * Generated from Playwright CodeGen recording (${analysis.dialect})
  */
 
+const By = require('../support/By.js');
+
 class ${className} {
     constructor(page) {
         this.page = page;
-        
-        // Selectors from recorded workflow
-        this.selectors = ${JSON.stringify(selectors, null, 12)};
+        this.pages = { page };
+        this.downloads = [];
+
+        // Locators from recorded workflow, keyed by element kind and label
+        this.elements = {
+${elementEntries.join(',\n')}
+        };
+
+        page.on('download', download => this.downloads.push(download));
     }
 
-    async navigateToWorkflow() {
-        ${analysis.navigation.length > 0 ? 
-            `await this.page.goto('${analysis.navigation[0].url}');` : 
-            'await this.page.goto(process.env.BASE_URL || "https://example.com");'
+    currentPage() {
+        const pages = Object.values(this.pages);
+        return pages[pages.length - 1];
+    }
+
+    locate(kind, label) {
+        const element = this.elements[\`\${kind}|\${label}\`];
+        if (!element) {
+            throw new Error(\`No recorded locator for \${kind} "\${label}"\`);
         }
-        await this.page.waitForLoadState('networkidle');
+
+        // Frame-scoped selectors enter their iframes through By.within
+        return (this.pages[element.page] || this.page).locator(element.selector);
     }
 
-    ${analysis.clicks.map((click, index) => `
-    async clickElement${index + 1}() {
-        await this.page.waitForSelector('${click.selector}');
-        await this.page.click('${click.selector}');
-        console.log('Clicked: ${click.selector}');
-    }`).join('')}
+    async navigateTo(url) {
+        await this.currentPage().goto(url);
+        await this.currentPage().waitForLoadState('networkidle');
+    }
 
-    ${analysis.inputs.map((input, index) => `
-    async fillElement${index + 1}(value = '${input.value}') {
-        await this.page.waitForSelector('${input.selector}');
-        await this.page.fill('${input.selector}', value);
-        console.log('Filled ${input.selector} with:', value);
-    }`).join('')}
+    async navigateToWorkflow() {
+        await this.navigateTo(${analysis.navigation.length > 0 ? this.quote(analysis.navigation[0].url) : 'process.env.BASE_URL || \'https://example.com\''});
+    }
+
+    async switchToPopup(alias) {
+        // The popup may already be open when the click that triggered it has finished
+        const context = this.page.context();
+        const known = Object.values(this.pages);
+        const popup = context.pages().find(candidate => !known.includes(candidate)) || await context.waitForEvent('page');
+        await popup.waitForLoadState();
+        this.pages[alias] = popup;
+    }
+
+    async closePage(alias) {
+        await this.pages[alias].close();
+        delete this.pages[alias];
+    }
+
+    async waitForDownload() {
+        return this.downloads.length > 0 ? this.downloads[this.downloads.length - 1] : await this.page.waitForEvent('download');
+    }
 
     async executeCompleteWorkflow() {
         console.log('🎬 Executing complete recorded workflow');
-        
-        // Navigate to starting page
-        await this.navigateToWorkflow();
-        
-        ${analysis.clicks.map((click, index) => `
-        // Click action ${index + 1}
-        await this.clickElement${index + 1}();
-        await this.page.waitForTimeout(1000);`).join('')}
-        
-        ${analysis.inputs.map((input, index) => `
-        // Fill action ${index + 1}
-        await this.fillElement${index + 1}();
-        await this.page.waitForTimeout(1000);`).join('')}
-        
+${this.generateWorkflowReplay(analysis)}
         console.log('✅ Workflow execution completed');
     }
 
     async verifyAllElements() {
         console.log('🔍 Verifying all workflow elements');
-        
-        for (const [key, selector] of Object.entries(this.selectors)) {
-            await this.page.waitForSelector(selector, { timeout: 5000 });
-            console.log(\`✅ Element \${key} (\${selector}) is present\`);
+
+        for (const [key, element] of Object.entries(this.elements)) {
+            if (element.page !== 'page') continue;
+            const [kind, label] = key.split('|');
+            await this.locate(kind, label).first().waitFor({ state: 'visible', timeout: 5000 });
+            console.log(\`✅ Element \${key} (\${element.selector}) is present\`);
+        }
+    }
+
+    async verifyInteractiveElements() {
+        const interactive = ${JSON.stringify([...new Set(analysis.steps
+            .filter(step => step.locator && step.page === 'page' && ['click', 'fill', 'check', 'select'].includes(step.type))
+            .map(step => `${step.locator.kind}|${step.locator.label}`))])};
+
+        for (const key of interactive) {
+            const [kind, label] = key.split('|');
+            if (!await this.locate(kind, label).first().isEnabled()) {
+                throw new Error(\`Element \${key} should be enabled\`);
+            }
         }
     }
 }
@@ -614,6 +665,55 @@ module.exports = ${className};
 `;
     }
 
+    /**
+     * Replay code for executeCompleteWorkflow, arming popup/download listeners before the triggering action
+     */
+    generateWorkflowReplay(analysis) {
+        const lines = [];
+        const target = step => `this.locate(${this.quote(step.locator.kind)}, ${this.quote(step.locator.label)})`;
+        const calls = {
+            click: () => 'click()', dblclick: () => 'dblclick()', hover: () => 'hover()', focus: () => 'focus()',
+            clear: () => 'clear()', check: () => 'check()', uncheck: () => 'uncheck()',
+            fill: step => `fill(${this.quote(step.value)})`, press: step => `press(${this.quote(step.value)})`,
+            select: step => `selectOption(${this.quote(step.value)})`, upload: step => `setInputFiles(${this.quote(step.value)})`
+        };
+
+        // Assertions stay as comments - they are verified by the matching Cucumber steps
+        analysis.steps.forEach((step, index) => {
+            const next = analysis.steps[index + 1];
+            lines.push(`        // ${step.phrase}`);
+
+            if (next && (next.type === 'popup' || next.type === 'download') && calls[step.type]) {
+                lines.push(`        const ${next.type}Promise${index} = this.pages[${this.quote(next.page)}].waitForEvent('${next.type}');`);
+            }
+
+            if (step.type === 'navigate') {
+                lines.push(`        await this.navigateTo(${this.quote(step.url)});`);
+            } else if (calls[step.type]) {
+                lines.push(`        await ${target(step)}.${calls[step.type](step)};`);
+            } else if (step.type === 'popup') {
+                const promise = `popupPromise${index - 1}`;
+                const armed = lines.some(line => line.includes(promise));
+                lines.push(armed
+                    ? `        this.pages[${this.quote(step.alias)}] = await ${promise};`
+                    : `        await this.switchToPopup(${this.quote(step.alias)});`);
+            } else if (step.type === 'download') {
+                const promise = `downloadPromise${index - 1}`;
+                lines.push(lines.some(line => line.includes(promise)) ? `        await ${promise};` : '        await this.waitForDownload();');
+            } else if (step.type === 'close') {
+                lines.push(`        await this.closePage(${this.quote(step.page)});`);
+            } else if (['reload', 'goBack', 'goForward'].includes(step.type)) {
+                lines.push(`        await this.currentPage().${step.type}();`);
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    quote(value) {
+        return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    }
+
     /**
      * Generate enhanced Playwright test
      */
@@ -625,7 +725,8 @@ module.exports = ${className};
  * Generated from CodeGen recording with additional validations
  */
 
-const { test, expect } = require('@playwright/test');
+const { test } = require('@playwright/test');
+const { assert } = require('chai');
 const RecordedWorkflowPage = require('../pages/recorded_workflow_page');
 
 test.describe('${testName}', () => {
@@ -639,11 +740,10 @@ test.describe('${testName}', () => {
         // Execute the complete recorded workflow
         await workflowPage.executeCompleteWorkflow();
         
-        // Verify final state
-    // Verify navigation completed
-    const currentUrl = page.url();
-    assert.isString(currentUrl, 'Current URL should be a string');
-    assert.isTrue(currentUrl.length > 0, 'URL should not be empty');
+        // Verify navigation completed
+        const currentUrl = page.url();
+        assert.isString(currentUrl, 'Current URL should be a string');
+        assert.isTrue(currentUrl.length > 0, 'URL should not be empty');
     });
 
     test('should verify all workflow elements are present', async ({ page }) => {
@@ -653,18 +753,7 @@ test.describe('${testName}', () => {
 
     test('should handle workflow element interactions', async ({ page }) => {
         await workflowPage.navigateToWorkflow();
-        
-        \${analysis.clicks.map((click, index) => \`
-        // Test click action \${index + 1}
-        await workflowPage.clickElement\${index + 1}();
-        const isEnabled = await page.locator('\${click.selector}').isEnabled();
-        assert.isTrue(isEnabled, 'Element should be enabled');\`).join('')}
-        
-        \${analysis.inputs.map((input, index) => \`
-        // Test fill action \${index + 1}
-        await workflowPage.fillElement\${index + 1}('test_value_\${index + 1}');
-        const inputValue = await page.locator('\${input.selector}').inputValue();
-        assert.equal(inputValue, 'test_value_\${index + 1}');\`).join('')}
+        await workflowPage.verifyInteractiveElements();
     });
 
     test('should validate workflow performance', async ({ page }) => {
@@ -6,6 +6,9 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const gherkin = require('../utils/gherkin-document');
+const { writeGeneratedFile } = require('../utils/artifact-merge');
+const { formatGherkin } = gherkin;
 
 class SimpleCucumberAdapter {
     constructor() {
@@ -55,9 +58,10 @@ class SimpleCucumberAdapter {
         const stepsFile = path.join(stepsDir, `${baseName}-steps.js`);
         const pageFile = path.join(pagesDir, `${baseName}-page.js`);
         
-        await fs.writeFile(featureFile, featureContent);
-        await fs.writeFile(stepsFile, stepsContent);
-        await fs.writeFile(pageFile, pageContent);
+        // Regeneration merges with hand edits instead of overwriting them
+        writeGeneratedFile(featureFile, featureContent);
+        writeGeneratedFile(stepsFile, stepsContent);
+        writeGeneratedFile(pageFile, pageContent);
         
         return {
             files: { 
@@ -97,20 +101,25 @@ class SimpleCucumberAdapter {
     }
     
     generateFeature(context, requirementText) {
-        return `@${context.domain} @automation
-Feature: ${context.featureName}
-
-  Background:
-    Given I am authenticated in the system
-    And I am on the application page
-
-  @smoke @regression  
-  Scenario: ${context.featureName}
-    Given I am authenticated in the system
-    And I am on the application page
-    When I perform the required action
-    Then I should see the expected result
-`;
+        return formatGherkin(gherkin.feature({
+            name: context.featureName,
+            tags: [`@${context.domain}`, '@automation'],
+            children: [
+                gherkin.background({
+                    steps: ['Given I am authenticated in the system', 'And I am on the application page']
+                }),
+                gherkin.scenario({
+                    name: context.featureName,
+                    tags: ['@smoke', '@regression'],
+                    steps: [
+                        'Given I am authenticated in the system',
+                        'And I am on the application page',
+                        'When I perform the required action',
+                        'Then I should see the expected result'
+                    ]
+                })
+            ]
+        }));
     }
     
     generateSteps(context) {
@@ -9,6 +9,7 @@ const TemplateEngine = require('./templates/template-engine');
 const FrameworkManager = require('./adapters/framework-manager');
 const fs = require('fs-extra');
 const path = require('path');
+const { writeGeneratedFile, isDryRun } = require('./utils/artifact-merge');
 
 class AutoCoder {
     constructor(options = {}) {
@@ -53,8 +54,10 @@ class AutoCoder {
                 this.frameworkManager.initialize()
             ]);
 
-            // Ensure output directory exists
-            await fs.ensureDir(this.options.outputPath);
+            // Ensure output directory exists (dry runs write nothing)
+            if (!isDryRun()) {
+                await fs.ensureDir(this.options.outputPath);
+            }
             
             this.initialized = true;
             // Silent initialization completed
@@ -229,7 +232,7 @@ class AutoCoder {
         const summary = this.generateBatchSummary(results);
         
         // Save batch report
-        if (options.generateReport !== false) {
+        if (options.generateReport !== false && !isDryRun()) {
             await this.saveBatchReport(results, summary, options);
         }
         
@@ -253,11 +256,11 @@ class AutoCoder {
             // Framework Manager already saved the files with proper names - just report them
             for (const [type, filePath] of Object.entries(generation.files)) {
                 const fileName = path.basename(filePath);
-                console.log(`📁 Saved ${type}: ${fileName}`);
+                console.log(`📁 ${isDryRun() ? 'Planned' : 'Saved'} ${type}: ${fileName}`);
             }
 
             // Save summary metadata if needed
-            if (this.options.includeMetadata) {
+            if (this.options.includeMetadata && !isDryRun()) {
                 const outputPath = options.outputPath || this.options.outputPath;
                 const summaryDir = path.join(outputPath, 'summary');
                 await fs.ensureDir(summaryDir);
@@ -301,6 +304,9 @@ class AutoCoder {
                     // Quality metrics
                     qualityMetrics: {
                         requirementCoverage: this.calculateRequirementCoverage(analysis, generation),
+                        // Share of acceptance criteria with at least one traced scenario (see *-traceability.html)
+                        criteriaCoverage: generation.metadata.traceability?.coverage ?? null,
+                        uncoveredCriteria: generation.metadata.traceability?.uncovered || [],
                         sbsPatternMatches: analysis.matchingFeatures?.length || 0,
                         confidenceScore: generation.metadata.matchingConfidence || 0
                     },
@@ -327,13 +333,15 @@ class AutoCoder {
             };
         }
 
-        // Fallback to old behavior only if Framework Manager didn't provide files
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const baseName = this.generateBaseName(analysis, timestamp);
+        // Fallback to old behavior only if Framework Manager didn't provide files. Names are content-based
+        // so regenerating the same requirement merges into the same files instead of adding copies
+        const baseName = this.generateContentBaseName(analysis);
         const outputPath = options.outputPath || this.options.outputPath;
         
         // Ensure directory structure exists
-        await this.ensureDirectoryStructure(outputPath);
+        if (!isDryRun()) {
+            await this.ensureDirectoryStructure(outputPath);
+        }
         
         const savedFiles = {};
         
@@ -343,15 +351,15 @@ class AutoCoder {
                 const fileName = this.generateFileName(baseName, templateType);
                 const filePath = this.getFilePathForType(outputPath, templateType, fileName);
                 
-                await fs.writeFile(filePath, content, 'utf8');
+                const { status } = writeGeneratedFile(filePath, content);
                 savedFiles[templateType] = filePath;
                 
-                console.log(`📁 Saved ${templateType}: ${fileName}`);
+                console.log(`📁 ${isDryRun() ? 'Planned' : 'Saved'} ${templateType}: ${fileName} (${status})`);
             }
         }
         
         // Save summary metadata
-        if (this.options.includeMetadata) {
+        if (this.options.includeMetadata && !isDryRun()) {
             const summaryDir = path.join(outputPath, 'summary');
             const metadataPath = path.join(summaryDir, `${baseName}-summary.json`);
             const metadata = {
@@ -413,17 +421,6 @@ class AutoCoder {
         return path.join(outputPath, directory, fileName);
     }
 
-    /**
-     * Generate base name for files
-     */
-    generateBaseName(analysis, timestamp) {
-        const domain = analysis.domain || 'general';
-        const intent = analysis.intent || 'test';
-        const entity = analysis.entities[0]?.entity || 'item';
-        
-        return `${domain}-${intent}-${entity}-${timestamp}`.replace(/[^a-zA-Z0-9-]/g, '-');
-    }
-
     /**
      * Generate content-based name without timestamp for better organization
      */
@@ -660,6 +657,8 @@ class AutoCoder {
             generateTimestamp: new Date().toISOString(),
             generateUser: options.user || 'auto-coder',
             projectName: options.projectName || 'test-project',
+            expand: options.expand, // opt-in @negative/@boundary scenarios
+            roleMatrix: options.roleMatrix, // opt-in per-role allowed/denied variants
             outputDir: options.outputDir || this.options.outputPath, // CRITICAL FIX: Add outputDir for cucumber adapter
             
             // Formatting helpers
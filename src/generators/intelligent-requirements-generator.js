@@ -11,6 +11,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { writeGeneratedFile, isDryRun } = require('../utils/artifact-merge');
 
 class IntelligentRequirementsGenerator {
     constructor() {
@@ -403,7 +404,7 @@ class IntelligentRequirementsGenerator {
         
         // Write to file
         this.ensureDirectoryExists(path.dirname(filePath));
-        fs.writeFileSync(filePath, content);
+        writeGeneratedFile(filePath, content);
         
         console.log(`✅ Generated intelligent feature: ${fileName}`);
         return { fileName, filePath, content };
@@ -457,7 +458,7 @@ class IntelligentRequirementsGenerator {
         
         // Write to file
         this.ensureDirectoryExists(path.dirname(filePath));
-        fs.writeFileSync(filePath, content);
+        writeGeneratedFile(filePath, content);
         
         console.log(`✅ Generated intelligent steps: ${fileName}`);
         return { fileName, filePath, content, pageVarName, className };
@@ -526,7 +527,7 @@ class IntelligentRequirementsGenerator {
         
         // Write to file
         this.ensureDirectoryExists(path.dirname(filePath));
-        fs.writeFileSync(filePath, content);
+        writeGeneratedFile(filePath, content);
         
         console.log(`✅ Generated intelligent page: ${fileName}`);
         return { fileName, filePath, content, className };
@@ -640,7 +641,7 @@ class IntelligentRequirementsGenerator {
 
 module.exports = BasePage;
 `;
-        fs.writeFileSync(filePath, content);
+        writeGeneratedFile(filePath, content);
         console.log(`✅ Created base-page.js`);
     }
 
@@ -655,7 +656,7 @@ class CustomWorld {
 
 setWorldConstructor(CustomWorld);
 `;
-        fs.writeFileSync(filePath, content);
+        writeGeneratedFile(filePath, content);
         console.log(`✅ Created world.js`);
     }
 
@@ -686,7 +687,8 @@ setWorldConstructor(CustomWorld);
     }
 
     ensureDirectoryExists(dirPath) {
-        if (!fs.existsSync(dirPath)) {
+        // Dry runs only record the planned writes
+        if (!isDryRun() && !fs.existsSync(dirPath)) {
             fs.mkdirSync(dirPath, { recursive: true });
         }
     }
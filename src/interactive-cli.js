@@ -6,6 +6,8 @@ const path = require('path');
 const { spawn, exec } = require('child_process');
 const ora = require('ora');
 const readline = require('readline');
+const { setDryRun, isDryRun, takePendingWrites } = require('./utils/artifact-merge');
+const { buildPreview, printPreview } = require('./utils/dry-run-preview');
 
 class InteractiveCLI {
     constructor() {
@@ -137,6 +139,7 @@ class InteractiveCLI {
             }
             console.log(`${chalk.cyan((index + 1).toString())}. ${displayChoice}`);
         });
+        console.log(`${chalk.cyan('D')}. 🔍 Dry Run - preview diffs without writing: ${isDryRun() ? chalk.green.bold('ON') : chalk.gray('OFF')}`);
 
         console.log(chalk.red.bold('\n🔥 OPTION 1: UNIVERSAL MASTER STEPS - Revolutionary 80-90% reuse rate!'));
         console.log(chalk.magenta.bold('🔥 OPTION 11: INSTANT PAGE CAPTURE - Live element detection & page generation!'));
@@ -144,8 +147,15 @@ class InteractiveCLI {
         console.log(chalk.yellow('💡 Option 4 uses Traditional Master Library (stable, 60-75% reuse)!'));
         console.log(chalk.yellow('💡 Option 12 uses Classic NO-AI (lightweight, 30-50% reuse)!'));
         
-        const answer = await this.getInputWithNavigation('\nSelect generation mode (1-14): ', 'submenu');
+        const answer = await this.getInputWithNavigation('\nSelect generation mode (1-14, D): ', 'submenu');
         if (answer === null) return; // Navigation command was handled
+        if (answer.trim().toLowerCase() === 'd') {
+            // Generators started from here inherit the mode through AUTO_CODER_DRY_RUN
+            setDryRun(!isDryRun());
+            console.log(chalk.yellow(`\n🔍 Dry run ${isDryRun() ? 'enabled - generation shows diffs and writes nothing' : 'disabled'}`));
+            await this.showGenerateMenu();
+            return;
+        }
         const choice = parseInt(answer.trim());
 
         if (choice === 1) {
@@ -257,6 +267,9 @@ class InteractiveCLI {
                     }
                 });
                 
+                if (isDryRun()) {
+                    printPreview(buildPreview(takePendingWrites()));
+                }
                 await this.showGenerationResults(outputDir);
             } else {
                 this.spinner.fail(chalk.red('❌ All generations failed'));
@@ -285,6 +298,7 @@ class InteractiveCLI {
             });
             
             this.spinner.succeed(chalk.green('✅ Test artifacts generated successfully!'));
+            this.showDryRunOutput(result.stdout);
 
             await this.showGenerationResults(outputDir);
 
@@ -1644,7 +1658,22 @@ ${chalk.yellow('GET HELP:')}
         await this.askContinue();
     }
 
+    /**
+     * Print the dry-run preview a generator child process wrote at exit (its other output may be filtered)
+     */
+    showDryRunOutput(stdout) {
+        const start = isDryRun() ? (stdout || '').indexOf('🔍 DRY RUN') : -1;
+        if (start !== -1) {
+            console.log(`\n${stdout.slice(start).trimEnd()}`);
+        }
+    }
+
     async showGenerationResults(outputDir) {
+        if (isDryRun()) {
+            console.log(chalk.yellow(`\n🔍 Dry run - nothing was written to ${outputDir}`));
+            return;
+        }
+
         console.log(chalk.green.bold('\n✨ GENERATION RESULTS'));
         
         try {
@@ -3044,6 +3073,7 @@ ${chalk.yellow('GET HELP:')}
             });
             
             console.log(chalk.green('\n🎉 Universal Master Steps generation completed successfully!'));
+            this.showDryRunOutput(stdout);
             await this.showGenerationResults('SBS_Automation');
             
         } catch (error) {
@@ -11,6 +11,7 @@
 
 const path = require('path');
 const fs = require('fs-extra');
+const gherkin = require('../utils/gherkin-document');
 
 class MasterFeaturesLibrary {
   constructor() {
@@ -283,37 +284,30 @@ class MasterFeaturesLibrary {
       scenarios = []
     } = { ...featureData, ...customization };
 
-    let content = '';
-
-    // Add tags
-    const featureTags = tags.length > 0 ? tags : ['@Team:SBSBusinessContinuity', '@smoke'];
-    content += featureTags.join(' ') + '\n';
-
-    // Add feature title and description
-    content += `Feature: ${title}\n\n`;
-    content += `  ${description}\n\n`;
+    const children = [];
 
     // Add background if specified
     if (background && this.sbsPatterns.background[background]) {
-      content += '  Background:\n';
-      this.sbsPatterns.background[background].forEach(step => {
-        content += `    ${step}\n`;
-      });
-      content += '\n';
+      children.push(gherkin.background({
+        steps: this.sbsPatterns.background[background].map(step => gherkin.stepFromText(step))
+      }));
     }
 
     // Add scenarios
     scenarios.forEach(scenario => {
-      const scenarioTags = scenario.tags ? scenario.tags.join(' ') + '\n  ' : '';
-      content += `  ${scenarioTags}Scenario: ${scenario.name}\n`;
-      
-      scenario.steps.forEach(step => {
-        content += `    ${step}\n`;
-      });
-      content += '\n';
+      children.push(gherkin.scenario({
+        name: scenario.name,
+        tags: scenario.tags || [],
+        steps: scenario.steps.map(step => gherkin.stepFromText(step))
+      }));
     });
 
-    return content;
+    return gherkin.formatGherkin(gherkin.feature({
+      name: title,
+      tags: tags.length > 0 ? tags : ['@Team:SBSBusinessContinuity', '@smoke'],
+      description,
+      children
+    }));
   }
 
   /**
@@ -321,37 +315,22 @@ class MasterFeaturesLibrary {
    * Creates feature file content using SBS patterns
    */
   generateFeatureContent(featureTemplate) {
-    let content = '';
-    
-    // Add tags
-    if (featureTemplate.tags && featureTemplate.tags.length > 0) {
-      content += featureTemplate.tags.join(' ') + '\n';
-    }
-    
-    // Add feature title and description
-    content += `Feature: ${featureTemplate.title}\n\n`;
-    if (featureTemplate.description) {
-      content += `  ${featureTemplate.description}\n\n`;
-    }
-    
-    // Add mandatory background
+    // Add mandatory background - the pattern is Gherkin text, so parse it back into a node
     const mandatoryBackground = this.getMandatoryBackground();
-    content += mandatoryBackground.pattern + '\n\n';
-    
+    const backgroundNode = gherkin.parseGherkin(`Feature: background\n${mandatoryBackground.pattern}`).feature.children[0];
+
     // Add scenarios
-    if (featureTemplate.scenarios && featureTemplate.scenarios.length > 0) {
-      featureTemplate.scenarios.forEach(scenario => {
-        content += `  Scenario: ${scenario.name}\n`;
-        if (scenario.steps) {
-          scenario.steps.forEach(step => {
-            content += `    ${step}\n`;
-          });
-        }
-        content += '\n';
-      });
-    }
-    
-    return content;
+    const scenarioNodes = (featureTemplate.scenarios || []).map(scenario => gherkin.scenario({
+      name: scenario.name,
+      steps: (scenario.steps || []).map(step => gherkin.stepFromText(step))
+    }));
+
+    return gherkin.formatGherkin(gherkin.feature({
+      name: featureTemplate.title,
+      tags: featureTemplate.tags || [],
+      description: featureTemplate.description || '',
+      children: [backgroundNode, ...scenarioNodes]
+    }));
   }
 
   /**
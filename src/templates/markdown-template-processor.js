@@ -21,7 +21,8 @@ class MarkdownTemplateProcessor {
     }
 
     parseTemplate(content) {
-        const sections = content.split('---');
+        // Only a line of dashes separates sections - markdown table rules (|---|) stay intact
+        const sections = content.split(/^-{3,}\s*$/m);
         
         for (const section of sections) {
             this.extractSectionData(section);
@@ -106,17 +107,36 @@ class MarkdownTemplateProcessor {
     }
 
     extractTestData(section) {
-        const validDataMatch = section.match(/### Valid Test Data[\s\S]*?```([\s\S]*?)```/);
-        if (validDataMatch) {
-            this.templateSections.validTestData = this.cleanText(validDataMatch[1]);
+        const validData = this.extractDataBlock(section, 'Valid Test Data');
+        if (validData) {
+            this.templateSections.validTestData = validData;
         }
 
-        const invalidDataMatch = section.match(/### Invalid Test Data[\s\S]*?```([\s\S]*?)```/);
-        if (invalidDataMatch) {
-            this.templateSections.invalidTestData = this.cleanText(invalidDataMatch[1]);
+        const invalidData = this.extractDataBlock(section, 'Invalid Test Data');
+        if (invalidData) {
+            this.templateSections.invalidTestData = invalidData;
         }
     }
 
+    /**
+     * Body of a test data heading: its fenced block, or a markdown table written straight under it.
+     * Tables are kept as rows so the Cucumber adapter can turn them into Scenario Outline Examples
+     */
+    extractDataBlock(section, heading) {
+        const bodyMatch = section.match(new RegExp(`### ${heading}[^\\n]*\\n([\\s\\S]*?)(?=\\n#{1,3}\\s|$)`));
+        if (!bodyMatch) {
+            return null;
+        }
+
+        const fencedMatch = bodyMatch[1].match(/```[^\n]*\n?([\s\S]*?)```/);
+        if (fencedMatch) {
+            return this.cleanText(fencedMatch[1]);
+        }
+
+        const tableLines = bodyMatch[1].split('\n').map(line => line.trim()).filter(line => /^\|.*\|$/.test(line));
+        return tableLines.length > 0 ? tableLines.join('\n') : null;
+    }
+
     extractUIElements(section) {
         const uiElementsMatch = section.match(/### Page Elements[\s\S]*?```([\s\S]*?)```/);
         if (uiElementsMatch) {
@@ -0,0 +1,135 @@
+/**
+ * API Step Library - Step definitions shared by every generated API suite
+ * HAR, OpenAPI and cURL generators emit the same file so Cucumber never sees duplicate steps.
+ * World contract: this.api (page object with extract()), this.response ({ url, status, data, headers, time }), this.variables
+ * Single cURL suites add this.request ({ method, endpoint, headers, payload, curl }), set by each command's prepare step
+ */
+
+const COMMON_API_STEPS_FILE = 'api_common_steps.js';
+
+function generateCommonApiSteps() {
+    return `const path = require('path');
+const { execSync } = require('child_process');
+const { Given, When, Then } = require('@cucumber/cucumber');
+const { assert } = require('chai');
+const ApiEnvironment = require('../support/api-environment');
+const SchemaValidator = require('../support/schema-validator');
+
+Given('the API base URL is configured', function () {
+    // {{baseUrl}} resolves for ADP_ENV when the request is sent
+    console.log('API environment:', ApiEnvironment.current());
+});
+
+Given('I have valid authentication credentials', function () {
+    // HAR flows check their secrets up front; cURL requests resolve theirs when they are sent
+    const missing = this.api && this.api.missingSecrets ? this.api.missingSecrets() : [];
+    assert.isEmpty(missing, \`Set \${missing.join(', ')} before running this flow\`);
+});
+
+Given('I set the required headers', function () {
+    // Headers come with the request prepared by the command's own step file
+    console.log('Headers configured:', this.request.headers);
+});
+
+Given('I set the request payload', function () {
+    console.log('Payload configured:', this.request.payload);
+});
+
+Given('I set invalid authentication', function () {
+    this.request.headers.Authorization = 'Bearer invalid_token';
+});
+
+When('I execute the API request', function () {
+    const startTime = Date.now();
+
+    try {
+        // Execute original cURL command for exact fidelity - host and secrets resolved for ADP_ENV
+        console.log('Executing cURL command:', this.request.curl);
+        const result = execSync(ApiEnvironment.resolve(this.request.curl), {
+            encoding: 'utf8',
+            timeout: 30000,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let data;
+        try {
+            data = JSON.parse(result);
+        } catch (parseError) {
+            data = result;
+        }
+        // Default for successful execution
+        this.response = { url: this.request.endpoint, status: 200, data, raw: result, time: Date.now() - startTime };
+        console.log('API Response received in', this.response.time, 'ms');
+    } catch (error) {
+        // Handle cURL errors
+        const errorOutput = error.stderr ? error.stderr.toString() : error.message;
+        const statusMatch = errorOutput.match(/HTTP\\/\\d\\.\\d\\s+(\\d+)/);
+        const status = statusMatch ? parseInt(statusMatch[1]) : 500;
+
+        this.response = { url: this.request.endpoint, status, error: errorOutput, time: Date.now() - startTime };
+        console.log('API Error:', error.message);
+    }
+});
+
+Then('the response status should be successful', function () {
+    assert.isNotNull(this.response, 'API response should not be null');
+    assert.isTrue(this.response.status >= 200 && this.response.status <= 299, 'Response status should be in 200-299 range');
+});
+
+Then('the response should contain valid data', function () {
+    assert.isNotNull(this.response.data, 'Response data should not be null');
+    assert.isDefined(this.response.data, 'Response data should be defined');
+});
+
+Then('the response time should be acceptable', function () {
+    assert.isBelow(this.response.time, 5000, 'Response time should be below 5 seconds');
+});
+
+Then('the response status should be {int} or {int}', function (status1, status2) {
+    assert.isTrue(
+        this.response.status === status1 || this.response.status === status2,
+        \`Expected status \${status1} or \${status2}, got \${this.response.status}\`
+    );
+});
+
+Then('the error message should be appropriate', function () {
+    assert.exists(this.response.error || this.response.data, 'Response should contain error information or data');
+});
+
+Then('the response status should be {int}', function (status) {
+    assert.equal(this.response.status, status, \`Unexpected status for \${this.response.url}\`);
+});
+
+Then('the response status should be in the 2xx range', function () {
+    assert.isAtLeast(this.response.status, 200, \`Expected a 2xx status for \${this.response.url}\`);
+    assert.isBelow(this.response.status, 300, \`Expected a 2xx status for \${this.response.url}\`);
+});
+
+Then('the response status should be a client error', function () {
+    assert.isAtLeast(this.response.status, 400, \`Expected a 4xx status for \${this.response.url}\`);
+    assert.isBelow(this.response.status, 500, \`Expected a 4xx status for \${this.response.url}\`);
+});
+
+Then('the response time should be below {int} ms', function (limit) {
+    assert.isBelow(this.response.time, limit);
+});
+
+Then('I store {string} from the response as {string}', function (jsonPath, name) {
+    const value = this.api.extract(this.response.data, jsonPath);
+    assert.isDefined(value, \`\${jsonPath} should exist in the response\`);
+    this.variables = this.variables || {};
+    this.variables[name] = value;
+});
+
+Then('the response should match the contract schema {string}', function (schemaFile) {
+    // Contract schemas are saved beside the features they belong to
+    const schema = require(path.join(__dirname, '..', 'features', schemaFile));
+    SchemaValidator.assert(schema, this.response.data, \`Contract drift in \${schemaFile}\`);
+});
+`;
+}
+
+module.exports = {
+    COMMON_API_STEPS_FILE,
+    generateCommonApiSteps
+};
@@ -0,0 +1,466 @@
+/**
+ * Artifact Merge - Three-way merge of regenerated artifacts (last generated base, the engineer's edited
+ * file, new generator output) so hand edits survive regeneration.
+ *
+ * Files are split into units - step definitions, top-level declarations, class methods and fields,
+ * Background/Scenario/Rule blocks - and merged unit by unit. Units inside an
+ * "auto-coder:keep-start" ... "auto-coder:keep-end" region, or containing "auto-coder:keep", are never
+ * touched. A unit changed both by hand and by the generator is a conflict: the edited version is kept
+ * and the full new output is written next to the file as <file>.generated. The last generated base of
+ * each file is kept in one state directory at the project root: .auto-coder/<relative path>.base
+ *
+ * In dry-run mode (setDryRun(true) or AUTO_CODER_DRY_RUN=true for child processes) nothing is written:
+ * each planned write is recorded with the file's current content for a diff preview
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// State directory under the working directory (the project root), like the other .auto-coder data
+const BASE_DIR = '.auto-coder';
+const KEEP_MARKER = /auto-coder:keep(?!-)/;
+const KEEP_START = /auto-coder:keep-start/;
+const KEEP_END = /auto-coder:keep-end/;
+
+const DRY_RUN_ENV = 'AUTO_CODER_DRY_RUN';
+
+let dryRun = process.env[DRY_RUN_ENV] === 'true';
+let pendingWrites = [];
+
+// Characters after which a "/" starts a regular expression rather than a division
+const REGEX_PRECEDERS = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+
+/**
+ * Bracket depth at the start of every line, or -1 for lines that start inside a comment, string or
+ * template literal (those never start a unit)
+ */
+function lineDepths(source) {
+    const depths = [0];
+    const stack = []; // '{', '(', '[' or '${' for template expressions
+    let inLiteral = false;
+    let previous = '';
+    let i = 0;
+
+    const newline = () => depths.push(inLiteral ? -1 : stack.length);
+    const skipTo = (pattern, allowNewlines) => {
+        while (i < source.length) {
+            const char = source[i];
+            if (char === '\\') {
+                if (source[i + 1] === '\n' && allowNewlines) newline();
+                i += 2;
+                continue;
+            }
+            if (char === '\n') {
+                if (!allowNewlines) return;
+                newline();
+            }
+            if (pattern(char, i)) return;
+            i++;
+        }
+    };
+
+    const scanTemplate = () => {
+        // i is just after an opening or a closing "}" of a ${...}
+        inLiteral = true;
+        skipTo((char, index) => char === '`' || (char === '$' && source[index + 1] === '{'), true);
+        inLiteral = false;
+        if (source[i] === '$') {
+            stack.push('${');
+            i += 2;
+        } else {
+            i++;
+        }
+    };
+
+    while (i < source.length) {
+        const char = source[i];
+        const next = source[i + 1];
+
+        if (char === '\n') {
+            newline();
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (char === '/' && next === '/') {
+            skipTo(c => c === '\n', false);
+        } else if (char === '/' && next === '*') {
+            i += 2;
+            inLiteral = true;
+            skipTo((c, index) => c === '*' && source[index + 1] === '/', true);
+            inLiteral = false;
+            i += 2;
+            continue;
+        } else if (char === '\'' || char === '"') {
+            i++;
+            skipTo(c => c === char, false);
+            if (source[i] === char) i++;
+            previous = 'literal';
+            continue;
+        } else if (char === '`') {
+            i++;
+            scanTemplate();
+            previous = 'literal';
+            continue;
+        } else if (char === '/' && (REGEX_PRECEDERS.has(previous) || /^(?:return|typeof|case)$/.test(previous))) {
+            i++;
+            let inClass = false;
+            skipTo(c => {
+                if (c === '[') inClass = true;
+                else if (c === ']') inClass = false;
+                return c === '/' && !inClass;
+            }, false);
+            if (source[i] === '/') i++;
+            while (/[a-z]/i.test(source[i] || '')) i++;
+            previous = 'literal';
+            continue;
+        } else if ('{(['.includes(char)) {
+            stack.push(char);
+            i++;
+        } else if ('})]'.includes(char)) {
+            const open = stack.pop();
+            i++;
+            if (open === '${') {
+                scanTemplate();
+                previous = 'literal';
+                continue;
+            }
+        } else if (/[\w$]/.test(char)) {
+            const word = source.slice(i).match(/^[\w$]+/)[0];
+            i += word.length;
+            previous = word;
+            continue;
+        } else {
+            i++;
+        }
+        previous = char;
+    }
+
+    return depths;
+}
+
+function isJsTrivia(line) {
+    const trimmed = line.trim();
+    return !trimmed || /^(?:\/\/|\/\*|\*)/.test(trimmed);
+}
+
+function isFeatureTrivia(line) {
+    const trimmed = line.trim();
+    return !trimmed || trimmed.startsWith('#') || trimmed.startsWith('@');
+}
+
+function jsKey(line) {
+    const trimmed = line.trim();
+    let match = trimmed.match(/^(?:Given|When|Then|And|But|defineStep)\s*\(\s*(['"`/])((?:\\.|(?!\1).)*)\1/);
+    if (match) return `step:${match[2]}`;
+    match = trimmed.match(/^(?:export\s+)?(?:const|let|var)\s+(\{[^}]*\}|\[[^\]]*\]|[\w$]+)/);
+    if (match) return `decl:${match[1].replace(/\s+/g, '')}`;
+    match = trimmed.match(/^(?:export\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)/);
+    if (match) return `function:${match[1]}`;
+    if (/^module\.exports\b/.test(trimmed)) return 'exports';
+    return `statement:${trimmed}`;
+}
+
+function memberKey(className, line) {
+    const trimmed = line.trim();
+    let match = trimmed.match(/^(?:static\s+)?(?:async\s+)?(?:get\s+|set\s+)?\*?\s*(#?[\w$]+)\s*\(/);
+    if (match) return `method:${className}.${match[1]}`;
+    match = trimmed.match(/^(?:static\s+)?(#?[\w$]+)\s*=/);
+    if (match) return `field:${className}.${match[1]}`;
+    return `member:${className}.${trimmed}`;
+}
+
+/**
+ * Unit starts of a JavaScript file: top-level statements, and the header, members and closing brace
+ * of every top-level class
+ */
+function jsStarts(lines) {
+    const depths = lineDepths(lines.join('\n'));
+    const starts = [];
+    let lastCode = '';
+    let className = null;
+
+    lines.forEach((line, index) => {
+        const depth = depths[index];
+        const trimmed = line.trim();
+        if (depth < 0 || isJsTrivia(line)) return;
+
+        const afterStatement = !lastCode || /[;})]$/.test(lastCode) || lastCode.endsWith('{');
+        if (className && depth === 1 && trimmed.startsWith('}') && depths[index + 1] === 0) {
+            starts.push({ line: index, key: `class-end:${className}` });
+            className = null;
+        } else if (className && depth === 1 && afterStatement) {
+            starts.push({ line: index, key: memberKey(className, line) });
+        } else if (depth === 0 && afterStatement) {
+            const classMatch = trimmed.match(/^(?:export\s+)?class\s+([\w$]+)/);
+            if (classMatch && depths[index + 1] === 1) {
+                className = classMatch[1];
+                starts.push({ line: index, key: `class:${className}` });
+            } else {
+                starts.push({ line: index, key: jsKey(line) });
+            }
+        }
+        lastCode = trimmed;
+    });
+
+    return { starts, isTrivia: isJsTrivia };
+}
+
+function featureStarts(lines) {
+    const starts = [];
+    lines.forEach((line, index) => {
+        const match = line.trim().match(/^(Feature|Background|Rule|Scenario Outline|Scenario Template|Scenario|Example):\s*(.*)$/);
+        if (!match) return;
+        const kind = { 'Scenario Outline': 'scenario', 'Scenario Template': 'scenario', Example: 'scenario' }[match[1]] || match[1].toLowerCase();
+        starts.push({ line: index, key: kind === 'feature' || kind === 'background' ? kind : `${kind}:${match[2].trim()}` });
+    });
+    return { starts, isTrivia: isFeatureTrivia };
+}
+
+/**
+ * Split content into [{ key, text, body, gap, protected }]; leading comments and tags belong to the unit
+ * that follows them, blank lines to the unit above, and anything before the first unit is the "head" unit
+ */
+function splitUnits(content, kind) {
+    const lines = content.split('\n');
+    const { starts, isTrivia } = kind === 'feature' ? featureStarts(lines) : jsStarts(lines);
+
+    const boundaries = starts.map((start, index) => {
+        let line = start.line;
+        const floor = index > 0 ? starts[index - 1].line + 1 : 0;
+        while (line > floor && isTrivia(lines[line - 1])) line--;
+        // Blank lines stay with the unit above as its trailing gap
+        while (line < start.line && !lines[line].trim()) line++;
+        return { key: start.key, line };
+    });
+    if (boundaries.length === 0 || boundaries[0].line > 0) {
+        boundaries.unshift({ key: 'head', line: 0 });
+    }
+
+    const keepRanges = [];
+    let keepStart = null;
+    lines.forEach((line, index) => {
+        if (KEEP_START.test(line)) keepStart = index;
+        if (KEEP_END.test(line) && keepStart !== null) {
+            keepRanges.push([keepStart, index]);
+            keepStart = null;
+        }
+    });
+
+    const seen = {};
+    return boundaries.map((boundary, index) => {
+        const end = index + 1 < boundaries.length ? boundaries[index + 1].line : lines.length;
+        const text = lines.slice(boundary.line, end).join('\n');
+        // Trailing blank lines separate units; they are not part of what gets compared
+        const body = text.replace(/(?:\n[ \t]*)+$/, '');
+        seen[boundary.key] = (seen[boundary.key] || 0) + 1;
+        return {
+            key: seen[boundary.key] > 1 ? `${boundary.key}#${seen[boundary.key]}` : boundary.key,
+            text,
+            body,
+            gap: text.slice(body.length),
+            protected: KEEP_MARKER.test(text) || keepRanges.some(([from, to]) => from < end && to >= boundary.line)
+        };
+    });
+}
+
+function artifactKind(filePath) {
+    if (/\.feature$/i.test(filePath)) return 'feature';
+    if (/\.[cm]?[jt]s$/i.test(filePath)) return 'js';
+    return 'text';
+}
+
+/**
+ * Three-way merge of one artifact. base is null when no snapshot exists yet, in which case every unit
+ * that differs between the file and the new output is treated as a conflict
+ * Returns { content, conflicts: [unit keys], kept: [unit keys], updated: [unit keys] }
+ */
+function mergeArtifact({ base, user, generated, filePath = '' }) {
+    const kind = artifactKind(filePath);
+    if (kind === 'text') {
+        if (base !== null && user === base) return { content: generated, conflicts: [], kept: [], updated: ['file'] };
+        if (generated === base || user === generated) return { content: user, conflicts: [], kept: ['file'], updated: [] };
+        return { content: user, conflicts: ['file'], kept: [], updated: [] };
+    }
+
+    const index = units => new Map(units.map(unit => [unit.key, unit]));
+    const baseUnits = index(base === null ? [] : splitUnits(base, kind));
+    const userList = splitUnits(user, kind);
+    const userUnits = index(userList);
+    const generatedList = splitUnits(generated, kind);
+    const generatedUnits = index(generatedList);
+    const result = { conflicts: [], kept: [], updated: [] };
+
+    const resolve = key => {
+        const baseText = baseUnits.get(key)?.body;
+        const userUnit = userUnits.get(key);
+        const userText = userUnit?.body;
+        const generatedText = generatedUnits.get(key)?.body;
+
+        if (userUnit?.protected) {
+            result.kept.push(key);
+            return userText;
+        }
+        if (userText === generatedText) return userText;
+        if (base !== null && userText === baseText) {
+            result.updated.push(key);
+            return generatedText;
+        }
+        if (base !== null && generatedText === baseText) {
+            result.kept.push(key);
+            return userText;
+        }
+        // Edited (or removed) by hand and changed by the generator - keep the hand edit
+        result.conflicts.push(key);
+        return userText;
+    };
+
+    // New output order, with units that only exist in the edited file placed after their predecessor
+    const merged = generatedList.map(unit => ({ key: unit.key, body: resolve(unit.key), gap: unit.gap }));
+    userList.forEach((unit, position) => {
+        if (generatedUnits.has(unit.key)) return;
+        const body = resolve(unit.key);
+        const predecessor = userList.slice(0, position).reverse().find(candidate => merged.some(entry => entry.key === candidate.key));
+        const at = predecessor ? merged.findIndex(entry => entry.key === predecessor.key) + 1 : 0;
+        merged.splice(at, 0, { key: unit.key, body, gap: unit.gap || '\n' });
+    });
+
+    return {
+        content: merged.filter(entry => entry.body !== undefined).map(entry => entry.body + entry.gap).join('\n'),
+        ...result
+    };
+}
+
+/**
+ * Where the last generated version of filePath is kept - outputs outside the project keep their
+ * absolute path below .auto-coder/external
+ */
+function basePath(filePath) {
+    const root = process.cwd();
+    const absolute = path.resolve(root, filePath);
+    const relative = path.relative(root, absolute);
+    const key = relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+        ? relative
+        : path.join('external', absolute.replace(/^[a-z]:/i, '').replace(/^[\\/]+/, ''));
+    return path.join(root, BASE_DIR, `${key}.base`);
+}
+
+/**
+ * What regenerating filePath with content would do, without writing anything:
+ * { status: created|unchanged|updated|merged|conflict, content, conflicts, kept }
+ */
+function planGeneratedFile(filePath, content) {
+    if (!fs.existsSync(filePath)) {
+        return { status: 'created', content, conflicts: [], kept: [] };
+    }
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const crlf = raw.includes('\r\n');
+    const user = raw.replace(/\r\n/g, '\n');
+    const generated = content.replace(/\r\n/g, '\n');
+    const base = fs.existsSync(basePath(filePath)) ? fs.readFileSync(basePath(filePath), 'utf8').replace(/\r\n/g, '\n') : null;
+    const restore = text => (crlf ? text.replace(/\n/g, '\r\n') : text);
+
+    if (user === generated) {
+        return { status: 'unchanged', content: raw, conflicts: [], kept: [] };
+    }
+    if (base !== null && user === base) {
+        return { status: 'updated', content: restore(generated), conflicts: [], kept: [] };
+    }
+
+    const merge = mergeArtifact({ base, user, generated, filePath });
+    return {
+        status: merge.conflicts.length > 0 ? 'conflict' : 'merged',
+        content: restore(merge.content),
+        conflicts: merge.conflicts,
+        kept: merge.kept
+    };
+}
+
+/**
+ * Write generator output to filePath, merging with hand edits made since the last generation.
+ * The new output is stored as the base for the next merge
+ */
+function writeGeneratedFile(filePath, content) {
+    const plan = planGeneratedFile(filePath, content);
+    const conflictPath = `${filePath}.generated`;
+
+    if (dryRun) {
+        pendingWrites.push({
+            path: filePath,
+            previous: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null,
+            content: plan.content,
+            status: plan.status,
+            conflicts: plan.conflicts
+        });
+        return { ...plan, path: filePath, dryRun: true };
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.mkdirSync(path.dirname(basePath(filePath)), { recursive: true });
+    if (plan.status !== 'unchanged') {
+        fs.writeFileSync(filePath, plan.content);
+    }
+    fs.writeFileSync(basePath(filePath), content);
+
+    if (plan.status === 'conflict') {
+        fs.writeFileSync(conflictPath, content);
+        console.log(`⚠️  Merge conflicts in ${path.basename(filePath)} - kept your version of: ${plan.conflicts.join(', ')}`);
+        console.log(`   New generator output: ${conflictPath}`);
+    } else {
+        if (fs.existsSync(conflictPath)) fs.unlinkSync(conflictPath);
+        if (plan.status === 'merged') {
+            console.log(`🔀 Merged regenerated ${path.basename(filePath)} with your edits${plan.kept.length ? ` (kept: ${plan.kept.join(', ')})` : ''}`);
+        }
+    }
+
+    return { ...plan, path: filePath };
+}
+
+/**
+ * Enable or disable dry-run mode. Child processes inherit it through AUTO_CODER_DRY_RUN
+ */
+function setDryRun(enabled) {
+    dryRun = Boolean(enabled);
+    pendingWrites = [];
+    if (dryRun) {
+        process.env[DRY_RUN_ENV] = 'true';
+    } else {
+        delete process.env[DRY_RUN_ENV];
+    }
+}
+
+function isDryRun() {
+    return dryRun;
+}
+
+/**
+ * Writes recorded in dry-run mode since the last call, in order
+ */
+function takePendingWrites() {
+    const writes = pendingWrites;
+    pendingWrites = [];
+    return writes;
+}
+
+// Scripts started with AUTO_CODER_DRY_RUN=true print their preview on exit
+if (dryRun) {
+    process.once('exit', () => {
+        const writes = takePendingWrites();
+        if (writes.length === 0) return;
+        const { buildPreview, printPreview } = require('./dry-run-preview');
+        printPreview(buildPreview(writes));
+    });
+}
+
+module.exports = {
+    BASE_DIR,
+    basePath,
+    DRY_RUN_ENV,
+    splitUnits,
+    mergeArtifact,
+    planGeneratedFile,
+    writeGeneratedFile,
+    setDryRun,
+    isDryRun,
+    takePendingWrites
+};
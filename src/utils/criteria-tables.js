@@ -0,0 +1,186 @@
+/**
+ * Criteria Tables - Detect input/output tables in requirement text (plain text, markdown, JIRA)
+ * and turn each into a Scenario Outline skeleton: <param> placeholders plus an Examples block
+ */
+
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const SEPARATOR_CELL = /^:?-{3,}:?$/;
+const NUMERIC_VALUE = /^-?\d+(?:\.\d+)?$/;
+
+// Lines that make a table Gherkin data (step argument or Examples) rather than a criteria table
+const STEP_LEAD = /^(?:Given|When|Then|And|But|\*)\s/i;
+const EXAMPLES_LEAD = /^(?:Examples|Scenarios):/i;
+const SECTION_LEAD = /^acceptance criteria?:?$/i;
+
+// Column headers that read as expected results rather than inputs
+const OUTPUT_HEADER = /\b(?:expected|result|results|outcome|output|should|status|message|error|total|net|calculated|response)\b/i;
+
+/**
+ * Cells of a "| a | b |" row; "\|" keeps a literal pipe inside a cell and
+ * JIRA wiki header rows ("|| a || b ||") read like any other row
+ */
+function splitRow(line) {
+    const cells = [];
+    let cell = '';
+    const trimmed = line.trim();
+    const body = (trimmed.startsWith('||') ? trimmed.replace(/\|\|/g, '|') : trimmed).replace(/^\|/, '').replace(/\|$/, '');
+
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] === '\\' && body[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (body[i] === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += body[i];
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function isSeparatorRow(cells) {
+    return cells.every(cell => SEPARATOR_CELL.test(cell.replace(/\s+/g, '')));
+}
+
+function cleanLead(line) {
+    return line
+        .replace(/^(?:[*\-•#>]+|\d+[.)])\s*/, '')
+        .replace(/[*_`]/g, '')
+        .replace(/:\s*$/, '')
+        .trim();
+}
+
+/**
+ * Pipe tables in the text with their lead line (the sentence just above the table):
+ * [{ header, rows, lead, startLine, endLine }] - rows exclude the header and markdown separator rows
+ */
+function findCriteriaTables(text) {
+    const lines = String(text || '').split(/\r?\n/);
+    const tables = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!TABLE_ROW.test(lines[i])) continue;
+
+        const startLine = i;
+        const rows = [];
+        while (i < lines.length && TABLE_ROW.test(lines[i])) {
+            const cells = splitRow(lines[i]);
+            if (!isSeparatorRow(cells)) rows.push(cells);
+            i++;
+        }
+
+        // Lead: the closest non-blank line above, allowing one blank line in between. Only a table
+        // directly under a step is its data table; after a blank line the step is not its lead either
+        let leadIndex = startLine - 1;
+        const afterBlank = leadIndex >= 0 && !lines[leadIndex].trim();
+        if (afterBlank) leadIndex--;
+        let leadLine = leadIndex >= 0 ? lines[leadIndex].trim() : '';
+        if (EXAMPLES_LEAD.test(leadLine) || (!afterBlank && STEP_LEAD.test(leadLine))) continue;
+        if (STEP_LEAD.test(leadLine)) leadLine = '';
+
+        const [header, ...dataRows] = rows;
+        if (!header || header.length < 2 || dataRows.length === 0) continue;
+        if (dataRows.some(row => row.length !== header.length)) continue;
+
+        tables.push({
+            header,
+            rows: dataRows,
+            lead: SECTION_LEAD.test(cleanLead(leadLine)) ? '' : cleanLead(leadLine),
+            startLine,
+            endLine: i - 1
+        });
+    }
+
+    return tables;
+}
+
+function toLabel(header) {
+    return header
+        .replace(/\([^)]*\)/g, '')
+        .replace(/^expected\s+/i, '')
+        .replace(/[^A-Za-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase() || 'value';
+}
+
+function isNumericColumn(values) {
+    const filled = values.filter(value => value !== '');
+    return filled.length > 0 && filled.every(value => NUMERIC_VALUE.test(value));
+}
+
+/**
+ * Column descriptors: label, unique <param> name, placeholder text and whether it is an expected result.
+ * Numeric columns stay unquoted so their steps take {int}/{float}; the rest are quoted for {string}
+ */
+function describeColumns(table) {
+    const used = new Set();
+    const columns = table.header.map((header, index) => {
+        const label = toLabel(header);
+        let param = label.replace(/ /g, '_');
+        for (let suffix = 2; used.has(param); suffix++) {
+            param = `${label.replace(/ /g, '_')}_${suffix}`;
+        }
+        used.add(param);
+
+        const numeric = isNumericColumn(table.rows.map(row => row[index]));
+        return {
+            header,
+            label,
+            param,
+            numeric,
+            placeholder: numeric ? `<${param}>` : `"<${param}>"`,
+            output: OUTPUT_HEADER.test(header)
+        };
+    });
+
+    // Without a recognisable result column the last column is the expected value
+    if (!columns.some(column => column.output)) columns[columns.length - 1].output = true;
+    if (columns.every(column => column.output)) columns[0].output = false;
+    return columns;
+}
+
+/**
+ * Scenario Outline skeleton for a criteria table:
+ * { name, steps: ['Given the hours is <hours>', ...], examples: [{ hours: '40', ... }], columns }
+ */
+function tableToOutline(table, { name, action = 'the details are processed' } = {}) {
+    const columns = describeColumns(table);
+    const inputs = columns.filter(column => !column.output);
+    const outputs = columns.filter(column => column.output);
+
+    const steps = [
+        ...inputs.map((column, index) => `${index === 0 ? 'Given' : 'And'} the ${column.label} is ${column.placeholder}`),
+        `When ${action}`,
+        ...outputs.map((column, index) => `${index === 0 ? 'Then' : 'And'} the ${column.label} should be ${column.placeholder}`)
+    ];
+
+    const examples = table.rows.map(row => columns.reduce((example, column, index) => {
+        example[column.param] = row[index];
+        return example;
+    }, {}));
+
+    return {
+        name: name || table.lead || `${outputs.map(column => column.label).join(' and ')} by ${inputs.map(column => column.label).join(' and ')}`,
+        steps,
+        examples,
+        columns
+    };
+}
+
+/**
+ * Scenario Outline skeletons for every criteria table in the text
+ */
+function extractOutlines(text, options = {}) {
+    return findCriteriaTables(text).map(table => tableToOutline(table, options));
+}
+
+module.exports = {
+    splitRow,
+    isSeparatorRow,
+    findCriteriaTables,
+    tableToOutline,
+    extractOutlines
+};
@@ -0,0 +1,569 @@
+/**
+ * cURL Parser - Shared tokenizer-based parser for pasted cURL commands
+ * Builds one normalized request model used by ApiCurlAdapter, api-coder and CurlApiRunner
+ */
+
+// Options that consume the following token as their value
+const VALUE_OPTIONS = {
+    '-X': 'request', '--request': 'request',
+    '-H': 'header', '--header': 'header',
+    '-d': 'data', '--data': 'data', '--data-ascii': 'data',
+    '--data-raw': 'data-raw', '--data-binary': 'data-binary',
+    '--data-urlencode': 'data-urlencode', '--json': 'json',
+    '-F': 'form', '--form': 'form', '--form-string': 'form-string',
+    '-u': 'user', '--user': 'user',
+    '-b': 'cookie', '--cookie': 'cookie',
+    '-A': 'user-agent', '--user-agent': 'user-agent',
+    '-e': 'referer', '--referer': 'referer',
+    '--url': 'url',
+    '--oauth2-bearer': 'oauth2-bearer',
+    '-o': 'ignored', '--output': 'ignored', '-c': 'ignored', '--cookie-jar': 'ignored',
+    '-m': 'ignored', '--max-time': 'ignored', '--connect-timeout': 'ignored',
+    '-x': 'ignored', '--proxy': 'ignored', '-U': 'ignored', '--proxy-user': 'ignored',
+    '-w': 'ignored', '--write-out': 'ignored', '--retry': 'ignored',
+    '-E': 'ignored', '--cert': 'ignored', '--key': 'ignored', '--cacert': 'ignored',
+    '-T': 'ignored', '--upload-file': 'ignored', '-K': 'ignored', '--config': 'ignored',
+    '-r': 'ignored', '--range': 'ignored', '--resolve': 'ignored', '-z': 'ignored'
+};
+
+// Options that take no value
+const FLAG_OPTIONS = {
+    '-L': 'location', '--location': 'location',
+    '-k': 'insecure', '--insecure': 'insecure',
+    '-G': 'get', '--get': 'get',
+    '-I': 'head', '--head': 'head',
+    '--compressed': 'compressed',
+    '-s': 'silent', '--silent': 'silent',
+    '-S': 'show-error', '--show-error': 'show-error',
+    '-v': 'verbose', '--verbose': 'verbose',
+    '-i': 'include', '--include': 'include',
+    '-f': 'fail', '--fail': 'fail',
+    '-g': 'globoff', '--globoff': 'globoff',
+    '-N': 'no-buffer', '--no-buffer': 'no-buffer',
+    '-#': 'progress-bar', '--progress-bar': 'progress-bar',
+    '--http1.1': 'http1.1', '--http2': 'http2'
+};
+
+// `curl` as a command: at the start of a line (after an optional `$ ` prompt) or after a shell separator
+const COMMAND_START = /(?<=^[ \t]*(?:\$[ \t]+)?|[;|&(`][ \t]*)curl(?=\s)/gm;
+
+// First argument of a real command: a URL, host[:port], IP, or a {{variable}} / $VAR placeholder
+const URL_LIKE = /^(?:[a-z][a-z0-9+.-]*:\/\/|\{\{|\$\{?\w|(?:localhost|\[[\da-f:.]+\]|[\w-]+(?:\.[\w-]+)+|[\w-]+:\d+)(?::\d+)?(?:[/?#]|$))/i;
+
+/**
+ * Tokenize a single cURL command starting at `start`.
+ * Handles single/double/ANSI-C quotes, backslash escapes, line continuations
+ * (`\` and Windows `^`), comments, and stops at the end of the shell command.
+ * Returns { tokens, end } where each token is { value, quoted }.
+ */
+function tokenizeCurl(input, start = 0) {
+    const tokens = [];
+    let i = start;
+    let current = '';
+    let inToken = false;
+    let quoted = false;
+
+    const pushToken = () => {
+        if (inToken) {
+            tokens.push({ value: current, quoted });
+        }
+        current = '';
+        inToken = false;
+        quoted = false;
+    };
+
+    while (i < input.length) {
+        const ch = input[i];
+        const next = input[i + 1];
+
+        // Line continuations: "\<newline>" and "^<newline>" (cmd.exe)
+        if ((ch === '\\' || ch === '^') && (next === '\n' || next === '\r' || next === undefined)) {
+            i += 1;
+            if (input[i] === '\r') i += 1;
+            if (input[i] === '\n') i += 1;
+            continue;
+        }
+
+        if (ch === '\n' || ch === ';' || ch === '|' || (ch === '&' && next === '&')) {
+            break;
+        }
+
+        if (ch === ' ' || ch === '\t' || ch === '\r') {
+            pushToken();
+            i += 1;
+            continue;
+        }
+
+        if (ch === '#' && !inToken) {
+            while (i < input.length && input[i] !== '\n') i += 1;
+            continue;
+        }
+
+        if (ch === '\'' || (ch === '$' && next === '\'')) {
+            const ansi = ch === '$';
+            i += ansi ? 2 : 1;
+            inToken = true;
+            quoted = true;
+            while (i < input.length && input[i] !== '\'') {
+                if (ansi && input[i] === '\\' && i + 1 < input.length) {
+                    current += decodeAnsiEscape(input[i + 1]);
+                    i += 2;
+                    continue;
+                }
+                current += input[i];
+                i += 1;
+            }
+            i += 1;
+            if (startsGluedCommand(input, i)) break;
+            continue;
+        }
+
+        if (ch === '"') {
+            i += 1;
+            inToken = true;
+            quoted = true;
+            while (i < input.length && input[i] !== '"') {
+                if (input[i] === '\\' && '"\\$`\n'.includes(input[i + 1])) {
+                    if (input[i + 1] !== '\n') current += input[i + 1];
+                    i += 2;
+                    continue;
+                }
+                current += input[i];
+                i += 1;
+            }
+            i += 1;
+            if (startsGluedCommand(input, i)) break;
+            continue;
+        }
+
+        if (ch === '\\' && next !== undefined) {
+            current += next;
+            inToken = true;
+            i += 2;
+            continue;
+        }
+
+        current += ch;
+        inToken = true;
+        i += 1;
+    }
+
+    pushToken();
+    return { tokens, end: i };
+}
+
+function decodeAnsiEscape(ch) {
+    return { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"' }[ch] ?? `\\${ch}`;
+}
+
+// A second paste glued onto a closing quote, e.g. `--data ''curl --location ...`
+function startsGluedCommand(input, index) {
+    return /^curl\s/.test(input.slice(index, index + 5));
+}
+
+/**
+ * Find and parse every cURL command in a block of text.
+ * Prose and comments between commands are ignored, except `# @name value` annotation
+ * comments which attach to the command that follows them. `curl` only starts a command at the
+ * start of a line or after a shell separator, and commands without a URL are dropped.
+ */
+function parseCurlCommands(text) {
+    const commands = [];
+    const source = String(text || '');
+
+    let previousEnd = 0;
+    let start = findCommandStart(source, 0);
+    while (start !== -1) {
+        const { tokens, end } = tokenizeCurl(source, start);
+        const model = buildRequestModel(tokens);
+
+        if (model && model.url) {
+            model.originalCommand = source.slice(start, end).trim();
+            model.annotations = parseAnnotations(source.slice(previousEnd, start));
+            commands.push(model);
+            previousEnd = end;
+        }
+
+        start = startsGluedCommand(source, end) ? end : findCommandStart(source, Math.max(end, start + 4));
+    }
+
+    return commands;
+}
+
+function findCommandStart(source, from) {
+    COMMAND_START.lastIndex = from;
+    const match = COMMAND_START.exec(source);
+    return match ? match.index : -1;
+}
+
+/**
+ * Read `# @extract orderId=$.data.id` / `# @use {{orderId}}` style comment lines
+ */
+function parseAnnotations(text) {
+    const annotations = [];
+    const pattern = /^[ \t]*(?:#|\/\/)[ \t]*@([A-Za-z][\w-]*)[ \t]*(.*)$/gm;
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        annotations.push({ name: match[1].toLowerCase(), value: match[2].trim() });
+    }
+
+    return annotations;
+}
+
+/**
+ * Parse a single cURL command string into the normalized request model.
+ * Returns null when no URL can be found.
+ */
+function parseCurl(curlString) {
+    const [command] = parseCurlCommands(curlString);
+    return command || null;
+}
+
+/**
+ * Build the normalized request model from tokens.
+ * Returns null when the first argument is not a URL or host.
+ */
+function buildRequestModel(tokens) {
+    const state = {
+        method: null,
+        url: null,
+        headers: {},
+        cookies: {},
+        dataParts: [],
+        dataFile: null,
+        formParts: [],
+        auth: null,
+        flags: {}
+    };
+
+    const args = tokens.map(token => token.value);
+    if (args[0] === 'curl') args.shift();
+
+    let endOfOptions = false;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (endOfOptions || !arg.startsWith('-') || arg === '-') {
+            if (state.url) continue;
+            // "curl command below", "curl is installed" - prose, not a command
+            if (!URL_LIKE.test(arg)) return null;
+            state.url = arg;
+            continue;
+        }
+
+        if (arg === '--') {
+            endOfOptions = true;
+            continue;
+        }
+
+        if (VALUE_OPTIONS[arg]) {
+            applyOption(state, VALUE_OPTIONS[arg], args[i + 1] ?? '');
+            i += 1;
+            continue;
+        }
+
+        if (FLAG_OPTIONS[arg]) {
+            state.flags[FLAG_OPTIONS[arg]] = true;
+            continue;
+        }
+
+        // Short options with attached values (-XPOST, -HAccept:json) or bundled flags (-sSL)
+        if (!arg.startsWith('--') && arg.length > 2) {
+            const short = arg.slice(0, 2);
+            if (VALUE_OPTIONS[short]) {
+                applyOption(state, VALUE_OPTIONS[short], arg.slice(2));
+                continue;
+            }
+            const bundled = arg.slice(1).split('').map(letter => `-${letter}`);
+            if (bundled.every(flag => FLAG_OPTIONS[flag])) {
+                bundled.forEach(flag => { state.flags[FLAG_OPTIONS[flag]] = true; });
+                continue;
+            }
+        }
+
+        // Unknown option - remember it but keep going
+        state.flags[arg.replace(/^-+/, '')] = true;
+    }
+
+    return finalizeModel(state);
+}
+
+function applyOption(state, name, value) {
+    switch (name) {
+        case 'request':
+            state.method = value.toUpperCase();
+            break;
+        case 'header':
+            addHeader(state, value);
+            break;
+        case 'data':
+        case 'data-binary':
+            if (value.startsWith('@')) {
+                state.dataFile = value.slice(1);
+            }
+            state.dataParts.push(value);
+            break;
+        case 'data-raw':
+            state.dataParts.push(value);
+            break;
+        case 'data-urlencode':
+            state.dataParts.push(urlencodeData(value));
+            break;
+        case 'json':
+            state.dataParts.push(value);
+            setDefaultHeader(state, 'Content-Type', 'application/json');
+            setDefaultHeader(state, 'Accept', 'application/json');
+            break;
+        case 'form':
+        case 'form-string':
+            state.formParts.push(parseFormPart(value, name === 'form-string'));
+            break;
+        case 'user': {
+            const separator = value.indexOf(':');
+            state.auth = {
+                type: 'basic',
+                username: separator === -1 ? value : value.slice(0, separator),
+                password: separator === -1 ? '' : value.slice(separator + 1)
+            };
+            break;
+        }
+        case 'cookie':
+            if (value.includes('=')) {
+                Object.assign(state.cookies, parseCookieString(value));
+            }
+            break;
+        case 'user-agent':
+            setDefaultHeader(state, 'User-Agent', value);
+            break;
+        case 'referer':
+            setDefaultHeader(state, 'Referer', value);
+            break;
+        case 'url':
+            state.url = value;
+            break;
+        case 'oauth2-bearer':
+            state.auth = { type: 'bearer', token: value };
+            break;
+        default:
+            break;
+    }
+}
+
+function addHeader(state, header) {
+    const separator = header.indexOf(':');
+    if (separator === -1) {
+        // "X-Empty;" sends an empty header, "X-Name" alone is ignored by curl
+        if (header.endsWith(';')) state.headers[header.slice(0, -1).trim()] = '';
+        return;
+    }
+
+    const key = header.slice(0, separator).trim();
+    const value = header.slice(separator + 1).trim();
+    if (!key) return;
+
+    state.headers[key] = value;
+
+    if (key.toLowerCase() === 'cookie') {
+        Object.assign(state.cookies, parseCookieString(value));
+    }
+
+    if (key.toLowerCase() === 'authorization') {
+        state.auth = parseAuthorizationHeader(value) || state.auth;
+    }
+}
+
+function setDefaultHeader(state, key, value) {
+    const existing = findHeaderKey(state.headers, key);
+    if (!existing) state.headers[key] = value;
+}
+
+function findHeaderKey(headers, name) {
+    return Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase()) || null;
+}
+
+function parseCookieString(value) {
+    const cookies = {};
+    value.split(';').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) return;
+        const name = pair.slice(0, separator).trim();
+        if (name) cookies[name] = pair.slice(separator + 1).trim();
+    });
+    return cookies;
+}
+
+function parseAuthorizationHeader(value) {
+    const [scheme, ...rest] = value.split(' ');
+    const credentials = rest.join(' ').trim();
+
+    if (/^bearer$/i.test(scheme)) {
+        return { type: 'bearer', token: credentials };
+    }
+
+    if (/^basic$/i.test(scheme)) {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        return {
+            type: 'basic',
+            username: separator === -1 ? decoded : decoded.slice(0, separator),
+            password: separator === -1 ? '' : decoded.slice(separator + 1)
+        };
+    }
+
+    return { type: scheme.toLowerCase(), token: credentials };
+}
+
+// Mirrors curl's --data-urlencode forms: "content", "=content", "name=content", "@file", "name@file"
+function urlencodeData(value) {
+    const equals = value.indexOf('=');
+    const at = value.indexOf('@');
+
+    if (equals === -1 && at === -1) return encodeURIComponent(value);
+    if (equals === 0) return encodeURIComponent(value.slice(1));
+    if (equals > 0 && (at === -1 || equals < at)) {
+        return `${value.slice(0, equals)}=${encodeURIComponent(value.slice(equals + 1))}`;
+    }
+    return value;
+}
+
+function parseFormPart(value, literal) {
+    const separator = value.indexOf('=');
+    const name = separator === -1 ? value : value.slice(0, separator);
+    const content = separator === -1 ? '' : value.slice(separator + 1);
+
+    if (!literal && content.startsWith('@')) {
+        const [file, ...attributes] = content.slice(1).split(';');
+        const typeAttribute = attributes.find(attr => attr.trim().startsWith('type='));
+        return {
+            name,
+            type: 'file',
+            file,
+            contentType: typeAttribute ? typeAttribute.split('=')[1] : null
+        };
+    }
+
+    if (!literal && content.startsWith('<')) {
+        return { name, type: 'file-content', file: content.slice(1) };
+    }
+
+    return { name, type: 'field', value: content };
+}
+
+function finalizeModel(state) {
+    let url = state.url;
+    if (url && !/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+        url = `http://${url}`;
+    }
+
+    const hasData = state.dataParts.length > 0;
+    const data = hasData ? state.dataParts.join('&') : null;
+
+    // -G moves the request data into the query string
+    if (state.flags.get && hasData && url) {
+        url += (url.includes('?') ? '&' : '?') + data;
+    }
+
+    let method = state.method;
+    if (!method) {
+        if (state.flags.head) method = 'HEAD';
+        else if (state.flags.get) method = 'GET';
+        else if (hasData || state.formParts.length) method = 'POST';
+        else method = 'GET';
+    }
+
+    const { baseUrl, path, query } = splitUrl(url);
+    const body = buildBody(state, state.flags.get ? null : data);
+
+    return {
+        method,
+        url,
+        baseUrl,
+        path,
+        query,
+        headers: state.headers,
+        cookies: state.cookies,
+        body,
+        auth: state.auth,
+        flags: state.flags,
+        // Compatibility fields used by existing generators
+        data: body.type === 'multipart' ? null : body.raw,
+        hasData: body.type !== 'none',
+        hasAuth: !!state.auth
+    };
+}
+
+function buildBody(state, data) {
+    if (state.formParts.length) {
+        return { type: 'multipart', raw: null, json: null, form: null, multipart: state.formParts, file: null };
+    }
+
+    if (data === null) {
+        return { type: 'none', raw: null, json: null, form: null, multipart: null, file: null };
+    }
+
+    const contentTypeKey = findHeaderKey(state.headers, 'Content-Type');
+    const contentType = contentTypeKey ? state.headers[contentTypeKey].toLowerCase() : '';
+    const json = tryParseJson(data);
+
+    let type;
+    if (state.dataFile) type = 'binary';
+    else if (contentType.includes('json')) type = 'json';
+    else if (contentType.includes('x-www-form-urlencoded')) type = 'form';
+    else if (contentType) type = 'text';
+    else if (json !== undefined) type = 'json';
+    else type = 'form';
+
+    return {
+        type,
+        raw: data,
+        json: type === 'json' && json !== undefined ? json : null,
+        form: type === 'form' ? Object.fromEntries(new URLSearchParams(data)) : null,
+        multipart: null,
+        file: state.dataFile
+    };
+}
+
+function tryParseJson(value) {
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Split a URL without normalizing it, so placeholders like {id} survive untouched
+ */
+function splitUrl(url) {
+    if (!url) return { baseUrl: null, path: null, query: {} };
+
+    const match = url.match(/^([a-z][a-z0-9+.-]*:\/\/[^/?#]*)([^?#]*)(?:\?([^#]*))?/i);
+    if (!match) return { baseUrl: null, path: url, query: {} };
+
+    const query = {};
+    if (match[3]) {
+        for (const [key, value] of new URLSearchParams(match[3])) {
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        }
+    }
+
+    return {
+        baseUrl: match[1],
+        path: match[2] || '/',
+        query
+    };
+}
+
+module.exports = {
+    tokenizeCurl,
+    parseCurl,
+    parseCurlCommands,
+    parseAnnotations
+};
@@ -0,0 +1,331 @@
+/**
+ * Domain Packs - Declarative product-area rules loaded from domains/*.yaml|json
+ * A pack holds trigger keywords, the user-story persona, background steps, scenario
+ * skeletons and page mappings; generators rank packs against the requirement text
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const gherkin = require('./gherkin-document');
+
+const DEFAULT_DOMAINS_DIR = path.resolve(__dirname, '../../domains');
+const PACK_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const STEP_KEYWORDS = /^(Given|When|Then|And|But|\*)\s+\S/;
+const PACK_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const ELEMENT_TYPES = ['button', 'link', 'heading', 'input'];
+
+const cache = new Map();
+
+/**
+ * Read every pack in a directory and validate it - used by `auto-coder domains`
+ * Returns valid packs plus errors/warnings as { file, message }
+ */
+function readDomainPacks(dir = DEFAULT_DOMAINS_DIR) {
+    const result = { dir, packs: [], errors: [], warnings: [] };
+    if (!fs.existsSync(dir)) {
+        result.warnings.push({ file: dir, message: 'Domain pack folder does not exist' });
+        return result;
+    }
+
+    const files = fs.readdirSync(dir)
+        .filter(file => PACK_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+    const seenIds = new Map();
+
+    for (const file of files) {
+        let raw;
+        try {
+            const content = fs.readFileSync(path.join(dir, file), 'utf8');
+            raw = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+        } catch (error) {
+            result.errors.push({ file, message: `Cannot parse: ${error.message.split('\n')[0]}` });
+            continue;
+        }
+
+        const { errors, warnings } = validateDomainPack(raw);
+        result.warnings.push(...warnings.map(message => ({ file, message })));
+        if (errors.length) {
+            result.errors.push(...errors.map(message => ({ file, message })));
+            continue;
+        }
+
+        if (seenIds.has(raw.id)) {
+            result.errors.push({ file, message: `Duplicate pack id "${raw.id}" (also in ${seenIds.get(raw.id)})` });
+            continue;
+        }
+        seenIds.set(raw.id, file);
+        result.packs.push(normalizePack(raw, file));
+    }
+
+    const fallbacks = result.packs.filter(pack => pack.fallback);
+    if (fallbacks.length > 1) {
+        result.errors.push({ file: fallbacks[1].file, message: `Only one fallback pack is allowed (also ${fallbacks[0].file})` });
+    }
+
+    return result;
+}
+
+/**
+ * Valid packs for generators - cached per folder, invalid packs are skipped with a warning
+ */
+function loadDomainPacks(dir = DEFAULT_DOMAINS_DIR) {
+    if (!cache.has(dir)) {
+        const { packs, errors } = readDomainPacks(dir);
+        errors.forEach(error => console.log(`⚠️ Skipping domain pack ${error.file}: ${error.message}`));
+        cache.set(dir, packs);
+    }
+    return cache.get(dir);
+}
+
+function validateDomainPack(pack) {
+    const errors = [];
+    const warnings = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+        return { errors: ['Pack must be an object'], warnings };
+    }
+    if (typeof pack.id !== 'string' || !PACK_ID.test(pack.id)) {
+        errors.push('"id" must be kebab-case (e.g. workers-comp)');
+    }
+    if (pack.priority !== undefined && typeof pack.priority !== 'number') {
+        errors.push('"priority" must be a number');
+    }
+
+    const keywords = pack.keywords || [];
+    if (!Array.isArray(keywords)) {
+        errors.push('"keywords" must be a list');
+    } else {
+        if (keywords.length === 0 && !pack.fallback) {
+            errors.push('"keywords" is required unless the pack is the fallback');
+        }
+        keywords.forEach((keyword, index) => {
+            const entry = typeof keyword === 'string' ? { term: keyword } : keyword;
+            if (!entry || (typeof entry.term !== 'string' && typeof entry.pattern !== 'string')) {
+                errors.push(`keywords[${index}] needs a "term" or "pattern"`);
+                return;
+            }
+            if (entry.pattern) {
+                try {
+                    new RegExp(entry.pattern, 'i');
+                } catch (error) {
+                    errors.push(`keywords[${index}] pattern is not a valid regex: ${error.message}`);
+                }
+            }
+            if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight > 0)) {
+                errors.push(`keywords[${index}] weight must be a positive number`);
+            }
+        });
+    }
+
+    if (pack.persona !== undefined) {
+        const missing = ['role', 'want', 'benefit'].filter(field => typeof pack.persona?.[field] !== 'string');
+        if (missing.length) errors.push(`persona is missing ${missing.join(', ')}`);
+    }
+
+    checkSteps(pack.background, 'background', errors);
+
+    (pack.titles || []).forEach((entry, index) => {
+        if (typeof entry?.title !== 'string') errors.push(`titles[${index}] needs a "title"`);
+        checkPhrases(entry?.when, `titles[${index}].when`, errors);
+    });
+
+    if (pack.scenarios !== undefined && !Array.isArray(pack.scenarios)) {
+        errors.push('"scenarios" must be a list');
+    }
+    (Array.isArray(pack.scenarios) ? pack.scenarios : []).forEach((scenario, index) => {
+        const label = `scenarios[${index}]`;
+        if (typeof scenario?.title !== 'string') errors.push(`${label} needs a "title"`);
+        if (!checkSteps(scenario?.steps, `${label}.steps`, errors, true)) return;
+        checkPhrases(scenario.when, `${label}.when`, errors);
+
+        const placeholders = new Set(scenario.steps.join('\n').match(/<[^>]+>/g) || []);
+        if (scenario.examples !== undefined) {
+            if (!Array.isArray(scenario.examples) || scenario.examples.length === 0 || scenario.examples.some(row => !row || typeof row !== 'object')) {
+                errors.push(`${label}.examples must be a list of rows (objects)`);
+                return;
+            }
+            const columns = new Set(Object.keys(scenario.examples[0]));
+            [...placeholders].filter(placeholder => !columns.has(placeholder.slice(1, -1)))
+                .forEach(placeholder => errors.push(`${label} uses ${placeholder} but the examples have no such column`));
+        } else if (placeholders.size) {
+            warnings.push(`${label} has ${[...placeholders].join(', ')} placeholders but no examples`);
+        }
+    });
+
+    (pack.pages || []).forEach((page, index) => {
+        if (typeof page?.id !== 'string') errors.push(`pages[${index}] needs an "id"`);
+        (page?.elements || []).forEach((element, elementIndex) => {
+            if (!ELEMENT_TYPES.includes(element?.type) || typeof element?.label !== 'string') {
+                errors.push(`pages[${index}].elements[${elementIndex}] needs a type (${ELEMENT_TYPES.join('/')}) and a label`);
+            }
+        });
+    });
+
+    if (!pack.persona && !pack.background && !(pack.scenarios || []).length && !(pack.pages || []).length) {
+        warnings.push('Pack has no persona, background, scenarios or pages - it only affects ranking');
+    }
+
+    return { errors, warnings };
+}
+
+function checkSteps(steps, label, errors, required = false) {
+    if (steps === undefined && !required) return true;
+    if (!Array.isArray(steps) || steps.length === 0) {
+        errors.push(`${label} must be a non-empty list of steps`);
+        return false;
+    }
+    steps.forEach((step, index) => {
+        if (typeof step !== 'string' || !STEP_KEYWORDS.test(step.trim())) {
+            errors.push(`${label}[${index}] must start with Given/When/Then/And/But`);
+        }
+    });
+    return true;
+}
+
+function checkPhrases(phrases, label, errors) {
+    if (phrases !== undefined && (!Array.isArray(phrases) || phrases.some(phrase => typeof phrase !== 'string'))) {
+        errors.push(`${label} must be a list of phrases`);
+    }
+}
+
+function normalizePack(raw, file) {
+    return {
+        ...raw,
+        file,
+        priority: raw.priority || 0,
+        fallback: Boolean(raw.fallback),
+        minScore: raw.minScore || 1,
+        keywords: (raw.keywords || []).map(keyword => {
+            const entry = typeof keyword === 'string' ? { term: keyword } : keyword;
+            return {
+                label: entry.term || `/${entry.pattern}/`,
+                weight: entry.weight || 1,
+                regex: entry.pattern
+                    ? new RegExp(entry.pattern, 'i')
+                    : new RegExp(`${/^\w/.test(entry.term) ? '\\b' : ''}${escapeRegex(entry.term)}`, 'i')
+            };
+        }),
+        titles: raw.titles || [],
+        background: raw.background || [],
+        scenarios: (raw.scenarios || []).map(scenario => ({
+            ...scenario,
+            when: scenario.when || [],
+            isOutline: Boolean(scenario.examples)
+        })),
+        pages: (raw.pages || []).map(page => ({
+            ...page,
+            elements: (page.elements || []).map(element => ({
+                ...element,
+                name: toMethodName(element.label),
+                constant: toConstantName(element.label, element.type)
+            }))
+        }))
+    };
+}
+
+/**
+ * Sum of matched keyword weights - each keyword counts once
+ */
+function scoreDomainPack(pack, text) {
+    const matched = pack.keywords.filter(keyword => keyword.regex.test(text));
+    return {
+        score: matched.reduce((sum, keyword) => sum + keyword.weight, 0),
+        matched: matched.map(keyword => keyword.label)
+    };
+}
+
+/**
+ * Packs that match the text, best first (score, then priority); the fallback pack is never ranked
+ */
+function rankDomainPacks(text, packs = loadDomainPacks()) {
+    return packs
+        .filter(pack => !pack.fallback)
+        .map(pack => ({ pack, ...scoreDomainPack(pack, text || '') }))
+        .filter(entry => entry.score >= entry.pack.minScore)
+        .sort((a, b) => b.score - a.score || b.pack.priority - a.pack.priority || a.pack.id.localeCompare(b.pack.id));
+}
+
+function selectDomainPack(text, packs = loadDomainPacks()) {
+    const [best] = rankDomainPacks(text, packs);
+    return best ? best.pack : packs.find(pack => pack.fallback) || null;
+}
+
+function fallbackDomainPack(packs = loadDomainPacks()) {
+    return packs.find(pack => pack.fallback) || null;
+}
+
+/**
+ * Case-insensitive "all phrases appear" check used by titles and scenario skeletons
+ */
+function phrasesMatch(text, phrases) {
+    const lowerText = (text || '').toLowerCase();
+    return phrases.every(phrase => lowerText.includes(phrase.toLowerCase()));
+}
+
+/**
+ * Skeletons with a `when` list are targeted and win when all their phrases appear;
+ * otherwise the pack's default skeletons (no `when`) apply
+ */
+function selectScenarios(pack, text) {
+    if (!pack) return { scenarios: [], targeted: false };
+
+    const targeted = pack.scenarios.filter(scenario => scenario.when.length && phrasesMatch(text, scenario.when));
+    if (targeted.length) return { scenarios: targeted, targeted: true };
+
+    return { scenarios: pack.scenarios.filter(scenario => !scenario.when.length), targeted: false };
+}
+
+function selectFeatureTitle(pack, text) {
+    const entry = (pack?.titles || []).find(title => phrasesMatch(text, title.when || []));
+    return entry ? entry.title : null;
+}
+
+/**
+ * Gherkin Scenario node for a skeleton - a Scenario Outline when example rows are given
+ */
+function toScenarioNode(skeleton) {
+    return gherkin.scenario({
+        name: skeleton.title,
+        tags: skeleton.tags || [],
+        steps: skeleton.steps,
+        examples: skeleton.examples
+    });
+}
+
+/**
+ * Persona as the feature description (As a / I want to / So that)
+ */
+function personaDescription(persona) {
+    return `As a ${persona.role}\nI want to ${persona.want}\nSo that ${persona.benefit}`;
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toMethodName(label) {
+    return label.replace(/[^A-Za-z0-9 ]/g, ' ').trim().split(/\s+/)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+function toConstantName(label, type) {
+    const base = label.replace(/[^A-Za-z0-9 ]/g, ' ').trim().split(/\s+/).join('_').toUpperCase();
+    return `${base}_${type.toUpperCase()}`;
+}
+
+module.exports = {
+    DEFAULT_DOMAINS_DIR,
+    readDomainPacks,
+    loadDomainPacks,
+    validateDomainPack,
+    scoreDomainPack,
+    rankDomainPacks,
+    selectDomainPack,
+    fallbackDomainPack,
+    selectScenarios,
+    selectFeatureTitle,
+    toScenarioNode,
+    personaDescription
+};
@@ -0,0 +1,176 @@
+/**
+ * Dry Run Preview - Unified diffs and a review summary for artifacts recorded in dry-run mode
+ * (see artifact-merge setDryRun): new/changed/unchanged files, steps reused from existing step
+ * definitions versus created, and compliance violations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseGherkin, collectScenarios, collectSteps } = require('./gherkin-document');
+const { parseStepDefinitions } = require('./traceability');
+const MasterPageObjectsLibrary = require('../master-steps/master-page-objects-library');
+const { unifiedDiff } = require('../../support/unified-diff');
+
+const STATUS_GROUPS = { created: 'new', unchanged: 'unchanged', updated: 'changed', merged: 'changed', conflict: 'changed' };
+
+// Paths under the working directory are shown relative to it
+function displayPath(filePath) {
+    const relative = path.relative(process.cwd(), filePath);
+    return relative && !relative.startsWith('..') ? relative : filePath;
+}
+
+function artifactType(filePath) {
+    if (filePath.endsWith('.feature')) return 'feature';
+    if (/[\\/]steps[\\/]/.test(filePath) || /-steps?\.js$/.test(filePath)) return 'steps';
+    if (/[\\/]pages[\\/]/.test(filePath) || /-page\.js$/.test(filePath)) return 'page';
+    return 'other';
+}
+
+function listStepFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return entry.name === 'node_modules' ? [] : listStepFiles(fullPath);
+        return entry.name.endsWith('.js') ? [fullPath] : [];
+    });
+}
+
+/**
+ * Step definitions already on disk: the steps/ folder next to each generated features/ folder and
+ * SBS_Automation/steps, minus the files about to be regenerated
+ */
+function loadExistingDefinitions(writes, stepsDirs) {
+    const planned = new Set(writes.map(write => path.resolve(write.path)));
+    const dirs = new Set((stepsDirs || [
+        ...writes.filter(write => artifactType(write.path) === 'feature')
+            .map(write => path.join(path.dirname(path.dirname(write.path)), 'steps')),
+        path.join(process.cwd(), 'SBS_Automation', 'steps')
+    ]).map(dir => path.resolve(dir)));
+
+    const files = [...new Set([...dirs].flatMap(listStepFiles))].filter(file => !planned.has(file));
+    return files.flatMap(file => parseStepDefinitions(fs.readFileSync(file, 'utf8'))
+        .map(definition => ({ ...definition, file })));
+}
+
+function pageViolations(content) {
+    try {
+        // The check only reads its argument, so skip the library's pattern loading and logging
+        MasterPageObjectsLibrary.prototype.validatePageObjectCompliance.call(null, content);
+        return [];
+    } catch (error) {
+        return error.message.split('\n').slice(1).map(line => line.replace(/^❌\s*/, ''));
+    }
+}
+
+/**
+ * Summarize recorded writes: per-file status and diff, steps reused vs created, and violations
+ */
+function buildPreview(recorded, { stepsDirs } = {}) {
+    // A file planned twice (adapter output copied into the output dir) is reported once, last plan wins
+    const byPath = new Map();
+    recorded.forEach(write => {
+        byPath.delete(path.resolve(write.path));
+        byPath.set(path.resolve(write.path), write);
+    });
+    const writes = [...byPath.values()];
+
+    const files = writes.map(write => ({
+        path: write.path,
+        status: write.status,
+        // A merge that only keeps hand edits leaves the file as it is
+        group: write.content === write.previous ? 'unchanged' : STATUS_GROUPS[write.status] || 'changed',
+        conflicts: write.conflicts || [],
+        diff: unifiedDiff(write.previous, write.content, displayPath(write.path))
+    }));
+    const summary = { new: 0, changed: 0, unchanged: 0 };
+    files.forEach(file => { summary[file.group]++; });
+
+    const existing = loadExistingDefinitions(writes, stepsDirs);
+    const generated = writes.filter(write => artifactType(write.path) === 'steps')
+        .flatMap(write => parseStepDefinitions(write.content).map(definition => ({ ...definition, file: write.path })));
+    const violations = [];
+    const steps = { reused: [], created: [], undefined: [] };
+
+    generated.forEach((definition, index) => {
+        const duplicate = generated.slice(0, index).find(other => other.expression === definition.expression);
+        const clash = existing.find(other => other.expression === definition.expression);
+        if (duplicate) {
+            if (generated.slice(0, index).filter(other => other.expression === definition.expression).length > 1) return;
+            violations.push({ file: definition.file, message: `Duplicate step definition "${definition.expression}"` });
+        } else if (clash) {
+            violations.push({ file: definition.file, message: `Step "${definition.expression}" is already defined in ${displayPath(clash.file)} (ambiguous match)` });
+        } else {
+            steps.created.push(definition.expression);
+        }
+    });
+
+    writes.filter(write => artifactType(write.path) === 'feature').forEach(write => {
+        let document;
+        try {
+            document = parseGherkin(write.content);
+        } catch (error) {
+            violations.push({ file: write.path, message: `Invalid Gherkin: ${error.message}` });
+            return;
+        }
+        collectScenarios(document)
+            .filter(({ scenario }) => scenario.steps.length === 0)
+            .forEach(({ scenario }) => violations.push({ file: write.path, message: `Scenario "${scenario.name}" has no steps` }));
+
+        const seen = new Set();
+        collectSteps(document).forEach(step => {
+            const text = step.text.replace(/<([^>]+)>/g, '"$1"');
+            if (seen.has(text)) return;
+            seen.add(text);
+            if (existing.some(definition => definition.matcher.test(text))) {
+                steps.reused.push(step.text);
+            } else if (!generated.some(definition => definition.matcher.test(text))) {
+                steps.undefined.push(step.text);
+                violations.push({ file: write.path, message: `Undefined step "${step.text}"` });
+            }
+        });
+    });
+
+    writes.filter(write => artifactType(write.path) === 'page').forEach(write => {
+        pageViolations(write.content).forEach(message => violations.push({ file: write.path, message }));
+    });
+
+    return { files, summary, steps, violations };
+}
+
+/**
+ * Print diffs followed by the summary
+ */
+function printPreview(preview, { diffs = true } = {}) {
+    console.log('\n🔍 DRY RUN - no files were written');
+
+    if (diffs) {
+        preview.files.filter(file => file.diff).forEach(file => {
+            console.log(`\n${file.diff}`);
+        });
+    }
+
+    console.log('\n📋 Dry run summary:');
+    preview.files.forEach(file => {
+        const icon = { new: '🆕', changed: '✏️ ', unchanged: '⏸️ ' }[file.group];
+        const note = file.status === 'conflict' ? ` (conflicts: ${file.conflicts.join(', ')})`
+            : file.status === 'merged' ? (file.group === 'unchanged' ? ' (your edits kept)' : ' (merged with your edits)') : '';
+        console.log(`   ${icon} ${file.group.padEnd(9)} ${displayPath(file.path)}${note}`);
+    });
+    console.log(`   Files: ${preview.summary.new} new, ${preview.summary.changed} changed, ${preview.summary.unchanged} unchanged`);
+    console.log(`   Steps: ${preview.steps.reused.length} reused from existing step definitions, ${preview.steps.created.length} created`);
+
+    if (preview.violations.length === 0) {
+        console.log('   ✅ No compliance violations');
+    } else {
+        console.log(`   ⚠️  ${preview.violations.length} compliance violation(s):`);
+        preview.violations.forEach(violation => {
+            console.log(`      - ${path.basename(violation.file)}: ${violation.message}`);
+        });
+    }
+}
+
+module.exports = {
+    unifiedDiff,
+    buildPreview,
+    printPreview
+};
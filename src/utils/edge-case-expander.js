@@ -0,0 +1,319 @@
+/**
+ * Edge Case Expander - Opt-in negative and boundary scenarios for generated features
+ * Uses the entities, actions and roles from requirement analysis: missing required inputs, invalid formats,
+ * permission denied for other roles and cancel/back navigation (@negative), numeric and date limits (@boundary)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const gherkin = require('./gherkin-document');
+
+const EXPANSION_KINDS = ['negative', 'boundary'];
+const USERS_CONFIG_PATH = path.join(__dirname, '../../config/test-users-config.json');
+
+// Well-known formatted fields and a value each format rejects
+const FORMATTED_FIELDS = [
+    { pattern: /\be-?mail\b/i, field: 'email', invalid: 'not-an-email' },
+    { pattern: /\bphone\b/i, field: 'phone number', invalid: '12-34' },
+    { pattern: /\b(?:ssn|social security)\b/i, field: 'SSN', invalid: '123-45-678' },
+    { pattern: /\b(?:f?ein|employer identification)\b/i, field: 'EIN', invalid: '12-345' },
+    { pattern: /\bzip\b/i, field: 'ZIP code', invalid: 'ABCDE' },
+    { pattern: /\brouting number\b/i, field: 'routing number', invalid: '12345' },
+    { pattern: /\baccount number\b/i, field: 'account number', invalid: 'ABC-123' }
+];
+
+const FIELD_STOPWORDS = new Set(['the', 'a', 'an', 'this', 'that', 'each', 'every', 'any', 'by', 'of', 'on', 'to', 'and', 'or', 'is', 'are', 'must', 'be', 'all']);
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+const FIELD_NAME = '([a-z][a-z ]{1,30}?)';
+
+// Date values whose validity does not depend on the requirement
+const DATE_BOUNDARIES = [
+    { value: '02/29/2024', outcome: 'accepted' },
+    { value: '02/30/2024', outcome: 'rejected' },
+    { value: '12/31/2024', outcome: 'accepted' },
+    { value: '01/01/2025', outcome: 'accepted' },
+    { value: '13/01/2025', outcome: 'rejected' }
+];
+
+/**
+ * Normalize "--expand", "--expand negative,boundary" or an array into a list of expansion kinds
+ */
+function parseExpansionKinds(value) {
+    if (!value) return [];
+    if (value === true || value === 'all') return [...EXPANSION_KINDS];
+
+    const kinds = (Array.isArray(value) ? value : String(value).split(','))
+        .map(kind => kind.trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = kinds.filter(kind => !EXPANSION_KINDS.includes(kind));
+    if (unknown.length) {
+        throw new Error(`Unknown expansion kind "${unknown.join(', ')}" (expected: ${EXPANSION_KINDS.join(', ')})`);
+    }
+    return [...new Set(kinds)];
+}
+
+// RequirementAnalyzer returns [{ entity }], [{ action }], [{ role }]; the adapters return plain strings
+function names(list, key) {
+    return (list || []).map(item => (typeof item === 'string' ? item : item && item[key])).filter(Boolean);
+}
+
+function cleanFieldName(name) {
+    const words = name.toLowerCase().trim().split(/\s+/);
+    while (words.length && FIELD_STOPWORDS.has(words[0])) words.shift();
+    return words.join(' ');
+}
+
+function unique(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+
+/**
+ * Required input fields: "<field> is required", "required fields: a, b", "<field> field" and page inputs
+ */
+function findRequiredFields(text, inputLabels = []) {
+    const fields = [];
+    const requiredPattern = new RegExp(`${FIELD_NAME}\\s+(?:is|are)\\s+(?:required|mandatory)\\b`, 'gi');
+    let match;
+    while ((match = requiredPattern.exec(text))) fields.push(cleanFieldName(match[1]));
+
+    const listMatch = text.match(/\b(?:required|mandatory) fields?\s*(?:are|include)?\s*:?\s*([^.\n]+)/i);
+    if (listMatch) {
+        listMatch[1].split(/,|\band\b/).forEach(field => fields.push(cleanFieldName(field)));
+    }
+
+    const fieldPattern = /\b([a-z]+(?: [a-z]+)?) (?:field|input|text ?box)\b/gi;
+    while ((match = fieldPattern.exec(text))) fields.push(cleanFieldName(match[1]));
+
+    return unique([...fields, ...inputLabels.map(label => label.toLowerCase())]).filter(field => field.length > 1);
+}
+
+function findFormattedFields(text) {
+    return FORMATTED_FIELDS.filter(entry => entry.pattern.test(text));
+}
+
+function findDateFields(text) {
+    const fields = [];
+    const pattern = /\b([a-z]+ )?date(?: of birth)?\b/gi;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const field = cleanFieldName(match[0]);
+        if (field && field !== 'date' && !/^(?:up|to|due)\b/.test(field)) fields.push(field);
+    }
+    return unique(fields);
+}
+
+function increment(value) {
+    return Number.isInteger(value) ? 1 : 0.01;
+}
+
+function formatNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Numeric limits from "<field> must be between 1 and 80", "at least", "at most/up to/no more than/maximum"
+ */
+function findNumericLimits(text) {
+    const limits = [];
+    const patterns = [
+        { regex: new RegExp(`${FIELD_NAME}\\s+(?:must|should|can|may)?\\s*(?:be\\s+)?between\\s+${NUMBER}\\s+and\\s+${NUMBER}(\\s+characters)?`, 'gi'), min: 2, max: 3 },
+        { regex: new RegExp(`${FIELD_NAME}\\s+(?:must|should|can|may)?\\s*(?:be\\s+|have\\s+)?(?:at least|a minimum of|no less than|minimum)\\s+${NUMBER}(\\s+characters)?`, 'gi'), min: 2 },
+        { regex: new RegExp(`${FIELD_NAME}\\s+(?:must|should|can|may)?\\s*(?:be\\s+|have\\s+)?(?:at most|up to|a maximum of|no more than|maximum|cannot exceed)\\s+${NUMBER}(\\s+characters)?`, 'gi'), max: 2 }
+    ];
+
+    patterns.forEach(({ regex, min, max }) => {
+        let match;
+        while ((match = regex.exec(text))) {
+            const field = cleanFieldName(match[1]);
+            if (!field || limits.some(limit => limit.field === field)) continue;
+            limits.push({
+                field,
+                min: min ? parseFloat(match[min]) : undefined,
+                max: max ? parseFloat(match[max]) : undefined,
+                length: Boolean(match[match.length - 1])
+            });
+        }
+    });
+
+    return limits;
+}
+
+/**
+ * Roles from config/test-users-config.json that lack every permission area the requirement mentions
+ */
+function findDeniedRoles(text, userRoles) {
+    const roles = Object.entries(userRoles || {});
+    const mentions = permission => new RegExp(`\\b${permission.replace(/-/g, '[ -]')}s?\\b`, 'i').test(text);
+    const areas = unique(roles.flatMap(([, config]) => config.permissions || []))
+        .filter(permission => permission !== 'all' && mentions(permission));
+    if (areas.length === 0) return [];
+
+    return roles
+        .filter(([, config]) => !(config.permissions || []).some(permission => permission === 'all' || areas.includes(permission)))
+        .map(([name]) => name);
+}
+
+function loadUserRoles(configPath = USERS_CONFIG_PATH) {
+    try {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8')).userRoles || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function negativeScenarios(context) {
+    const { text, entity, action, roles, inputLabels, userRoles } = context;
+    const scenarios = [];
+    const tags = ['@negative'];
+
+    const requiredFields = findRequiredFields(text, inputLabels);
+    scenarios.push(requiredFields.length
+        ? gherkin.scenario({
+            name: `Reject ${entity} without a required field`,
+            tags,
+            steps: [
+                `Given I am on the ${entity} page`,
+                'When I submit the form without the "<field>"',
+                'Then I should see a "<field> is required" validation message',
+                `And the ${entity} should not be saved`
+            ],
+            examples: requiredFields.map(field => ({ field }))
+        })
+        : gherkin.scenario({
+            name: `Reject ${entity} with missing required inputs`,
+            tags,
+            steps: [
+                `Given I am on the ${entity} page`,
+                'When I submit the form without the required fields',
+                'Then I should see required field validation messages',
+                `And the ${entity} should not be saved`
+            ]
+        }));
+
+    const formattedFields = findFormattedFields(text);
+    if (formattedFields.length) {
+        scenarios.push(gherkin.scenario({
+            name: `Reject ${entity} with an invalid format`,
+            tags,
+            steps: [
+                `Given I am on the ${entity} page`,
+                'When I enter "<value>" in the "<field>" field',
+                'And I submit the form',
+                'Then I should see an invalid "<field>" format message'
+            ],
+            examples: formattedFields.map(({ field, invalid }) => ({ field, value: invalid }))
+        }));
+    }
+
+    // Roles the requirement names are the ones it is written for
+    const deniedRoles = findDeniedRoles(text, userRoles)
+        .filter(role => !roles.some(named => named.toLowerCase() === role.toLowerCase()))
+        .slice(0, 3);
+    if (deniedRoles.length) {
+        scenarios.push(gherkin.scenario({
+            name: `Deny ${action} ${entity} for roles without access`,
+            tags: [...tags, '@permissions'],
+            steps: [
+                'Given I am logged in as a "<role>" user',
+                `When I try to ${action} the ${entity}`,
+                'Then I should see an access denied message'
+            ],
+            examples: deniedRoles.map(role => ({ role }))
+        }));
+    }
+
+    scenarios.push(gherkin.scenario({
+        name: `Leave ${action} ${entity} without saving`,
+        tags,
+        steps: [
+            `Given I am on the ${entity} page`,
+            `When I start to ${action} the ${entity}`,
+            'And I leave with the "<control>"',
+            `Then the ${entity} changes should not be saved`,
+            'And I should be on the previous page'
+        ],
+        examples: [{ control: 'Cancel button' }, { control: 'browser back button' }]
+    }));
+
+    return scenarios;
+}
+
+function boundaryScenarios(context) {
+    const { text, entity } = context;
+    const scenarios = [];
+    const tags = ['@boundary'];
+
+    findNumericLimits(text).forEach(limit => {
+        const examples = [];
+        const add = (value, outcome) => examples.push({ value: limit.length ? String(Math.max(value, 0)) : formatNumber(value), outcome });
+        if (limit.min !== undefined) {
+            add(limit.min - increment(limit.min), 'rejected');
+            add(limit.min, 'accepted');
+        }
+        if (limit.max !== undefined) {
+            add(limit.max, 'accepted');
+            add(limit.max + increment(limit.max), 'rejected');
+        }
+
+        scenarios.push(gherkin.scenario({
+            name: `${limit.field.charAt(0).toUpperCase()}${limit.field.slice(1)} boundary values`,
+            tags,
+            steps: [
+                `Given I am on the ${entity} page`,
+                limit.length
+                    ? `When I enter a <value> character value in the "${limit.field}" field`
+                    : `When I enter <value> in the "${limit.field}" field`,
+                `Then the "${limit.field}" value should be "<outcome>"`
+            ],
+            examples
+        }));
+    });
+
+    findDateFields(text).forEach(field => {
+        scenarios.push(gherkin.scenario({
+            name: `${field.charAt(0).toUpperCase()}${field.slice(1)} boundary values`,
+            tags,
+            steps: [
+                `Given I am on the ${entity} page`,
+                `When I enter "<value>" in the "${field}" field`,
+                `Then the "${field}" value should be "<outcome>"`
+            ],
+            examples: DATE_BOUNDARIES
+        }));
+    });
+
+    return scenarios;
+}
+
+/**
+ * Extra scenario nodes for the requested kinds.
+ * analysis: { text, entities, actions, roles, inputLabels } - entities/actions/roles as strings or analyzer objects
+ */
+function expandEdgeCases(analysis, kinds, options = {}) {
+    const requested = parseExpansionKinds(kinds);
+    if (requested.length === 0) return [];
+
+    const context = {
+        text: analysis.text || '',
+        entity: names(analysis.entities, 'entity')[0] || 'form',
+        action: names(analysis.actions, 'action')[0] || 'update',
+        roles: names(analysis.roles, 'role'),
+        inputLabels: analysis.inputLabels || [],
+        userRoles: options.userRoles || loadUserRoles(options.usersConfigPath)
+    };
+
+    return [
+        ...(requested.includes('negative') ? negativeScenarios(context) : []),
+        ...(requested.includes('boundary') ? boundaryScenarios(context) : [])
+    ];
+}
+
+module.exports = {
+    EXPANSION_KINDS,
+    parseExpansionKinds,
+    expandEdgeCases,
+    findRequiredFields,
+    findNumericLimits,
+    findDateFields,
+    findDeniedRoles
+};
@@ -0,0 +1,295 @@
+/**
+ * Env Templating - Makes parsed cURL requests environment independent before code generation
+ * Known API hosts become {{baseUrl}}; cookies, tokens, basic auth and secret-named body/query fields
+ * become {{secret:NAME}} references.
+ * support/api-environment.js resolves both at runtime, so generated tests never hold live credentials.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'environment-config.json');
+
+// Headers whose whole value is a credential (Authorization and Cookie are handled separately)
+const SECRET_HEADERS = /^(x-api-key|api-key|apikey|x-auth-token|x-access-token|x-csrf-token|x-xsrf-token|proxy-authorization)$/i;
+const USER_OPTION = /(\s(?:-u|--user)\s+)(['"]?)([^'"\s]+)\2/g;
+// Body and query fields whose value is a credential
+const SECRET_FIELDS = /^(password|passwd|pwd|pass|secret|client_?secret|api_?key|access_?token|refresh_?token|id_?token|token|auth_?token|private_?key)$/i;
+
+/**
+ * Read apiBaseUrl of every environment - returns { fit: 'https://...', ... }
+ */
+function loadApiEnvironments(configPath = DEFAULT_CONFIG_PATH) {
+    if (!fs.existsSync(configPath)) {
+        return {};
+    }
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return Object.fromEntries(Object.entries(config.environments || {})
+        .filter(([, settings]) => settings.apiBaseUrl)
+        .map(([name, settings]) => [name, settings.apiBaseUrl.replace(/\/+$/, '')]));
+}
+
+/**
+ * Base URL of an OpenAPI server or HAR flow with a known API host replaced by {{baseUrl}}; a path
+ * prefix such as /v1 is kept. Unknown hosts stay literal
+ */
+function templateBaseUrl(baseUrl, options = {}) {
+    const environments = options.environments || loadApiEnvironments(options.configPath);
+    const value = String(baseUrl || '');
+    const host = Object.values(environments).find(url => value.toLowerCase().startsWith(url.toLowerCase())
+        && /^($|[/?#])/.test(value.slice(url.length)));
+
+    if (host) {
+        return `{{baseUrl}}${value.slice(host.length)}`;
+    }
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value) && options.warn !== false) {
+        console.log(`⚠️  ${value} is not an apiBaseUrl in config/environment-config.json - host kept as is`);
+    }
+    return value;
+}
+
+/**
+ * Template one request from curl-parser. Returns a copy with placeholders, the
+ * rewritten originalCommand and `secrets` (the names the test needs at runtime).
+ */
+function templateRequest(request, options = {}) {
+    const prefix = (options.secretPrefix || 'API').toUpperCase();
+    const environments = options.environments || loadApiEnvironments(options.configPath);
+    const hosts = Object.values(environments).map(url => url.toLowerCase());
+
+    const templated = {
+        ...request,
+        headers: { ...request.headers },
+        cookies: { ...(request.cookies || {}) },
+        auth: request.auth ? { ...request.auth } : null
+    };
+    const replacements = [];
+    const secrets = new Set();
+    const secretRef = name => {
+        const secretName = name.startsWith(`${prefix}_`) ? name : `${prefix}_${name}`;
+        secrets.add(secretName);
+        return `{{secret:${secretName}}}`;
+    };
+
+    // Host rewriting - only hosts listed in environment-config, anything else stays literal
+    if (request.baseUrl && hosts.includes(request.baseUrl.toLowerCase())) {
+        templated.url = `{{baseUrl}}${request.url.slice(request.baseUrl.length)}`;
+        templated.baseUrl = '{{baseUrl}}';
+        replacements.push([request.baseUrl, '{{baseUrl}}']);
+    } else if (request.baseUrl && !/\{\{/.test(request.baseUrl) && options.warn !== false) {
+        console.log(`⚠️  ${request.baseUrl} is not an apiBaseUrl in config/environment-config.json - host kept as is`);
+    }
+
+    Object.entries(templated.headers).forEach(([key, value]) => {
+        const header = key.toLowerCase();
+        if (typeof value !== 'string' || !value || value.includes('{{')) {
+            return;
+        }
+
+        if (header === 'cookie') {
+            replacements.push([value, secretRef('COOKIE')]);
+            templated.headers[key] = secretRef('COOKIE');
+        } else if (header === 'authorization') {
+            const match = value.match(/^(Bearer|Basic)\s+(.+)$/i);
+            if (match) {
+                const ref = secretRef(match[1].toLowerCase() === 'bearer' ? 'TOKEN' : 'BASIC_AUTH');
+                replacements.push([match[2], ref]);
+                templated.headers[key] = `${match[1]} ${ref}`;
+            } else {
+                replacements.push([value, secretRef('AUTHORIZATION')]);
+                templated.headers[key] = secretRef('AUTHORIZATION');
+            }
+        } else if (SECRET_HEADERS.test(header)) {
+            const ref = secretRef(header.replace(/^x-/, '').replace(/\W+/g, '_').toUpperCase());
+            replacements.push([value, ref]);
+            templated.headers[key] = ref;
+        }
+    });
+
+    // -b/--cookie values never reach the headers - send them as one Cookie secret
+    const hasCookieHeader = Object.keys(templated.headers).some(key => key.toLowerCase() === 'cookie');
+    if (Object.keys(templated.cookies).length > 0) {
+        if (!hasCookieHeader) {
+            templated.headers.Cookie = secretRef('COOKIE');
+        }
+        templated.cookies = {};
+    }
+
+    // -u/--user is rewritten in the command text even when an Authorization header wins
+    if ((request.originalCommand || '').search(USER_OPTION) !== -1) {
+        secretRef('USERNAME');
+        secretRef('PASSWORD');
+    }
+
+    // Credentials decoded from an Authorization header are sent by that header, not as an auth object
+    const hasAuthorizationHeader = Object.keys(templated.headers).some(key => key.toLowerCase() === 'authorization');
+    if (templated.auth && hasAuthorizationHeader) {
+        templated.auth = { type: templated.auth.type };
+    }
+
+    if (templated.auth) {
+        if (templated.auth.type === 'basic' && templated.auth.username !== undefined && !String(templated.auth.username).includes('{{')) {
+            templated.auth.username = secretRef('USERNAME');
+            templated.auth.password = secretRef('PASSWORD');
+        }
+        if (templated.auth.token && !String(templated.auth.token).includes('{{')) {
+            const ref = templated.auth.type === 'basic' ? secretRef('BASIC_AUTH') : secretRef('TOKEN');
+            replacements.push([request.auth.token, ref]);
+            templated.auth.token = ref;
+        }
+    }
+
+    // Origin/Referer and similar headers often repeat the host
+    if (templated.baseUrl === '{{baseUrl}}') {
+        Object.entries(templated.headers).forEach(([key, value]) => {
+            if (typeof value === 'string') {
+                templated.headers[key] = value.split(request.baseUrl).join('{{baseUrl}}');
+            }
+        });
+    }
+
+    templateFields(request, templated, replacements, secretRef);
+
+    templated.originalCommand = templateCommand(request, templated, replacements, {
+        username: `{{secret:${prefix}_USERNAME}}`,
+        password: `{{secret:${prefix}_PASSWORD}}`
+    });
+    templated.secrets = [...secrets];
+    return templated;
+}
+
+/**
+ * Secret-named fields of the JSON/form body and the query string (password, client_secret, ...)
+ * become {{secret:NAME}} references named after the field
+ */
+function templateFields(request, templated, replacements, secretRef) {
+    const command = request.originalCommand || '';
+    const refFor = field => secretRef(field.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/\W+/g, '_').toUpperCase());
+    const isLiteral = value => ['string', 'number'].includes(typeof value) && String(value) !== '' && !String(value).includes('{{');
+    // The command text is rewritten where the value appears as written, otherwise it is rebuilt from the template
+    const replaceInCommand = (candidates, value, ref) => {
+        const found = candidates.find(([literal]) => command.includes(literal));
+        if (found) {
+            replacements.push(found);
+        } else if (String(value).length >= 4 && command.includes(String(value))) {
+            replacements.push([String(value), ref]);
+        } else {
+            replacements.push(candidates[0]);
+        }
+    };
+
+    Object.entries(request.query || {}).forEach(([field, value]) => {
+        if (!SECRET_FIELDS.test(field) || !isLiteral(value)) return;
+        const ref = refFor(field);
+        const candidates = [...new Set([String(value), encodeURIComponent(String(value))])]
+            .map(literal => [`${field}=${literal}`, `${field}=${ref}`]);
+        candidates.forEach(([literal, replacement]) => {
+            templated.url = templated.url.split(literal).join(replacement);
+        });
+        templated.query = { ...templated.query, [field]: ref };
+        replaceInCommand(candidates, value, ref);
+    });
+
+    const body = request.body;
+    if (!body || !(body.type === 'json' ? body.json : body.type === 'form' ? body.form : null)) {
+        return;
+    }
+
+    let raw = body.raw;
+    let rebuild = false;
+    const replaceFields = value => {
+        if (Array.isArray(value)) return value.map(replaceFields);
+        if (!value || typeof value !== 'object') return value;
+        return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => {
+            if (!SECRET_FIELDS.test(field) || !isLiteral(fieldValue)) {
+                return [field, replaceFields(fieldValue)];
+            }
+            const ref = refFor(field);
+            const candidates = body.type === 'json'
+                ? [':', ': ', ' : '].map(separator => [
+                    `${JSON.stringify(field)}${separator}${JSON.stringify(fieldValue)}`,
+                    `${JSON.stringify(field)}${separator}${JSON.stringify(ref)}`
+                ])
+                : [...new Set([encodeURIComponent(String(fieldValue)), String(fieldValue)])].map(literal => [`${field}=${literal}`, `${field}=${ref}`]);
+            const inBody = candidates.find(([literal]) => raw.includes(literal));
+            if (inBody) {
+                raw = raw.split(inBody[0]).join(inBody[1]);
+            } else {
+                rebuild = true;
+            }
+            replaceInCommand(candidates, fieldValue, ref);
+            return [field, ref];
+        }));
+    };
+
+    templated.body = { ...body };
+    if (body.type === 'json') {
+        templated.body.json = replaceFields(body.json);
+        templated.body.raw = rebuild ? JSON.stringify(templated.body.json) : raw;
+    } else {
+        templated.body.form = replaceFields(body.form);
+        templated.body.raw = rebuild
+            ? Object.entries(templated.body.form).map(([field, value]) => `${encodeURIComponent(field)}=${String(value).includes('{{') ? value : encodeURIComponent(value)}`).join('&')
+            : raw;
+    }
+    templated.data = templated.body.raw;
+}
+
+/**
+ * Rewrite the pasted command text so it keeps its shape, falling back to a rebuilt
+ * command when a credential cannot be found literally (e.g. shell-escaped)
+ */
+function templateCommand(request, templated, replacements, secretRefs) {
+    let text = request.originalCommand || '';
+
+    text = text.replace(/(\s(?:-b|--cookie)\s+)(['"]?)([^'"\s]*=[^'"]*)\2/g, (match, option, quote) => {
+        return `${option}${quote}${templated.headers.Cookie || templated.headers.cookie || ''}${quote}`;
+    });
+
+    text = text.replace(USER_OPTION, (match, option, quote, value) => {
+        return value.includes('{{') ? match : `${option}${quote}${secretRefs.username}:${secretRefs.password}${quote}`;
+    });
+
+    const ordered = replacements.filter(([literal]) => literal).sort((a, b) => b[0].length - a[0].length);
+    ordered.forEach(([literal, replacement]) => {
+        text = text.split(literal).join(replacement);
+    });
+
+    const leaked = ordered.some(([literal, replacement]) => replacement.includes('secret:') && text.includes(literal))
+        || ordered.some(([literal]) => !(request.originalCommand || '').includes(literal));
+    return !text || leaked ? buildCurlCommand(templated) : text;
+}
+
+function buildCurlCommand(request) {
+    const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+    const parts = [`curl -X ${request.method} ${quote(request.url)}`];
+
+    Object.entries(request.headers).forEach(([key, value]) => {
+        parts.push(`-H ${quote(`${key}: ${value}`)}`);
+    });
+    if (request.auth && request.auth.type === 'basic' && request.auth.username !== undefined
+        && !Object.keys(request.headers).some(key => key.toLowerCase() === 'authorization')) {
+        parts.push(`-u ${quote(`${request.auth.username}:${request.auth.password}`)}`);
+    }
+    if (request.data) {
+        parts.push(`--data-raw ${quote(request.data)}`);
+    }
+
+    return parts.join(' \\\n  ');
+}
+
+/**
+ * True when a value still needs support/api-environment to be resolved
+ */
+function hasEnvironmentPlaceholders(text) {
+    return /\{\{\s*(baseUrl|secret:\w+)\s*\}\}/.test(String(text || ''));
+}
+
+module.exports = {
+    loadApiEnvironments,
+    templateBaseUrl,
+    templateRequest,
+    buildCurlCommand,
+    hasEnvironmentPlaceholders
+};
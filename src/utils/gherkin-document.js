@@ -0,0 +1,473 @@
+/**
+ * Gherkin Document - Shared document model, parser and pretty-printer for .feature files
+ * Generators build a document (Feature, Rule, Background, Scenario / Scenario Outline, Examples,
+ * DataTable, DocString, tags, comments) and emit it through formatGherkin so the output is always
+ * valid, consistently indented Gherkin; tools can parse existing features, change them and write them back
+ */
+
+const STEP_KEYWORDS = ['Given', 'When', 'Then', 'And', 'But', '*'];
+const STEP_LINE = /^(Given|When|Then|And|But|\*)\s+(.*)$/;
+const HEADER_LINE = /^(Feature|Rule|Background|Scenario Outline|Scenario Template|Scenario|Example|Examples|Scenarios):\s*(.*)$/;
+const DOC_STRING = /^("""|```)\s*(.*)$/;
+const INDENT = '  ';
+
+// ---------------------------------------------------------------------------
+// Builders
+// ---------------------------------------------------------------------------
+
+function gherkinDocument(feature, { comments = [], language } = {}) {
+    return { type: 'GherkinDocument', language, comments, feature };
+}
+
+function feature({ name, tags = [], description = '', children = [], comments = [] }) {
+    return { type: 'Feature', keyword: 'Feature', name, tags: normalizeTags(tags), description, children, comments };
+}
+
+function rule({ name, tags = [], description = '', children = [], comments = [] }) {
+    return { type: 'Rule', keyword: 'Rule', name, tags: normalizeTags(tags), description, children, comments };
+}
+
+function background({ name = '', description = '', steps = [], comments = [] } = {}) {
+    return { type: 'Background', keyword: 'Background', name, description, steps: steps.map(toStep), comments };
+}
+
+/**
+ * A Scenario, or a Scenario Outline when examples are given
+ * examples: Examples nodes, a table (first row is the header) or a list of row objects
+ */
+function scenario({ name, tags = [], description = '', steps = [], examples, comments = [] }) {
+    const examplesList = toExamplesList(examples);
+    return {
+        type: 'Scenario',
+        keyword: examplesList.length ? 'Scenario Outline' : 'Scenario',
+        name,
+        tags: normalizeTags(tags),
+        description,
+        steps: steps.map(toStep),
+        examples: examplesList,
+        comments
+    };
+}
+
+function examples({ name = '', tags = [], description = '', table, comments = [] } = {}) {
+    return { type: 'Examples', keyword: 'Examples', name, tags: normalizeTags(tags), description, table: toTable(table), comments };
+}
+
+/**
+ * "Given I am on the page" -> { keyword: 'Given', text: 'I am on the page' }; a keyword can also be passed explicitly
+ */
+function step(keywordOrLine, text, { dataTable, docString, comments = [] } = {}) {
+    let keyword = keywordOrLine;
+    let stepText = text;
+    if (text === undefined) {
+        const match = String(keywordOrLine).trim().match(STEP_LINE);
+        if (!match) throw new Error(`Not a Gherkin step (must start with ${STEP_KEYWORDS.join('/')}): ${keywordOrLine}`);
+        [, keyword, stepText] = match;
+    }
+    if (!STEP_KEYWORDS.includes(keyword)) throw new Error(`Unknown step keyword "${keyword}"`);
+
+    return {
+        type: 'Step',
+        keyword,
+        text: String(stepText).trim(),
+        dataTable: dataTable ? toTable(dataTable) : undefined,
+        docString: docString === undefined ? undefined : toDocString(docString),
+        comments
+    };
+}
+
+/**
+ * Step from free text: a leading keyword is kept (any case), otherwise defaultKeyword is prepended
+ */
+function stepFromText(text, defaultKeyword = 'Given') {
+    const trimmed = String(text).trim();
+    const match = trimmed.match(/^(given|when|then|and|but)\s+(.*)$/i);
+    if (match) {
+        return step(match[1].charAt(0).toUpperCase() + match[1].slice(1).toLowerCase(), match[2]);
+    }
+    return step(trimmed.startsWith('* ') ? '*' : defaultKeyword, trimmed.replace(/^\*\s+/, ''));
+}
+
+function toStep(value) {
+    return value && value.type === 'Step' ? value : step(value);
+}
+
+function toExamplesList(value) {
+    if (!value || (Array.isArray(value) && value.length === 0)) return [];
+    if (value.type === 'Examples') return [value];
+    if (Array.isArray(value) && value[0] && value[0].type === 'Examples') return value;
+    return [examples({ table: value })];
+}
+
+/**
+ * Table from rows ([[...], ...]) or row objects ([{ column: value }, ...]); the first row is the header
+ */
+function toTable(value) {
+    if (!value) return { rows: [] };
+    if (Array.isArray(value.rows)) return { rows: value.rows.map(row => row.map(cell => String(cell ?? ''))) };
+    if (!Array.isArray(value) || value.length === 0) return { rows: [] };
+    if (Array.isArray(value[0])) return { rows: value.map(row => row.map(cell => String(cell ?? ''))) };
+
+    const columns = Object.keys(value[0]);
+    return { rows: [columns, ...value.map(row => columns.map(column => String(row[column] ?? '')))] };
+}
+
+function toDocString(value) {
+    return typeof value === 'string'
+        ? { delimiter: '"""', mediaType: '', content: value }
+        : { delimiter: value.delimiter || '"""', mediaType: value.mediaType || '', content: value.content || '' };
+}
+
+function normalizeTags(tags) {
+    return (tags || [])
+        .flatMap(tag => String(tag).split(/\s+/))
+        .filter(Boolean)
+        .map(tag => (tag.startsWith('@') ? tag : `@${tag}`))
+        .filter((tag, index, all) => all.indexOf(tag) === index);
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse feature text into a GherkinDocument; throws "Line N: ..." on invalid Gherkin.
+ * Parsed nodes carry location: { line } for tools that report on the source
+ */
+function parseGherkin(text) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const document = gherkinDocument(null);
+
+    let pendingTags = [];
+    let pendingComments = [];
+    let currentRule = null;
+    let currentNode = null; // Background or Scenario
+    let currentExamples = null;
+    let lastStep = null;
+    let describing = null; // node whose description is still being collected
+    let docString = null;
+
+    const fail = (lineNumber, message) => {
+        throw new Error(`Line ${lineNumber}: ${message}`);
+    };
+    const takeDecorations = node => {
+        node.comments = pendingComments;
+        if ('tags' in node) node.tags = normalizeTags(pendingTags);
+        pendingComments = [];
+        pendingTags = [];
+        return node;
+    };
+    const container = () => currentRule || document.feature;
+
+    lines.forEach((line, index) => {
+        const lineNumber = index + 1;
+        const trimmed = line.trim();
+
+        if (docString) {
+            if (trimmed === docString.delimiter) {
+                lastStep.docString = { delimiter: docString.delimiter, mediaType: docString.mediaType, content: docString.lines.join('\n') };
+                docString = null;
+            } else {
+                docString.lines.push(stripIndent(line, docString.indent).replace(/\\(["`])\\\1\\\1/g, '$1$1$1'));
+            }
+            return;
+        }
+
+        if (!trimmed) {
+            if (describing && describing.descriptionLines.length) describing.descriptionLines.push('');
+            return;
+        }
+
+        if (trimmed.startsWith('#')) {
+            const language = trimmed.match(/^#\s*language\s*:\s*(\S+)/);
+            if (language && !document.feature && pendingTags.length === 0) {
+                document.language = language[1];
+            } else {
+                pendingComments.push(trimmed);
+            }
+            describing = null;
+            return;
+        }
+
+        if (trimmed.startsWith('@')) {
+            const tagPart = trimmed.replace(/\s#.*$/, '');
+            const tags = tagPart.split(/\s+/).filter(Boolean);
+            const invalid = tags.find(tag => !/^@[^\s@]+$/.test(tag));
+            if (invalid) fail(lineNumber, `Invalid tag "${invalid}"`);
+            pendingTags.push(...tags);
+            describing = null;
+            return;
+        }
+
+        const header = trimmed.match(HEADER_LINE);
+        if (header) {
+            const [, keyword, rawName] = header;
+            const name = rawName.trim();
+            const location = { line: lineNumber };
+            describing = null;
+
+            if (keyword === 'Feature') {
+                if (document.feature) fail(lineNumber, 'Only one Feature is allowed per file');
+                document.feature = takeDecorations(feature({ name }));
+                document.feature.location = location;
+                describing = document.feature;
+            } else if (!document.feature) {
+                fail(lineNumber, `"${keyword}:" must come after "Feature:"`);
+            } else if (keyword === 'Rule') {
+                currentRule = takeDecorations(rule({ name }));
+                currentRule.location = location;
+                document.feature.children.push(currentRule);
+                currentNode = currentExamples = lastStep = null;
+                describing = currentRule;
+            } else if (keyword === 'Background') {
+                if (pendingTags.length) fail(lineNumber, 'Background cannot have tags');
+                if (container().children.length) fail(lineNumber, 'Background must come before the first Scenario');
+                currentNode = takeDecorations(background({ name }));
+                currentNode.location = location;
+                container().children.push(currentNode);
+                currentExamples = lastStep = null;
+                describing = currentNode;
+            } else if (keyword === 'Examples' || keyword === 'Scenarios') {
+                if (!currentNode || currentNode.type !== 'Scenario') fail(lineNumber, 'Examples must belong to a Scenario Outline');
+                currentExamples = takeDecorations(examples({ name }));
+                currentExamples.keyword = keyword;
+                currentExamples.location = location;
+                currentNode.examples.push(currentExamples);
+                if (currentNode.keyword === 'Scenario') currentNode.keyword = 'Scenario Outline';
+                lastStep = null;
+                describing = currentExamples;
+            } else {
+                currentNode = takeDecorations(scenario({ name }));
+                currentNode.keyword = keyword;
+                currentNode.location = location;
+                container().children.push(currentNode);
+                currentExamples = lastStep = null;
+                describing = currentNode;
+            }
+
+            if (describing) describing.descriptionLines = [];
+            return;
+        }
+
+        const stepMatch = trimmed.match(STEP_LINE);
+        if (stepMatch && currentNode && !currentExamples) {
+            lastStep = step(stepMatch[1], stepMatch[2]);
+            lastStep.comments = pendingComments;
+            lastStep.location = { line: lineNumber };
+            pendingComments = [];
+            if (pendingTags.length) fail(lineNumber, 'Steps cannot have tags');
+            currentNode.steps.push(lastStep);
+            describing = null;
+            return;
+        }
+
+        if (trimmed.startsWith('|')) {
+            if (!trimmed.endsWith('|') || trimmed.length < 2) fail(lineNumber, 'Table rows must start and end with "|"');
+            const cells = parseTableRow(trimmed);
+            const table = currentExamples ? currentExamples.table : lastStep ? (lastStep.dataTable = lastStep.dataTable || { rows: [] }) : null;
+            if (!table) fail(lineNumber, 'A table must follow a step or an Examples header');
+            if (table.rows.length && table.rows[0].length !== cells.length) {
+                fail(lineNumber, `Table row has ${cells.length} cells, expected ${table.rows[0].length}`);
+            }
+            table.rows.push(cells);
+            describing = null;
+            return;
+        }
+
+        const docStart = trimmed.match(DOC_STRING);
+        if (docStart) {
+            if (!lastStep || lastStep.dataTable) fail(lineNumber, 'A DocString must follow a step');
+            docString = { delimiter: docStart[1], mediaType: docStart[2].trim(), indent: line.indexOf(docStart[1]), lines: [] };
+            describing = null;
+            return;
+        }
+
+        if (stepMatch) fail(lineNumber, currentExamples ? 'Steps cannot follow Examples - start a new Scenario' : 'Steps must belong to a Background or Scenario');
+
+        if (describing && !(describing.steps && describing.steps.length)) {
+            describing.descriptionLines.push(trimmed);
+            return;
+        }
+
+        fail(lineNumber, currentNode
+            ? `Expected a step (${STEP_KEYWORDS.join('/')}), table, DocString or new section but found "${trimmed}"`
+            : `Unexpected text "${trimmed}"`);
+    });
+
+    if (docString) fail(lines.length, `Unterminated DocString (missing closing ${docString.delimiter})`);
+    if (pendingTags.length) fail(lines.length, 'Tags must be followed by a Feature, Rule, Scenario or Examples');
+
+    document.comments = pendingComments;
+    finishDescriptions(document.feature);
+    return document;
+}
+
+function finishDescriptions(node) {
+    if (!node) return;
+    if (node.descriptionLines) {
+        while (node.descriptionLines.length && !node.descriptionLines[node.descriptionLines.length - 1]) node.descriptionLines.pop();
+        node.description = node.descriptionLines.join('\n');
+        delete node.descriptionLines;
+    }
+    (node.children || []).forEach(finishDescriptions);
+    (node.examples || []).forEach(finishDescriptions);
+}
+
+function parseTableRow(row) {
+    const cells = [];
+    let cell = '';
+    for (let i = 1; i < row.length - 1; i++) {
+        const ch = row[i];
+        if (ch === '\\' && i + 1 < row.length - 1) {
+            const next = row[++i];
+            cell += next === 'n' ? '\n' : next === '|' || next === '\\' ? next : `\\${next}`;
+        } else if (ch === '|') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function stripIndent(line, indent) {
+    const leading = line.match(/^\s*/)[0].length;
+    return line.slice(Math.min(leading, indent));
+}
+
+// ---------------------------------------------------------------------------
+// Pretty-printer
+// ---------------------------------------------------------------------------
+
+/**
+ * Canonical Gherkin text: tags above their keyword, two-space indentation, padded tables,
+ * one blank line between sections and a single trailing newline
+ */
+function formatGherkin(document) {
+    const doc = document.type === 'GherkinDocument' ? document : gherkinDocument(document);
+    const lines = [];
+
+    if (doc.language) lines.push(`# language: ${doc.language}`);
+    if (doc.feature) {
+        const node = doc.feature;
+        pushHeader(lines, node, 0);
+        node.children.forEach(child => {
+            lines.push('');
+            if (child.type === 'Rule') {
+                pushHeader(lines, child, 1);
+                child.children.forEach(ruleChild => {
+                    lines.push('');
+                    pushScenarioLike(lines, ruleChild, 2);
+                });
+            } else {
+                pushScenarioLike(lines, child, 1);
+            }
+        });
+    }
+    if (doc.comments && doc.comments.length) {
+        if (lines.length) lines.push('');
+        lines.push(...doc.comments);
+    }
+
+    return `${lines.join('\n').trimEnd()}\n`;
+}
+
+function pushHeader(lines, node, level) {
+    const pad = INDENT.repeat(level);
+    (node.comments || []).forEach(comment => lines.push(`${pad}${comment}`));
+    if (node.tags && node.tags.length) lines.push(`${pad}${normalizeTags(node.tags).join(' ')}`);
+    lines.push(`${pad}${node.keyword}:${node.name ? ` ${singleLine(node.name)}` : ''}`);
+    if (node.description) {
+        node.description.split('\n').forEach(line => lines.push(line.trim() ? `${pad}${INDENT}${line.trim()}` : ''));
+    }
+}
+
+function pushScenarioLike(lines, node, level) {
+    pushHeader(lines, node, level);
+    const pad = INDENT.repeat(level + 1);
+
+    node.steps.forEach(stepNode => {
+        (stepNode.comments || []).forEach(comment => lines.push(`${pad}${comment}`));
+        lines.push(`${pad}${stepNode.keyword} ${singleLine(stepNode.text)}`);
+        if (stepNode.dataTable && stepNode.dataTable.rows.length) pushTable(lines, stepNode.dataTable, level + 2);
+        if (stepNode.docString) pushDocString(lines, stepNode.docString, level + 2);
+    });
+
+    (node.examples || []).forEach(examplesNode => {
+        lines.push('');
+        pushHeader(lines, examplesNode, level + 1);
+        if (examplesNode.table && examplesNode.table.rows.length) pushTable(lines, examplesNode.table, level + 2);
+    });
+}
+
+function pushTable(lines, table, level) {
+    const pad = INDENT.repeat(level);
+    const rows = table.rows.map(row => row.map(escapeCell));
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => (row[column] || '').length)));
+    rows.forEach(row => lines.push(`${pad}| ${widths.map((width, column) => (row[column] || '').padEnd(width)).join(' | ')} |`));
+}
+
+function pushDocString(lines, docString, level) {
+    const pad = INDENT.repeat(level);
+    const delimiter = docString.delimiter || '"""';
+    lines.push(`${pad}${delimiter}${docString.mediaType || ''}`);
+    docString.content.split('\n').forEach(line => {
+        const escaped = line.split(delimiter).join(`\\${delimiter.split('').join('\\')}`);
+        lines.push(escaped ? `${pad}${escaped}` : '');
+    });
+    lines.push(`${pad}${delimiter}`);
+}
+
+function escapeCell(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+}
+
+function singleLine(value) {
+    return String(value).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+/**
+ * Round-trip helper for generators that still assemble text: parse then pretty-print
+ */
+function formatFeatureText(text) {
+    return formatGherkin(parseGherkin(text));
+}
+
+/**
+ * Every Scenario / Scenario Outline in the document, including those inside Rules
+ */
+function collectScenarios(document) {
+    const children = document?.feature?.children || [];
+    return children.flatMap(child => (child.type === 'Rule'
+        ? child.children.filter(node => node.type === 'Scenario').map(node => ({ scenario: node, rule: child }))
+        : child.type === 'Scenario' ? [{ scenario: child, rule: null }] : []));
+}
+
+/**
+ * Every step in document order - Backgrounds and Scenarios, including those inside Rules
+ */
+function collectSteps(document) {
+    const children = document?.feature?.children || [];
+    return children
+        .flatMap(child => (child.type === 'Rule' ? child.children : [child]))
+        .flatMap(node => node.steps);
+}
+
+module.exports = {
+    STEP_KEYWORDS,
+    gherkinDocument,
+    feature,
+    rule,
+    background,
+    scenario,
+    examples,
+    step,
+    stepFromText,
+    parseGherkin,
+    formatGherkin,
+    formatFeatureText,
+    collectScenarios,
+    collectSteps
+};
@@ -0,0 +1,517 @@
+/**
+ * Gherkin Linter - Lints generated and hand-written .feature files: duplicate scenario names,
+ * Given/When/Then structure, hardcoded credentials and URLs, long scenarios, unused Backgrounds,
+ * tag conventions (featurePatterns.tagConventions in config/sbs-automation-patterns.json) and
+ * UI-implementation wording. Safe rules are fixed on the parsed document and written back through
+ * formatGherkin. Reports as text, JSON or SARIF 2.1.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseGherkin, formatGherkin } = require('./gherkin-document');
+
+const DEFAULT_PATTERNS_PATH = path.join(__dirname, '../../config/sbs-automation-patterns.json');
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'auto-coder-gherkin-lint';
+
+const RULES = {
+    'parse-error': { level: 'error', fixable: false, description: 'Feature file is not valid Gherkin' },
+    'duplicate-scenario-name': { level: 'error', fixable: false, description: 'Scenario names must be unique within a feature' },
+    'step-structure': { level: 'warning', fixable: false, description: 'Scenarios need a Given (own or from the Background) and a Then, in Given/When/Then order' },
+    'leading-conjunction': { level: 'warning', fixable: true, description: 'The first step of a Background or Scenario cannot be And/But' },
+    'repeated-keyword': { level: 'note', fixable: true, description: 'Consecutive steps with the same keyword should use And' },
+    'hardcoded-credentials': { level: 'error', fixable: false, description: 'Steps must not contain passwords, tokens or other secrets' },
+    'hardcoded-url': { level: 'warning', fixable: false, description: 'Steps should name pages or environments instead of URLs' },
+    'scenario-too-long': { level: 'warning', fixable: false, description: 'Scenario has more steps than featureLint.maxStepsPerScenario' },
+    'unused-background': { level: 'warning', fixable: true, description: 'Background has no steps or no scenarios to apply to' },
+    'single-use-background': { level: 'note', fixable: true, description: 'Background applies to a single scenario and can be inlined' },
+    'tag-format': { level: 'warning', fixable: false, description: 'Tag does not match tagConventions.format' },
+    'tag-casing': { level: 'warning', fixable: true, description: 'Tag prefix casing differs from tagConventions.prefixes' },
+    'tag-value': { level: 'warning', fixable: false, description: 'Tag value is not in tagConventions.allowedValues' },
+    'missing-required-tag': { level: 'warning', fixable: false, description: 'Feature lacks a tag required by tagConventions.requiredFeatureTags' },
+    'ui-wording': { level: 'warning', fixable: false, description: 'Steps should describe behaviour, not UI implementation' },
+    'formatting': { level: 'note', fixable: true, description: 'Indentation and spacing differ from the canonical Gherkin format' }
+};
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Tag conventions and linter settings from the SBS patterns config
+ */
+function loadLintConfig(patternsPath = DEFAULT_PATTERNS_PATH) {
+    let patterns;
+    try {
+        patterns = JSON.parse(fs.readFileSync(patternsPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read lint config ${patternsPath}: ${error.message}`);
+    }
+    const tags = patterns.featurePatterns?.tagConventions || {};
+    const lint = patterns.featureLint || {};
+
+    return {
+        tagFormat: tags.format ? new RegExp(tags.format) : null,
+        requiredFeatureTags: tags.requiredFeatureTags || [],
+        tagPrefixes: tags.prefixes || [],
+        allowedTagValues: tags.allowedValues || {},
+        maxStepsPerScenario: lint.maxStepsPerScenario || 12,
+        uiWording: lint.uiWording || [],
+        credentialKeywords: lint.credentialKeywords || []
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Document walking
+// ---------------------------------------------------------------------------
+
+/**
+ * Feature and Rule scopes with their Background and Scenarios. A feature Background also applies to
+ * scenarios inside Rules
+ */
+function collectScopes(document) {
+    const feature = document.feature;
+    if (!feature) return [];
+    const featureBackground = feature.children.find(child => child.type === 'Background') || null;
+    const rules = feature.children.filter(child => child.type === 'Rule');
+    const direct = feature.children.filter(child => child.type === 'Scenario');
+    const inRules = rules.flatMap(ruleNode => ruleNode.children.filter(child => child.type === 'Scenario'));
+
+    return [
+        { node: feature, background: featureBackground, scenarios: [...direct, ...inRules] },
+        ...rules.map(ruleNode => ({
+            node: ruleNode,
+            background: ruleNode.children.find(child => child.type === 'Background') || null,
+            scenarios: ruleNode.children.filter(child => child.type === 'Scenario')
+        }))
+    ];
+}
+
+function backgroundSteps(document, scenarioNode) {
+    return collectScopes(document)
+        .filter(scope => scope.background && scope.scenarios.includes(scenarioNode))
+        .flatMap(scope => scope.background.steps);
+}
+
+/**
+ * Given/When/Then for every step, with And/But taking the keyword before them
+ */
+function effectiveKeywords(steps, previous = null) {
+    let current = previous;
+    return steps.map(stepNode => {
+        if (['Given', 'When', 'Then'].includes(stepNode.keyword)) current = stepNode.keyword;
+        return stepNode.keyword === '*' ? null : current;
+    });
+}
+
+function taggedNodes(document) {
+    const feature = document.feature;
+    if (!feature) return [];
+    const scenarios = node => (node.children || []).filter(child => child.type === 'Scenario');
+    const rules = feature.children.filter(child => child.type === 'Rule');
+    const nodes = [feature, ...rules, ...scenarios(feature), ...rules.flatMap(scenarios)];
+    return [...nodes, ...nodes.flatMap(node => node.examples || [])];
+}
+
+function allStepContainers(document) {
+    const feature = document.feature;
+    if (!feature) return [];
+    return feature.children.flatMap(child => (child.type === 'Rule' ? child.children : [child]));
+}
+
+function lineOf(node) {
+    return node?.location?.line || 1;
+}
+
+// ---------------------------------------------------------------------------
+// Rules
+// ---------------------------------------------------------------------------
+
+function checkScenarioNames(document, report) {
+    const seen = new Map();
+    allStepContainers(document).filter(node => node.type === 'Scenario').forEach(node => {
+        const key = node.name.trim().toLowerCase();
+        if (!key) return;
+        if (seen.has(key)) {
+            report('duplicate-scenario-name', node, `Scenario "${node.name}" duplicates the scenario on line ${lineOf(seen.get(key))}`);
+        } else {
+            seen.set(key, node);
+        }
+    });
+}
+
+function checkStructure(document, report, config) {
+    allStepContainers(document).forEach(node => {
+        const first = node.steps[0];
+        if (first && ['And', 'But'].includes(first.keyword)) {
+            report('leading-conjunction', first, `${node.keyword} starts with "${first.keyword}"`);
+        }
+        node.steps.forEach((stepNode, index) => {
+            if (index > 0 && ['Given', 'When', 'Then'].includes(stepNode.keyword)
+                && effectiveKeywords(node.steps.slice(0, index)).pop() === stepNode.keyword) {
+                report('repeated-keyword', stepNode, `Repeated "${stepNode.keyword}" - use "And"`);
+            }
+        });
+    });
+
+    allStepContainers(document).filter(node => node.type === 'Scenario').forEach(node => {
+        const background = backgroundSteps(document, node);
+        const backgroundKeywords = effectiveKeywords(background).filter(Boolean);
+        const keywords = effectiveKeywords(node.steps, backgroundKeywords[backgroundKeywords.length - 1] || null);
+
+        if (node.steps.length === 0) {
+            report('step-structure', node, `Scenario "${node.name}" has no steps`);
+            return;
+        }
+        if (!backgroundKeywords.includes('Given') && !keywords.includes('Given')) {
+            report('step-structure', node, `Scenario "${node.name}" has no Given step setting up its context`);
+        }
+        if (!keywords.includes('Then')) {
+            report('step-structure', node, `Scenario "${node.name}" has no Then step verifying an outcome`);
+        }
+        const outOfOrder = keywords.findIndex((keyword, index) => keyword === 'Given'
+            && node.steps[index].keyword === 'Given'
+            && keywords.slice(0, index).some(earlier => earlier === 'When' || earlier === 'Then'));
+        if (outOfOrder !== -1) {
+            report('step-structure', node.steps[outOfOrder], 'Given after When/Then - split this into separate scenarios');
+        }
+        if (node.steps.length > config.maxStepsPerScenario) {
+            report('scenario-too-long', node, `Scenario "${node.name}" has ${node.steps.length} steps (max ${config.maxStepsPerScenario})`);
+        }
+    });
+}
+
+function checkBackgrounds(document, report) {
+    collectScopes(document).forEach(scope => {
+        if (!scope.background) return;
+        if (scope.background.steps.length === 0) {
+            report('unused-background', scope.background, 'Background has no steps');
+        } else if (scope.scenarios.length === 0) {
+            report('unused-background', scope.background, 'Background has no scenarios to apply to');
+        } else if (scope.scenarios.length === 1) {
+            report('single-use-background', scope.background, `Background only applies to "${scope.scenarios[0].name}" - inline its steps`);
+        }
+    });
+}
+
+/**
+ * Step text, data table cells and DocStrings of every step, plus Examples cells
+ */
+function stepContents(document) {
+    const contents = [];
+    allStepContainers(document).forEach(node => {
+        node.steps.forEach(stepNode => {
+            contents.push({ node: stepNode, text: stepNode.text });
+            if (stepNode.dataTable) contents.push({ node: stepNode, table: stepNode.dataTable });
+            if (stepNode.docString) contents.push({ node: stepNode, text: stepNode.docString.content });
+        });
+        (node.examples || []).forEach(examplesNode => contents.push({ node: examplesNode, table: examplesNode.table }));
+    });
+    return contents;
+}
+
+function checkHardcodedValues(document, report, config) {
+    const keywords = config.credentialKeywords.map(escapeRegex).join('|');
+    const credentialValue = keywords
+        ? new RegExp(`\\b(${keywords})\\b[^"'\\n]{0,20}["']([^"'<>\\n]+)["']`, 'i')
+        : null;
+    const credentialColumn = keywords ? new RegExp(`^(${keywords})$`, 'i') : null;
+    const url = /\bhttps?:\/\/[^\s"'|<>]+/i;
+
+    stepContents(document).forEach(({ node, text, table }) => {
+        if (text !== undefined) {
+            const credential = credentialValue && text.match(credentialValue);
+            if (credential) {
+                report('hardcoded-credentials', node, `Hardcoded ${credential[1].toLowerCase()} value - read it from test data or the environment`);
+            }
+            const link = text.match(url);
+            if (link) report('hardcoded-url', node, `Hardcoded URL ${link[0]}`);
+            return;
+        }
+
+        const [header = [], ...rows] = table.rows;
+        header.forEach((column, index) => {
+            if (credentialColumn && credentialColumn.test(column.trim())
+                && rows.some(row => row[index] && !/^<[^>]+>$/.test(row[index]))) {
+                report('hardcoded-credentials', node, `Table column "${column}" holds hardcoded secrets`);
+            }
+        });
+        const link = table.rows.flat().find(cell => url.test(cell));
+        if (link) report('hardcoded-url', node, `Hardcoded URL ${link.match(url)[0]} in table`);
+    });
+}
+
+function checkWording(document, report, config) {
+    if (config.uiWording.length === 0) return;
+    const wording = new RegExp(`\\b(${config.uiWording.map(escapeRegex).join('|')})\\b`, 'gi');
+    allStepContainers(document).forEach(node => node.steps.forEach(stepNode => {
+        const words = [...new Set((stepNode.text.match(wording) || []).map(word => word.toLowerCase()))];
+        if (words.length) {
+            report('ui-wording', stepNode, `UI implementation wording (${words.join(', ')}) - describe what the user achieves`);
+        }
+    }));
+}
+
+function canonicalPrefix(tag, prefixes) {
+    return prefixes.find(prefix => tag.toLowerCase().startsWith(prefix.toLowerCase()));
+}
+
+function checkTags(document, report, config) {
+    taggedNodes(document).forEach(node => {
+        (node.tags || []).forEach(tag => {
+            if (config.tagFormat && !config.tagFormat.test(tag)) {
+                report('tag-format', node, `Tag ${tag} does not match ${config.tagFormat.source}`);
+            }
+            const prefix = canonicalPrefix(tag, config.tagPrefixes);
+            if (!prefix) return;
+            if (!tag.startsWith(prefix)) {
+                report('tag-casing', node, `Tag ${tag} should start with ${prefix}`);
+            }
+            const allowed = config.allowedTagValues[prefix];
+            const value = tag.slice(prefix.length);
+            if (allowed && !allowed.includes(value)) {
+                report('tag-value', node, `Tag ${tag} should be one of ${allowed.map(option => `${prefix}${option}`).join(', ')}`);
+            }
+        });
+    });
+
+    const feature = document.feature;
+    config.requiredFeatureTags.forEach(required => {
+        if (!feature.tags.some(tag => tag.toLowerCase().startsWith(required.toLowerCase()))) {
+            report('missing-required-tag', feature, `Feature has no ${required} tag`);
+        }
+    });
+}
+
+function checkFormatting(document, text, report) {
+    const source = text.replace(/\r\n?/g, '\n');
+    const formatted = formatGherkin(document);
+    if (source === formatted) return;
+    const sourceLines = source.split('\n');
+    const formattedLines = formatted.split('\n');
+    const index = sourceLines.findIndex((line, i) => line !== formattedLines[i]);
+    report('formatting', { location: { line: index === -1 ? sourceLines.length : index + 1 } }, 'Formatting differs from the canonical layout (two-space indent, padded tables)');
+}
+
+/**
+ * Lint feature text: [{ rule, level, line, message, fixable }] sorted by line
+ */
+function lintFeature(text, config = loadLintConfig()) {
+    const issues = [];
+    const report = (rule, node, message) => {
+        issues.push({ rule, level: RULES[rule].level, line: lineOf(node), message, fixable: RULES[rule].fixable });
+    };
+
+    let document;
+    try {
+        document = parseGherkin(text);
+    } catch (error) {
+        const line = Number((error.message.match(/^Line (\d+):/) || [])[1]) || 1;
+        report('parse-error', { location: { line } }, error.message.replace(/^Line \d+:\s*/, ''));
+        return issues;
+    }
+    if (!document.feature) {
+        report('parse-error', null, 'No Feature found');
+        return issues;
+    }
+
+    checkScenarioNames(document, report);
+    checkStructure(document, report, config);
+    checkBackgrounds(document, report);
+    checkHardcodedValues(document, report, config);
+    checkWording(document, report, config);
+    checkTags(document, report, config);
+    checkFormatting(document, text, report);
+
+    return issues.sort((a, b) => a.line - b.line);
+}
+
+// ---------------------------------------------------------------------------
+// Autofix
+// ---------------------------------------------------------------------------
+
+function fixBackgrounds(document) {
+    collectScopes(document).forEach(scope => {
+        const background = scope.background;
+        if (!background) return;
+        const unused = background.steps.length === 0 || scope.scenarios.length === 0;
+        if (!unused && scope.scenarios.length !== 1) return;
+
+        if (!unused) {
+            const [only] = scope.scenarios;
+            only.steps = [...background.steps, ...only.steps];
+        }
+        scope.node.children = scope.node.children.filter(child => child !== background);
+    });
+}
+
+function fixKeywords(document) {
+    allStepContainers(document).forEach(node => {
+        const first = node.steps[0];
+        if (first && ['And', 'But'].includes(first.keyword)) {
+            const inherited = node.type === 'Scenario'
+                ? effectiveKeywords(backgroundSteps(document, node)).filter(Boolean).pop()
+                : null;
+            first.keyword = inherited || 'Given';
+        }
+        node.steps.forEach((stepNode, index) => {
+            if (index > 0 && ['Given', 'When', 'Then'].includes(stepNode.keyword)
+                && effectiveKeywords(node.steps.slice(0, index)).pop() === stepNode.keyword) {
+                stepNode.keyword = 'And';
+            }
+        });
+    });
+}
+
+function fixTags(document, config) {
+    taggedNodes(document).forEach(node => {
+        node.tags = (node.tags || []).map(tag => {
+            const prefix = canonicalPrefix(tag, config.tagPrefixes);
+            return prefix ? `${prefix}${tag.slice(prefix.length)}` : tag;
+        });
+    });
+}
+
+/**
+ * Apply the fixable rules and re-format. Invalid Gherkin is returned unchanged.
+ * Returns { content, fixed } where fixed lists the issues the fix resolved
+ */
+function fixFeature(text, config = loadLintConfig()) {
+    const before = lintFeature(text, config);
+    if (before.some(issue => issue.rule === 'parse-error')) {
+        return { content: text, fixed: [] };
+    }
+
+    const document = parseGherkin(text);
+    fixBackgrounds(document);
+    fixTags(document, config);
+    fixKeywords(document);
+
+    const formatted = formatGherkin(document);
+    const content = text.includes('\r\n') ? formatted.replace(/\n/g, '\r\n') : formatted;
+    return { content, fixed: before.filter(issue => issue.fixable) };
+}
+
+// ---------------------------------------------------------------------------
+// Files and reports
+// ---------------------------------------------------------------------------
+
+// Paths under cwd are reported relative to it
+function reportPath(filePath, cwd) {
+    const relative = path.relative(cwd, filePath);
+    return relative && !relative.startsWith('..') ? relative : filePath;
+}
+
+function findFeatureFiles(target) {
+    if (!fs.existsSync(target)) throw new Error(`Not found: ${target}`);
+    if (!fs.statSync(target).isDirectory()) return [target];
+    return fs.readdirSync(target, { withFileTypes: true }).flatMap(entry => {
+        if (entry.isDirectory()) {
+            return ['node_modules', '.git', '.auto-coder'].includes(entry.name) ? [] : findFeatureFiles(path.join(target, entry.name));
+        }
+        return entry.name.endsWith('.feature') ? [path.join(target, entry.name)] : [];
+    });
+}
+
+/**
+ * Lint (and with fix, rewrite) every .feature file under the given paths
+ */
+function lintFiles(targets, { fix = false, config = loadLintConfig() } = {}) {
+    const files = [...new Set(targets.flatMap(findFeatureFiles))];
+    return files.map(filePath => {
+        const text = fs.readFileSync(filePath, 'utf8');
+        let fixed = [];
+        let current = text;
+        if (fix) {
+            const result = fixFeature(text, config);
+            if (result.content !== text) {
+                fs.writeFileSync(filePath, result.content);
+                current = result.content;
+                fixed = result.fixed;
+            }
+        }
+        return { path: filePath, issues: lintFeature(current, config), fixed };
+    });
+}
+
+function summarize(results) {
+    const issues = results.flatMap(result => result.issues);
+    return {
+        files: results.length,
+        errors: issues.filter(issue => issue.level === 'error').length,
+        warnings: issues.filter(issue => issue.level === 'warning').length,
+        notes: issues.filter(issue => issue.level === 'note').length,
+        fixable: issues.filter(issue => issue.fixable).length,
+        fixed: results.reduce((total, result) => total + result.fixed.length, 0)
+    };
+}
+
+function toJsonReport(results, { cwd = process.cwd() } = {}) {
+    return {
+        tool: TOOL_NAME,
+        summary: summarize(results),
+        files: results.map(result => ({ ...result, path: reportPath(result.path, cwd) }))
+    };
+}
+
+function toSarifReport(results, { cwd = process.cwd() } = {}) {
+    const ruleIds = Object.keys(RULES);
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    rules: ruleIds.map(id => ({
+                        id,
+                        shortDescription: { text: RULES[id].description },
+                        defaultConfiguration: { level: RULES[id].level },
+                        properties: { fixable: RULES[id].fixable }
+                    }))
+                }
+            },
+            results: results.flatMap(result => result.issues.map(issue => ({
+                ruleId: issue.rule,
+                ruleIndex: ruleIds.indexOf(issue.rule),
+                level: issue.level,
+                message: { text: issue.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: reportPath(result.path, cwd).split(path.sep).join('/') },
+                        region: { startLine: issue.line }
+                    }
+                }]
+            })))
+        }]
+    };
+}
+
+function printLintResults(results, { cwd = process.cwd() } = {}) {
+    const icons = { error: '❌', warning: '⚠️ ', note: '💡' };
+    results.filter(result => result.issues.length || result.fixed.length).forEach(result => {
+        console.log(`\n📄 ${reportPath(result.path, cwd)}`);
+        if (result.fixed.length) console.log(`   🔧 Fixed ${result.fixed.length} issue(s)`);
+        result.issues.forEach(issue => {
+            console.log(`   ${icons[issue.level]} ${String(issue.line).padStart(4)}  ${issue.rule.padEnd(24)} ${issue.message}${issue.fixable ? ' (fixable)' : ''}`);
+        });
+    });
+
+    const summary = summarize(results);
+    console.log(`\n📊 ${summary.files} file(s): ${summary.errors} errors, ${summary.warnings} warnings, ${summary.notes} notes`);
+    if (summary.fixed) console.log(`🔧 ${summary.fixed} issue(s) fixed`);
+    if (summary.fixable) console.log(`💡 ${summary.fixable} issue(s) can be fixed with --fix`);
+}
+
+module.exports = {
+    RULES,
+    DEFAULT_PATTERNS_PATH,
+    loadLintConfig,
+    lintFeature,
+    fixFeature,
+    lintFiles,
+    summarize,
+    toJsonReport,
+    toSarifReport,
+    printLintResults
+};
@@ -0,0 +1,741 @@
+/**
+ * GraphQL Parser - Reads GraphQL requests and introspection schemas without a GraphQL runtime
+ * Splits documents into operations (name, variables, selected fields), validates them offline
+ * against an introspection result and derives the JSON Schema of the `data` they select
+ */
+
+const fs = require('fs-extra');
+
+const PUNCTUATORS = new Set(['!', '$', '&', '(', ')', ':', '=', '@', '[', ']', '{', '|', '}']);
+const OPERATION_TYPES = ['query', 'mutation', 'subscription'];
+const SCALAR_SCHEMAS = {
+    Int: { type: 'integer' },
+    Float: { type: 'number' },
+    String: { type: 'string' },
+    Boolean: { type: 'boolean' },
+    ID: { type: ['string', 'integer'] }
+};
+const MAX_SAMPLE_DEPTH = 3;
+
+/**
+ * True when a parsed cURL request carries a GraphQL document
+ */
+function isGraphQLRequest(request) {
+    return extractGraphQLPayloads(request).length > 0;
+}
+
+/**
+ * GraphQL payloads of a request: POST JSON ({ query, variables, operationName } or a batch),
+ * application/graphql bodies and GET ?query= URLs
+ */
+function extractGraphQLPayloads(request) {
+    if (!request) return [];
+    const body = request.body || {};
+    const looksLikeDocument = text => typeof text === 'string' && /^\s*(#[^\n]*\n\s*)*(\{|query\b|mutation\b|subscription\b|fragment\b)/.test(text);
+
+    const json = body.json !== undefined && body.json !== null ? body.json : tryParseJson(request.data);
+    const candidates = Array.isArray(json) ? json : (json && typeof json === 'object' ? [json] : []);
+    const payloads = candidates
+        .filter(candidate => candidate && looksLikeDocument(candidate.query))
+        .map(candidate => ({
+            query: candidate.query,
+            variables: candidate.variables && typeof candidate.variables === 'object' ? candidate.variables : {},
+            operationName: candidate.operationName || null
+        }));
+    if (payloads.length > 0) return payloads;
+
+    const contentType = Object.entries(request.headers || {})
+        .find(([key]) => key.toLowerCase() === 'content-type');
+    if (contentType && /application\/graphql/i.test(contentType[1]) && looksLikeDocument(request.data)) {
+        return [{ query: request.data, variables: {}, operationName: null }];
+    }
+
+    const query = request.query || {};
+    if (request.method === 'GET' && looksLikeDocument(query.query)) {
+        return [{
+            query: query.query,
+            variables: tryParseJson(query.variables) || {},
+            operationName: query.operationName || null
+        }];
+    }
+
+    return [];
+}
+
+function tryParseJson(value) {
+    if (typeof value !== 'string') return undefined;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Tokenize a GraphQL document - commas and comments are insignificant
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+        if (/[\s,\uFEFF]/.test(ch)) {
+            i++;
+        } else if (ch === '#') {
+            while (i < source.length && source[i] !== '\n') i++;
+        } else if (source.startsWith('...', i)) {
+            tokens.push({ kind: 'punct', value: '...' });
+            i += 3;
+        } else if (PUNCTUATORS.has(ch)) {
+            tokens.push({ kind: 'punct', value: ch });
+            i++;
+        } else if (/[_A-Za-z]/.test(ch)) {
+            const match = source.slice(i).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+            tokens.push({ kind: 'name', value: match[0] });
+            i += match[0].length;
+        } else if (/[-0-9]/.test(ch)) {
+            const match = source.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+            if (!match) throw new Error(`Unexpected character "${ch}" in GraphQL document`);
+            tokens.push({ kind: match[1] || match[2] ? 'float' : 'int', value: match[0] });
+            i += match[0].length;
+        } else if (source.startsWith('"""', i)) {
+            const end = source.indexOf('"""', i + 3);
+            if (end === -1) throw new Error('Unterminated block string in GraphQL document');
+            tokens.push({ kind: 'string', value: source.slice(i + 3, end) });
+            i = end + 3;
+        } else if (ch === '"') {
+            let j = i + 1;
+            while (j < source.length && source[j] !== '"') j += source[j] === '\\' ? 2 : 1;
+            if (j >= source.length) throw new Error('Unterminated string in GraphQL document');
+            tokens.push({ kind: 'string', value: JSON.parse(source.slice(i, j + 1)) });
+            i = j + 1;
+        } else {
+            throw new Error(`Unexpected character "${ch}" in GraphQL document`);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a document into { operations, fragments }
+ */
+function parseDocument(source) {
+    const tokens = tokenize(String(source || ''));
+    let position = 0;
+
+    const peek = (offset = 0) => tokens[position + offset];
+    const at = value => peek() && peek().value === value && (peek().kind === 'punct' || peek().kind === 'name');
+    const next = () => {
+        if (position >= tokens.length) throw new Error('Unexpected end of GraphQL document');
+        return tokens[position++];
+    };
+    const expect = value => {
+        const token = next();
+        if (token.value !== value) throw new Error(`Expected "${value}" but found "${token.value}" in GraphQL document`);
+        return token;
+    };
+    const name = () => {
+        const token = next();
+        if (token.kind !== 'name') throw new Error(`Expected a name but found "${token.value}" in GraphQL document`);
+        return token.value;
+    };
+
+    function parseType() {
+        let type;
+        if (at('[')) {
+            next();
+            type = { kind: 'LIST', ofType: parseType() };
+            expect(']');
+        } else {
+            type = { kind: 'NAMED', name: name() };
+        }
+        if (at('!')) {
+            next();
+            type = { kind: 'NON_NULL', ofType: type };
+        }
+        return type;
+    }
+
+    function parseValue() {
+        const token = peek();
+        if (!token) throw new Error('Unexpected end of GraphQL document');
+        if (token.kind === 'punct' && token.value === '$') {
+            next();
+            return { kind: 'Variable', name: name() };
+        }
+        if (token.kind === 'punct' && token.value === '[') {
+            next();
+            const values = [];
+            while (!at(']')) values.push(parseValue());
+            next();
+            return { kind: 'List', values };
+        }
+        if (token.kind === 'punct' && token.value === '{') {
+            next();
+            const fields = [];
+            while (!at('}')) {
+                const fieldName = name();
+                expect(':');
+                fields.push({ name: fieldName, value: parseValue() });
+            }
+            next();
+            return { kind: 'Object', fields };
+        }
+        next();
+        if (token.kind === 'int') return { kind: 'Int', value: Number(token.value) };
+        if (token.kind === 'float') return { kind: 'Float', value: Number(token.value) };
+        if (token.kind === 'string') return { kind: 'String', value: token.value };
+        if (token.value === 'true' || token.value === 'false') return { kind: 'Boolean', value: token.value === 'true' };
+        if (token.value === 'null') return { kind: 'Null', value: null };
+        return { kind: 'Enum', value: token.value };
+    }
+
+    function parseArguments() {
+        const args = [];
+        if (!at('(')) return args;
+        next();
+        while (!at(')')) {
+            const argName = name();
+            expect(':');
+            args.push({ name: argName, value: parseValue() });
+        }
+        next();
+        return args;
+    }
+
+    function parseDirectives() {
+        const directives = [];
+        while (at('@')) {
+            next();
+            directives.push({ name: name(), arguments: parseArguments() });
+        }
+        return directives;
+    }
+
+    function parseSelectionSet() {
+        expect('{');
+        const selections = [];
+        while (!at('}')) {
+            if (at('...')) {
+                next();
+                if (peek() && peek().kind === 'name' && peek().value !== 'on') {
+                    selections.push({ kind: 'FragmentSpread', name: name(), directives: parseDirectives() });
+                } else {
+                    let typeCondition = null;
+                    if (at('on')) {
+                        next();
+                        typeCondition = name();
+                    }
+                    const directives = parseDirectives();
+                    selections.push({ kind: 'InlineFragment', typeCondition, directives, selections: parseSelectionSet() });
+                }
+            } else {
+                let fieldName = name();
+                let alias = null;
+                if (at(':')) {
+                    next();
+                    alias = fieldName;
+                    fieldName = name();
+                }
+                const args = parseArguments();
+                const directives = parseDirectives();
+                selections.push({
+                    kind: 'Field',
+                    name: fieldName,
+                    alias,
+                    responseKey: alias || fieldName,
+                    arguments: args,
+                    directives,
+                    selections: at('{') ? parseSelectionSet() : []
+                });
+            }
+        }
+        next();
+        return selections;
+    }
+
+    const operations = [];
+    const fragments = {};
+
+    while (position < tokens.length) {
+        if (at('{')) {
+            operations.push({ type: 'query', name: null, variableDefinitions: [], directives: [], selections: parseSelectionSet() });
+        } else if (at('fragment')) {
+            next();
+            const fragmentName = name();
+            expect('on');
+            const typeCondition = name();
+            const directives = parseDirectives();
+            fragments[fragmentName] = { name: fragmentName, typeCondition, directives, selections: parseSelectionSet() };
+        } else if (peek().kind === 'name' && OPERATION_TYPES.includes(peek().value)) {
+            const type = next().value;
+            const operationName = peek() && peek().kind === 'name' ? name() : null;
+            const variableDefinitions = [];
+            if (at('(')) {
+                next();
+                while (!at(')')) {
+                    expect('$');
+                    const variable = name();
+                    expect(':');
+                    const variableType = parseType();
+                    let defaultValue;
+                    if (at('=')) {
+                        next();
+                        defaultValue = parseValue();
+                    }
+                    parseDirectives();
+                    variableDefinitions.push({ name: variable, type: variableType, defaultValue });
+                }
+                next();
+            }
+            const directives = parseDirectives();
+            operations.push({ type, name: operationName, variableDefinitions, directives, selections: parseSelectionSet() });
+        } else {
+            throw new Error(`Unexpected "${peek().value}" in GraphQL document - type definitions (SDL) are not operations`);
+        }
+    }
+
+    return { operations, fragments };
+}
+
+/**
+ * Parse the GraphQL payloads of a request into operations that can each become a feature
+ */
+function parseGraphQLRequest(request) {
+    return extractGraphQLPayloads(request).map(payload => {
+        const document = parseDocument(payload.query);
+        if (document.operations.length === 0) {
+            throw new Error('GraphQL document has no operation');
+        }
+
+        const operation = payload.operationName
+            ? document.operations.find(candidate => candidate.name === payload.operationName)
+            : document.operations[0];
+        if (!operation) {
+            throw new Error(`Operation "${payload.operationName}" is not defined in the GraphQL document`);
+        }
+
+        return {
+            ...operation,
+            operationName: payload.operationName || operation.name,
+            document: payload.query.trim(),
+            variables: payload.variables,
+            fragments: document.fragments
+        };
+    });
+}
+
+/**
+ * Render a type reference - { kind: 'NON_NULL', ofType: { kind: 'NAMED', name: 'ID' } } -> "ID!"
+ */
+function typeToString(type) {
+    if (!type) return '';
+    if (type.kind === 'NON_NULL') return `${typeToString(type.ofType)}!`;
+    if (type.kind === 'LIST') return `[${typeToString(type.ofType)}]`;
+    return type.name;
+}
+
+function namedType(type) {
+    return type && type.ofType ? namedType(type.ofType) : type && type.name;
+}
+
+/**
+ * Compact view of the selection - "user { id name posts { title } }"
+ */
+function describeSelections(selections, fragments = {}) {
+    return selections.map(selection => {
+        if (selection.kind === 'FragmentSpread') return `...${selection.name}`;
+        if (selection.kind === 'InlineFragment') {
+            return `... on ${selection.typeCondition || '?'} { ${describeSelections(selection.selections, fragments)} }`;
+        }
+        const key = selection.alias ? `${selection.alias}: ${selection.name}` : selection.name;
+        return selection.selections.length > 0 ? `${key} { ${describeSelections(selection.selections, fragments)} }` : key;
+    }).join(' ');
+}
+
+/**
+ * Read an introspection result ({ data: { __schema } }, { __schema } or the bare schema)
+ */
+async function loadIntrospection(filePath) {
+    return normalizeIntrospection(await fs.readJSON(filePath));
+}
+
+function normalizeIntrospection(json) {
+    const schema = (json && json.data && json.data.__schema) || (json && json.__schema) || json;
+    if (!schema || !Array.isArray(schema.types) || !schema.queryType) {
+        throw new Error('Not a GraphQL introspection result: __schema.types and queryType are required');
+    }
+
+    const types = {};
+    schema.types.forEach(type => {
+        types[type.name] = {
+            kind: type.kind,
+            name: type.name,
+            description: type.description || '',
+            fields: Object.fromEntries((type.fields || []).map(field => [field.name, {
+                name: field.name,
+                type: normalizeTypeRef(field.type),
+                isDeprecated: Boolean(field.isDeprecated),
+                args: Object.fromEntries((field.args || []).map(arg => [arg.name, {
+                    name: arg.name,
+                    type: normalizeTypeRef(arg.type),
+                    defaultValue: arg.defaultValue
+                }]))
+            }])),
+            inputFields: Object.fromEntries((type.inputFields || []).map(field => [field.name, {
+                name: field.name,
+                type: normalizeTypeRef(field.type),
+                defaultValue: field.defaultValue
+            }])),
+            enumValues: (type.enumValues || []).map(value => value.name),
+            possibleTypes: (type.possibleTypes || []).map(possible => possible.name)
+        };
+    });
+
+    return {
+        queryType: schema.queryType.name,
+        mutationType: schema.mutationType ? schema.mutationType.name : null,
+        subscriptionType: schema.subscriptionType ? schema.subscriptionType.name : null,
+        types
+    };
+}
+
+// Introspection uses { kind: 'OBJECT', name } for named types - map them onto the parser's NAMED kind
+function normalizeTypeRef(type) {
+    if (!type) return null;
+    if (type.kind === 'NON_NULL' || type.kind === 'LIST') {
+        return { kind: type.kind, ofType: normalizeTypeRef(type.ofType) };
+    }
+    return { kind: 'NAMED', name: type.name };
+}
+
+function rootTypeName(schema, operationType) {
+    return operationType === 'mutation' ? schema.mutationType
+        : operationType === 'subscription' ? schema.subscriptionType
+            : schema.queryType;
+}
+
+/**
+ * Validate an operation against an introspection schema - returns readable error messages
+ */
+function validateOperation(operation, schema) {
+    const errors = [];
+    const label = operation.operationName || operation.name || 'anonymous operation';
+    const rootName = rootTypeName(schema, operation.type);
+    if (!rootName || !schema.types[rootName]) {
+        return [`${label}: the schema does not support ${operation.type} operations`];
+    }
+
+    const declared = new Map(operation.variableDefinitions.map(definition => [definition.name, definition]));
+    const used = new Set();
+
+    operation.variableDefinitions.forEach(definition => {
+        const type = schema.types[namedType(definition.type)];
+        if (!type) {
+            errors.push(`${label}: variable $${definition.name} has unknown type "${namedType(definition.type)}"`);
+        } else if (!['SCALAR', 'ENUM', 'INPUT_OBJECT'].includes(type.kind)) {
+            errors.push(`${label}: variable $${definition.name} must be an input type, not ${type.kind} "${type.name}"`);
+        }
+    });
+
+    const checkValue = (value, type, where) => {
+        if (!value) return;
+        if (value.kind === 'Variable') {
+            used.add(value.name);
+            const definition = declared.get(value.name);
+            if (!definition) {
+                errors.push(`${where}: variable $${value.name} is not defined by ${label}`);
+            } else if (type && !isVariableCompatible(definition, type)) {
+                errors.push(`${where}: variable $${value.name} of type "${typeToString(definition.type)}" cannot be used where "${typeToString(type)}" is expected`);
+            }
+        } else if (value.kind === 'List') {
+            value.values.forEach(item => checkValue(item, type && unwrapList(type), where));
+        } else if (value.kind === 'Object') {
+            const inputType = type && schema.types[namedType(type)];
+            value.fields.forEach(field => {
+                const inputField = inputType && inputType.inputFields[field.name];
+                if (inputType && !inputField) {
+                    errors.push(`${where}: "${field.name}" is not a field of input type "${inputType.name}"`);
+                }
+                checkValue(field.value, inputField && inputField.type, `${where}.${field.name}`);
+            });
+        }
+    };
+
+    const visit = (selections, parentName, path, fragmentTrail = []) => {
+        const parent = schema.types[parentName];
+        selections.forEach(selection => {
+            if (selection.kind === 'FragmentSpread') {
+                const fragment = operation.fragments && operation.fragments[selection.name];
+                if (!fragment) {
+                    errors.push(`${path}: unknown fragment "...${selection.name}"`);
+                } else if (fragmentTrail.includes(selection.name)) {
+                    errors.push(`${path}: fragment "${selection.name}" spreads itself`);
+                } else if (!schema.types[fragment.typeCondition]) {
+                    errors.push(`${path}: fragment "${selection.name}" is on unknown type "${fragment.typeCondition}"`);
+                } else {
+                    visit(fragment.selections, fragment.typeCondition, path, [...fragmentTrail, selection.name]);
+                }
+                return;
+            }
+            if (selection.kind === 'InlineFragment') {
+                const condition = selection.typeCondition || parentName;
+                if (!schema.types[condition]) {
+                    errors.push(`${path}: inline fragment on unknown type "${condition}"`);
+                } else {
+                    visit(selection.selections, condition, path, fragmentTrail);
+                }
+                return;
+            }
+
+            const fieldPath = `${path}.${selection.responseKey}`;
+            if (selection.name === '__typename') return;
+            if (selection.name === '__schema' || selection.name === '__type') return;
+
+            const field = parent && parent.fields[selection.name];
+            if (!field) {
+                errors.push(`${fieldPath}: cannot query field "${selection.name}" on type "${parentName}"`);
+                return;
+            }
+
+            selection.arguments.forEach(argument => {
+                const definition = field.args[argument.name];
+                if (!definition) {
+                    errors.push(`${fieldPath}: unknown argument "${argument.name}" on field "${parentName}.${selection.name}"`);
+                    return;
+                }
+                checkValue(argument.value, definition.type, `${fieldPath}(${argument.name})`);
+            });
+            Object.values(field.args)
+                .filter(arg => arg.type.kind === 'NON_NULL' && (arg.defaultValue === null || arg.defaultValue === undefined))
+                .filter(arg => !selection.arguments.some(argument => argument.name === arg.name))
+                .forEach(arg => errors.push(`${fieldPath}: required argument "${arg.name}: ${typeToString(arg.type)}" is missing`));
+            selection.directives.forEach(directive => directive.arguments.forEach(argument => {
+                checkValue(argument.value, { kind: 'NON_NULL', ofType: { kind: 'NAMED', name: 'Boolean' } }, `${fieldPath} @${directive.name}`);
+            }));
+
+            const fieldType = schema.types[namedType(field.type)];
+            const isLeaf = fieldType && ['SCALAR', 'ENUM'].includes(fieldType.kind);
+            if (isLeaf && selection.selections.length > 0) {
+                errors.push(`${fieldPath}: "${selection.name}" is a ${fieldType.kind.toLowerCase()} and cannot have a sub-selection`);
+            } else if (fieldType && !isLeaf && selection.selections.length === 0) {
+                errors.push(`${fieldPath}: "${selection.name}" of type "${typeToString(field.type)}" needs a selection of subfields`);
+            } else if (fieldType && !isLeaf) {
+                visit(selection.selections, fieldType.name, fieldPath, fragmentTrail);
+            }
+        });
+    };
+
+    visit(operation.selections, rootName, label);
+    operation.directives.forEach(directive => directive.arguments.forEach(argument => checkValue(argument.value, null, label)));
+
+    operation.variableDefinitions
+        .filter(definition => !used.has(definition.name))
+        .forEach(definition => errors.push(`${label}: variable $${definition.name} is declared but never used`));
+
+    return errors;
+}
+
+function unwrapList(type) {
+    const inner = type.kind === 'NON_NULL' ? type.ofType : type;
+    return inner.kind === 'LIST' ? inner.ofType : inner;
+}
+
+// A nullable variable may only feed a non-null argument when it has a default
+function isVariableCompatible(definition, expected) {
+    let variableType = definition.type;
+    if (expected.kind === 'NON_NULL' && variableType.kind !== 'NON_NULL' && definition.defaultValue !== undefined) {
+        variableType = { kind: 'NON_NULL', ofType: variableType };
+    }
+    return isSubType(variableType, expected);
+}
+
+function isSubType(actual, expected) {
+    if (expected.kind === 'NON_NULL') {
+        return actual.kind === 'NON_NULL' && isSubType(actual.ofType, expected.ofType);
+    }
+    if (actual.kind === 'NON_NULL') {
+        return isSubType(actual.ofType, expected);
+    }
+    if (expected.kind === 'LIST') {
+        return actual.kind === 'LIST' && isSubType(actual.ofType, expected.ofType);
+    }
+    return actual.kind === 'NAMED' && actual.name === expected.name;
+}
+
+/**
+ * JSON Schema of the `data` an operation selects. With a schema the field types are exact,
+ * without one only the selected keys and their nesting are checked.
+ */
+function dataSchemaFor(operation, schema = null) {
+    const rootName = schema ? rootTypeName(schema, operation.type) : null;
+    return objectSchema(operation.selections, rootName, operation, schema);
+}
+
+function objectSchema(selections, parentName, operation, schema) {
+    const properties = {};
+    const required = new Set();
+
+    const collect = (items, typeCondition, optional, trail = []) => {
+        items.forEach(selection => {
+            const conditional = optional || selection.directives.some(directive => directive.name === 'skip' || directive.name === 'include');
+            if (selection.kind === 'FragmentSpread') {
+                const fragment = operation.fragments && operation.fragments[selection.name];
+                if (fragment && !trail.includes(selection.name)) {
+                    collect(fragment.selections, fragment.typeCondition, conditional || isNarrowing(fragment.typeCondition, parentName), [...trail, selection.name]);
+                }
+                return;
+            }
+            if (selection.kind === 'InlineFragment') {
+                const condition = selection.typeCondition || typeCondition;
+                collect(selection.selections, condition, conditional || isNarrowing(condition, parentName), trail);
+                return;
+            }
+
+            if (!properties[selection.responseKey]) {
+                properties[selection.responseKey] = selectionSchema(selection, typeCondition, operation, schema);
+            }
+            if (!conditional) required.add(selection.responseKey);
+        });
+    };
+
+    collect(selections, parentName, false);
+
+    return { type: 'object', properties, required: [...required] };
+}
+
+// Fragments on a different (member) type only apply to some results
+function isNarrowing(typeCondition, parentName) {
+    return Boolean(typeCondition && parentName && typeCondition !== parentName);
+}
+
+function selectionSchema(selection, parentName, operation, schema) {
+    if (selection.name === '__typename') {
+        return { type: 'string' };
+    }
+
+    const parent = schema && parentName ? schema.types[parentName] : null;
+    const field = parent && parent.fields[selection.name];
+    if (!field) {
+        if (selection.selections.length === 0) return {};
+        // Unknown shape - an object or a list of objects, possibly null
+        const inner = objectSchema(selection.selections, null, operation, null);
+        return { nullable: true, anyOf: [inner, { type: 'array', items: { ...inner, nullable: true } }] };
+    }
+
+    return typeSchema(field.type, selection, operation, schema);
+}
+
+function typeSchema(type, selection, operation, schema) {
+    if (type.kind === 'NON_NULL') {
+        const inner = typeSchema(type.ofType, selection, operation, schema);
+        delete inner.nullable;
+        return inner;
+    }
+    if (type.kind === 'LIST') {
+        return { type: 'array', items: typeSchema(type.ofType, selection, operation, schema), nullable: true };
+    }
+
+    const named = schema.types[type.name];
+    if (!named) return { nullable: true };
+    if (named.kind === 'SCALAR') {
+        return { ...(SCALAR_SCHEMAS[named.name] || {}), nullable: true };
+    }
+    if (named.kind === 'ENUM') {
+        return { type: 'string', enum: named.enumValues, nullable: true };
+    }
+    return { ...objectSchema(selection.selections, named.name, operation, schema), nullable: true };
+}
+
+/**
+ * Sample value for an input type - used for required variables of generated operations
+ */
+function sampleForType(type, schema, name = '', depth = 0) {
+    if (type.kind === 'NON_NULL') return sampleForType(type.ofType, schema, name, depth);
+    if (type.kind === 'LIST') return [sampleForType(type.ofType, schema, name, depth)];
+
+    const named = schema && schema.types[type.name];
+    if (!named || named.kind === 'SCALAR') {
+        switch (type.name) {
+            case 'Int': return 1;
+            case 'Float': return 1.5;
+            case 'Boolean': return true;
+            case 'ID': return '1';
+            default: return /email/i.test(name) ? 'qa.user@example.com' : `sample-${name || 'value'}`;
+        }
+    }
+    if (named.kind === 'ENUM') return named.enumValues[0];
+    if (named.kind === 'INPUT_OBJECT' && depth < MAX_SAMPLE_DEPTH) {
+        return Object.fromEntries(Object.values(named.inputFields)
+            .filter(field => field.type.kind === 'NON_NULL' && (field.defaultValue === null || field.defaultValue === undefined))
+            .map(field => [field.name, sampleForType(field.type, schema, field.name, depth + 1)]));
+    }
+    return null;
+}
+
+/**
+ * Build a query document for a root field: required arguments become variables and
+ * scalar fields are selected up to two levels deep
+ */
+function buildOperationForField(schema, operationType, fieldName) {
+    const root = schema.types[rootTypeName(schema, operationType)];
+    const field = root.fields[fieldName];
+    const required = Object.values(field.args)
+        .filter(arg => arg.type.kind === 'NON_NULL' && (arg.defaultValue === null || arg.defaultValue === undefined));
+
+    const variables = required.map(arg => `$${arg.name}: ${typeToString(arg.type)}`);
+    const args = required.map(arg => `${arg.name}: $${arg.name}`);
+    const selection = selectFields(schema, namedType(field.type), 2);
+    const operationName = `${fieldName.charAt(0).toUpperCase()}${fieldName.slice(1)}`;
+
+    const document = `${operationType} ${operationName}${variables.length ? `(${variables.join(', ')})` : ''} {
+  ${fieldName}${args.length ? `(${args.join(', ')})` : ''}${selection ? ` ${selection}` : ''}
+}`;
+
+    return {
+        document,
+        operationName,
+        variables: Object.fromEntries(required.map(arg => [arg.name, sampleForType(arg.type, schema, arg.name)]))
+    };
+}
+
+function selectFields(schema, typeName, depth) {
+    const type = schema.types[typeName];
+    if (!type || ['SCALAR', 'ENUM'].includes(type.kind)) return '';
+    if (type.kind === 'UNION' || (type.kind === 'INTERFACE' && Object.keys(type.fields).length === 0)) return '{ __typename }';
+
+    const fields = Object.values(type.fields).filter(field => !field.isDeprecated);
+    const withoutRequiredArgs = field => !Object.values(field.args).some(arg => arg.type.kind === 'NON_NULL');
+    const leaves = fields
+        .filter(field => withoutRequiredArgs(field) && ['SCALAR', 'ENUM'].includes((schema.types[namedType(field.type)] || {}).kind))
+        .map(field => field.name);
+    const nested = depth > 1
+        ? fields.filter(field => withoutRequiredArgs(field) && !leaves.includes(field.name))
+            .map(field => {
+                const inner = selectFields(schema, namedType(field.type), depth - 1);
+                return inner ? `${field.name} ${inner}` : '';
+            })
+            .filter(Boolean)
+            .slice(0, 3)
+        : [];
+
+    const selected = [...leaves.slice(0, 12), ...nested];
+    return `{ ${selected.length > 0 ? selected.join(' ') : '__typename'} }`;
+}
+
+module.exports = {
+    isGraphQLRequest,
+    extractGraphQLPayloads,
+    parseDocument,
+    parseGraphQLRequest,
+    typeToString,
+    describeSelections,
+    loadIntrospection,
+    normalizeIntrospection,
+    validateOperation,
+    dataSchemaFor,
+    sampleForType,
+    buildOperationForField
+};
@@ -0,0 +1,434 @@
+/**
+ * OpenAPI Parser - Normalizes Swagger 2.0 and OpenAPI 3.x specs (YAML or JSON)
+ * Produces one operation model used by ApiCurlAdapter to generate API tests
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { SmartTestDataGenerator } = require('../../utils/smart-test-data-generator');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const JSON_MEDIA = /^application\/(.+\+)?json/i;
+const MAX_REF_DEPTH = 8;
+
+/**
+ * Read a spec file; YAML is a superset of JSON so one loader covers both
+ */
+async function loadSpec(filePath) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const spec = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+
+    if (!isOpenApiSpec(spec)) {
+        throw new Error('Not an OpenAPI/Swagger document: missing "openapi" or "swagger" version field');
+    }
+    return spec;
+}
+
+function isOpenApiSpec(spec) {
+    return Boolean(spec && typeof spec === 'object' && (spec.openapi || spec.swagger) && spec.paths);
+}
+
+/**
+ * Cheap content sniff used by input type detection
+ */
+function looksLikeOpenApi(content) {
+    return /(^|[{,])\s*["']?(openapi|swagger)["']?\s*:/m.test(content);
+}
+
+/**
+ * Normalize a spec into { title, version, specVersion, baseUrl, securitySchemes, operations }
+ */
+function parseOpenApi(spec) {
+    const isSwagger2 = Boolean(spec.swagger);
+    const securitySchemes = normalizeSecuritySchemes(
+        isSwagger2 ? spec.securityDefinitions : spec.components && spec.components.securitySchemes,
+        spec
+    );
+    const operations = [];
+    const usedIds = new Set();
+
+    Object.entries(spec.paths || {}).forEach(([apiPath, pathItem]) => {
+        const item = resolveRefs(pathItem, spec);
+        const sharedParameters = item.parameters || [];
+
+        HTTP_METHODS.filter(method => item[method]).forEach(method => {
+            const operation = item[method];
+            const parameters = mergeParameters(sharedParameters, operation.parameters || []);
+            const security = operation.security !== undefined ? operation.security : (spec.security || []);
+            const operationId = uniqueOperationId(operation.operationId || defaultOperationId(method, apiPath), usedIds);
+
+            const normalized = {
+                operationId,
+                method: method.toUpperCase(),
+                path: apiPath,
+                summary: operation.summary || operation.description || `${method.toUpperCase()} ${apiPath}`,
+                tags: operation.tags || [],
+                deprecated: Boolean(operation.deprecated),
+                parameters: parameters
+                    .filter(parameter => ['path', 'query', 'header'].includes(parameter.in))
+                    .map(parameter => normalizeParameter(parameter, isSwagger2)),
+                requestBody: isSwagger2 ? swaggerRequestBody(parameters, operation) : openApiRequestBody(operation.requestBody),
+                responses: normalizeResponses(operation.responses || {}, isSwagger2, operation),
+                security: security
+                    .map(requirement => Object.keys(requirement))
+                    .filter(names => names.length > 0)
+            };
+
+            normalized.successStatus = pickSuccessStatus(normalized.responses);
+            normalized.errorStatuses = Object.keys(normalized.responses).filter(status => /^4\d\d$/.test(status));
+            operations.push(normalized);
+        });
+    });
+
+    return {
+        title: (spec.info && spec.info.title) || 'API',
+        version: (spec.info && spec.info.version) || '1.0.0',
+        specVersion: spec.openapi || spec.swagger,
+        baseUrl: resolveBaseUrl(spec),
+        securitySchemes,
+        operations
+    };
+}
+
+/**
+ * Inline local $refs. Recursive schemas stop at MAX_REF_DEPTH with an open object
+ */
+function resolveRefs(node, spec, depth = 0, seen = []) {
+    if (Array.isArray(node)) {
+        return node.map(item => resolveRefs(item, spec, depth, seen));
+    }
+    if (!node || typeof node !== 'object') {
+        return node;
+    }
+    if (typeof node.$ref === 'string') {
+        if (!node.$ref.startsWith('#/')) {
+            throw new Error(`External $ref is not supported: ${node.$ref}`);
+        }
+        if (seen.includes(node.$ref) || depth >= MAX_REF_DEPTH) {
+            return { type: 'object' };
+        }
+        const target = node.$ref.slice(2).split('/')
+            .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((current, key) => (current ? current[key] : undefined), spec);
+        if (target === undefined) {
+            throw new Error(`Unresolved $ref: ${node.$ref}`);
+        }
+        return resolveRefs(target, spec, depth + 1, [...seen, node.$ref]);
+    }
+
+    const resolved = {};
+    Object.entries(node).forEach(([key, value]) => {
+        resolved[key] = resolveRefs(value, spec, depth, seen);
+    });
+    return resolved;
+}
+
+function mergeParameters(shared, own) {
+    const merged = new Map();
+    [...shared, ...own].forEach(parameter => merged.set(`${parameter.in}:${parameter.name}`, parameter));
+    return [...merged.values()];
+}
+
+function normalizeParameter(parameter, isSwagger2) {
+    // Swagger 2 puts type/format/enum on the parameter itself
+    const schema = isSwagger2 && !parameter.schema
+        ? pickSchemaKeywords(parameter)
+        : parameter.schema || { type: 'string' };
+
+    return {
+        name: parameter.name,
+        in: parameter.in,
+        required: parameter.in === 'path' ? true : Boolean(parameter.required),
+        schema,
+        example: firstExample(parameter)
+    };
+}
+
+function pickSchemaKeywords(source) {
+    const keywords = ['type', 'format', 'enum', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+        'minLength', 'maxLength', 'pattern', 'items', 'minItems', 'maxItems'];
+    return Object.fromEntries(keywords.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+}
+
+function swaggerRequestBody(parameters, operation) {
+    const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+    if (bodyParameter) {
+        const consumes = operation.consumes || ['application/json'];
+        return {
+            contentType: consumes.find(type => JSON_MEDIA.test(type)) || consumes[0],
+            required: Boolean(bodyParameter.required),
+            schema: bodyParameter.schema || { type: 'object' },
+            example: firstExample(bodyParameter.schema || {})
+        };
+    }
+
+    const formParameters = parameters.filter(parameter => parameter.in === 'formData');
+    if (formParameters.length === 0) return null;
+
+    return {
+        contentType: formParameters.some(parameter => parameter.type === 'file') ? 'multipart/form-data' : 'application/x-www-form-urlencoded',
+        required: formParameters.some(parameter => parameter.required),
+        schema: {
+            type: 'object',
+            required: formParameters.filter(parameter => parameter.required).map(parameter => parameter.name),
+            properties: Object.fromEntries(formParameters.map(parameter => [parameter.name, pickSchemaKeywords(parameter)]))
+        },
+        example: undefined
+    };
+}
+
+function openApiRequestBody(requestBody) {
+    if (!requestBody || !requestBody.content) return null;
+
+    const contentType = pickMediaType(requestBody.content);
+    const media = requestBody.content[contentType] || {};
+    return {
+        contentType,
+        required: Boolean(requestBody.required),
+        schema: media.schema || { type: 'object' },
+        example: firstExample(media)
+    };
+}
+
+function normalizeResponses(responses, isSwagger2, operation) {
+    const normalized = {};
+
+    Object.entries(responses).forEach(([status, response]) => {
+        let schema = null;
+        let contentType = null;
+
+        if (isSwagger2) {
+            schema = response.schema || null;
+            contentType = (operation.produces || ['application/json'])[0];
+        } else if (response.content) {
+            contentType = pickMediaType(response.content);
+            schema = (response.content[contentType] || {}).schema || null;
+        }
+
+        normalized[String(status)] = {
+            description: response.description || '',
+            contentType,
+            schema
+        };
+    });
+
+    return normalized;
+}
+
+function pickMediaType(content) {
+    const types = Object.keys(content);
+    return types.find(type => JSON_MEDIA.test(type)) || types[0] || null;
+}
+
+function pickSuccessStatus(responses) {
+    const statuses = Object.keys(responses);
+    return statuses.filter(status => /^2\d\d$/.test(status)).sort()[0]
+        || (statuses.includes('2XX') ? '2XX' : null)
+        || (statuses.includes('default') ? 'default' : '200');
+}
+
+function normalizeSecuritySchemes(schemes = {}, spec) {
+    const normalized = {};
+
+    Object.entries(schemes || {}).forEach(([name, scheme]) => {
+        const resolved = resolveRefs(scheme, spec);
+        const envName = `API_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()}`;
+        let type = resolved.type;
+
+        if (type === 'http') {
+            type = (resolved.scheme || '').toLowerCase() === 'basic' ? 'basic' : 'bearer';
+        } else if (type === 'oauth2' || type === 'openIdConnect') {
+            type = 'bearer';
+        }
+
+        normalized[name] = {
+            type,
+            in: resolved.in || 'header',
+            name: resolved.name || (type === 'apiKey' ? 'X-API-Key' : 'Authorization'),
+            env: type === 'basic' ? [`${envName}_USERNAME`, `${envName}_PASSWORD`] : [type === 'apiKey' ? `${envName}_KEY` : `${envName}_TOKEN`]
+        };
+    });
+
+    return normalized;
+}
+
+function resolveBaseUrl(spec) {
+    if (spec.swagger) {
+        const scheme = (spec.schemes || ['https'])[0];
+        return spec.host ? `${scheme}://${spec.host}${spec.basePath || ''}`.replace(/\/$/, '') : (spec.basePath || '');
+    }
+
+    const server = (spec.servers || [])[0];
+    if (!server) return '';
+    return Object.entries(server.variables || {})
+        .reduce((url, [name, variable]) => url.replace(`{${name}}`, variable.default), server.url)
+        .replace(/\/$/, '');
+}
+
+function defaultOperationId(method, apiPath) {
+    const words = apiPath.split('/').filter(Boolean)
+        .map(segment => segment.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+/g, ' ').trim())
+        .filter(Boolean);
+    return [method, ...words].join(' ')
+        .replace(/\s+(\w)/g, (match, char) => char.toUpperCase());
+}
+
+function uniqueOperationId(operationId, usedIds) {
+    let candidate = operationId.replace(/[^A-Za-z0-9_]/g, '_');
+    for (let i = 2; usedIds.has(candidate); i++) {
+        candidate = `${operationId}_${i}`;
+    }
+    usedIds.add(candidate);
+    return candidate;
+}
+
+function firstExample(source = {}) {
+    if (source.example !== undefined) return source.example;
+    if (source.examples && typeof source.examples === 'object') {
+        const first = Object.values(source.examples)[0];
+        if (first && typeof first === 'object' && 'value' in first) return first.value;
+        if (first !== undefined && !Array.isArray(source.examples)) return first;
+        if (Array.isArray(source.examples)) return source.examples[0];
+    }
+    return undefined;
+}
+
+/**
+ * Build a valid value for a schema: examples first, then SmartTestDataGenerator
+ * for realistic strings. Deterministic so regenerated files stay stable
+ */
+function sampleFromSchema(schema = {}, name = '', generator = new SmartTestDataGenerator({ seed: 42 }), depth = 0) {
+    const example = firstExample(schema);
+    if (example !== undefined) return example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.const !== undefined) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+    if (schema.allOf) {
+        return schema.allOf.reduce((merged, part) => ({ ...merged, ...sampleFromSchema(part, name, generator, depth + 1) }), {});
+    }
+    if (schema.oneOf || schema.anyOf) {
+        return sampleFromSchema((schema.oneOf || schema.anyOf)[0], name, generator, depth + 1);
+    }
+
+    switch (schemaType(schema)) {
+        case 'object': {
+            if (depth > MAX_REF_DEPTH) return {};
+            const value = {};
+            Object.entries(schema.properties || {}).forEach(([key, property]) => {
+                if (property.readOnly) return;
+                value[key] = sampleFromSchema(property, key, generator, depth + 1);
+            });
+            return value;
+        }
+        case 'array': {
+            const count = Math.max(schema.minItems || 1, 1);
+            return Array.from({ length: count }, () => sampleFromSchema(schema.items || {}, name, generator, depth + 1));
+        }
+        case 'integer':
+        case 'number':
+            return sampleNumber(schema, name, generator);
+        case 'boolean':
+            return true;
+        default:
+            return fitLength(sampleString(schema, name, generator), schema);
+    }
+}
+
+function schemaType(schema) {
+    if (Array.isArray(schema.type)) return schema.type.find(type => type !== 'null') || 'string';
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return 'string';
+}
+
+function sampleNumber(schema, name, generator) {
+    const isInteger = schemaType(schema) === 'integer';
+    const low = schema.minimum !== undefined ? schema.minimum : (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + 1 : 1);
+    const high = schema.maximum !== undefined ? schema.maximum : (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - 1 : low + 99);
+    const value = /age$/i.test(name) ? generator.randomInt(Math.max(low, 18), Math.min(high, 80)) : generator.randomInt(Math.ceil(low), Math.floor(high));
+    return isInteger ? value : Number(value.toFixed(2));
+}
+
+function sampleString(schema, name, generator) {
+    switch (schema.format) {
+        case 'email': return generator.generateEmail('test', 'user');
+        case 'uuid': return '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+        case 'date': return generator.generateFutureDate();
+        case 'date-time': return `${generator.generateFutureDate()}T09:00:00.000Z`;
+        case 'uri':
+        case 'url': return 'https://example.com/resource';
+        case 'hostname': return 'example.com';
+        case 'ipv4': return '192.168.1.10';
+        case 'password': return `Pw-${generator.randomAlphanumeric(10)}`;
+        case 'byte': return Buffer.from('sample').toString('base64');
+        default: break;
+    }
+
+    const key = name.toLowerCase();
+    if (/email/.test(key)) return generator.generateEmail('test', 'user');
+    if (/first_?name/.test(key)) return generator.randomFromArray(generator.firstNames['en-US']);
+    if (/last_?name|surname/.test(key)) return generator.randomFromArray(generator.lastNames['en-US']);
+    if (/phone|mobile/.test(key)) return generator.generatePhoneNumber('en-US');
+    if (/city/.test(key)) return generator.randomFromArray(generator.cities['en-US']);
+    if (/zip|postal/.test(key)) return generator.generateZipCode('en-US');
+    if (/street|address/.test(key)) return `${generator.randomInt(1, 999)} ${generator.generateStreetName()} Street`;
+    if (/company|organi[sz]ation/.test(key)) return generator.randomFromArray(generator.companies);
+    if (/title|job/.test(key)) return generator.randomFromArray(generator.jobTitles);
+    if (/sku/.test(key)) return generator.generateSKU();
+    if (/name/.test(key)) return `${generator.randomFromArray(generator.firstNames['en-US'])} ${generator.randomFromArray(generator.lastNames['en-US'])}`;
+    if (/(^|_)id$|Id$/.test(name)) return generator.randomAlphanumeric(12);
+    return `test-${name || 'value'}`;
+}
+
+function fitLength(value, schema) {
+    let text = String(value);
+    if (schema.maxLength !== undefined && text.length > schema.maxLength) text = text.slice(0, schema.maxLength);
+    if (schema.minLength !== undefined && text.length < schema.minLength) text = text.padEnd(schema.minLength, 'x');
+    return text;
+}
+
+/**
+ * Boundary cases for a property schema: [{ boundary, valid }]
+ */
+function schemaBoundaries(schema = {}) {
+    const boundaries = [];
+    const type = schemaType(schema);
+
+    if (type === 'integer' || type === 'number') {
+        if (schema.minimum !== undefined || typeof schema.exclusiveMinimum === 'number') {
+            boundaries.push({ boundary: 'minimum', valid: true }, { boundary: 'below minimum', valid: false });
+        }
+        if (schema.maximum !== undefined || typeof schema.exclusiveMaximum === 'number') {
+            boundaries.push({ boundary: 'maximum', valid: true }, { boundary: 'above maximum', valid: false });
+        }
+    } else if (type === 'string') {
+        if (schema.minLength !== undefined && schema.minLength > 0) {
+            boundaries.push({ boundary: 'min length', valid: true }, { boundary: 'below min length', valid: false });
+        }
+        if (schema.maxLength !== undefined) {
+            boundaries.push({ boundary: 'max length', valid: true }, { boundary: 'above max length', valid: false });
+        }
+    } else if (type === 'array') {
+        if (schema.minItems !== undefined && schema.minItems > 0) {
+            boundaries.push({ boundary: 'min items', valid: true }, { boundary: 'below min items', valid: false });
+        }
+        if (schema.maxItems !== undefined) {
+            boundaries.push({ boundary: 'max items', valid: true }, { boundary: 'above max items', valid: false });
+        }
+    }
+
+    return boundaries;
+}
+
+module.exports = {
+    loadSpec,
+    isOpenApiSpec,
+    looksLikeOpenApi,
+    parseOpenApi,
+    resolveRefs,
+    sampleFromSchema,
+    schemaBoundaries,
+    schemaType
+};
@@ -0,0 +1,934 @@
+/**
+ * Recording Parser - Grammar-based parser for Playwright codegen output
+ * Understands JavaScript/TypeScript, Python (sync/async) and Java recordings: locator chains,
+ * assertions, frames, popups and downloads, mapped to SBS By locators and step phrases
+ */
+
+const PUNCTUATORS = ['=>', '->', '?.', '...', '===', '!==', '==', '!='];
+const REGEX_PREFIX = new Set(['(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', 'return']);
+
+// Java/Python spellings normalized to the JavaScript API
+const METHOD_ALIASES = {
+    navigate: 'goto',
+    waitForPopup: 'expectPopup',
+    waitForDownload: 'expectDownload',
+    pressSequentially: 'type'
+};
+
+const ASSERTIONS = {
+    tohaveurl: 'url', hasurl: 'url',
+    tohavetitle: 'title', hastitle: 'title',
+    tobevisible: 'visible', isvisible: 'visible',
+    tobehidden: 'hidden', ishidden: 'hidden',
+    tohavetext: 'text', hastext: 'text',
+    tocontaintext: 'containsText', containstext: 'containsText',
+    tohavevalue: 'value', hasvalue: 'value',
+    tobechecked: 'checked', ischecked: 'checked',
+    tobeenabled: 'enabled', isenabled: 'enabled',
+    tobedisabled: 'disabled', isdisabled: 'disabled',
+    tobeeditable: 'editable', iseditable: 'editable',
+    tobeempty: 'empty', isempty: 'empty',
+    tobefocused: 'focused', isfocused: 'focused',
+    tohavecount: 'count', hascount: 'count',
+    tohaveattribute: 'attribute', hasattribute: 'attribute'
+};
+
+const LOCATOR_ACTIONS = {
+    click: 'click', dblclick: 'dblclick', tap: 'click',
+    fill: 'fill', type: 'fill', clear: 'clear',
+    press: 'press', check: 'check', uncheck: 'uncheck', setChecked: 'check',
+    selectOption: 'select', hover: 'hover', focus: 'focus',
+    setInputFiles: 'upload'
+};
+
+// Element wording used in step phrases, by ARIA role
+const ROLE_KINDS = {
+    button: 'button', link: 'link', checkbox: 'checkbox', radio: 'radio button',
+    textbox: 'field', searchbox: 'field', spinbutton: 'field', combobox: 'dropdown',
+    listbox: 'dropdown', option: 'option', tab: 'tab', menuitem: 'menu item',
+    heading: 'heading', row: 'row', cell: 'cell', dialog: 'dialog', img: 'image'
+};
+
+/**
+ * Detect the codegen target language
+ */
+function detectDialect(code) {
+    if (/import\s+com\.microsoft\.playwright|\bpublic\s+(static\s+)?(class|void)\b|\bPage\s+\w+\s*=|assertThat\(/.test(code)) {
+        return 'java';
+    }
+    if (/^\s*(from|import)\s+playwright|^\s*(async\s+)?def\s+\w+\(|\bwith\s+sync_playwright\b|\.get_by_\w+\(/m.test(code)
+        && !/;\s*$/m.test(code)) {
+        return 'python';
+    }
+    if (/import\s+.*from\s+['"]@playwright\/test['"]|:\s*(Page|Locator|BrowserContext)\b/.test(code)) {
+        return 'typescript';
+    }
+    return 'javascript';
+}
+
+/**
+ * Tokenize recorded source into identifiers, strings, numbers, regex literals and punctuation.
+ * Comments are dropped; Python `#` comments only apply to Python sources.
+ */
+function tokenizeRecording(code, dialect = detectDialect(code)) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+
+    const push = (type, value, extra = {}) => tokens.push({ type, value, line, ...extra });
+
+    while (i < code.length) {
+        const char = code[i];
+        const next = code[i + 1];
+
+        if (char === '\n') {
+            line++;
+            i++;
+            continue;
+        }
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Comments
+        if ((char === '/' && next === '/') || (char === '#' && dialect === 'python')) {
+            while (i < code.length && code[i] !== '\n') i++;
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            const end = code.indexOf('*/', i + 2);
+            const stop = end === -1 ? code.length : end + 2;
+            line += (code.slice(i, stop).match(/\n/g) || []).length;
+            i = stop;
+            continue;
+        }
+
+        // Strings (Python prefixes r/f/b/u and triple quotes, Java text blocks, JS templates)
+        const prefix = dialect === 'python' ? code.slice(i).match(/^[rRfFbBuU]{1,2}(?=['"])/) : null;
+        if (char === '"' || char === "'" || char === '`' || prefix) {
+            const start = i;
+            const raw = prefix ? /r/i.test(prefix[0]) : false;
+            if (prefix) i += prefix[0].length;
+            const quote = code[i];
+            const triple = code.slice(i, i + 3) === quote.repeat(3);
+            const delimiter = triple ? quote.repeat(3) : quote;
+            let value = '';
+            i += delimiter.length;
+            while (i < code.length && code.slice(i, i + delimiter.length) !== delimiter) {
+                if (code[i] === '\\' && !raw) {
+                    const escaped = code[i + 1];
+                    value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+                    i += 2;
+                    continue;
+                }
+                if (code[i] === '\n') {
+                    if (!triple && quote !== '`') break;
+                    line++;
+                }
+                value += code[i];
+                i++;
+            }
+            i += delimiter.length;
+            push('string', value, { raw: code.slice(start, i) });
+            continue;
+        }
+
+        // Regex literals (JavaScript/TypeScript only)
+        if (char === '/' && dialect !== 'python' && dialect !== 'java') {
+            const previous = tokens[tokens.length - 1];
+            if (!previous || REGEX_PREFIX.has(previous.value)) {
+                const match = code.slice(i).match(/^\/((?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\\n])+)\/([a-z]*)/);
+                if (match) {
+                    push('regex', match[1], { flags: match[2] });
+                    i += match[0].length;
+                    continue;
+                }
+            }
+        }
+
+        if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(next) && !/^(ident|number|string)$/.test(tokens[tokens.length - 1]?.type))) {
+            const match = code.slice(i).match(/^-?\d+(\.\d+)?[LlFfDd]?/);
+            push('number', Number(match[0].replace(/[LlFfDd]$/, '')));
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_$@]/.test(char)) {
+            const match = code.slice(i).match(/^[A-Za-z_$@][\w$]*/);
+            push('ident', match[0]);
+            i += match[0].length;
+            continue;
+        }
+
+        const punctuator = PUNCTUATORS.find(p => code.startsWith(p, i));
+        push('punct', punctuator || char);
+        i += punctuator ? punctuator.length : 1;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a recording into an ordered list of steps with SBS locators and step phrases
+ */
+function parseRecording(code, options = {}) {
+    const dialect = options.dialect || detectDialect(code);
+    const tokens = tokenizeRecording(code, dialect);
+    const state = {
+        dialect,
+        steps: [],
+        pages: new Set(['page']),
+        aliases: new Map(),
+        pending: new Map(),
+        warnings: []
+    };
+
+    scanStatements(tokens, state);
+
+    const locators = new Map();
+    state.steps.forEach(step => {
+        if (step.locator && !locators.has(step.locator.key)) {
+            locators.set(step.locator.key, step.locator);
+        }
+    });
+
+    return {
+        dialect,
+        steps: state.steps,
+        pages: [...state.pages],
+        locators: [...locators.values()],
+        warnings: state.warnings
+    };
+}
+
+/**
+ * Walk tokens looking for statements rooted at a page, a tracked alias, or an assertion
+ */
+function scanStatements(tokens, state) {
+    let i = 0;
+
+    while (i < tokens.length) {
+        const token = tokens[i];
+        const previous = tokens[i - 1];
+        const isMember = previous && (previous.value === '.' || previous.value === '?.');
+
+        if (token.type !== 'ident' || isMember) {
+            i++;
+            continue;
+        }
+
+        // Python: with page.expect_popup() as page1_info:
+        if (token.value === 'with') {
+            const parsed = parseExpression(tokens, i + 1, state);
+            const asIndex = parsed.end;
+            if (tokens[asIndex]?.value === 'as' && tokens[asIndex + 1]?.type === 'ident') {
+                registerEvent(parsed.value, tokens[asIndex + 1].value, state);
+                i = asIndex + 2;
+                continue;
+            }
+        }
+
+        // Assignments: const page1 = await page1Promise; Page page1 = page.waitForPopup(() -> {...});
+        if (tokens[i + 1]?.value === '=' && tokens[i + 2]?.value !== '=') {
+            let start = i + 2;
+            if (tokens[start]?.value === 'await') start++;
+            const parsed = parseExpression(tokens, start, state);
+            handleAssignment(token.value, parsed.value, state, token.line);
+            i = Math.max(parsed.end, i + 2);
+            continue;
+        }
+
+        if (isRoot(token.value, state)) {
+            const parsed = parseExpression(tokens, i, state);
+            if (parsed.value && parsed.value.kind === 'chain') {
+                handleChain(parsed.value, state, token.line);
+            }
+            i = Math.max(parsed.end, i + 1);
+            continue;
+        }
+
+        i++;
+    }
+}
+
+function isRoot(name, state) {
+    return state.pages.has(name) || state.aliases.has(name) || state.pending.has(name)
+        || name === 'expect' || name === 'assertThat';
+}
+
+/**
+ * Parse a primary expression followed by member/call postfixes
+ */
+function parseExpression(tokens, start, state) {
+    let i = start;
+    const token = tokens[i];
+    if (!token) return { value: null, end: i };
+
+    if (token.value === 'await' || token.value === 'return') {
+        return parseExpression(tokens, i + 1, state);
+    }
+
+    if (token.type === 'string') return { value: token.value, end: i + 1 };
+    if (token.type === 'number') return { value: token.value, end: i + 1 };
+    if (token.type === 'regex') return { value: { kind: 'regex', source: token.value, flags: token.flags }, end: i + 1 };
+
+    if (token.type === 'ident' && ['true', 'True'].includes(token.value)) return { value: true, end: i + 1 };
+    if (token.type === 'ident' && ['false', 'False'].includes(token.value)) return { value: false, end: i + 1 };
+    if (token.type === 'ident' && ['null', 'None', 'undefined'].includes(token.value)) return { value: null, end: i + 1 };
+
+    // Object literal options (JavaScript/TypeScript)
+    if (token.value === '{') {
+        return parseObject(tokens, i, state);
+    }
+
+    // Array literal
+    if (token.value === '[') {
+        const { args, end } = parseArguments(tokens, i, ']', state);
+        return { value: args.positional, end };
+    }
+
+    // Lambdas: () => {...}, () -> {...}, x -> ...
+    if (token.value === '(' && tokens[i + 1]?.value === ')' && ['=>', '->'].includes(tokens[i + 2]?.value)) {
+        return parseLambda(tokens, i + 3);
+    }
+    if (token.type === 'ident' && ['=>', '->'].includes(tokens[i + 1]?.value)) {
+        return parseLambda(tokens, i + 2);
+    }
+
+    // Java options objects: new Page.GetByRoleOptions().setName("Sign in").setExact(true)
+    if (token.value === 'new') {
+        return parseJavaOptions(tokens, i + 1, state);
+    }
+
+    if (token.type !== 'ident') {
+        return { value: null, end: i + 1 };
+    }
+
+    const chain = { kind: 'chain', root: token.value, calls: [] };
+    i++;
+
+    // Call directly on the root: expect(...), assertThat(...), re.compile handled below
+    if (tokens[i]?.value === '(') {
+        const { args, end } = parseArguments(tokens, i, ')', state);
+        chain.rootArgs = args;
+        i = end;
+    }
+
+    while (tokens[i] && (tokens[i].value === '.' || tokens[i].value === '?.') && tokens[i + 1]?.type === 'ident') {
+        const call = { name: tokens[i + 1].value, args: null };
+        i += 2;
+        if (tokens[i]?.value === '(') {
+            const { args, end } = parseArguments(tokens, i, ')', state);
+            call.args = args;
+            i = end;
+        }
+        chain.calls.push(call);
+    }
+
+    // re.compile("...") / Pattern.compile("...") are regex values, AriaRole.BUTTON is a role name
+    const last = chain.calls[chain.calls.length - 1];
+    if (last && last.name === 'compile' && ['re', 'Pattern'].includes(chain.root)) {
+        return { value: { kind: 'regex', source: last.args.positional[0], flags: '' }, end: i };
+    }
+    if (chain.root === 'AriaRole' && last) {
+        return { value: last.name.toLowerCase(), end: i };
+    }
+
+    return { value: chain, end: i };
+}
+
+/**
+ * Parse call arguments up to the matching closer; Python keyword arguments become options
+ */
+function parseArguments(tokens, open, closer, state) {
+    const args = { positional: [], options: {} };
+    let i = open + 1;
+
+    while (i < tokens.length && tokens[i].value !== closer) {
+        if (tokens[i].value === ',') {
+            i++;
+            continue;
+        }
+
+        if (tokens[i].type === 'ident' && tokens[i + 1]?.value === '=' && tokens[i + 2]?.value !== '=') {
+            const parsed = parseExpression(tokens, i + 2, state);
+            args.options[toCamelCase(tokens[i].value)] = parsed.value;
+            i = skipToArgumentEnd(tokens, parsed.end, closer);
+            continue;
+        }
+
+        const parsed = parseExpression(tokens, i, state);
+        if (parsed.value && typeof parsed.value === 'object' && parsed.value.kind === 'options') {
+            Object.assign(args.options, parsed.value.options);
+        } else {
+            args.positional.push(parsed.value);
+        }
+        i = skipToArgumentEnd(tokens, Math.max(parsed.end, i + 1), closer);
+    }
+
+    return { args, end: i + 1 };
+}
+
+// Skip anything the grammar does not model (operators, casts) up to the next argument
+function skipToArgumentEnd(tokens, i, closer) {
+    let depth = 0;
+    while (i < tokens.length) {
+        const value = tokens[i].value;
+        if (depth === 0 && (value === ',' || value === closer)) break;
+        if (['(', '[', '{'].includes(value)) depth++;
+        if ([')', ']', '}'].includes(value)) depth--;
+        i++;
+    }
+    return i;
+}
+
+function parseObject(tokens, open, state) {
+    const options = {};
+    let i = open + 1;
+
+    while (i < tokens.length && tokens[i].value !== '}') {
+        const key = tokens[i];
+        if ((key.type === 'ident' || key.type === 'string') && tokens[i + 1]?.value === ':') {
+            const parsed = parseExpression(tokens, i + 2, state);
+            options[key.value] = parsed.value;
+            i = skipToArgumentEnd(tokens, parsed.end, '}');
+        } else {
+            i++;
+        }
+        if (tokens[i]?.value === ',') i++;
+    }
+
+    return { value: { kind: 'options', options }, end: i + 1 };
+}
+
+function parseJavaOptions(tokens, start, state) {
+    let i = start;
+    while (tokens[i] && (tokens[i].type === 'ident' || tokens[i].value === '.')) i++;
+    if (tokens[i]?.value === '(') {
+        i = parseArguments(tokens, i, ')', state).end;
+    }
+
+    const options = {};
+    while (tokens[i]?.value === '.' && tokens[i + 1]?.type === 'ident') {
+        const setter = tokens[i + 1].value;
+        i += 2;
+        if (tokens[i]?.value === '(') {
+            const { args, end } = parseArguments(tokens, i, ')', state);
+            const name = setter.replace(/^set/, '');
+            options[name.charAt(0).toLowerCase() + name.slice(1)] = args.positional[0];
+            i = end;
+        }
+    }
+
+    return { value: { kind: 'options', options }, end: i };
+}
+
+function parseLambda(tokens, start) {
+    if (tokens[start]?.value !== '{') {
+        // Expression body - take tokens up to the end of the enclosing argument
+        const end = skipToArgumentEnd(tokens, start, ')');
+        return { value: { kind: 'lambda', tokens: tokens.slice(start, end) }, end };
+    }
+
+    let depth = 0;
+    let i = start;
+    do {
+        if (tokens[i].value === '{') depth++;
+        if (tokens[i].value === '}') depth--;
+        i++;
+    } while (i < tokens.length && depth > 0);
+
+    return { value: { kind: 'lambda', tokens: tokens.slice(start + 1, i - 1) }, end: i };
+}
+
+function toCamelCase(name) {
+    const camel = name.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+    return METHOD_ALIASES[camel] || camel;
+}
+
+function normalizeCalls(chain) {
+    return chain.calls.map(call => ({ ...call, name: toCamelCase(call.name) }));
+}
+
+/**
+ * Popup/download events: JS waitForEvent promises, Python `with ... as`, Java waitForPopup lambdas
+ */
+function eventOf(chain) {
+    const calls = normalizeCalls(chain);
+    const last = calls[calls.length - 1];
+    if (!last) return null;
+
+    if (last.name === 'waitForEvent') {
+        const event = last.args?.positional[0];
+        return ['popup', 'download', 'page'].includes(event) ? { event: event === 'page' ? 'popup' : event } : null;
+    }
+    if (last.name === 'expectPopup' || last.name === 'expectPage') return { event: 'popup', lambda: last.args?.positional.find(isLambda) };
+    if (last.name === 'expectDownload') return { event: 'download', lambda: last.args?.positional.find(isLambda) };
+    return null;
+}
+
+function isLambda(value) {
+    return value && typeof value === 'object' && value.kind === 'lambda';
+}
+
+function registerEvent(chain, name, state) {
+    if (!chain || chain.kind !== 'chain') return;
+    const event = eventOf(chain);
+    if (event) {
+        state.pending.set(name, { ...event, source: chain.root });
+    }
+}
+
+function handleAssignment(name, value, state, line) {
+    if (!value || value.kind !== 'chain') return;
+
+    const calls = normalizeCalls(value);
+    const event = eventOf(value);
+
+    // Java: Page page1 = page.waitForPopup(() -> { ... });
+    if (event && event.lambda) {
+        scanStatements(event.lambda.tokens, state);
+        resolveEvent(name, { ...event, source: value.root }, state, line);
+        return;
+    }
+
+    // JavaScript: const page1Promise = page.waitForEvent('popup');
+    if (event) {
+        state.pending.set(name, { ...event, source: value.root });
+        return;
+    }
+
+    // JavaScript: const page1 = await page1Promise;  Python: page1 = page1_info.value
+    if (state.pending.has(value.root) && (calls.length === 0 || calls[0].name === 'value')) {
+        const pending = state.pending.get(value.root);
+        state.pending.delete(value.root);
+        resolveEvent(name, pending, state, line);
+        return;
+    }
+
+    if (calls.some(call => call.name === 'newPage')) {
+        state.pages.add(name);
+        return;
+    }
+
+    // Locator/frame variables reused later in the recording
+    if (isRoot(value.root, state) && value.root !== 'expect' && value.root !== 'assertThat') {
+        const action = calls.length ? calls[calls.length - 1].name : null;
+        if (action && (LOCATOR_ACTIONS[action] || ['goto', 'click', 'fill'].includes(action))) {
+            handleChain(value, state, line);
+        } else {
+            state.aliases.set(name, value);
+        }
+    }
+}
+
+function resolveEvent(name, event, state, line) {
+    const page = pageOf(event.source, state);
+    if (event.event === 'popup') {
+        state.pages.add(name);
+        addStep(state, { type: 'popup', page, alias: name, line });
+    } else {
+        addStep(state, { type: 'download', page, alias: name, line });
+    }
+}
+
+/**
+ * Resolve aliases so a chain starts at a page
+ */
+function expandChain(chain, state) {
+    const calls = normalizeCalls(chain);
+    if (state.aliases.has(chain.root)) {
+        const base = expandChain(state.aliases.get(chain.root), state);
+        return { root: base.root, calls: [...base.calls, ...calls] };
+    }
+    return { root: chain.root, calls };
+}
+
+function pageOf(root, state) {
+    if (state.pages.has(root)) return root;
+    if (state.aliases.has(root)) return pageOf(state.aliases.get(root).root, state);
+    return 'page';
+}
+
+/**
+ * Turn a statement chain into one or more steps
+ */
+function handleChain(chain, state, line) {
+    if (chain.root === 'expect' || chain.root === 'assertThat') {
+        handleAssertion(chain, state, line);
+        return;
+    }
+
+    const { root, calls } = expandChain(chain, state);
+    if (calls.length === 0) return;
+
+    const page = pageOf(root, state);
+    const last = calls[calls.length - 1];
+    const event = eventOf({ root, calls });
+    const args = last.args ? last.args.positional : [];
+
+    // Python/Java event context without assignment (e.g. page.expect_download(lambda))
+    if (event && event.lambda) {
+        scanStatements(event.lambda.tokens, state);
+        addStep(state, { type: event.event, page, alias: null, line });
+        return;
+    }
+
+    // Page-level calls
+    if (calls.length === 1) {
+        switch (last.name) {
+            case 'goto':
+                addStep(state, { type: 'navigate', page, url: args[0], line });
+                return;
+            case 'reload':
+            case 'goBack':
+            case 'goForward':
+                addStep(state, { type: last.name, page, line });
+                return;
+            case 'close':
+                // Closing the main page is teardown, closing a popup is part of the flow
+                if (page !== 'page') addStep(state, { type: 'close', page, line });
+                return;
+            case 'waitForURL':
+                addStep(state, { type: 'assert', page, assertion: { name: 'url', expected: args[0], negated: false }, line });
+                return;
+            case 'waitForSelector':
+                addStep(state, { type: 'assert', page, locator: buildLocator([{ name: 'locator', args: last.args }]), assertion: { name: 'visible', negated: false }, line });
+                return;
+            default:
+                break;
+        }
+
+        // Legacy selector-first API: page.click('#id'), page.fill('#id', 'value')
+        if (LOCATOR_ACTIONS[last.name] && typeof args[0] === 'string') {
+            const locator = buildLocator([{ name: 'locator', args: { positional: [args[0]], options: {} } }]);
+            addStep(state, actionStep(last.name, page, locator, args.slice(1), line));
+            return;
+        }
+    }
+
+    if (LOCATOR_ACTIONS[last.name]) {
+        const locator = buildLocator(calls.slice(0, -1));
+        if (locator) {
+            addStep(state, actionStep(last.name, page, locator, args, line));
+        }
+    }
+}
+
+function actionStep(name, page, locator, args, line) {
+    const type = LOCATOR_ACTIONS[name];
+    const step = { type, page, locator, line };
+
+    if (type === 'fill' || type === 'press' || type === 'select' || type === 'upload') {
+        const value = args[0];
+        step.value = Array.isArray(value) ? value.join(', ') : value && typeof value === 'object' ? value.label || value.value : value;
+    }
+    if (name === 'setChecked' && args[0] === false) {
+        step.type = 'uncheck';
+    }
+    return step;
+}
+
+/**
+ * expect(x).not.toBeVisible() / expect(x).not_to_be_visible() / assertThat(x).not().isVisible()
+ */
+function handleAssertion(chain, state, line) {
+    const subject = chain.rootArgs?.positional[0];
+    const calls = chain.calls.map(call => ({ ...call, name: call.name }));
+    let negated = false;
+    let matcher = null;
+
+    for (const call of calls) {
+        if (call.name === 'not') {
+            negated = true;
+            continue;
+        }
+        let name = call.name;
+        if (/^not_/.test(name)) {
+            negated = true;
+            name = name.replace(/^not_/, '');
+        }
+        const key = name.replace(/_/g, '').toLowerCase();
+        if (ASSERTIONS[key]) {
+            matcher = { name: ASSERTIONS[key], args: call.args ? call.args.positional : [] };
+        }
+    }
+
+    if (!chain.rootArgs) return;
+    if (!matcher || !subject || subject.kind !== 'chain') {
+        state.warnings.push(`Line ${line}: unsupported assertion`);
+        return;
+    }
+
+    const { root, calls: subjectCalls } = expandChain(subject, state);
+    const page = pageOf(root, state);
+    const assertion = { name: matcher.name, negated };
+
+    if (matcher.name === 'attribute') {
+        assertion.attribute = matcher.args[0];
+        assertion.expected = matcher.args[1];
+    } else if (matcher.args.length > 0) {
+        assertion.expected = Array.isArray(matcher.args[0]) ? matcher.args[0].join(', ') : matcher.args[0];
+    }
+
+    const step = { type: 'assert', page, assertion, line };
+    if (subjectCalls.length > 0) {
+        step.locator = buildLocator(subjectCalls);
+    }
+    addStep(state, step);
+}
+
+/**
+ * Build an SBS locator from a chain of locator builder calls
+ */
+function buildLocator(calls) {
+    const frames = [];
+    let parts = [];
+    let description = { label: null, kind: 'element' };
+
+    for (const call of calls) {
+        const args = call.args || { positional: [], options: {} };
+        const [first, second] = args.positional;
+        const options = { ...args.options, ...(second && typeof second === 'object' && !Array.isArray(second) ? second : {}) };
+
+        switch (call.name) {
+            case 'frameLocator':
+            case 'frame':
+                frames.push(joinParts([...parts, selectorFor(first)]));
+                parts = [];
+                break;
+            case 'contentFrame':
+                frames.push(joinParts(parts));
+                parts = [];
+                break;
+            case 'locator':
+                parts.push({ type: 'css', selector: selectorFor(first) });
+                if (options.hasText) parts.push(hasTextPart(options.hasText));
+                description = { label: first && first.source ? first.source : String(first), kind: 'element', raw: true };
+                break;
+            case 'getByRole':
+                parts.push({ type: 'role', role: first, name: textOf(options.name), exact: options.exact });
+                // Unnamed roles borrow the label of the row/filter they were scoped to
+                description = { label: textOf(options.name) || (description.raw ? null : description.label), kind: ROLE_KINDS[first] || first };
+                break;
+            case 'getByText':
+                parts.push({ type: 'text', text: textOf(first) });
+                description = { label: textOf(first), kind: 'text' };
+                break;
+            case 'getByLabel':
+                parts.push({ type: 'label', text: textOf(first) });
+                description = { label: textOf(first), kind: 'field' };
+                break;
+            case 'getByPlaceholder':
+                parts.push({ type: 'placeholder', text: textOf(first) });
+                description = { label: textOf(first), kind: 'field' };
+                break;
+            case 'getByTestId':
+                parts.push({ type: 'testId', text: textOf(first) });
+                description = { label: textOf(first), kind: 'element' };
+                break;
+            case 'getByAltText':
+                parts.push({ type: 'css', selector: `[alt="${textOf(first)}"]` });
+                description = { label: textOf(first), kind: 'image' };
+                break;
+            case 'getByTitle':
+                parts.push({ type: 'css', selector: `[title="${textOf(first)}"]` });
+                description = { label: textOf(first), kind: 'element' };
+                break;
+            case 'first':
+                parts.push({ type: 'nth', index: 0 });
+                break;
+            case 'last':
+                parts.push({ type: 'nth', index: -1 });
+                break;
+            case 'nth':
+                parts.push({ type: 'nth', index: first });
+                break;
+            case 'filter':
+                if (options.hasText) {
+                    parts.push(hasTextPart(options.hasText));
+                    description = { label: textOf(options.hasText), kind: description.kind };
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    if (parts.length === 0) return null;
+
+    const selector = joinParts(parts);
+    const named = description.label && !description.raw;
+    return {
+        selector,
+        frames,
+        by: frames.reduceRight((inner, frame) => `By.within(${quote(frame)}, ${inner})`, chainExpression(parts)),
+        label: named ? description.label : selector,
+        kind: named ? description.kind : 'element',
+        key: [...frames, selector].join(' |> ')
+    };
+}
+
+function selectorFor(value) {
+    if (value && value.kind === 'regex') return value.source;
+    const selector = String(value);
+    return /^(\/\/|\.\.|\(\/\/)/.test(selector) ? `xpath=${selector}` : selector;
+}
+
+function textOf(value) {
+    if (value && value.kind === 'regex') return value.source;
+    return value === undefined || value === null ? null : String(value);
+}
+
+function hasTextPart(value) {
+    return { type: 'hasText', text: textOf(value) };
+}
+
+/**
+ * Playwright selector for one chain part; By.js helpers produce the same strings
+ */
+function partSelector(part) {
+    switch (part.type) {
+        case 'css': return part.selector;
+        case 'role': return part.name ? `role=${part.role}[name="${part.name}"${part.exact ? 's' : ''}]` : `role=${part.role}`;
+        case 'text': return `:text("${part.text}")`;
+        case 'label': return `internal:label="${part.text}"i`;
+        case 'placeholder': return `[placeholder="${part.text}"]`;
+        case 'testId': return `[data-testid="${part.text}"]`;
+        case 'nth': return `nth=${part.index}`;
+        case 'hasText': return `internal:has-text="${part.text}"i`;
+        default: return '';
+    }
+}
+
+function joinParts(parts) {
+    return parts.map(part => (typeof part === 'string' ? part : partSelector(part))).filter(Boolean).join(' >> ');
+}
+
+function byExpression(part) {
+    switch (part.type) {
+        case 'role':
+            if (!part.name) return `By.role(${quote(part.role)})`;
+            return `By.role(${quote(part.role)}, { name: ${quote(part.name)}${part.exact ? ', exact: true' : ''} })`;
+        case 'text': return `By.text(${quote(part.text)})`;
+        case 'label': return `By.label(${quote(part.text)})`;
+        case 'placeholder': return `By.placeholder(${quote(part.text)})`;
+        case 'testId': return `By.testId(${quote(part.text)})`;
+        case 'css':
+            return part.selector.startsWith('xpath=')
+                ? `By.xpath(${quote(part.selector.slice('xpath='.length))})`
+                : `By.css(${quote(part.selector)})`;
+        default: return `By.css(${quote(partSelector(part))})`;
+    }
+}
+
+/**
+ * By expression for a whole chain: scoped parts nest with By.chain, first()/nth() and filter({ hasText })
+ * wrap everything before them with By.nth / By.hasText
+ */
+function chainExpression(parts) {
+    let scope = [];
+    const joined = () => (scope.length === 1 ? scope[0] : `By.chain(${scope.join(', ')})`);
+
+    parts.forEach(part => {
+        if (part.type === 'nth') {
+            scope = [`By.nth(${joined()}, ${part.index})`];
+        } else if (part.type === 'hasText') {
+            scope = [`By.hasText(${joined()}, ${quote(part.text)})`];
+        } else {
+            scope.push(byExpression(part));
+        }
+    });
+    return joined();
+}
+
+function quote(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function addStep(state, step) {
+    step.keyword = step.type === 'assert' || step.type === 'popup' || step.type === 'download' ? 'Then' : 'When';
+    step.phrase = describeStep(step);
+    state.steps.push(step);
+}
+
+/**
+ * Step phrase for a parsed step, worded like the SBS feature files
+ */
+function describeStep(step) {
+    const target = describeTarget(step.locator);
+    const expected = formatExpected(step.assertion && step.assertion.expected);
+
+    switch (step.type) {
+        case 'navigate': return `I navigate to "${escapeText(step.url)}"`;
+        case 'reload': return 'I reload the page';
+        case 'goBack': return 'I go back to the previous page';
+        case 'goForward': return 'I go forward to the next page';
+        case 'close': return `I close the "${step.page}" window`;
+        case 'popup': return `a new "${step.alias}" window should open`;
+        case 'download': return 'a file should be downloaded';
+        case 'click': return `I click ${target}`;
+        case 'dblclick': return `I double-click ${target}`;
+        case 'hover': return `I hover over ${target}`;
+        case 'focus': return `I focus ${target}`;
+        case 'clear': return `I clear ${target}`;
+        case 'fill': return `I enter "${escapeText(step.value)}" in ${target}`;
+        case 'press': return `I press "${escapeText(step.value)}" in ${target}`;
+        case 'check': return `I check ${target}`;
+        case 'uncheck': return `I uncheck ${target}`;
+        case 'select': return `I select "${escapeText(step.value)}" from ${target}`;
+        case 'upload': return `I upload "${escapeText(step.value)}" to ${target}`;
+        case 'assert': break;
+        default: return `I perform ${step.type} on ${target}`;
+    }
+
+    const not = step.assertion.negated ? ' not' : '';
+    switch (step.assertion.name) {
+        case 'url': return `the page URL should${not} ${isRegex(step.assertion.expected) ? 'match' : 'be'} "${escapeText(expected)}"`;
+        case 'title': return `the page title should${not} ${isRegex(step.assertion.expected) ? 'match' : 'be'} "${escapeText(expected)}"`;
+        case 'visible': return `I should${not} see ${target}`;
+        case 'hidden': return `I should${step.assertion.negated ? '' : ' not'} see ${target}`;
+        case 'text': return `${target} should${not} have text "${escapeText(expected)}"`;
+        case 'containsText': return `${target} should${not} contain "${escapeText(expected)}"`;
+        case 'value': return `${target} should${not} have value "${escapeText(expected)}"`;
+        case 'count': return `I should see ${expected} of ${target}`;
+        case 'attribute': return `${target} should${not} have "${escapeText(step.assertion.attribute)}" "${escapeText(expected)}"`;
+        default: return `${target} should${not} be ${step.assertion.name}`;
+    }
+}
+
+function describeTarget(locator) {
+    return locator ? `the "${escapeText(locator.label)}" ${locator.kind}` : 'the page';
+}
+
+// Quotes inside Gherkin string parameters are backslash-escaped
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Cucumber expression for a step phrase: quoted values become {string}, counts become {int}
+ */
+function toStepExpression(phrase) {
+    return phrase
+        .replace(/"(?:[^"\\]|\\.)*"/g, '{string}')
+        .replace(/^I should see \d+ of /, 'I should see {int} of ');
+}
+
+function isRegex(value) {
+    return value && typeof value === 'object' && value.kind === 'regex';
+}
+
+function formatExpected(value) {
+    if (isRegex(value)) return value.source;
+    return value === undefined || value === null ? '' : String(value);
+}
+
+module.exports = {
+    detectDialect,
+    tokenizeRecording,
+    parseRecording,
+    describeStep,
+    toStepExpression
+};
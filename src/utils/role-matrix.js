@@ -0,0 +1,172 @@
+/**
+ * Role Matrix - Role -> allowed/denied per capability, resolved from config/role-matrix.json and the roles,
+ * permissions and scenario supportedRoles in config/test-users-config.json. Expands a scenario into
+ * per-role allowed/denied variants that start with each role's SBS login step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const gherkin = require('./gherkin-document');
+
+const DEFAULT_MATRIX_PATH = path.join(__dirname, '../../config/role-matrix.json');
+const DEFAULT_USERS_CONFIG_PATH = path.join(__dirname, '../../config/test-users-config.json');
+const DEFAULT_LOGIN_STEP = 'Alex is logged into RunMod as a "{role}" user';
+const LOGIN_STEP = /\b(?:logged in|logged into|log in|logs in|signed in|authenticated)\b/i;
+const EDGE_CASE_TAGS = ['@negative', '@boundary'];
+
+function readJson(filePath, label) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${label} ${filePath}: ${error.message}`);
+    }
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolve every configured role against every capability. Precedence: the role's allowed/denied lists in the
+ * matrix, then "all" or a permission named like the capability, then the linked test scenario's supportedRoles
+ */
+function resolveRoleMatrix(matrix, usersConfig) {
+    const capabilities = matrix.capabilities || {};
+    const overrides = matrix.roles || {};
+    const loginSteps = matrix.loginSteps || {};
+    const userRoles = usersConfig.userRoles || {};
+    const testScenarios = usersConfig.testScenarios || {};
+
+    const unknownRoles = Object.keys(overrides).filter(name => !userRoles[name]);
+    if (unknownRoles.length) {
+        throw new Error(`Role matrix lists roles missing from test-users-config.json: ${unknownRoles.join(', ')}`);
+    }
+    Object.entries(overrides).forEach(([name, override]) => {
+        const listed = [...(override.allowed || []), ...(override.denied || [])];
+        const unknownCapabilities = listed.filter(id => !capabilities[id]);
+        if (unknownCapabilities.length) {
+            throw new Error(`Role matrix entry "${name}" uses unknown capabilities: ${unknownCapabilities.join(', ')}`);
+        }
+        const conflicting = (override.allowed || []).filter(id => (override.denied || []).includes(id));
+        if (conflicting.length) {
+            throw new Error(`Role matrix entry "${name}" both allows and denies: ${conflicting.join(', ')}`);
+        }
+    });
+
+    const roles = Object.entries(userRoles).map(([name, user]) => {
+        const override = overrides[name] || {};
+        const permissions = user.permissions || [];
+        const access = {};
+
+        Object.entries(capabilities).forEach(([id, capability]) => {
+            const supported = capability.scenario
+                && (testScenarios[capability.scenario]?.supportedRoles || []).map(String).includes(String(user.role));
+            let allowed = permissions.includes('all') || permissions.includes(id) || Boolean(supported);
+            if ((override.allowed || []).includes(id)) allowed = true;
+            if ((override.denied || []).includes(id)) allowed = false;
+            access[id] = allowed ? 'allowed' : 'denied';
+        });
+
+        return {
+            name,
+            role: String(user.role),
+            description: user.description || '',
+            loginStep: (loginSteps[name] || loginSteps.default || DEFAULT_LOGIN_STEP).replace('{role}', name),
+            access
+        };
+    });
+
+    return { capabilities, roles };
+}
+
+/**
+ * Load and resolve the role matrix (config/role-matrix.json by default)
+ */
+function loadRoleMatrix(matrixPath = DEFAULT_MATRIX_PATH, usersConfigPath = DEFAULT_USERS_CONFIG_PATH) {
+    return resolveRoleMatrix(readJson(matrixPath, 'role matrix'), readJson(usersConfigPath, 'user config'));
+}
+
+/**
+ * Capabilities whose keywords appear in the requirement text
+ */
+function matchCapabilities(text, matrix) {
+    return Object.entries(matrix.capabilities)
+        .filter(([, capability]) => (capability.keywords || [])
+            .some(keyword => new RegExp(`\\b${escapeRegex(keyword)}s?\\b`, 'i').test(text)))
+        .map(([id]) => id);
+}
+
+/**
+ * A role is allowed when every matched capability allows it
+ */
+function roleAccess(role, capabilityIds) {
+    return capabilityIds.every(id => role.access[id] === 'allowed') ? 'allowed' : 'denied';
+}
+
+function withKeyword(step, keyword) {
+    return { ...step, keyword };
+}
+
+// Setup steps follow the login step, so a leading Given reads as And
+function chainSetup(steps) {
+    return steps.map((step, index) => (index === 0 && step.keyword === 'Given' ? withKeyword(step, 'And') : step));
+}
+
+function roleVariant(source, role, access, { setup, capabilityLabel }) {
+    const steps = source.steps.filter(step => !LOGIN_STEP.test(step.text));
+    const firstThen = steps.findIndex(step => step.keyword === 'Then');
+    const actionSteps = firstThen === -1 ? steps : steps.slice(0, firstThen);
+
+    return gherkin.scenario({
+        name: `${source.name} - ${role.name} (${access})`,
+        tags: [...source.tags, '@role-matrix', `@role-${role.role}`, `@${access}`],
+        steps: [
+            gherkin.step('Given', role.loginStep),
+            ...chainSetup(setup),
+            ...(access === 'allowed'
+                ? steps
+                : [...actionSteps, gherkin.step('Then', `access to ${capabilityLabel} should be denied`)])
+        ],
+        examples: source.examples
+    });
+}
+
+/**
+ * Replace the main scenario with one allowed/denied variant per role for the capabilities the requirement
+ * touches. Every variant logs in as a different role, so the Background's login and setup steps move into
+ * the scenarios and the Background is dropped
+ */
+function applyRoleMatrix({ background, scenarios }, text, matrix) {
+    const capabilityIds = matchCapabilities(text, matrix);
+    if (capabilityIds.length === 0 || scenarios.length === 0) {
+        console.log('⚠️  Role matrix: no capability keywords found in the requirement - scenarios left unchanged');
+        return [background, ...scenarios].filter(Boolean);
+    }
+
+    const backgroundSteps = background ? background.steps : [];
+    const login = backgroundSteps.filter(step => LOGIN_STEP.test(step.text));
+    const setup = backgroundSteps.filter(step => !LOGIN_STEP.test(step.text));
+    const capabilityLabel = capabilityIds.map(id => id.replace(/-/g, ' ')).join(' and ');
+
+    const functionalIndex = scenarios.findIndex(scenario => !scenario.tags.some(tag => EDGE_CASE_TAGS.includes(tag)));
+    const sourceIndex = functionalIndex === -1 ? 0 : functionalIndex;
+    const variants = matrix.roles.map(role => roleVariant(scenarios[sourceIndex], role, roleAccess(role, capabilityIds), { setup, capabilityLabel }));
+
+    // Remaining scenarios keep the Background's own login
+    const withBackground = scenario => ({ ...scenario, steps: [...login, ...(login.length ? chainSetup(setup) : setup), ...scenario.steps] });
+
+    return [
+        ...scenarios.slice(0, sourceIndex).map(withBackground),
+        ...variants,
+        ...scenarios.slice(sourceIndex + 1).map(withBackground)
+    ];
+}
+
+module.exports = {
+    DEFAULT_MATRIX_PATH,
+    loadRoleMatrix,
+    resolveRoleMatrix,
+    matchCapabilities,
+    roleAccess,
+    applyRoleMatrix
+};
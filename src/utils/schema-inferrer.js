@@ -0,0 +1,171 @@
+/**
+ * Schema Inferrer - Builds a JSON Schema from recorded or stubbed API responses
+ * Infers types, required keys, enums and string formats so generated tests can catch contract drift
+ */
+
+const FORMAT_PATTERNS = [
+    ['date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i],
+    ['date', /^\d{4}-\d{2}-\d{2}$/],
+    ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+    ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+    ['uri', /^https?:\/\/\S+$/i],
+    ['ipv4', /^(\d{1,3}\.){3}\d{1,3}$/]
+];
+
+// Keys whose string values may be a closed set worth pinning as an enum
+const ENUM_KEYS = /^(status|state|type|kind|role|category|currency|level|gender|method|priority)$|(Status|State|Type|Kind)$/;
+const MAX_ENUM_VALUES = 10;
+// An enum needs this many observed values, with at least one repeat - one sample is just a string
+const MIN_ENUM_SAMPLES = 3;
+
+/**
+ * Infer one schema covering every sample - pass an array of response bodies
+ */
+function inferSchema(samples, options = {}) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+        throw new Error('At least one response sample is required to infer a schema');
+    }
+
+    const schema = finalizeEnums(samples
+        .map(value => inferValue(value, options.rootKey || '', options))
+        .reduce((merged, next) => mergeSchemas(merged, next)));
+
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        ...(options.title ? { title: options.title } : {}),
+        ...schema
+    };
+}
+
+function inferValue(value, key, options) {
+    if (value === null) {
+        return { type: 'null' };
+    }
+    if (Array.isArray(value)) {
+        const items = value.map(item => inferValue(item, key, options));
+        return items.length > 0
+            ? { type: 'array', items: items.reduce((merged, next) => mergeSchemas(merged, next)) }
+            : { type: 'array' };
+    }
+
+    switch (typeof value) {
+        case 'object': {
+            const properties = {};
+            Object.entries(value).forEach(([childKey, child]) => {
+                properties[childKey] = inferValue(child, childKey, options);
+            });
+            return {
+                type: 'object',
+                properties,
+                required: Object.keys(value),
+                ...(options.strict ? { additionalProperties: false } : {})
+            };
+        }
+        case 'number':
+            return { type: Number.isInteger(value) ? 'integer' : 'number' };
+        case 'boolean':
+            return { type: 'boolean' };
+        default: {
+            const schema = { type: 'string' };
+            const format = FORMAT_PATTERNS.find(([, pattern]) => pattern.test(value));
+            if (format) {
+                schema.format = format[0];
+            } else if (ENUM_KEYS.test(key) && value.length <= 40) {
+                schema.enumSamples = [value];
+            }
+            return schema;
+        }
+    }
+}
+
+/**
+ * Merge two inferred schemas - keys required only when present in both, types widened to unions
+ */
+function mergeSchemas(left, right) {
+    const leftTypes = [].concat(left.type);
+    const rightTypes = [].concat(right.type);
+
+    if (leftTypes.length === 1 && rightTypes.length === 1 && leftTypes[0] === rightTypes[0]) {
+        return mergeSameType(left, right);
+    }
+
+    // integer widens to number
+    const types = [...new Set([...leftTypes, ...rightTypes])];
+    if (types.includes('number') && types.includes('integer')) {
+        types.splice(types.indexOf('integer'), 1);
+    }
+
+    // Keep the keywords of the non-null side(s), e.g. string format/enum when a value is sometimes null
+    const parts = [left, right]
+        .map(schema => [].concat(schema.type).filter(type => type !== 'null'))
+        .map((partTypes, index) => ({ ...[left, right][index], type: partTypes.length === 1 ? partTypes[0] : partTypes }))
+        .filter(schema => schema.type.length > 0);
+    let base = {};
+    if (parts.length === 1) {
+        base = parts[0];
+    } else if (typeof parts[0].type === 'string' && parts[0].type === parts[1].type) {
+        base = mergeSameType(parts[0], parts[1]);
+    }
+
+    const merged = { ...base };
+    delete merged.type;
+    return { ...merged, type: types.length === 1 ? types[0] : types };
+}
+
+/**
+ * Turn the string values collected under enum-like keys into an enum when several samples repeat
+ * a small set of values; otherwise the property stays a plain string
+ */
+function finalizeEnums(schema) {
+    const { enumSamples, ...rest } = schema;
+    if (enumSamples) {
+        const values = [...new Set(enumSamples)];
+        if (enumSamples.length >= MIN_ENUM_SAMPLES && values.length < enumSamples.length && values.length <= MAX_ENUM_VALUES) {
+            // A sometimes-null property must still accept null
+            rest.enum = [].concat(rest.type).includes('null') ? [...values, null] : values;
+        }
+    }
+    if (rest.properties) {
+        rest.properties = Object.fromEntries(Object.entries(rest.properties).map(([key, child]) => [key, finalizeEnums(child)]));
+    }
+    if (rest.items) {
+        rest.items = finalizeEnums(rest.items);
+    }
+    return rest;
+}
+
+function mergeSameType(left, right) {
+    switch (left.type) {
+        case 'object': {
+            const properties = { ...left.properties };
+            Object.entries(right.properties || {}).forEach(([key, schema]) => {
+                properties[key] = properties[key] ? mergeSchemas(properties[key], schema) : schema;
+            });
+            const merged = {
+                type: 'object',
+                properties,
+                required: (left.required || []).filter(key => (right.required || []).includes(key))
+            };
+            if (left.additionalProperties === false) merged.additionalProperties = false;
+            return merged;
+        }
+        case 'array':
+            if (left.items && right.items) return { type: 'array', items: mergeSchemas(left.items, right.items) };
+            return { type: 'array', ...(left.items || right.items ? { items: left.items || right.items } : {}) };
+        case 'string': {
+            const merged = { type: 'string' };
+            if (left.format && left.format === right.format) merged.format = left.format;
+            if (left.enumSamples && right.enumSamples) {
+                merged.enumSamples = [...left.enumSamples, ...right.enumSamples];
+            }
+            return merged;
+        }
+        default:
+            return { type: left.type };
+    }
+}
+
+module.exports = {
+    inferSchema,
+    mergeSchemas
+};
@@ -0,0 +1,319 @@
+/**
+ * Step Usage Analyzer - Matches every feature step against the compiled step definitions (Cucumber
+ * expressions and regular expressions) and reports undefined steps, ambiguous steps (more than one
+ * matching definition) and dead definitions no feature uses, with file:line locations.
+ * Pending stubs for undefined steps go into the steps file paired with the feature
+ * (features/<path>/<name>.feature -> steps/<path>/<name>-steps.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseGherkin } = require('./gherkin-document');
+
+const CUCUMBER_IMPORT = /const\s*\{([^}]*)\}\s*=\s*require\(\s*['"]@cucumber\/cucumber['"]\s*\)\s*;?/;
+const DEFINITION_START = /\b(Given|When|Then|defineStep)\s*\(\s*(?:(['"`])((?:\\.|(?!\2)[^\\])*)\2|\/((?:\\.|\[(?:\\.|[^\]\\])*\]|[^/\\\n])+)\/([gimsuy]*))/g;
+
+// Built-in Cucumber parameter types
+const PARAMETER_TYPES = {
+    int: '-?\\d+',
+    float: '[-+]?\\d*\\.?\\d+(?:[eE][-+]?\\d+)?',
+    double: '[-+]?\\d*\\.?\\d+(?:[eE][-+]?\\d+)?',
+    bigdecimal: '[-+]?\\d*\\.?\\d+',
+    byte: '-?\\d+',
+    short: '-?\\d+',
+    long: '-?\\d+',
+    biginteger: '-?\\d+',
+    word: '[^\\s]+',
+    string: '"(?:[^"\\\\]|\\\\.)*"|\'(?:[^\'\\\\]|\\\\.)*\'',
+    '': '.*'
+};
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * One whitespace-free token of a Cucumber expression: parameters, optional text and escapes
+ */
+function compileToken(token) {
+    let source = '';
+    for (let i = 0; i < token.length; i++) {
+        const ch = token[i];
+        if (ch === '\\' && i + 1 < token.length) {
+            source += escapeRegex(token[++i]);
+        } else if (ch === '{' && token.indexOf('}', i) !== -1) {
+            const end = token.indexOf('}', i);
+            const name = token.slice(i + 1, end);
+            // Custom parameter types are matched loosely - their regex lives in the project's support code
+            source += `(${PARAMETER_TYPES[name] ?? '.*?'})`;
+            i = end;
+        } else if (ch === '(' && token.indexOf(')', i) !== -1) {
+            const end = token.indexOf(')', i);
+            source += `(?:${escapeRegex(token.slice(i + 1, end))})?`;
+            i = end;
+        } else {
+            source += escapeRegex(ch);
+        }
+    }
+    return source;
+}
+
+// Split on "/" that is not escaped and not inside {} or ()
+function splitAlternatives(token) {
+    const parts = [''];
+    let depth = 0;
+    for (let i = 0; i < token.length; i++) {
+        const ch = token[i];
+        if (ch === '\\' && i + 1 < token.length) {
+            parts[parts.length - 1] += ch + token[++i];
+            continue;
+        }
+        if (ch === '{' || ch === '(') depth++;
+        if ((ch === '}' || ch === ')') && depth > 0) depth--;
+        if (ch === '/' && depth === 0) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += ch;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Cucumber expression -> anchored RegExp (parameter types, optional text, alternatives, escapes)
+ */
+function compileCucumberExpression(expression) {
+    const source = expression.split(/(\s+)/).map(token => {
+        if (/^\s+$/.test(token)) return token.replace(/\s+/g, '\\s+');
+        const alternatives = splitAlternatives(token);
+        return alternatives.length > 1
+            ? `(?:${alternatives.map(compileToken).join('|')})`
+            : compileToken(token);
+    }).join('');
+    return new RegExp(`^${source}$`);
+}
+
+function lineAt(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Step definitions in a steps file: [{ keyword, pattern, isRegex, matcher, file, line }]
+ */
+function extractStepDefinitions(content, filePath) {
+    return [...content.matchAll(DEFINITION_START)]
+        .filter(match => {
+            const lineStart = content.lastIndexOf('\n', match.index) + 1;
+            const prefix = content.slice(lineStart, match.index).trim();
+            return !prefix.startsWith('//') && !prefix.startsWith('*') && !(match[2] === '`' && match[3].includes('${'));
+        })
+        .map(match => {
+            const isRegex = match[4] !== undefined;
+            const pattern = isRegex ? match[4] : match[3].replace(/\\(['"`\\])/g, '$1');
+            let matcher;
+            try {
+                matcher = isRegex ? new RegExp(pattern, match[5].replace(/[gy]/g, '')) : compileCucumberExpression(pattern);
+            } catch (error) {
+                matcher = null;
+            }
+            return { keyword: match[1], pattern, isRegex, matcher, file: filePath, line: lineAt(content, match.index) };
+        });
+}
+
+function listFiles(dirs, extension) {
+    const walk = dir => {
+        if (!fs.existsSync(dir)) return [];
+        if (!fs.statSync(dir).isDirectory()) return dir.endsWith(extension) ? [dir] : [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            if (['node_modules', '.auto-coder'].includes(entry.name)) return [];
+            return walk(path.join(dir, entry.name));
+        });
+    };
+    return [...new Set([].concat(dirs).flatMap(walk))];
+}
+
+function fillPlaceholders(text, header, row) {
+    return text.replace(/<([^>]+)>/g, (placeholder, name) => {
+        const column = header.indexOf(name);
+        return column === -1 ? placeholder : row[column];
+    });
+}
+
+/**
+ * Every step of a feature with the keyword it runs as (And/But take the one before them).
+ * Scenario Outline steps are expanded once per Examples row
+ */
+function extractFeatureSteps(content, filePath) {
+    const document = parseGherkin(content);
+    const steps = [];
+    const children = document.feature ? document.feature.children : [];
+
+    const addSteps = (node, inheritedKeyword) => {
+        let keyword = inheritedKeyword;
+        const rows = (node.examples || []).flatMap(examplesNode => {
+            const [header = [], ...values] = examplesNode.table.rows;
+            return values.map(row => ({ header, row }));
+        });
+        node.steps.forEach(stepNode => {
+            if (['Given', 'When', 'Then'].includes(stepNode.keyword)) keyword = stepNode.keyword;
+            const texts = rows.length
+                ? [...new Set(rows.map(({ header, row }) => fillPlaceholders(stepNode.text, header, row)))]
+                : [stepNode.text];
+            texts.forEach(text => steps.push({
+                keyword: keyword || 'Given',
+                written: stepNode.keyword,
+                text,
+                file: filePath,
+                line: stepNode.location.line,
+                scenario: node.name
+            }));
+        });
+        return keyword;
+    };
+
+    const walk = (nodes, inheritedKeyword) => {
+        const background = nodes.find(node => node.type === 'Background');
+        const afterBackground = background ? addSteps(background, inheritedKeyword) : inheritedKeyword;
+        nodes.forEach(node => {
+            if (node.type === 'Scenario') addSteps(node, afterBackground);
+            if (node.type === 'Rule') walk(node.children, afterBackground);
+        });
+    };
+    walk(children, null);
+    return steps;
+}
+
+/**
+ * Match all feature steps against all step definitions
+ */
+function analyzeStepUsage({ featuresDirs, stepsDirs }) {
+    const definitions = listFiles(stepsDirs, '.js')
+        .flatMap(file => extractStepDefinitions(fs.readFileSync(file, 'utf8'), file));
+    const invalid = definitions.filter(definition => !definition.matcher)
+        .map(definition => ({ ...definition, message: 'Pattern does not compile' }));
+    const usable = definitions.filter(definition => definition.matcher);
+
+    const steps = [];
+    listFiles(featuresDirs, '.feature').forEach(file => {
+        try {
+            steps.push(...extractFeatureSteps(fs.readFileSync(file, 'utf8'), file));
+        } catch (error) {
+            invalid.push({ file, line: Number((error.message.match(/^Line (\d+):/) || [])[1]) || 1, message: error.message });
+        }
+    });
+
+    const used = new Set();
+    steps.forEach(stepUsage => {
+        stepUsage.matches = usable.filter(definition => definition.matcher.test(stepUsage.text));
+        stepUsage.matches.forEach(definition => used.add(definition));
+    });
+
+    return {
+        definitions: usable,
+        steps,
+        undefined: steps.filter(stepUsage => stepUsage.matches.length === 0),
+        ambiguous: steps.filter(stepUsage => stepUsage.matches.length > 1),
+        unused: usable.filter(definition => !used.has(definition)),
+        invalid
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Stubs
+// ---------------------------------------------------------------------------
+
+/**
+ * Cucumber snippet for a step: quoted text -> {string}, numbers -> {int}/{float}
+ */
+function snippetFor(text) {
+    const counts = {};
+    const params = [];
+    const parameter = type => {
+        counts[type] = (counts[type] || 0) + 1;
+        params.push(counts[type] === 1 ? type : `${type}${counts[type]}`);
+        return `{${type}}`;
+    };
+    const literal = value => value.replace(/([\\(){}/])/g, '\\$1');
+
+    let expression = '';
+    let last = 0;
+    const tokens = /"[^"]*"|'[^']*'|(?<![\w.])-?\d+\.\d+(?![\w.])|(?<![\w.])-?\d+(?![\w.])/g;
+    for (const match of text.matchAll(tokens)) {
+        expression += literal(text.slice(last, match.index));
+        const token = match[0];
+        expression += /^["']/.test(token) ? parameter('string') : parameter(token.includes('.') ? 'float' : 'int');
+        last = match.index + token.length;
+    }
+    expression += literal(text.slice(last));
+    return { expression, params };
+}
+
+function stubSource(stepUsage, snippet) {
+    const quoted = snippet.expression.replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+    const location = `${path.basename(stepUsage.file)}:${stepUsage.line}`;
+    return `${stepUsage.keyword}('${quoted}', async function (${snippet.params.join(', ')}) {\n`
+        + `  // TODO: implement - used by ${location}\n`
+        + '  return \'pending\';\n'
+        + '});\n';
+}
+
+/**
+ * Steps file for a feature: the same relative path under the steps root with a -steps.js suffix
+ */
+function stepsFileFor(featureFile, featuresRoot, stepsRoot) {
+    const relative = path.relative(featuresRoot, featureFile);
+    const inside = relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    const base = inside ? relative.replace(/\.feature$/, '') : path.basename(featureFile, '.feature');
+    return path.join(stepsRoot, `${base}-steps.js`);
+}
+
+function withCucumberImports(content, keywords) {
+    const match = content.match(CUCUMBER_IMPORT);
+    if (!match) {
+        return `const { ${keywords.join(', ')} } = require('@cucumber/cucumber');\n\n${content}`;
+    }
+    const imported = match[1].split(',').map(name => name.trim()).filter(Boolean);
+    const missing = keywords.filter(keyword => !imported.some(name => name.split(':')[0].trim() === keyword));
+    if (missing.length === 0) return content;
+    return content.replace(CUCUMBER_IMPORT, `const { ${[...imported, ...missing].join(', ')} } = require('@cucumber/cucumber');`);
+}
+
+/**
+ * Append pending stubs for undefined steps to each feature's steps file (created when missing).
+ * Returns [{ file, created, stubs }]
+ */
+function writeStepStubs(analysis, { featuresRoot, stepsRoot }) {
+    const byFile = new Map();
+    analysis.undefined.forEach(stepUsage => {
+        const file = stepsFileFor(stepUsage.file, featuresRoot, stepsRoot);
+        const snippet = snippetFor(stepUsage.text);
+        const stubs = byFile.get(file) || new Map();
+        if (!stubs.has(snippet.expression)) stubs.set(snippet.expression, { stepUsage, snippet });
+        byFile.set(file, stubs);
+    });
+
+    return [...byFile.entries()].map(([file, stubs]) => {
+        const created = !fs.existsSync(file);
+        const existing = created ? '' : fs.readFileSync(file, 'utf8');
+        const crlf = existing.includes('\r\n');
+        const keywords = [...new Set([...stubs.values()].map(({ stepUsage }) => stepUsage.keyword))];
+        const body = [...stubs.values()].map(({ stepUsage, snippet }) => stubSource(stepUsage, snippet)).join('\n');
+
+        let content = withCucumberImports(existing.replace(/\r\n/g, '\n'), keywords);
+        content = `${content.trimEnd()}${content.trim() ? '\n\n' : ''}${body}`;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, crlf ? content.replace(/\n/g, '\r\n') : content);
+
+        return { file, created, stubs: [...stubs.keys()] };
+    });
+}
+
+module.exports = {
+    compileCucumberExpression,
+    extractStepDefinitions,
+    extractFeatureSteps,
+    analyzeStepUsage,
+    snippetFor,
+    stepsFileFor,
+    writeStepStubs
+};
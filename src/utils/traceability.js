@@ -0,0 +1,293 @@
+/**
+ * Traceability - Stable trace IDs linking acceptance criteria to generated scenarios, and the
+ * criterion -> scenarios -> steps -> page methods -> execution status matrix (HTML + CSV + JSON)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseGherkin, collectScenarios } = require('./gherkin-document');
+const { compileCucumberExpression } = require('./step-usage-analyzer');
+
+const TRACE_TAG_PREFIX = '@trace:';
+const DEFAULT_RESULTS_PATH = 'generated/test-results/cucumber-report.json';
+const STATUS_ORDER = ['failed', 'undefined', 'pending', 'skipped', 'passed'];
+
+// Wording differences that do not change the criterion (case, punctuation, list markers) keep the same ID
+function normalizeCriterion(text) {
+    return String(text || '')
+        .replace(/^\s*(?:[*\-•#>]+|\d+[.)])\s*/, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Stable ID for a criterion: a hash of its normalised text, scoped by the issue key when there is one
+ */
+function traceId(criterionText, scope) {
+    const hash = crypto.createHash('sha1').update(normalizeCriterion(criterionText)).digest('hex').slice(0, 8);
+    return `${scope ? `${scope}-` : ''}AC-${hash}`;
+}
+
+function traceTag(id) {
+    return `${TRACE_TAG_PREFIX}${id}`;
+}
+
+function traceIdsFromTags(tags = []) {
+    return tags
+        .map(tag => (typeof tag === 'string' ? tag : tag.name))
+        .filter(tag => tag && tag.startsWith(TRACE_TAG_PREFIX))
+        .map(tag => tag.slice(TRACE_TAG_PREFIX.length));
+}
+
+/**
+ * [{ id, text }] without repeated IDs, keeping the first wording
+ */
+function uniqueCriteria(criteria) {
+    const seen = new Set();
+    return criteria.filter(criterion => {
+        if (!criterion.text || seen.has(criterion.id)) return false;
+        seen.add(criterion.id);
+        return true;
+    });
+}
+
+/**
+ * Step definitions of a steps file: [{ keyword, expression, matcher, calls }] where calls are the
+ * { receiver, method } of every "someObject.method(" call in the definition body
+ */
+function parseStepDefinitions(stepsContent) {
+    const definitionStart = /^\s*(Given|When|Then|defineStep)\(\s*(['"`/])((?:\\.|(?!\2).)*)\2/gm;
+    const starts = [...String(stepsContent || '').matchAll(definitionStart)];
+
+    return starts.map((match, index) => {
+        const end = index + 1 < starts.length ? starts[index + 1].index : stepsContent.length;
+        const body = stepsContent.slice(match.index + match[0].length, end);
+        const isRegex = match[2] === '/';
+        return {
+            keyword: match[1],
+            expression: match[3],
+            matcher: isRegex ? new RegExp(match[3]) : compileCucumberExpression(match[3].replace(/\\(['"`])/g, '$1')),
+            calls: [...body.matchAll(/\b(\w+)\.(\w+)\s*\(/g)].map(call => ({ receiver: call[1], method: call[2] }))
+        };
+    });
+}
+
+function parsePageMethods(pageContent) {
+    return [...String(pageContent || '').matchAll(/^\s*(?:async\s+)?(\w+)\s*\([^)]*\)\s*\{/gm)]
+        .map(match => match[1])
+        .filter(name => !['constructor', 'if', 'for', 'while', 'switch', 'catch', 'function'].includes(name));
+}
+
+// Outline steps are matched with the first Examples row filled in
+function fillOutlineText(text, examples) {
+    const [header, row] = examples?.[0]?.table?.rows || [];
+    if (!header || !row) return text;
+    return text.replace(/<([^>]+)>/g, (placeholder, name) => {
+        const index = header.indexOf(name);
+        return index === -1 ? placeholder : row[index];
+    });
+}
+
+/**
+ * Latest status per trace ID from a cucumber JSON report. A criterion is as bad as its worst scenario
+ */
+function readExecutionStatus(resultsPath) {
+    const statuses = {};
+    if (!resultsPath || !fs.existsSync(resultsPath)) return statuses;
+
+    const report = fs.readJsonSync(resultsPath, { throws: false }) || [];
+    report.forEach(featureResult => (featureResult.elements || []).forEach(element => {
+        if (element.type === 'background') return;
+        const stepStatuses = (element.steps || []).map(step => step.result?.status || 'undefined');
+        const status = STATUS_ORDER.find(candidate => stepStatuses.includes(candidate)) || 'passed';
+        traceIdsFromTags(element.tags).forEach(id => {
+            const current = statuses[id];
+            statuses[id] = !current || STATUS_ORDER.indexOf(status) < STATUS_ORDER.indexOf(current) ? status : current;
+        });
+    }));
+    return statuses;
+}
+
+/**
+ * Criterion rows: { id, criterion, covered, scenarios, steps, pageMethods, status }
+ */
+function buildTraceabilityMatrix({ criteria = [], feature = '', steps = '', page = '', resultsPath } = {}) {
+    const scenarios = feature ? collectScenarios(parseGherkin(feature)).map(({ scenario }) => scenario) : [];
+    const definitions = parseStepDefinitions(steps);
+    const pageMethods = new Set(parsePageMethods(page));
+    const statuses = readExecutionStatus(resultsPath);
+
+    const rows = criteria.map(criterion => {
+        const linked = scenarios.filter(scenario => traceIdsFromTags(scenario.tags).includes(criterion.id));
+        const linkedSteps = linked.flatMap(scenario => scenario.steps.map(step => ({
+            line: `${step.keyword} ${step.text}`,
+            text: fillOutlineText(step.text, scenario.examples)
+        })));
+        const methods = new Set();
+        linkedSteps.forEach(({ text }) => {
+            const definition = definitions.find(candidate => candidate.matcher.test(text));
+            (definition?.calls || []).forEach(({ receiver, method }) => {
+                if (pageMethods.has(method)) {
+                    methods.add(method);
+                } else if (/Page$/.test(receiver)) {
+                    // Called on a page object but not defined there
+                    methods.add(`${method} (missing)`);
+                }
+            });
+        });
+
+        return {
+            id: criterion.id,
+            criterion: criterion.text,
+            covered: linked.length > 0,
+            scenarios: linked.map(scenario => scenario.name),
+            steps: [...new Set(linkedSteps.map(step => step.line))],
+            pageMethods: [...methods],
+            status: linked.length === 0 ? 'uncovered' : statuses[criterion.id] || 'not run'
+        };
+    });
+
+    const covered = rows.filter(row => row.covered).length;
+    return {
+        rows,
+        coverage: criteria.length > 0 ? Math.round((covered / criteria.length) * 100) : 0,
+        uncovered: rows.filter(row => !row.covered).map(row => row.id),
+        resultsPath: resultsPath && fs.existsSync(resultsPath) ? resultsPath : null
+    };
+}
+
+function csvCell(value) {
+    const text = Array.isArray(value) ? value.join('\n') : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(matrix) {
+    const header = ['Trace ID', 'Criterion', 'Covered', 'Scenarios', 'Steps', 'Page Methods', 'Status'];
+    const lines = matrix.rows.map(row => [
+        row.id, row.criterion, row.covered ? 'yes' : 'no', row.scenarios, row.steps, row.pageMethods, row.status
+    ].map(csvCell).join(','));
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function htmlList(items) {
+    return items.length ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '&mdash;';
+}
+
+function toHtml(matrix, title) {
+    const rows = matrix.rows.map(row => `      <tr class="${row.covered ? '' : 'uncovered'}">
+        <td><code>${escapeHtml(row.id)}</code></td>
+        <td>${escapeHtml(row.criterion)}</td>
+        <td>${htmlList(row.scenarios)}</td>
+        <td>${htmlList(row.steps)}</td>
+        <td>${htmlList(row.pageMethods)}</td>
+        <td class="status ${row.status.replace(/\s+/g, '-')}">${escapeHtml(row.status)}</td>
+      </tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Traceability - ${escapeHtml(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+    th { background: #f2f2f2; }
+    ul { margin: 0; padding-left: 16px; }
+    tr.uncovered { background: #fdecea; }
+    .status.passed { color: #1b7f3b; font-weight: bold; }
+    .status.failed, .status.uncovered { color: #b3261e; font-weight: bold; }
+    .status.not-run, .status.skipped, .status.pending, .status.undefined { color: #8a6d00; }
+  </style>
+</head>
+<body>
+  <h1>Requirement Traceability - ${escapeHtml(title)}</h1>
+  <p>${matrix.rows.length} criteria, ${matrix.coverage}% covered, ${matrix.uncovered.length} uncovered.
+     Execution results: ${matrix.resultsPath ? escapeHtml(matrix.resultsPath) : 'none found'}.
+     Generated ${new Date().toISOString()}.</p>
+  <table>
+    <thead>
+      <tr><th>Trace ID</th><th>Criterion</th><th>Scenarios</th><th>Steps</th><th>Page Methods</th><th>Status</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write <baseName>-traceability.{html,csv,json} to outputDir. The JSON keeps the criteria and the
+ * artifact paths so the report can be rebuilt after a test run (auto-coder trace)
+ */
+async function writeTraceabilityReport(matrix, { outputDir, baseName, title, criteria, files = {} }) {
+    await fs.ensureDir(outputDir);
+    const reportFiles = {
+        html: path.join(outputDir, `${baseName}-traceability.html`),
+        csv: path.join(outputDir, `${baseName}-traceability.csv`),
+        json: path.join(outputDir, `${baseName}-traceability.json`)
+    };
+
+    await fs.writeFile(reportFiles.html, toHtml(matrix, title || baseName));
+    await fs.writeFile(reportFiles.csv, toCsv(matrix));
+    await fs.writeJson(reportFiles.json, {
+        baseName,
+        title: title || baseName,
+        criteria,
+        files,
+        coverage: matrix.coverage,
+        uncovered: matrix.uncovered,
+        rows: matrix.rows,
+        generatedAt: new Date().toISOString()
+    }, { spaces: 2 });
+
+    return reportFiles;
+}
+
+/**
+ * Rebuild the report from a <baseName>-traceability.json, e.g. once execution results exist
+ */
+async function refreshTraceabilityReport(tracePath, { resultsPath = DEFAULT_RESULTS_PATH } = {}) {
+    const trace = await fs.readJson(tracePath);
+    const read = file => (file && fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+    const matrix = buildTraceabilityMatrix({
+        criteria: trace.criteria,
+        feature: read(trace.files.feature),
+        steps: read(trace.files.steps),
+        page: read(trace.files.page),
+        resultsPath
+    });
+    const files = await writeTraceabilityReport(matrix, {
+        outputDir: path.dirname(tracePath),
+        baseName: trace.baseName,
+        title: trace.title,
+        criteria: trace.criteria,
+        files: trace.files
+    });
+    return { matrix, files };
+}
+
+module.exports = {
+    TRACE_TAG_PREFIX,
+    DEFAULT_RESULTS_PATH,
+    traceId,
+    traceTag,
+    traceIdsFromTags,
+    uniqueCriteria,
+    parseStepDefinitions,
+    buildTraceabilityMatrix,
+    writeTraceabilityReport,
+    refreshTraceabilityReport
+};
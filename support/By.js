@@ -1,8 +1,30 @@
 /**
  * SBS-style By locator helpers
  * Extracted from SBS_Automation patterns
+ *
+ * Every helper returns a Playwright selector string, so results nest: chain, within, shadow,
+ * nth and hasText take selectors built by any other helper.
  */
 
+// Text argument for Playwright's internal text engines: quoted, "s" for exact, "i" for substring
+function textArgument(text, exact) {
+  return `${JSON.stringify(String(text))}${exact ? 's' : 'i'}`;
+}
+
+// Layout pseudo-classes attach to the last step of a chain and need a CSS anchor
+function relative(selector, pseudo, anchor, maxDistance) {
+  if (/^(xpath=|\/\/|internal:|role=)/.test(anchor)) {
+    throw new Error(`By.${pseudo} anchor must be a CSS selector, got: ${anchor}`);
+  }
+  const steps = selector.split(' >> ');
+  const last = steps.pop();
+  if (/^(xpath=|\/\/|internal:|role=|nth=)/.test(last)) {
+    throw new Error(`By.${pseudo} needs a CSS selector to attach to, got: ${last}`);
+  }
+  const distance = maxDistance === undefined ? '' : `, ${maxDistance}`;
+  return [...steps, `${last}:${pseudo}(${anchor}${distance})`].join(' >> ');
+}
+
 class By {
   static css(selector) {
     return selector;
@@ -31,11 +53,85 @@ class By {
   static role(role, options = {}) {
     let selector = `role=${role}`;
     if (options.name) {
-      selector += `[name="${options.name}"]`;
+      selector += `[name="${options.name}"${options.exact ? 's' : ''}]`;
     }
     return selector;
   }
 
+  /**
+   * Form control by its label text (<label for>, wrapping <label> or aria-labelledby)
+   * @param {string} text - Label text
+   * @param {Object} options - { exact } match the whole label, case-sensitive
+   */
+  static label(text, options = {}) {
+    return `internal:label=${textArgument(text, options.exact)}`;
+  }
+
+  /**
+   * Nested locator: each selector is searched inside the matches of the previous one
+   * @param {...string} selectors - Outermost first
+   */
+  static chain(...selectors) {
+    return selectors.join(' >> ');
+  }
+
+  /**
+   * Locator inside an iframe; nest calls for iframes inside iframes
+   * @param {string} frame - Selector of the <iframe> element
+   * @param {string} selector - Selector inside the frame document
+   */
+  static within(frame, selector) {
+    return `${frame} >> internal:control=enter-frame >> ${selector}`;
+  }
+
+  /**
+   * Locator inside (possibly nested) open shadow roots, e.g.
+   * By.shadow('sfc-shell-left-nav', 'li', '[data-id="payroll"]'). CSS selectors pierce shadow
+   * roots; XPath does not, so use CSS for the steps inside
+   * @param {...string} path - Shadow host selectors, then the element selector
+   */
+  static shadow(...path) {
+    return By.chain(...path);
+  }
+
+  /**
+   * The index-th match of a selector (0-based, -1 for the last)
+   */
+  static nth(selector, index) {
+    return `${selector} >> nth=${index}`;
+  }
+
+  /**
+   * Matches of a selector that contain the given text somewhere inside
+   * @param {string} selector - Selector to filter
+   * @param {string} text - Text to look for
+   * @param {Object} options - { exact } match the whole text, case-sensitive
+   */
+  static hasText(selector, text, options = {}) {
+    return `${selector} >> internal:has-text=${textArgument(text, options.exact)}`;
+  }
+
+  /**
+   * Matches of a CSS selector within maxDistance pixels (default 50) of an anchor
+   */
+  static near(selector, anchor, maxDistance) {
+    return relative(selector, 'near', anchor, maxDistance);
+  }
+
+  /**
+   * Matches of a CSS selector below an anchor
+   */
+  static below(selector, anchor, maxDistance) {
+    return relative(selector, 'below', anchor, maxDistance);
+  }
+
+  /**
+   * Matches of a CSS selector above an anchor
+   */
+  static above(selector, anchor, maxDistance) {
+    return relative(selector, 'above', anchor, maxDistance);
+  }
+
   static placeholder(placeholder) {
     return `[placeholder="${placeholder}"]`;
   }
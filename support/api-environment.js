@@ -0,0 +1,136 @@
+/**
+ * API environment resolver for generated API tests
+ * Turns {{baseUrl}} and {{secret:NAME}} placeholders into values for the current environment
+ * Base URLs come from config/environment-config.json, secrets from env vars or a local vault file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Copies written next to generated API tests carry their own api-environments.json
+const CONFIG_PATHS = [
+  path.join(__dirname, 'api-environments.json'),
+  path.join(__dirname, '..', 'config', 'environment-config.json')
+];
+const DEFAULT_VAULT_PATH = path.join(__dirname, '..', 'config', 'secrets.local.json');
+
+// api-coder and older scripts use the portal names
+const ENVIRONMENT_ALIASES = { qafit: 'fit', qa: 'fit', production: 'prod' };
+
+const PLACEHOLDER = /\{\{\s*(baseUrl|secret:([A-Za-z_][\w]*))\s*\}\}/g;
+
+class ApiEnvironment {
+  /**
+   * Current environment - ADP_ENV, the same switch the UI suites use
+   */
+  static current(fallback = 'fit') {
+    return ApiEnvironment.normalize(process.env.ADP_ENV || fallback);
+  }
+
+  /**
+   * Map QAFIT/IAT style names onto environment-config keys
+   */
+  static normalize(environment) {
+    const name = String(environment).toLowerCase();
+    return ENVIRONMENT_ALIASES[name] || name;
+  }
+
+  static config() {
+    const configPath = CONFIG_PATHS.find(candidate => fs.existsSync(candidate));
+    if (!configPath) {
+      return { environments: {} };
+    }
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  /**
+   * API host for the current environment - API_BASE_URL overrides the config
+   */
+  static baseUrl(environment = ApiEnvironment.current()) {
+    if (process.env.API_BASE_URL) {
+      return process.env.API_BASE_URL.replace(/\/+$/, '');
+    }
+
+    const settings = ApiEnvironment.config().environments[environment];
+    if (!settings || !settings.apiBaseUrl) {
+      throw new Error(`API_BASE_URL is required for "${environment}": no apiBaseUrl is configured for it in config/environment-config.json`);
+    }
+    return settings.apiBaseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Whether TLS certificate checks are skipped - only when the environment sets allowInsecureTls
+   * (self-signed QA hosts) or API_INSECURE_TLS=true is exported for a single run
+   */
+  static allowsInsecureTls(environment = ApiEnvironment.current()) {
+    if (process.env.API_INSECURE_TLS !== undefined) {
+      return process.env.API_INSECURE_TLS === 'true';
+    }
+    const settings = ApiEnvironment.config().environments[environment];
+    return Boolean(settings && settings.allowInsecureTls === true);
+  }
+
+  /**
+   * Vault file: { "NAME": "value" } or per environment { "fit": { "NAME": "value" } }
+   * Copy config/secrets.example.json to config/secrets.local.json (gitignored)
+   */
+  static vault() {
+    const vaultPath = process.env.API_SECRETS_FILE || DEFAULT_VAULT_PATH;
+    if (!fs.existsSync(vaultPath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+  }
+
+  static secret(name, environment = ApiEnvironment.current()) {
+    // Empty values (e.g. a copied secrets.example.json) count as not set
+    const isSet = value => value !== undefined && value !== null && value !== '' && typeof value !== 'object';
+    if (isSet(process.env[name])) {
+      return process.env[name];
+    }
+
+    const vault = ApiEnvironment.vault();
+    const scoped = vault[environment] && typeof vault[environment] === 'object' ? vault[environment] : {};
+    if (isSet(scoped[name])) return String(scoped[name]);
+    if (isSet(vault[name])) return String(vault[name]);
+    return undefined;
+  }
+
+  /**
+   * Secret names that neither the environment nor the vault provide
+   */
+  static missingSecrets(names, environment = ApiEnvironment.current()) {
+    return names.filter(name => ApiEnvironment.secret(name, environment) === undefined);
+  }
+
+  /**
+   * Replace environment placeholders - other {{variables}} are left for the caller
+   */
+  static resolve(text, environment = ApiEnvironment.current()) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER, (match, placeholder, secretName) => {
+      if (!secretName) {
+        return ApiEnvironment.baseUrl(environment);
+      }
+
+      const value = ApiEnvironment.secret(secretName, environment);
+      if (value === undefined) {
+        throw new Error(`Secret ${secretName} is not set - export it or add it to config/secrets.local.json`);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Resolve every string value of a headers (or similar flat) object
+   */
+  static resolveAll(values, environment = ApiEnvironment.current()) {
+    return Object.fromEntries(Object.entries(values || {})
+      .map(([key, value]) => [key, ApiEnvironment.resolve(value, environment)]));
+  }
+}
+
+module.exports = ApiEnvironment;
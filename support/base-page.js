@@ -2,6 +2,8 @@
  * Base Page Object for Playwright tests
  * Contains common methods and properties used across page objects
  */
+const { resolveSelector } = require('./self-healing');
+
 class BasePage {
   /**
    * @param {import('@playwright/test').Page} page - Playwright page
@@ -23,7 +25,7 @@ class BasePage {
    * @param {string} selector - Element selector
    */
   async click(selector) {
-    await this.page.click(selector);
+    await this.page.click(await this.resolveSelector(selector));
   }
   
   /**
@@ -32,7 +34,7 @@ class BasePage {
    * @param {string} value - Value to fill
    */
   async fill(selector, value) {
-    await this.page.fill(selector, value);
+    await this.page.fill(await this.resolveSelector(selector), value);
   }
   
   /**
@@ -50,7 +52,19 @@ class BasePage {
    * @returns {Promise<boolean>} - Whether the element is visible
    */
   async isVisible(selector) {
-    return await this.page.isVisible(selector);
+    // Visibility checks stay instant: heal only if the selector matches nothing right now
+    return await this.page.isVisible(await this.resolveSelector(selector, { timeout: 0 }));
+  }
+
+  /**
+   * Selector to act on - a fingerprint match when a page object selector no longer matches
+   * (see self-healing.js)
+   * @param {string} selector - Element selector
+   * @param {Object} options - Healing options
+   * @returns {Promise<string>} - Original or healed selector
+   */
+  async resolveSelector(selector, options = {}) {
+    return await resolveSelector(this.page, selector, options);
   }
   
   /**
@@ -0,0 +1,163 @@
+/**
+ * JSON Schema validator for API response assertions
+ * Covers the OpenAPI schema subset used by generated API tests
+ */
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i,
+  uri: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i,
+  ipv4: /^(\d{1,3}\.){3}\d{1,3}$/
+};
+
+class SchemaValidator {
+  /**
+   * Validate data against a schema - returns a list of "<path>: <problem>" messages
+   */
+  static validate(schema, data, path = '$') {
+    const errors = [];
+    SchemaValidator.check(schema || {}, data, path, errors);
+    return errors;
+  }
+
+  /**
+   * Throw a single readable error when data does not match the schema
+   */
+  static assert(schema, data, label = 'response') {
+    const errors = SchemaValidator.validate(schema, data);
+    if (errors.length > 0) {
+      const more = errors.length > 20 ? `\n  ... and ${errors.length - 20} more` : '';
+      throw new Error(`${label}: ${errors.length} difference(s) from schema\n  - ${errors.slice(0, 20).join('\n  - ')}${more}`);
+    }
+  }
+
+  static check(schema, data, path, errors) {
+    if (data === null && (schema.nullable || (Array.isArray(schema.type) && schema.type.includes('null')))) {
+      return;
+    }
+
+    if (schema.allOf) {
+      schema.allOf.forEach(part => SchemaValidator.check(part, data, path, errors));
+    }
+    if (schema.oneOf || schema.anyOf) {
+      const options = schema.oneOf || schema.anyOf;
+      const matches = options.filter(option => SchemaValidator.validate(option, data, path).length === 0).length;
+      if (matches === 0 || (schema.oneOf && matches > 1)) {
+        errors.push(`${path}: should match ${schema.oneOf ? 'exactly one' : 'at least one'} of ${options.length} schemas (matched ${matches})`);
+      }
+    }
+    if (schema.enum && !schema.enum.some(value => JSON.stringify(value) === JSON.stringify(data))) {
+      errors.push(`${path}: ${JSON.stringify(data)} is not one of ${JSON.stringify(schema.enum)}`);
+      return;
+    }
+    if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(data)) {
+      errors.push(`${path}: should equal ${JSON.stringify(schema.const)}`);
+    }
+
+    const types = SchemaValidator.expectedTypes(schema);
+    const actual = SchemaValidator.typeOf(data);
+    if (types.length > 0 && !types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      errors.push(`${path}: expected ${types.join(' or ')} but got ${actual}`);
+      return;
+    }
+
+    if (actual === 'object') {
+      SchemaValidator.checkObject(schema, data, path, errors);
+    } else if (actual === 'array') {
+      SchemaValidator.checkArray(schema, data, path, errors);
+    } else if (actual === 'string') {
+      SchemaValidator.checkString(schema, data, path, errors);
+    } else if (actual === 'number' || actual === 'integer') {
+      SchemaValidator.checkNumber(schema, data, path, errors);
+    }
+  }
+
+  static checkObject(schema, data, path, errors) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (!(key in data)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    });
+
+    Object.entries(data).forEach(([key, value]) => {
+      const childPath = `${path}.${key}`;
+      if (properties[key]) {
+        if (!properties[key].writeOnly) {
+          SchemaValidator.check(properties[key], value, childPath, errors);
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        SchemaValidator.check(schema.additionalProperties, value, childPath, errors);
+      }
+    });
+  }
+
+  static checkArray(schema, data, path, errors) {
+    if (schema.minItems !== undefined && data.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} items but got ${data.length}`);
+    }
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      errors.push(`${path}: expected at most ${schema.maxItems} items but got ${data.length}`);
+    }
+    if (schema.items) {
+      data.forEach((item, index) => SchemaValidator.check(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  static checkString(schema, data, path, errors) {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(data)) {
+      errors.push(`${path}: does not match pattern ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(data)) {
+      errors.push(`${path}: is not a valid ${schema.format}`);
+    }
+  }
+
+  static checkNumber(schema, data, path, errors) {
+    // OpenAPI 3.0 uses boolean exclusive flags, 3.1/JSON Schema uses numeric bounds
+    const exclusiveMinimum = typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : (schema.exclusiveMinimum ? schema.minimum : undefined);
+    const exclusiveMaximum = typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : (schema.exclusiveMaximum ? schema.maximum : undefined);
+
+    if (exclusiveMinimum !== undefined && data <= exclusiveMinimum) {
+      errors.push(`${path}: should be greater than ${exclusiveMinimum}`);
+    } else if (schema.minimum !== undefined && data < schema.minimum) {
+      errors.push(`${path}: should be at least ${schema.minimum}`);
+    }
+    if (exclusiveMaximum !== undefined && data >= exclusiveMaximum) {
+      errors.push(`${path}: should be less than ${exclusiveMaximum}`);
+    } else if (schema.maximum !== undefined && data > schema.maximum) {
+      errors.push(`${path}: should be at most ${schema.maximum}`);
+    }
+    if (schema.multipleOf && Math.abs(data / schema.multipleOf - Math.round(data / schema.multipleOf)) > 1e-9) {
+      errors.push(`${path}: should be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  static expectedTypes(schema) {
+    if (Array.isArray(schema.type)) return schema.type.filter(type => type !== 'null');
+    if (schema.type) return [schema.type];
+    if (schema.properties) return ['object'];
+    if (schema.items) return ['array'];
+    return [];
+  }
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+}
+
+module.exports = SchemaValidator;
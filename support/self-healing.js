@@ -0,0 +1,504 @@
+/**
+ * Self-Healing Locators - Runtime fallback for page object selectors that no longer match
+ *
+ * Element fingerprints live in a sidecar next to each page object:
+ *   pages/home-page.js -> pages/home-page.fingerprints.json
+ *   {
+ *     "url": "...", "capturedAt": "...",
+ *     "elements": {
+ *       "SUBMIT_BUTTON": {
+ *         "selector": "[data-test-id=\"submit\"]",
+ *         "fingerprint": { tag, text, attributes, neighbourhood: { parentTag, label, siblings, path }, box }
+ *       }
+ *     }
+ *   }
+ *
+ * When a fingerprinted selector matches nothing, every element on the page is scored against the
+ * fingerprint and the best candidate above the confidence threshold is used instead. The heal is
+ * logged and a patch for the page object is written for review - the page object is never edited.
+ *
+ * Environment:
+ *   AUTO_CODER_SELF_HEALING=false      disable healing
+ *   AUTO_CODER_HEAL_THRESHOLD=0.75     minimum confidence (0-1)
+ *   AUTO_CODER_HEAL_TIMEOUT            ms to wait for the original selector before healing
+ *                                      (default: the page's default timeout, as the action would wait)
+ *   AUTO_CODER_FINGERPRINTS_DIR        page object folders to search (path-delimited)
+ *   AUTO_CODER_HEALING_DIR             where proposed patches go (default reports/self-healing)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { unifiedDiff } = require('./unified-diff');
+
+const FINGERPRINT_SUFFIX = '.fingerprints.json';
+const DEFAULT_THRESHOLD = 0.75;
+// Two candidates this close are too ambiguous to pick between
+const MIN_MARGIN = 0.05;
+const MAX_CANDIDATES = 2000;
+const WEIGHTS = { tag: 0.1, text: 0.3, attributes: 0.3, neighbourhood: 0.15, box: 0.15 };
+const ATTRIBUTES = ['id', 'name', 'type', 'role', 'aria-label', 'placeholder', 'title', 'href', 'for', 'data-test-id', 'data-testid', 'data-e2e', 'data-cy', 'data-id', 'class'];
+
+let fingerprintIndex = null;
+const healedSelectors = new Map();
+const proposals = new Map();
+
+function isSelfHealingEnabled() {
+  return !/^(false|0|off|no)$/i.test(process.env.AUTO_CODER_SELF_HEALING || '');
+}
+
+function healThreshold() {
+  const value = parseFloat(process.env.AUTO_CODER_HEAL_THRESHOLD);
+  return Number.isFinite(value) ? value : DEFAULT_THRESHOLD;
+}
+
+// undefined leaves the wait to the page's default timeout
+function probeTimeout() {
+  const value = parseInt(process.env.AUTO_CODER_HEAL_TIMEOUT, 10);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+// Heals only apply on the page they were found on: origin and path, without query or hash
+function healKey(page, selector) {
+  const url = page.url();
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname} ${selector}`;
+  } catch (error) {
+    return `${url} ${selector}`;
+  }
+}
+
+function fingerprintDirs() {
+  if (process.env.AUTO_CODER_FINGERPRINTS_DIR) {
+    return process.env.AUTO_CODER_FINGERPRINTS_DIR.split(path.delimiter).filter(Boolean);
+  }
+  return [path.join(process.cwd(), 'SBS_Automation', 'pages'), path.join(process.cwd(), 'pages')];
+}
+
+/**
+ * Sidecar path for a page object file
+ * @param {string} pageFile - Page object path
+ * @returns {string} - <page>.fingerprints.json next to it
+ */
+function sidecarPath(pageFile) {
+  return pageFile.replace(/\.js$/, '') + FINGERPRINT_SUFFIX;
+}
+
+function listSidecars(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return entry.name === 'node_modules' ? [] : listSidecars(fullPath);
+    return entry.name.endsWith(FINGERPRINT_SUFFIX) ? [fullPath] : [];
+  });
+}
+
+/**
+ * Stored fingerprints of one page object: [{ name, selector, fingerprint, context, pageFile }]
+ * @param {string} file - Page object or sidecar path
+ */
+function loadSidecar(file) {
+  const sidecar = file.endsWith(FINGERPRINT_SUFFIX) ? file : sidecarPath(file);
+  if (!fs.existsSync(sidecar)) return [];
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(sidecar, 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable fingerprints ${sidecar}: ${error.message}`);
+    return [];
+  }
+  const pageFile = sidecar.slice(0, -FINGERPRINT_SUFFIX.length) + '.js';
+  return Object.entries(data.elements || {})
+    .filter(([, element]) => element && element.selector && element.fingerprint)
+    .map(([name, element]) => ({ name, selector: element.selector, fingerprint: element.fingerprint, context: element.context || {}, pageFile }));
+}
+
+/**
+ * Stored fingerprint for a selector, or null. By.xpath selectors are found with or without "xpath="
+ * @param {string} selector - Selector as passed to BasePage
+ */
+function findFingerprint(selector) {
+  if (!fingerprintIndex) {
+    fingerprintIndex = new Map();
+    fingerprintDirs().flatMap(listSidecars).flatMap(loadSidecar).forEach(entry => {
+      // Frame and shadow DOM elements are not reached through a plain BasePage selector
+      if (entry.context.frame || (entry.context.shadowPath || []).length > 0) return;
+      fingerprintIndex.set(entry.selector, entry);
+      fingerprintIndex.set(entry.selector.replace(/^xpath=/, ''), entry);
+    });
+  }
+  return fingerprintIndex.get(selector) || fingerprintIndex.get(String(selector).replace(/^xpath=/, '')) || null;
+}
+
+// Forget loaded fingerprints and heals, e.g. after new fingerprints were captured
+function resetSelfHealing() {
+  fingerprintIndex = null;
+  healedSelectors.clear();
+  proposals.clear();
+}
+
+/**
+ * In-page inspector (runs in the browser). Called on an element (locator.evaluate) it describes that
+ * element; called with options only (page.evaluate) it describes every visible element that could be
+ * the fingerprinted one
+ */
+function inspectElements(target, options) {
+  const element = options ? target : null;
+  const { tag, attributes, limit } = options || target;
+  const clean = value => (value || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+
+  const uniqueSelector = element => {
+    const unique = candidate => {
+      try {
+        return document.querySelectorAll(candidate).length === 1 ? candidate : null;
+      } catch (error) {
+        return null;
+      }
+    };
+    const tagName = element.tagName.toLowerCase();
+    for (const name of ['data-test-id', 'data-testid', 'data-e2e', 'data-cy', 'id', 'name', 'aria-label', 'placeholder']) {
+      const value = element.getAttribute(name);
+      if (!value) continue;
+      const found = unique(name === 'id' ? `#${CSS.escape(value)}` : `${tagName}[${name}="${value.replace(/"/g, '\\"')}"]`);
+      if (found) return found;
+    }
+    for (const className of element.classList) {
+      const found = unique(`${tagName}.${CSS.escape(className)}`);
+      if (found) return found;
+    }
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1 && node !== document.documentElement; node = node.parentElement) {
+      if (node !== element && node.id && unique(`#${CSS.escape(node.id)}`)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const sameTag = [...(node.parentElement ? node.parentElement.children : [])].filter(child => child.tagName === node.tagName);
+      const name = node.tagName.toLowerCase();
+      parts.unshift(sameTag.length > 1 ? `${name}:nth-of-type(${sameTag.indexOf(node) + 1})` : name);
+    }
+    return parts.join(' > ');
+  };
+
+  const labelText = element => {
+    if (element.labels && element.labels.length) return clean(element.labels[0].innerText);
+    const labelledBy = element.getAttribute('aria-labelledby');
+    const label = labelledBy && document.getElementById(labelledBy);
+    return label ? clean(label.innerText) : '';
+  };
+
+  const implicitRoles = { a: 'link', button: 'button', select: 'combobox', textarea: 'textbox', img: 'img', nav: 'navigation', table: 'table', dialog: 'dialog' };
+  const ariaInfo = element => {
+    const tagName = element.tagName.toLowerCase();
+    const type = (element.getAttribute('type') || 'text').toLowerCase();
+    const inputRole = { checkbox: 'checkbox', radio: 'radio', button: 'button', submit: 'button', reset: 'button', range: 'slider', search: 'searchbox' }[type] || 'textbox';
+    const role = element.getAttribute('role')
+      || (tagName === 'input' ? inputRole : /^h[1-6]$/.test(tagName) ? 'heading' : '')
+      || (tagName === 'a' && !element.hasAttribute('href') ? '' : implicitRoles[tagName] || '');
+    return {
+      role,
+      name: clean(element.getAttribute('aria-label')) || labelText(element) || clean(element.getAttribute('alt'))
+        || clean(element.getAttribute('title')) || clean(element.getAttribute('placeholder')) || clean(element.innerText || element.textContent),
+      attributes: Object.fromEntries([...element.attributes]
+        .filter(attribute => attribute.name.startsWith('aria-'))
+        .map(attribute => [attribute.name, clean(attribute.value)]))
+    };
+  };
+
+  // Shadow hosts between the document and the element, outermost first
+  const hostPath = element => {
+    const hosts = [];
+    for (let root = element.getRootNode(); root && root.host; root = root.host.getRootNode()) {
+      const host = root.host;
+      hosts.unshift(host.id ? `${host.tagName.toLowerCase()}#${CSS.escape(host.id)}` : host.tagName.toLowerCase());
+    }
+    return hosts;
+  };
+
+  const describe = element => {
+    const box = element.getBoundingClientRect();
+    const parent = element.parentElement;
+    const path = [];
+    for (let node = parent; node && path.length < 4; node = node.parentElement) path.push(node.tagName.toLowerCase());
+    return {
+      selector: uniqueSelector(element),
+      shadowPath: hostPath(element),
+      aria: ariaInfo(element),
+      fingerprint: {
+        tag: element.tagName.toLowerCase(),
+        text: clean(element.innerText || element.value || element.textContent),
+        attributes: Object.fromEntries(attributes
+          .filter(name => element.hasAttribute(name))
+          .map(name => [name, clean(element.getAttribute(name))])),
+        neighbourhood: {
+          parentTag: parent ? parent.tagName.toLowerCase() : '',
+          label: labelText(element),
+          siblings: parent ? [...parent.children].filter(child => child !== element).slice(0, 10).map(child => child.tagName.toLowerCase()) : [],
+          path
+        },
+        box: { x: Math.round(box.x), y: Math.round(box.y), width: Math.round(box.width), height: Math.round(box.height) }
+      }
+    };
+  };
+
+  if (element) return describe(element);
+
+  const interactive = 'a, button, input, select, textarea, label, [role], [tabindex], [onclick]';
+  return [...document.querySelectorAll('body *')]
+    .filter(element => element.tagName.toLowerCase() === tag || element.matches(interactive))
+    .filter(element => {
+      const box = element.getBoundingClientRect();
+      return box.width > 0 && box.height > 0;
+    })
+    .slice(0, limit)
+    .map(describe);
+}
+
+/**
+ * Description of the element a selector matches right now, or null: { selector, shadowPath, aria,
+ * fingerprint }. Capture tools store it in the page object's sidecar
+ * @param {import('@playwright/test').Page|import('@playwright/test').Frame} scope - Page or frame
+ * @param {string} selector - Element selector
+ * @param {Object} options - { shadowPath } host selectors to descend through
+ */
+async function describeElement(scope, selector, { shadowPath = [] } = {}) {
+  // Playwright CSS pierces open shadow roots, so hosts chain like any other locator
+  const locator = [...shadowPath, selector].reduce((parent, part) => parent.locator(part), scope);
+  if (await locator.count() === 0) return null;
+  return await locator.first().evaluate(inspectElements, { attributes: ATTRIBUTES });
+}
+
+function tokens(value) {
+  return new Set(String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+}
+
+// Dice coefficient over word tokens; 1 when both sides are empty
+function textSimilarity(a, b) {
+  const left = tokens(a);
+  const right = tokens(b);
+  if (left.size === 0 && right.size === 0) return 1;
+  if (left.size === 0 || right.size === 0) return 0;
+  const shared = [...left].filter(token => right.has(token)).length;
+  return (2 * shared) / (left.size + right.size);
+}
+
+function listSimilarity(a = [], b = []) {
+  if (a.length === 0 && b.length === 0) return 1;
+  const right = [...b];
+  const shared = a.filter(item => {
+    const index = right.indexOf(item);
+    if (index === -1) return false;
+    right.splice(index, 1);
+    return true;
+  }).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+function attributeSimilarity(expected = {}, actual = {}) {
+  const names = Object.keys(expected).filter(name => expected[name] !== '');
+  if (names.length === 0) return null;
+  const total = names.reduce((sum, name) => {
+    if (!(name in actual)) return sum;
+    if (expected[name] === actual[name]) return sum + 1;
+    // A renamed class usually keeps some of its tokens (btn-primary -> btn-primary-v2)
+    return sum + textSimilarity(expected[name], actual[name]) * 0.8;
+  }, 0);
+  return total / names.length;
+}
+
+function neighbourhoodSimilarity(expected = {}, actual = {}) {
+  const parts = [
+    expected.parentTag === actual.parentTag ? 1 : 0,
+    listSimilarity(expected.siblings, actual.siblings),
+    listSimilarity(expected.path, actual.path)
+  ];
+  if (expected.label || actual.label) parts.push(textSimilarity(expected.label, actual.label));
+  return parts.reduce((sum, part) => sum + part, 0) / parts.length;
+}
+
+function boxSimilarity(expected, actual) {
+  if (!expected || !actual || !expected.width || !expected.height) return null;
+  const distance = Math.hypot(expected.x - actual.x, expected.y - actual.y);
+  const position = Math.max(0, 1 - distance / 500);
+  const size = (Math.min(expected.width, actual.width) / Math.max(expected.width, actual.width, 1)
+    + Math.min(expected.height, actual.height) / Math.max(expected.height, actual.height, 1)) / 2;
+  return (position + size) / 2;
+}
+
+/**
+ * Confidence (0-1) that a candidate element is the fingerprinted one. Signals missing from the
+ * fingerprint do not count against the candidate
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {Object} candidate - Fingerprint of a live element
+ * @returns {number} - Weighted similarity
+ */
+function scoreCandidate(fingerprint, candidate) {
+  const scores = {
+    tag: fingerprint.tag ? (fingerprint.tag === candidate.tag ? 1 : 0) : null,
+    text: fingerprint.text || candidate.text ? textSimilarity(fingerprint.text, candidate.text) : null,
+    attributes: attributeSimilarity(fingerprint.attributes, candidate.attributes),
+    neighbourhood: fingerprint.neighbourhood ? neighbourhoodSimilarity(fingerprint.neighbourhood, candidate.neighbourhood) : null,
+    box: boxSimilarity(fingerprint.box, candidate.box)
+  };
+  const used = Object.keys(WEIGHTS).filter(signal => scores[signal] !== null);
+  const weight = used.reduce((sum, signal) => sum + WEIGHTS[signal], 0);
+  if (weight === 0) return 0;
+  return used.reduce((sum, signal) => sum + WEIGHTS[signal] * scores[signal], 0) / weight;
+}
+
+/**
+ * Best candidate for a fingerprint: { selector, confidence, runnerUp } or null when nothing clears
+ * the threshold or two candidates are too close to call
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {Array<Object>} candidates - [{ selector, fingerprint }] of live elements
+ * @param {number} threshold - Minimum confidence
+ */
+function pickCandidate(fingerprint, candidates, threshold = healThreshold()) {
+  const ranked = candidates
+    .map(candidate => ({ selector: candidate.selector, confidence: scoreCandidate(fingerprint, candidate.fingerprint) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  const [best, runnerUp] = ranked;
+  if (!best || best.confidence < threshold) return null;
+  if (runnerUp && best.confidence - runnerUp.confidence < MIN_MARGIN) return null;
+  return { ...best, runnerUp: runnerUp ? runnerUp.confidence : 0 };
+}
+
+function quote(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Page object source with the locator constant pointed at its healed selector, or null when the
+ * constant is not found
+ */
+function applyHeal(content, { name, selector, healedSelector }) {
+  const original = selector.replace(/^xpath=/, '');
+  const literal = group => `(['"\`])(?:xpath=)?${escapeRegex(original)}\\${group}`;
+  const declaration = new RegExp(`(\\b${escapeRegex(name)}\\s*[=:]\\s*)(?:By\\.\\w+\\(\\s*${literal(2)}\\s*\\)|${literal(3)})`);
+  if (!declaration.test(content)) return null;
+  return content.replace(declaration, (match, prefix) => `${prefix}By.css(${quote(healedSelector)})`);
+}
+
+/**
+ * Write the heals of one page object as a patch (plus a JSON record) for review. Heals from the
+ * same run accumulate in one patch per page object
+ * @returns {string|null} - Patch path, or null when the page object or constant is missing
+ */
+function proposePatch(heal) {
+  if (!fs.existsSync(heal.pageFile)) return null;
+  const pageHeals = proposals.get(heal.pageFile) || [];
+  pageHeals.push(heal);
+  proposals.set(heal.pageFile, pageHeals);
+
+  const original = fs.readFileSync(heal.pageFile, 'utf8').replace(/\r\n/g, '\n');
+  const patched = pageHeals.reduce((content, entry) => applyHeal(content, entry) || content, original);
+  if (patched === original) return null;
+
+  const outputDir = process.env.AUTO_CODER_HEALING_DIR || path.join(process.cwd(), 'reports', 'self-healing');
+  const baseName = path.basename(heal.pageFile, '.js');
+  const label = path.relative(process.cwd(), heal.pageFile).split(path.sep).join('/');
+  fs.mkdirSync(outputDir, { recursive: true });
+  const patchFile = path.join(outputDir, `${baseName}.patch`);
+  fs.writeFileSync(patchFile, `${unifiedDiff(original, patched, label)}\n`);
+  fs.writeFileSync(path.join(outputDir, `${baseName}.json`), JSON.stringify({
+    pageFile: label,
+    generatedAt: new Date().toISOString(),
+    heals: pageHeals.map(({ name, selector, healedSelector, confidence, runnerUp, url }) => ({
+      name, selector, healedSelector, confidence: Number(confidence.toFixed(3)), runnerUp: Number(runnerUp.toFixed(3)), url
+    }))
+  }, null, 2));
+  return patchFile;
+}
+
+/**
+ * Find a replacement for a fingerprinted selector on the current page
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {string} selector - Selector that no longer matches
+ * @param {Object} entry - Stored fingerprint entry (looked up by selector when omitted)
+ * @returns {Promise<Object|null>} - { selector, confidence, name, pageFile } or null
+ */
+async function healSelector(page, selector, entry = findFingerprint(selector)) {
+  if (!entry) return null;
+
+  const candidates = await page.evaluate(inspectElements, {
+    tag: entry.fingerprint.tag,
+    attributes: ATTRIBUTES,
+    limit: MAX_CANDIDATES
+  });
+  const best = pickCandidate(entry.fingerprint, candidates);
+  if (!best) return null;
+  return { ...best, name: entry.name, pageFile: entry.pageFile };
+}
+
+/**
+ * Selector to act on: the given one while it matches, otherwise the fingerprint match (when
+ * confident enough). Selectors without a stored fingerprint are returned untouched
+ * @param {import('@playwright/test').Page} page - Playwright page
+ * @param {string} selector - Page object selector
+ * @param {Object} options - { timeout } ms to wait for the selector before healing: the action's own
+ *   timeout, 0 to check once without waiting, or undefined for the page's default timeout
+ * @returns {Promise<string>} - Selector to use
+ */
+async function resolveSelector(page, selector, { timeout = probeTimeout() } = {}) {
+  if (!isSelfHealingEnabled() || typeof selector !== 'string') return selector;
+  const key = healKey(page, selector);
+  if (healedSelectors.has(key)) return healedSelectors.get(key);
+  if (!findFingerprint(selector)) return selector;
+
+  try {
+    if (timeout !== 0) {
+      await page.waitForSelector(selector, timeout === undefined ? { state: 'attached' } : { state: 'attached', timeout });
+      return selector;
+    }
+    if (await page.locator(selector).count() > 0) return selector;
+  } catch (error) {
+    // Not attached within the timeout (or no longer a valid selector) - try the fingerprint
+  }
+
+  let heal;
+  try {
+    heal = await healSelector(page, selector);
+  } catch (error) {
+    console.warn(`⚠️  Self-healing failed for ${selector}: ${error.message}`);
+    return selector;
+  }
+  if (!heal) {
+    console.warn(`⚠️  No confident fingerprint match for ${selector} (threshold ${healThreshold()})`);
+    return selector;
+  }
+
+  healedSelectors.set(healKey(page, selector), heal.selector);
+  console.log(`🩹 Self-healed ${heal.name}: ${selector} -> ${heal.selector} (confidence ${heal.confidence.toFixed(2)})`);
+  const patchFile = proposePatch({
+    name: heal.name,
+    pageFile: heal.pageFile,
+    selector,
+    healedSelector: heal.selector,
+    confidence: heal.confidence,
+    runnerUp: heal.runnerUp,
+    url: page.url()
+  });
+  if (patchFile) console.log(`📝 Proposed page object patch: ${patchFile}`);
+  return heal.selector;
+}
+
+module.exports = {
+  FINGERPRINT_SUFFIX,
+  ATTRIBUTES,
+  inspectElements,
+  sidecarPath,
+  loadSidecar,
+  findFingerprint,
+  describeElement,
+  scoreCandidate,
+  pickCandidate,
+  healThreshold,
+  healSelector,
+  resolveSelector,
+  proposePatch,
+  resetSelfHealing
+};
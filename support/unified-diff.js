@@ -0,0 +1,118 @@
+/**
+ * Unified diff of two versions of a file
+ * Node built-ins only: used by self-healing patches at runtime and by the generator dry run
+ */
+
+const path = require('path');
+
+const CONTEXT_LINES = 3;
+const MAX_DIFF_CELLS = 4000000; // LCS table limit; larger files are shown as a full replacement
+
+function toLines(text) {
+  if (text === null || text === undefined || text === '') return [];
+  const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line edit script between two line arrays: [{ type: ' ' | '-' | '+', line }]
+ */
+function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = [];
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    a.forEach(line => middle.push({ type: '-', line }));
+    b.forEach(line => middle.push({ type: '+', line }));
+  } else {
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push({ type: ' ', line: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        middle.push({ type: '-', line: a[i++] });
+      } else {
+        middle.push({ type: '+', line: b[j++] });
+      }
+    }
+  }
+
+  return [
+    ...before.slice(0, start).map(line => ({ type: ' ', line })),
+    ...middle,
+    ...before.slice(endBefore).map(line => ({ type: ' ', line }))
+  ];
+}
+
+/**
+ * Unified diff (3 lines of context) of a file's current content against its planned content.
+ * previous is null for a new file; returns '' when nothing changes
+ */
+function unifiedDiff(previous, content, filePath) {
+  const edits = diffLines(toLines(previous), toLines(content));
+  if (!edits.some(edit => edit.type !== ' ')) return '';
+
+  const prefix = path.isAbsolute(filePath) ? '' : 'b/';
+  const header = [
+    `--- ${previous === null ? '/dev/null' : `${prefix && 'a/'}${filePath}`}`,
+    `+++ ${prefix}${filePath}`
+  ];
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  edits.forEach((edit, index) => {
+    if (edit.type === ' ') return;
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= CONTEXT_LINES * 2) {
+      last.end = index + 1;
+    } else {
+      hunks.push({ start: index, end: index + 1 });
+    }
+  });
+
+  const body = hunks.flatMap(hunk => {
+    const from = Math.max(0, hunk.start - CONTEXT_LINES);
+    const to = Math.min(edits.length, hunk.end + CONTEXT_LINES);
+    const before = edits.slice(0, from);
+    const slice = edits.slice(from, to);
+    const oldStart = before.filter(edit => edit.type !== '+').length;
+    const newStart = before.filter(edit => edit.type !== '-').length;
+    const oldCount = slice.filter(edit => edit.type !== '+').length;
+    const newCount = slice.filter(edit => edit.type !== '-').length;
+    return [
+      `@@ -${oldCount ? oldStart + 1 : oldStart},${oldCount} +${newCount ? newStart + 1 : newStart},${newCount} @@`,
+      ...slice.map(edit => `${edit.type}${edit.line}`)
+    ];
+  });
+
+  return [...header, ...body].join('\n');
+}
+
+module.exports = {
+  toLines,
+  diffLines,
+  unifiedDiff
+};
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for runtime resolution of API environment placeholders (support/api-environment.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiEnvironment = require('../../support/api-environment');
+
+const ENV_KEYS = ['ADP_ENV', 'API_BASE_URL', 'API_SECRETS_FILE', 'API_INSECURE_TLS', 'API_TOKEN'];
+
+describe('ApiEnvironment', () => {
+    const saved = {};
+    let dir;
+
+    beforeEach(() => {
+        ENV_KEYS.forEach(key => {
+            saved[key] = process.env[key];
+            delete process.env[key];
+        });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-environment-'));
+        process.env.API_SECRETS_FILE = path.join(dir, 'secrets.json');
+    });
+
+    afterEach(() => {
+        ENV_KEYS.forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('maps portal environment names onto config keys', () => {
+        expect(ApiEnvironment.current()).toBe('fit');
+        process.env.ADP_ENV = 'QAFIT';
+        expect(ApiEnvironment.current()).toBe('fit');
+        expect(ApiEnvironment.normalize('Production')).toBe('prod');
+        expect(ApiEnvironment.normalize('iat')).toBe('iat');
+    });
+
+    test('reads the API host from the config unless API_BASE_URL overrides it', () => {
+        expect(ApiEnvironment.baseUrl('iat')).toBe('https://runtoolapiportal-iat.nj.adp.com');
+        process.env.API_BASE_URL = 'http://localhost:3000/';
+        expect(ApiEnvironment.baseUrl('iat')).toBe('http://localhost:3000');
+    });
+
+    test('requires API_BASE_URL for environments without an apiBaseUrl', () => {
+        expect(() => ApiEnvironment.baseUrl('prod')).toThrow('API_BASE_URL is required for "prod"');
+    });
+
+    test('reads secrets from the environment, then the scoped vault, then the shared vault', () => {
+        fs.writeFileSync(process.env.API_SECRETS_FILE, JSON.stringify({ API_TOKEN: 'shared', API_KEY: '', fit: { API_TOKEN: 'fit-token' } }));
+
+        expect(ApiEnvironment.secret('API_TOKEN', 'fit')).toBe('fit-token');
+        expect(ApiEnvironment.secret('API_TOKEN', 'iat')).toBe('shared');
+        expect(ApiEnvironment.missingSecrets(['API_TOKEN', 'API_KEY'], 'iat')).toEqual(['API_KEY']);
+        process.env.API_TOKEN = 'from-env';
+        expect(ApiEnvironment.secret('API_TOKEN', 'fit')).toBe('from-env');
+    });
+
+    test('resolves baseUrl and secret placeholders and leaves flow variables alone', () => {
+        process.env.API_BASE_URL = 'https://api.test';
+        process.env.API_TOKEN = 'abc';
+
+        expect(ApiEnvironment.resolve('{{baseUrl}}/users/{{userId}}')).toBe('https://api.test/users/{{userId}}');
+        expect(ApiEnvironment.resolveAll({ Authorization: 'Bearer {{secret:API_TOKEN}}', Accept: 'application/json' }))
+            .toEqual({ Authorization: 'Bearer abc', Accept: 'application/json' });
+        expect(ApiEnvironment.resolve(42)).toBe(42);
+        expect(() => ApiEnvironment.resolve('{{secret:API_MISSING}}')).toThrow('Secret API_MISSING is not set');
+    });
+
+    test('only skips TLS checks when the environment or API_INSECURE_TLS allows it', () => {
+        expect(ApiEnvironment.allowsInsecureTls('iat')).toBe(false);
+        process.env.API_INSECURE_TLS = 'true';
+        expect(ApiEnvironment.allowsInsecureTls('iat')).toBe(true);
+    });
+});
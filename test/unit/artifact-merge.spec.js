@@ -0,0 +1,175 @@
+/**
+ * Unit tests for the three-way merge of regenerated artifacts (src/utils/artifact-merge.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BASE_DIR, basePath, splitUnits, mergeArtifact, planGeneratedFile, writeGeneratedFile } = require('../../src/utils/artifact-merge');
+
+const steps = (...definitions) => [
+    'const { Given } = require(\'@cucumber/cucumber\');',
+    '',
+    ...definitions.map(([text, body]) => `Given('${text}', async function () {\n    ${body}\n});\n`)
+].join('\n');
+
+const feature = (...scenarios) => [
+    'Feature: Payroll',
+    '',
+    ...scenarios.map(([name, stepLine]) => `  Scenario: ${name}\n    ${stepLine}\n`)
+].join('\n');
+
+describe('splitUnits', () => {
+    test('splits step definitions into declaration and step units', () => {
+        const units = splitUnits(steps(['I open the page', 'await this.page.open();'], ['I save', 'await this.page.save();']), 'js');
+        expect(units.map(unit => unit.key)).toEqual(['decl:{Given}', 'step:I open the page', 'step:I save']);
+    });
+
+    test('splits classes into header, members, closing brace and exports', () => {
+        const page = 'class HomePage {\n    constructor(page) {\n        this.page = page;\n    }\n\n    async open() {\n        await this.page.goto(\'/\');\n    }\n}\n\nmodule.exports = HomePage;\n';
+        expect(splitUnits(page, 'js').map(unit => unit.key))
+            .toEqual(['class:HomePage', 'method:HomePage.constructor', 'method:HomePage.open', 'class-end:HomePage', 'exports']);
+    });
+
+    test('splits features into the header, Background and Scenario units', () => {
+        const text = 'Feature: Payroll\n\n  Background:\n    Given I am logged in\n\n  Scenario: Run payroll\n    Then it runs\n';
+        expect(splitUnits(text, 'feature').map(unit => unit.key)).toEqual(['feature', 'background', 'scenario:Run payroll']);
+    });
+});
+
+describe('mergeArtifact', () => {
+    const filePath = 'home-steps.js';
+    const base = steps(['I open the page', 'await this.page.open();'], ['I save', 'await this.page.save();']);
+
+    test('takes generator changes to units that were not edited by hand', () => {
+        const user = steps(['I open the page', 'await this.page.open({ fresh: true });'], ['I save', 'await this.page.save();']);
+        const generated = steps(['I open the page', 'await this.page.open();'], ['I save', 'await this.page.saveAll();']);
+
+        const result = mergeArtifact({ base, user, generated, filePath });
+
+        expect(result.content).toContain('open({ fresh: true })');
+        expect(result.content).toContain('saveAll()');
+        expect(result.kept).toEqual(['step:I open the page']);
+        expect(result.updated).toEqual(['step:I save']);
+        expect(result.conflicts).toEqual([]);
+    });
+
+    test('keeps the hand edit and reports a conflict when both sides changed a unit', () => {
+        const user = steps(['I open the page', 'await this.page.openByHand();'], ['I save', 'await this.page.save();']);
+        const generated = steps(['I open the page', 'await this.page.openGenerated();'], ['I save', 'await this.page.save();']);
+
+        const result = mergeArtifact({ base, user, generated, filePath });
+
+        expect(result.content).toContain('openByHand()');
+        expect(result.content).not.toContain('openGenerated()');
+        expect(result.conflicts).toEqual(['step:I open the page']);
+    });
+
+    test('treats every differing unit as a conflict when there is no base', () => {
+        const user = steps(['I open the page', 'await this.page.openByHand();']);
+        const generated = steps(['I open the page', 'await this.page.open();']);
+
+        expect(mergeArtifact({ base: null, user, generated, filePath }).conflicts).toEqual(['step:I open the page']);
+    });
+
+    test('keeps units added by hand after their predecessor', () => {
+        const user = steps(['I open the page', 'await this.page.open();'], ['I log out', 'await this.page.logout();'], ['I save', 'await this.page.save();']);
+
+        const { content } = mergeArtifact({ base, user, generated: base, filePath });
+
+        expect(content.indexOf('I open the page')).toBeLessThan(content.indexOf('I log out'));
+        expect(content.indexOf('I log out')).toBeLessThan(content.indexOf('I save'));
+    });
+
+    test('never touches units marked auto-coder:keep', () => {
+        const user = steps(['I open the page', '// auto-coder:keep\n    await this.page.openByHand();'], ['I save', 'await this.page.save();']);
+        const generated = steps(['I open the page', 'await this.page.openGenerated();'], ['I save', 'await this.page.save();']);
+
+        const result = mergeArtifact({ base, user, generated, filePath });
+
+        expect(result.content).toContain('openByHand()');
+        expect(result.kept).toContain('step:I open the page');
+        expect(result.conflicts).toEqual([]);
+    });
+
+    test('merges feature files scenario by scenario', () => {
+        const featureBase = feature(['One', 'Given a'], ['Two', 'Given b']);
+        const user = feature(['One', 'Given a edited'], ['Two', 'Given b']);
+        const generated = feature(['One', 'Given a'], ['Two', 'Given b regenerated']);
+
+        const result = mergeArtifact({ base: featureBase, user, generated, filePath: 'payroll.feature' });
+
+        expect(result.content).toBe(feature(['One', 'Given a edited'], ['Two', 'Given b regenerated']));
+    });
+
+    test('merges other files as a whole', () => {
+        expect(mergeArtifact({ base: 'a', user: 'a', generated: 'b', filePath: 'notes.txt' }).content).toBe('b');
+        expect(mergeArtifact({ base: 'a', user: 'mine', generated: 'a', filePath: 'notes.txt' }).content).toBe('mine');
+        expect(mergeArtifact({ base: 'a', user: 'mine', generated: 'b', filePath: 'notes.txt' }).conflicts).toEqual(['file']);
+    });
+});
+
+describe('planGeneratedFile / writeGeneratedFile', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifact-merge-'));
+        // The temp dir plays the project root holding the .auto-coder state directory
+        jest.spyOn(process, 'cwd').mockReturnValue(dir);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('keeps every base in the state directory at the project root', () => {
+        expect(basePath(path.join(dir, 'steps', 'home-steps.js'))).toBe(path.join(dir, BASE_DIR, 'steps', 'home-steps.js.base'));
+        expect(basePath('features/home.feature')).toBe(path.join(dir, BASE_DIR, 'features', 'home.feature.base'));
+        expect(basePath(path.join(path.dirname(dir), 'elsewhere', 'home-page.js')))
+            .toBe(path.join(dir, BASE_DIR, 'external', path.dirname(dir).replace(/^[\\/]+/, ''), 'elsewhere', 'home-page.js.base'));
+    });
+
+    test('creates the file and stores the output as the next base', () => {
+        const filePath = path.join(dir, 'steps', 'home-steps.js');
+        const content = steps(['I open the page', 'await this.page.open();']);
+
+        expect(planGeneratedFile(filePath, content).status).toBe('created');
+        writeGeneratedFile(filePath, content);
+
+        expect(fs.readFileSync(filePath, 'utf8')).toBe(content);
+        expect(fs.readFileSync(path.join(dir, BASE_DIR, 'steps', 'home-steps.js.base'), 'utf8')).toBe(content);
+        expect(fs.existsSync(path.join(dir, 'steps', BASE_DIR))).toBe(false);
+        expect(planGeneratedFile(filePath, content).status).toBe('unchanged');
+    });
+
+    test('overwrites untouched files and merges edited ones', () => {
+        const filePath = path.join(dir, 'home-steps.js');
+        const first = steps(['I open the page', 'await this.page.open();'], ['I save', 'await this.page.save();']);
+        writeGeneratedFile(filePath, first);
+
+        const second = steps(['I open the page', 'await this.page.open();'], ['I save', 'await this.page.saveAll();']);
+        expect(planGeneratedFile(filePath, second).status).toBe('updated');
+
+        fs.writeFileSync(filePath, first.replace('this.page.open()', 'this.page.openByHand()'));
+        const plan = planGeneratedFile(filePath, second);
+        expect(plan.status).toBe('merged');
+        expect(plan.content).toContain('openByHand()');
+        expect(plan.content).toContain('saveAll()');
+    });
+
+    test('writes the new output next to the file on conflict and keeps CRLF line endings', () => {
+        const filePath = path.join(dir, 'home-steps.js');
+        const first = steps(['I open the page', 'await this.page.open();']);
+        writeGeneratedFile(filePath, first);
+        fs.writeFileSync(filePath, first.replace('this.page.open()', 'this.page.openByHand()').replace(/\n/g, '\r\n'));
+
+        const second = steps(['I open the page', 'await this.page.openGenerated();']);
+        const result = writeGeneratedFile(filePath, second);
+
+        expect(result.status).toBe('conflict');
+        expect(fs.readFileSync(filePath, 'utf8')).toContain('openByHand();\r\n');
+        expect(fs.readFileSync(`${filePath}.generated`, 'utf8')).toBe(second);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for the By locator helpers (support/By.js)
+ */
+
+const By = require('../../support/By');
+const { parseRecording } = require('../../src/utils/recording-parser');
+
+describe('By', () => {
+    test('builds flat selectors', () => {
+        expect(By.testId('save')).toBe('[data-testid="save"]');
+        expect(By.xpath('//button')).toBe('xpath=//button');
+        expect(By.role('button', { name: 'Save', exact: true })).toBe('role=button[name="Save"s]');
+        expect(By.label('Email')).toBe('internal:label="Email"i');
+        expect(By.label('Say "hi"', { exact: true })).toBe('internal:label="Say \\"hi\\""s');
+    });
+
+    test('nests chains, frames, shadow roots, nth and hasText', () => {
+        const row = By.hasText(By.role('row'), 'Ana');
+
+        expect(By.within('iframe#payroll', By.chain(row, By.role('button', { name: 'Edit' }))))
+            .toBe('iframe#payroll >> internal:control=enter-frame >> role=row >> internal:has-text="Ana"i >> role=button[name="Edit"]');
+        expect(By.within('iframe#outer', By.within('iframe#inner', '#save')))
+            .toBe('iframe#outer >> internal:control=enter-frame >> iframe#inner >> internal:control=enter-frame >> #save');
+        expect(By.nth(By.shadow('sfc-shell-left-nav', 'li'), -1)).toBe('sfc-shell-left-nav >> li >> nth=-1');
+    });
+
+    test('attaches relative pseudo-classes to the last CSS step', () => {
+        expect(By.near('input', '#email-label')).toBe('input:near(#email-label)');
+        expect(By.below(By.chain('form', 'button'), '#total', 200)).toBe('form >> button:below(#total, 200)');
+        expect(By.above('.hint', 'input')).toBe('.hint:above(input)');
+    });
+
+    test('rejects relative locators that Playwright cannot express', () => {
+        expect(() => By.near('input', By.xpath('//label'))).toThrow('By.near anchor must be a CSS selector, got: xpath=//label');
+        expect(() => By.below(By.role('button'), '#total')).toThrow('By.below needs a CSS selector to attach to, got: role=button');
+    });
+});
+
+describe('recorded locators', () => {
+    test('emit By expressions that build the recorded selector', () => {
+        const { locators } = parseRecording([
+            'await page.frameLocator(\'iframe#payroll\').getByRole(\'row\').filter({ hasText: \'Ana\' }).getByRole(\'button\', { name: \'Edit\' }).click();',
+            'await page.locator(\'sfc-shell\').locator(\'li\').nth(2).click();',
+            'await page.getByLabel(\'Email\').fill(\'ana@example.com\');'
+        ].join('\n'));
+
+        expect(locators.map(locator => locator.by)).toEqual([
+            'By.within(\'iframe#payroll\', By.chain(By.hasText(By.role(\'row\'), \'Ana\'), By.role(\'button\', { name: \'Edit\' })))',
+            'By.nth(By.chain(By.css(\'sfc-shell\'), By.css(\'li\')), 2)',
+            'By.label(\'Email\')'
+        ]);
+        locators.forEach(locator => {
+            const built = new Function('By', `return ${locator.by};`)(By);
+            expect(built).toBe([...locator.frames, locator.selector].join(' >> internal:control=enter-frame >> '));
+        });
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for criteria table detection and Scenario Outline skeletons (src/utils/criteria-tables.js)
+ */
+
+const { splitRow, isSeparatorRow, findCriteriaTables, tableToOutline, extractOutlines } = require('../../src/utils/criteria-tables');
+
+const text = (...lines) => lines.join('\n');
+
+describe('splitRow / isSeparatorRow', () => {
+    test('splits markdown and JIRA wiki rows and keeps escaped pipes', () => {
+        expect(splitRow('| hours | rate \\| unit |')).toEqual(['hours', 'rate | unit']);
+        expect(splitRow('|| Hours || Rate ||')).toEqual(['Hours', 'Rate']);
+    });
+
+    test('recognizes markdown separator rows', () => {
+        expect(isSeparatorRow(['---', ':---:', '---:'])).toBe(true);
+        expect(isSeparatorRow(['--', 'x'])).toBe(false);
+    });
+});
+
+describe('findCriteriaTables', () => {
+    test('finds tables with their lead line, skipping separators', () => {
+        const [table] = findCriteriaTables(text(
+            'Story text',
+            '',
+            '- **Overtime pay:**',
+            '',
+            '| Hours | Expected pay |',
+            '|-------|--------------|',
+            '| 40    | 800          |',
+            '| 45    | 950          |'
+        ));
+
+        expect(table).toEqual({ header: ['Hours', 'Expected pay'], rows: [['40', '800'], ['45', '950']], lead: 'Overtime pay', startLine: 4, endLine: 7 });
+    });
+
+    test('drops the lead when it is the acceptance criteria heading', () => {
+        expect(findCriteriaTables(text('Acceptance Criteria:', '| a | b |', '| 1 | 2 |'))[0].lead).toBe('');
+    });
+
+    test('skips step data tables and Examples but not a table after a blank line below a step', () => {
+        expect(findCriteriaTables(text('When I add the employees', '| name | rate |', '| Ana | 20 |'))).toEqual([]);
+        expect(findCriteriaTables(text('Examples:', '', '| state | tax |', '| NY | 4% |'))).toEqual([]);
+        expect(findCriteriaTables(text('Then the rates are shown', '', '| state | rate |', '| NY | 15 |'))).toEqual([
+            expect.objectContaining({ header: ['state', 'rate'], lead: '' })
+        ]);
+    });
+
+    test('skips tables without data rows or with ragged rows', () => {
+        expect(findCriteriaTables(text('| a | b |'))).toEqual([]);
+        expect(findCriteriaTables(text('| a |', '| 1 |'))).toEqual([]);
+        expect(findCriteriaTables(text('| a | b |', '| 1 |'))).toEqual([]);
+    });
+});
+
+describe('tableToOutline', () => {
+    test('turns input columns into Given steps and result columns into Then steps', () => {
+        const outline = tableToOutline({ header: ['Hours', 'State', 'Expected pay'], rows: [['40', 'NY', '800']], lead: '' });
+
+        expect(outline).toEqual(expect.objectContaining({
+            name: 'pay by hours and state',
+            steps: [
+                'Given the hours is <hours>',
+                'And the state is "<state>"',
+                'When the details are processed',
+                'Then the pay should be <pay>'
+            ],
+            examples: [{ hours: '40', state: 'NY', pay: '800' }]
+        }));
+    });
+
+    test('treats the last column as the result when no header reads like one', () => {
+        const outline = tableToOutline({ header: ['Plan', 'Plan', 'Fee (USD)'], rows: [['A', 'B', '9.99']] }, { name: 'Fees', action: 'I open billing' });
+
+        expect(outline.name).toBe('Fees');
+        expect(outline.columns.map(column => [column.param, column.output])).toEqual([['plan', false], ['plan_2', false], ['fee', true]]);
+        expect(outline.steps).toContain('When I open billing');
+    });
+});
+
+describe('extractOutlines', () => {
+    test('builds one outline per criteria table named after its lead', () => {
+        const outlines = extractOutlines(text('Tax by state', '| State | Tax |', '| NY | 4% |', '', 'Fee by plan', '| Plan | Fee |', '| A | 10 |'));
+        expect(outlines.map(outline => outline.name)).toEqual(['Tax by state', 'Fee by plan']);
+    });
+});
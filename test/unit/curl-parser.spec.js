@@ -0,0 +1,143 @@
+/**
+ * Unit tests for the shared cURL tokenizer and request model (src/utils/curl-parser.js)
+ */
+
+const { tokenizeCurl, parseCurl, parseCurlCommands, parseAnnotations } = require('../../src/utils/curl-parser');
+
+const values = input => tokenizeCurl(input).tokens.map(token => token.value);
+
+describe('tokenizeCurl', () => {
+    test('splits on whitespace and strips single and double quotes', () => {
+        expect(values(`curl -H 'Accept: application/json' "https://api.example.com/users"`))
+            .toEqual(['curl', '-H', 'Accept: application/json', 'https://api.example.com/users']);
+    });
+
+    test('marks quoted tokens', () => {
+        const { tokens } = tokenizeCurl(`curl 'a' b`);
+        expect(tokens.map(token => token.quoted)).toEqual([false, true, false]);
+    });
+
+    test('joins backslash and cmd.exe caret line continuations', () => {
+        expect(values('curl \\\n  -X POST \\\r\n  https://a.test')).toEqual(['curl', '-X', 'POST', 'https://a.test']);
+        expect(values('curl ^\n  -X PUT ^\n  https://a.test')).toEqual(['curl', '-X', 'PUT', 'https://a.test']);
+    });
+
+    test('decodes ANSI-C quoted strings', () => {
+        expect(values(`curl --data $'line1\\nline2\\t\\'x\\''`)).toEqual(['curl', '--data', 'line1\nline2\t\'x\'']);
+    });
+
+    test('keeps escaped characters inside double quotes', () => {
+        expect(values('curl -d "{\\"name\\":\\"a b\\"}"')).toEqual(['curl', '-d', '{"name":"a b"}']);
+    });
+
+    test('stops at the end of the shell command', () => {
+        for (const separator of ['\n', ';', ' | jq .', ' && echo done']) {
+            expect(values(`curl https://a.test${separator}`)).toEqual(['curl', 'https://a.test']);
+        }
+    });
+
+    test('skips comments between tokens but keeps # inside a token', () => {
+        expect(values('curl https://a.test/#anchor # trailing comment')).toEqual(['curl', 'https://a.test/#anchor']);
+    });
+
+    test('ends the token at a second command glued onto a closing quote', () => {
+        const input = `curl --data ''curl --location https://b.test`;
+        const { tokens, end } = tokenizeCurl(input);
+        expect(tokens.map(token => token.value)).toEqual(['curl', '--data', '']);
+        expect(input.slice(end)).toBe('curl --location https://b.test');
+    });
+});
+
+describe('parseCurl', () => {
+    test('builds the request model from headers, JSON data and auth', () => {
+        const model = parseCurl(`curl -X post 'https://api.example.com/v1/users?active=true' \\
+            -H 'Content-Type: application/json' \\
+            -H 'Authorization: Bearer abc123' \\
+            --data-raw '{"name":"Ana"}'`);
+
+        expect(model.method).toBe('POST');
+        expect(model.baseUrl).toBe('https://api.example.com');
+        expect(model.path).toBe('/v1/users');
+        expect(model.query).toEqual({ active: 'true' });
+        expect(model.headers['Content-Type']).toBe('application/json');
+        expect(model.auth).toEqual(expect.objectContaining({ type: 'bearer', token: 'abc123' }));
+        expect(model.body.json).toEqual({ name: 'Ana' });
+        expect(model.hasData).toBe(true);
+    });
+
+    test('defaults the method from the data and flags', () => {
+        expect(parseCurl('curl https://a.test').method).toBe('GET');
+        expect(parseCurl('curl -d a=1 https://a.test').method).toBe('POST');
+        expect(parseCurl('curl -I https://a.test').method).toBe('HEAD');
+    });
+
+    test('moves the data into the query string with -G', () => {
+        const model = parseCurl('curl -G -d q=term https://a.test/search');
+        expect(model.method).toBe('GET');
+        expect(model.url).toBe('https://a.test/search?q=term');
+        expect(model.hasData).toBe(false);
+    });
+
+    test('accepts attached short option values and bundled flags', () => {
+        const model = parseCurl('curl -sSL -XDELETE https://a.test/items/1');
+        expect(model.method).toBe('DELETE');
+        expect(model.flags).toEqual(expect.objectContaining({ silent: true, 'show-error': true, location: true }));
+    });
+
+    test('adds a scheme to bare hosts', () => {
+        expect(parseCurl('curl localhost:3000/health').url).toBe('http://localhost:3000/health');
+    });
+
+    test('returns null without a URL', () => {
+        expect(parseCurl('curl -X GET')).toBeNull();
+    });
+});
+
+describe('parseCurlCommands', () => {
+    test('finds every command in prose and attaches annotation comments to the next one', () => {
+        const commands = parseCurlCommands([
+            'Log in first:',
+            '# @extract token=$.accessToken',
+            `curl -X POST https://a.test/login -d '{"user":"a"}'`,
+            '',
+            'Then fetch the profile:',
+            '# @name Profile',
+            'curl https://a.test/me -H "Authorization: Bearer {{token}}"'
+        ].join('\n'));
+
+        expect(commands.map(command => `${command.method} ${command.path}`)).toEqual(['POST /login', 'GET /me']);
+        expect(commands[0].annotations).toEqual([{ name: 'extract', value: 'token=$.accessToken' }]);
+        expect(commands[1].annotations).toEqual([{ name: 'name', value: 'Profile' }]);
+        expect(commands[1].originalCommand).toBe('curl https://a.test/me -H "Authorization: Bearer {{token}}"');
+    });
+
+    test('drops commands without a URL', () => {
+        expect(parseCurlCommands('curl --help\ncurl https://a.test')).toHaveLength(1);
+    });
+
+    test('only starts a command at the start of a line or after a shell separator', () => {
+        const commands = parseCurlCommands('Paste the curl command below:\ncurl https://a.com/x');
+        expect(commands.map(command => command.url)).toEqual(['https://a.com/x']);
+        expect(parseCurlCommands('$ curl https://a.test/a; curl https://a.test/b && curl https://a.test/c')).toHaveLength(3);
+        expect(parseCurlCommands('TOKEN=$(curl -s https://a.test/token)')).toHaveLength(1);
+    });
+
+    test('rejects a command whose first argument is not a URL or host', () => {
+        expect(parseCurlCommands('curl command\ncurl is installed')).toEqual([]);
+        expect(parseCurlCommands('curl {{baseUrl}}/users\ncurl $API_URL/users\ncurl api.example.com:8443')).toHaveLength(3);
+    });
+
+    test('starts a second command glued onto a closing quote', () => {
+        const commands = parseCurlCommands(`curl --data '' https://a.test/a''curl --location https://b.test/b`);
+        expect(commands.map(command => command.url)).toEqual(['https://a.test/a', 'https://b.test/b']);
+    });
+});
+
+describe('parseAnnotations', () => {
+    test('reads # and // annotation comments', () => {
+        expect(parseAnnotations('# @Use {{orderId}}\n// @extract id=$.id\nplain text')).toEqual([
+            { name: 'use', value: '{{orderId}}' },
+            { name: 'extract', value: 'id=$.id' }
+        ]);
+    });
+});
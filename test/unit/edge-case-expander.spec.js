@@ -0,0 +1,102 @@
+/**
+ * Unit tests for negative and boundary scenario expansion (src/utils/edge-case-expander.js)
+ */
+
+const { formatGherkin, parseGherkin, feature } = require('../../src/utils/gherkin-document');
+const {
+    parseExpansionKinds,
+    expandEdgeCases,
+    findRequiredFields,
+    findNumericLimits,
+    findDateFields,
+    findDeniedRoles
+} = require('../../src/utils/edge-case-expander');
+
+const userRoles = {
+    admin: { permissions: ['all'] },
+    payrollClerk: { permissions: ['payroll'] },
+    viewer: { permissions: ['reports'] }
+};
+
+describe('parseExpansionKinds', () => {
+    test('accepts a flag, a list or an array', () => {
+        expect(parseExpansionKinds(true)).toEqual(['negative', 'boundary']);
+        expect(parseExpansionKinds('boundary, negative,boundary')).toEqual(['boundary', 'negative']);
+        expect(parseExpansionKinds(['Negative'])).toEqual(['negative']);
+        expect(parseExpansionKinds(undefined)).toEqual([]);
+    });
+
+    test('rejects unknown kinds', () => {
+        expect(() => parseExpansionKinds('negative,fuzz')).toThrow('Unknown expansion kind "fuzz" (expected: negative, boundary)');
+    });
+});
+
+describe('requirement analysis', () => {
+    test('finds required fields from sentences, lists and page inputs', () => {
+        const text = 'The employee name is required. Required fields: email, hire date and department. Fill the middle name field.';
+        expect(findRequiredFields(text, ['Pay Rate'])).toEqual(['employee name', 'email', 'hire date', 'department', 'middle name', 'pay rate']);
+    });
+
+    test('finds numeric and length limits', () => {
+        expect(findNumericLimits('Age must be between 18 and 80. Notes can have up to 250 characters. Hours must be at least 0.5')).toEqual([
+            { field: 'age', min: 18, max: 80, length: false },
+            { field: 'hours', min: 0.5, max: undefined, length: false },
+            { field: 'notes', min: undefined, max: 250, length: true }
+        ]);
+    });
+
+    test('finds date fields but not "up to date"', () => {
+        expect(findDateFields('Enter the hire date and date of birth; keep records up to date')).toEqual(['hire date', 'date of birth']);
+    });
+
+    test('denies roles without any permission the requirement mentions', () => {
+        expect(findDeniedRoles('Submit payroll for the period', userRoles)).toEqual(['viewer']);
+        expect(findDeniedRoles('Open the dashboard', userRoles)).toEqual([]);
+    });
+});
+
+describe('expandEdgeCases', () => {
+    const analysis = {
+        text: 'The employee email is required. Salary must be between 1000 and 9999.99. Enter the start date to submit payroll.',
+        entities: [{ entity: 'employee' }],
+        actions: ['add'],
+        roles: ['payrollClerk']
+    };
+
+    test('adds nothing unless asked', () => {
+        expect(expandEdgeCases(analysis, undefined, { userRoles })).toEqual([]);
+    });
+
+    test('builds @negative outlines for required fields, formats, permissions and leaving the page', () => {
+        const scenarios = expandEdgeCases(analysis, 'negative', { userRoles });
+
+        expect(scenarios.map(scenario => scenario.name)).toEqual([
+            'Reject employee without a required field',
+            'Reject employee with an invalid format',
+            'Deny add employee for roles without access',
+            'Leave add employee without saving'
+        ]);
+        expect(scenarios.every(scenario => scenario.tags.includes('@negative'))).toBe(true);
+        expect(scenarios[1].examples[0].table.rows).toEqual([['field', 'value'], ['email', 'not-an-email']]);
+        expect(scenarios[2].examples[0].table.rows).toEqual([['role'], ['viewer']]);
+    });
+
+    test('builds @boundary outlines just inside and outside each limit', () => {
+        const scenarios = expandEdgeCases(analysis, 'boundary', { userRoles });
+
+        expect(scenarios.map(scenario => scenario.name)).toEqual(['Salary boundary values', 'Start date boundary values']);
+        expect(scenarios[0].examples[0].table.rows).toEqual([
+            ['value', 'outcome'],
+            ['999', 'rejected'],
+            ['1000', 'accepted'],
+            ['9999.99', 'accepted'],
+            ['10000', 'rejected']
+        ]);
+    });
+
+    test('produces valid Gherkin', () => {
+        const text = formatGherkin(feature({ name: 'Employees', children: expandEdgeCases(analysis, 'all', { userRoles }) }));
+        expect(formatGherkin(parseGherkin(text))).toBe(text);
+        expect(text).toContain('  @negative @permissions\n  Scenario Outline: Deny add employee for roles without access');
+    });
+});
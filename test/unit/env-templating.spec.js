@@ -0,0 +1,95 @@
+/**
+ * Unit tests for environment templating of parsed requests (src/utils/env-templating.js)
+ */
+
+const { parseCurl } = require('../../src/utils/curl-parser');
+const { templateBaseUrl, templateRequest, buildCurlCommand, hasEnvironmentPlaceholders } = require('../../src/utils/env-templating');
+
+const environments = { fit: 'https://api-fit.example.com', iat: 'https://api-iat.example.com' };
+const template = command => templateRequest(parseCurl(command), { environments, warn: false });
+
+describe('templateBaseUrl', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('replaces a known host and keeps the path prefix', () => {
+        expect(templateBaseUrl('https://api-iat.example.com/v1', { environments })).toBe('{{baseUrl}}/v1');
+        expect(templateBaseUrl('https://API-FIT.example.com', { environments })).toBe('{{baseUrl}}');
+    });
+
+    test('keeps unknown hosts and warns unless told not to', () => {
+        expect(templateBaseUrl('https://api-fit.example.company', { environments })).toBe('https://api-fit.example.company');
+        expect(console.log).toHaveBeenCalledTimes(1);
+        templateBaseUrl('https://other.test', { environments, warn: false });
+        expect(console.log).toHaveBeenCalledTimes(1);
+        expect(templateBaseUrl('/v1', { environments })).toBe('/v1');
+    });
+});
+
+describe('templateRequest', () => {
+    test('templates the host of known environments in the URL, headers and command', () => {
+        const request = template(`curl https://api-fit.example.com/users?page=2 -H 'Origin: https://api-fit.example.com'`);
+
+        expect(request.url).toBe('{{baseUrl}}/users?page=2');
+        expect(request.baseUrl).toBe('{{baseUrl}}');
+        expect(request.headers.Origin).toBe('{{baseUrl}}');
+        expect(request.originalCommand).toBe(`curl {{baseUrl}}/users?page=2 -H 'Origin: {{baseUrl}}'`);
+    });
+
+    test('moves bearer tokens, cookies and API keys into secrets', () => {
+        const request = template([
+            'curl https://api-fit.example.com/me',
+            `-H 'Authorization: Bearer abc.def.ghi'`,
+            `-H 'Cookie: session=s3cr3t'`,
+            `-H 'X-Api-Key: key-123'`
+        ].join(' '));
+
+        expect(request.headers).toEqual({
+            Authorization: 'Bearer {{secret:API_TOKEN}}',
+            Cookie: '{{secret:API_COOKIE}}',
+            'X-Api-Key': '{{secret:API_KEY}}'
+        });
+        expect(request.secrets.sort()).toEqual(['API_COOKIE', 'API_KEY', 'API_TOKEN']);
+        expect(request.originalCommand).not.toMatch(/abc\.def\.ghi|s3cr3t|key-123/);
+    });
+
+    test('rewrites -u credentials and secret-named body and query fields', () => {
+        const request = template(`curl -u ana:hunter2 'https://api-fit.example.com/login?client_secret=xyz9' -d '{"user":"ana","password":"hunter2"}'`);
+
+        expect(request.body.json).toEqual({ user: 'ana', password: '{{secret:API_PASSWORD}}' });
+        expect(request.query.client_secret).toBe('{{secret:API_CLIENT_SECRET}}');
+        expect(request.secrets).toEqual(expect.arrayContaining(['API_USERNAME', 'API_PASSWORD', 'API_CLIENT_SECRET']));
+        expect(request.originalCommand).toContain('-u {{secret:API_USERNAME}}:{{secret:API_PASSWORD}}');
+        expect(request.originalCommand).not.toContain('hunter2');
+        expect(request.originalCommand).not.toContain('xyz9');
+    });
+
+    test('names secrets with the given prefix and leaves existing placeholders alone', () => {
+        const request = templateRequest(parseCurl(`curl https://api-fit.example.com/me -H 'Authorization: Bearer {{token}}' -H 'X-Auth-Token: t0k3n'`), {
+            environments,
+            secretPrefix: 'payroll'
+        });
+
+        expect(request.headers.Authorization).toBe('Bearer {{token}}');
+        expect(request.headers['X-Auth-Token']).toBe('{{secret:PAYROLL_AUTH_TOKEN}}');
+        expect(request.secrets).toEqual(['PAYROLL_AUTH_TOKEN']);
+    });
+});
+
+describe('buildCurlCommand / hasEnvironmentPlaceholders', () => {
+    test('rebuilds a command from the request model with shell quoting', () => {
+        expect(buildCurlCommand({ method: 'POST', url: '{{baseUrl}}/notes', headers: { 'Content-Type': 'application/json' }, data: `{"text":"it's"}` }))
+            .toBe(`curl -X POST '{{baseUrl}}/notes' \\\n  -H 'Content-Type: application/json' \\\n  --data-raw '{"text":"it'\\''s"}'`);
+    });
+
+    test('only reports baseUrl and secret placeholders', () => {
+        expect(hasEnvironmentPlaceholders('{{baseUrl}}/users')).toBe(true);
+        expect(hasEnvironmentPlaceholders('Bearer {{ secret:API_TOKEN }}')).toBe(true);
+        expect(hasEnvironmentPlaceholders('/users/{{userId}}')).toBe(false);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Unit tests for the Gherkin document model, parser and pretty-printer (src/utils/gherkin-document.js)
+ */
+
+const gherkin = require('../../src/utils/gherkin-document');
+
+const feature = (...lines) => `${lines.join('\n')}\n`;
+
+const CANONICAL = feature(
+    '# language: en',
+    '@Team:Payroll @regression',
+    'Feature: Payroll run',
+    '  As a payroll admin',
+    '  I want to run payroll',
+    '',
+    '  Background:',
+    '    Given I am logged in',
+    '',
+    '  Scenario Outline: Tax by state',
+    '    Given the state is <state>',
+    '    Then the tax is <tax>',
+    '',
+    '    Examples: Northeast',
+    '      | state | tax |',
+    '      | NY    | 4%  |',
+    '',
+    '  Rule: Only approved payrolls are submitted',
+    '',
+    '    @smoke',
+    '    Scenario: Submit payroll',
+    '      # the period comes from the calendar',
+    '      When I submit payroll for:',
+    '        | employee | hours |',
+    '        | Ana      | 40    |',
+    '        | Bo \\| Li | 8     |',
+    '      Then the confirmation reads:',
+    '        """json',
+    '        { "status": "submitted" }',
+    '        """'
+);
+
+describe('parseGherkin / formatGherkin', () => {
+    test('round-trips canonical text unchanged', () => {
+        expect(gherkin.formatGherkin(gherkin.parseGherkin(CANONICAL))).toBe(CANONICAL);
+    });
+
+    test('reads tags, descriptions, rules, tables, doc strings and examples', () => {
+        const document = gherkin.parseGherkin(CANONICAL);
+        const [background, outline, rule] = document.feature.children;
+        const [submit] = rule.children;
+
+        expect(document.language).toBe('en');
+        expect(document.feature.tags).toEqual(['@Team:Payroll', '@regression']);
+        expect(document.feature.description).toBe('As a payroll admin\nI want to run payroll');
+        expect(background.steps[0]).toEqual(expect.objectContaining({ keyword: 'Given', text: 'I am logged in' }));
+        expect(submit.tags).toEqual(['@smoke']);
+        expect(submit.steps[0].comments).toEqual(['# the period comes from the calendar']);
+        expect(submit.steps[0].dataTable.rows[2]).toEqual(['Bo | Li', '8']);
+        expect(submit.steps[1].docString).toEqual({ delimiter: '"""', mediaType: 'json', content: '{ "status": "submitted" }' });
+        expect(outline.keyword).toBe('Scenario Outline');
+        expect(outline.examples[0].name).toBe('Northeast');
+        expect(outline.examples[0].table.rows).toEqual([['state', 'tax'], ['NY', '4%']]);
+    });
+
+    test('normalizes indentation, table padding and blank lines', () => {
+        const messy = 'Feature: Messy\r\n\r\n\r\nScenario: One\r\n        Given a\r\n  Then   b\r\n  | a | long value |\r\n|1|2|\r\n';
+        expect(gherkin.formatFeatureText(messy)).toBe(feature(
+            'Feature: Messy',
+            '',
+            '  Scenario: One',
+            '    Given a',
+            '    Then b',
+            '      | a | long value |',
+            '      | 1 | 2          |'
+        ));
+    });
+
+    test('reports invalid Gherkin with its line number', () => {
+        expect(() => gherkin.parseGherkin('Feature: Broken\n  Scenario: One\n    Given a\n    Scenarioo: typo\n')).toThrow(/^Line 4: /);
+    });
+});
+
+describe('builders', () => {
+    test('build a feature that prints like hand-written Gherkin', () => {
+        const text = gherkin.formatGherkin(gherkin.feature({
+            name: 'Payroll run',
+            tags: ['Team:Payroll', '@regression @Team:Payroll'],
+            children: [
+                gherkin.background({ steps: ['Given I am logged in'] }),
+                gherkin.scenario({
+                    name: 'Tax by state',
+                    steps: [gherkin.stepFromText('the state is <state>'), 'Then the tax is <tax>'],
+                    examples: [{ state: 'NY', tax: '4%' }]
+                })
+            ]
+        }));
+
+        expect(text).toBe(feature(
+            '@Team:Payroll @regression',
+            'Feature: Payroll run',
+            '',
+            '  Background:',
+            '    Given I am logged in',
+            '',
+            '  Scenario Outline: Tax by state',
+            '    Given the state is <state>',
+            '    Then the tax is <tax>',
+            '',
+            '    Examples:',
+            '      | state | tax |',
+            '      | NY    | 4%  |'
+        ));
+    });
+
+    test('step rejects text without a keyword and stepFromText keeps any-case keywords', () => {
+        expect(() => gherkin.step('I am logged in')).toThrow('Not a Gherkin step (must start with Given/When/Then/And/But/*): I am logged in');
+        expect(gherkin.stepFromText('when I submit', 'Given')).toEqual(expect.objectContaining({ keyword: 'When', text: 'I submit' }));
+        expect(gherkin.stepFromText('* a note').keyword).toBe('*');
+    });
+});
+
+describe('collectScenarios / collectSteps', () => {
+    test('walk into Rules in document order', () => {
+        const document = gherkin.parseGherkin(CANONICAL);
+
+        expect(gherkin.collectScenarios(document).map(({ scenario, rule }) => [scenario.name, rule && rule.name]))
+            .toEqual([['Tax by state', null], ['Submit payroll', 'Only approved payrolls are submitted']]);
+        expect(gherkin.collectSteps(document).map(step => step.keyword)).toEqual(['Given', 'Given', 'Then', 'When', 'Then']);
+    });
+});
@@ -0,0 +1,203 @@
+/**
+ * Unit tests for the feature linter rules and autofix (src/utils/gherkin-linter.js)
+ */
+
+const { RULES, loadLintConfig, lintFeature, fixFeature, summarize, toSarifReport } = require('../../src/utils/gherkin-linter');
+
+const config = loadLintConfig();
+
+const feature = (...lines) => `${lines.join('\n')}\n`;
+const rules = text => lintFeature(text, config).map(issue => issue.rule);
+const issuesFor = (text, rule) => lintFeature(text, config).filter(issue => issue.rule === rule);
+
+const CLEAN = feature(
+    '@Team:Payroll',
+    'Feature: Payroll run',
+    '',
+    '  Background:',
+    '    Given I am logged in as a payroll admin',
+    '',
+    '  Scenario: Run payroll',
+    '    When I run payroll for the current period',
+    '    Then the payroll is submitted',
+    '',
+    '  Scenario: Preview payroll',
+    '    When I preview payroll',
+    '    Then the totals are shown'
+);
+
+describe('lintFeature', () => {
+    test('reports nothing for a clean feature', () => {
+        expect(lintFeature(CLEAN, config)).toEqual([]);
+    });
+
+    test('reports invalid Gherkin as a parse error on its line', () => {
+        const issues = lintFeature(feature('@Team:Payroll', 'Feature: Broken', '', '  Scenario: One', '    Given a', '    Scenarioo: typo'), config);
+        expect(issues).toEqual([expect.objectContaining({ rule: 'parse-error', level: 'error', line: 6 })]);
+    });
+
+    test('flags duplicate scenario names case-insensitively', () => {
+        const text = CLEAN.replace('Scenario: Preview payroll', 'Scenario: run PAYROLL');
+        expect(issuesFor(text, 'duplicate-scenario-name')).toEqual([
+            expect.objectContaining({ line: 11, message: 'Scenario "run PAYROLL" duplicates the scenario on line 7' })
+        ]);
+    });
+
+    test('checks Given/When/Then structure, using Background steps as the Given', () => {
+        const text = feature(
+            '@Team:Payroll',
+            'Feature: Structure',
+            '',
+            '  Scenario: No outcome',
+            '    Given I am logged in',
+            '    When I run payroll',
+            '',
+            '  Scenario: Setup after action',
+            '    Given I am logged in',
+            '    When I run payroll',
+            '    Given another client',
+            '    Then it runs'
+        );
+        expect(issuesFor(text, 'step-structure').map(issue => issue.message)).toEqual([
+            'Scenario "No outcome" has no Then step verifying an outcome',
+            'Given after When/Then - split this into separate scenarios'
+        ]);
+        expect(issuesFor(CLEAN, 'step-structure')).toEqual([]);
+    });
+
+    test('flags a leading And and repeated keywords', () => {
+        const text = CLEAN.replace('    When I run payroll', '    And I run payroll').replace('    When I preview payroll', '    Then I preview payroll');
+        expect(rules(text)).toEqual(expect.arrayContaining(['leading-conjunction', 'repeated-keyword']));
+    });
+
+    test('flags hardcoded credentials in steps and tables, but not placeholders', () => {
+        const text = feature(
+            '@Team:Payroll',
+            'Feature: Login',
+            '',
+            '  Scenario Outline: Log in',
+            '    Given I log in with password "hunter2"',
+            '    When I log in as "<user>" with token "<token>"',
+            '    Then I see the dashboard',
+            '',
+            '    Examples:',
+            '      | user | password |',
+            '      | ana  | s3cret   |'
+        );
+        expect(issuesFor(text, 'hardcoded-credentials').map(issue => issue.line)).toEqual([5, 9]);
+    });
+
+    test('flags hardcoded URLs', () => {
+        const text = CLEAN.replace('When I preview payroll', 'When I open https://payroll.example.com/preview');
+        expect(issuesFor(text, 'hardcoded-url')).toEqual([
+            expect.objectContaining({ message: 'Hardcoded URL https://payroll.example.com/preview' })
+        ]);
+    });
+
+    test('flags scenarios with more steps than maxStepsPerScenario', () => {
+        const text = CLEAN.replace('    Then the totals are shown', '    Then the totals are shown\n    And the net pay is shown');
+        expect(issuesFor(text, 'scenario-too-long')).toEqual([]);
+        expect(lintFeature(text, { ...config, maxStepsPerScenario: 2 }).filter(issue => issue.rule === 'scenario-too-long')).toHaveLength(1);
+    });
+
+    test('flags empty, unused and single-use Backgrounds', () => {
+        const singleUse = feature(
+            '@Team:Payroll',
+            'Feature: One scenario',
+            '',
+            '  Background:',
+            '    Given I am logged in',
+            '',
+            '  Scenario: Run payroll',
+            '    When I run payroll',
+            '    Then it runs'
+        );
+        expect(rules(singleUse)).toContain('single-use-background');
+        expect(rules(feature('@Team:Payroll', 'Feature: Nothing', '', '  Background:', '    Given I am logged in'))).toContain('unused-background');
+    });
+
+    test('checks tag format, prefix casing, allowed values and required tags', () => {
+        const text = CLEAN.replace('@Team:Payroll', '@team:Payroll @Priority:Urgent @1st');
+        expect(rules(text).sort()).toEqual(['tag-casing', 'tag-format', 'tag-value']);
+        expect(issuesFor(text, 'tag-value')[0].message).toBe('Tag @Priority:Urgent should be one of @Priority:High, @Priority:Medium, @Priority:Low');
+        expect(rules(CLEAN.replace('@Team:Payroll', '@regression'))).toEqual(['missing-required-tag']);
+    });
+
+    test('flags UI implementation wording', () => {
+        const text = CLEAN.replace('When I preview payroll', 'When I click the Preview button');
+        expect(issuesFor(text, 'ui-wording')).toEqual([
+            expect.objectContaining({ line: 12, message: 'UI implementation wording (click, button) - describe what the user achieves' })
+        ]);
+    });
+
+    test('flags non-canonical formatting', () => {
+        expect(issuesFor(CLEAN.replace('    When I preview payroll', '      When I preview payroll'), 'formatting')).toEqual([
+            expect.objectContaining({ line: 12, level: 'note', fixable: true })
+        ]);
+    });
+
+    test('every rule has a level, fixability and description', () => {
+        Object.values(RULES).forEach(rule => {
+            expect(['error', 'warning', 'note']).toContain(rule.level);
+            expect(typeof rule.fixable).toBe('boolean');
+            expect(rule.description).toBeTruthy();
+        });
+    });
+});
+
+describe('fixFeature', () => {
+    test('fixes keywords, tag casing, single-use Backgrounds and formatting', () => {
+        const text = feature(
+            '@team:Payroll',
+            'Feature: One scenario',
+            '',
+            '  Background:',
+            '      Given I am logged in',
+            '',
+            '  Scenario: Run payroll',
+            '    When I run payroll',
+            '    When I approve payroll',
+            '    Then it runs'
+        );
+
+        const { content, fixed } = fixFeature(text, config);
+
+        expect(content).toBe(feature(
+            '@Team:Payroll',
+            'Feature: One scenario',
+            '',
+            '  Scenario: Run payroll',
+            '    Given I am logged in',
+            '    When I run payroll',
+            '    And I approve payroll',
+            '    Then it runs'
+        ));
+        expect(fixed.map(issue => issue.rule).sort()).toEqual(['formatting', 'repeated-keyword', 'single-use-background', 'tag-casing']);
+        expect(lintFeature(content, config)).toEqual([]);
+    });
+
+    test('returns invalid Gherkin unchanged', () => {
+        const text = 'Feature: Broken\n  Scenarioo: typo\n';
+        expect(fixFeature(text, config)).toEqual({ content: text, fixed: [] });
+    });
+
+    test('keeps CRLF line endings', () => {
+        const { content } = fixFeature(CLEAN.replace('@Team:Payroll', '@team:Payroll').replace(/\n/g, '\r\n'), config);
+        expect(content).toBe(CLEAN.replace(/\n/g, '\r\n'));
+    });
+});
+
+describe('reports', () => {
+    const results = [{ path: '/repo/features/payroll.feature', issues: lintFeature(CLEAN.replace('@Team:Payroll', '@Priority:Urgent'), config), fixed: [] }];
+
+    test('summarize counts issues by level', () => {
+        expect(summarize(results)).toEqual(expect.objectContaining({ files: 1, errors: 0, warnings: 2 }));
+    });
+
+    test('toSarifReport emits SARIF 2.1.0 results with relative locations', () => {
+        const sarif = toSarifReport(results, { cwd: '/repo' });
+        expect(sarif.version).toBe('2.1.0');
+        expect(sarif.runs[0].results.map(result => result.ruleId)).toEqual(['tag-value', 'missing-required-tag']);
+        expect(sarif.runs[0].results[0].locations[0].physicalLocation.artifactLocation.uri).toBe('features/payroll.feature');
+    });
+});
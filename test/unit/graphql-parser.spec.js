@@ -0,0 +1,154 @@
+/**
+ * Unit tests for GraphQL request parsing and offline validation (src/utils/graphql-parser.js)
+ */
+
+const {
+    isGraphQLRequest,
+    parseDocument,
+    parseGraphQLRequest,
+    describeSelections,
+    normalizeIntrospection,
+    validateOperation,
+    dataSchemaFor,
+    buildOperationForField
+} = require('../../src/utils/graphql-parser');
+
+const named = name => ({ kind: 'SCALAR', name });
+const nonNull = ofType => ({ kind: 'NON_NULL', name: null, ofType });
+const list = ofType => ({ kind: 'LIST', name: null, ofType });
+const field = (name, type, args = []) => ({ name, type, args });
+
+const schema = normalizeIntrospection({
+    data: {
+        __schema: {
+            queryType: { name: 'Query' },
+            mutationType: { name: 'Mutation' },
+            types: [
+                { kind: 'SCALAR', name: 'ID' },
+                { kind: 'SCALAR', name: 'String' },
+                { kind: 'SCALAR', name: 'Int' },
+                { kind: 'SCALAR', name: 'Boolean' },
+                { kind: 'ENUM', name: 'Role', enumValues: [{ name: 'ADMIN' }, { name: 'VIEWER' }] },
+                {
+                    kind: 'OBJECT',
+                    name: 'Query',
+                    fields: [
+                        field('user', { kind: 'OBJECT', name: 'User' }, [{ name: 'id', type: nonNull(named('ID')) }]),
+                        field('users', nonNull(list(nonNull({ kind: 'OBJECT', name: 'User' }))), [{ name: 'first', type: named('Int') }])
+                    ]
+                },
+                {
+                    kind: 'OBJECT',
+                    name: 'Mutation',
+                    fields: [field('createUser', nonNull({ kind: 'OBJECT', name: 'User' }), [{ name: 'input', type: nonNull({ kind: 'INPUT_OBJECT', name: 'UserInput' }) }])]
+                },
+                {
+                    kind: 'OBJECT',
+                    name: 'User',
+                    fields: [field('id', nonNull(named('ID'))), field('name', named('String')), field('role', { kind: 'ENUM', name: 'Role' })]
+                },
+                {
+                    kind: 'INPUT_OBJECT',
+                    name: 'UserInput',
+                    inputFields: [{ name: 'email', type: nonNull(named('String')) }, { name: 'role', type: { kind: 'ENUM', name: 'Role' } }]
+                }
+            ]
+        }
+    }
+});
+
+const operation = document => parseGraphQLRequest({ method: 'POST', body: { json: { query: document } } })[0];
+
+describe('request detection', () => {
+    test('finds GraphQL in JSON bodies, application/graphql bodies and GET query strings', () => {
+        expect(isGraphQLRequest({ method: 'POST', body: { json: { query: '{ users { id } }' } } })).toBe(true);
+        expect(isGraphQLRequest({ method: 'POST', headers: { 'Content-Type': 'application/graphql' }, data: 'query { users { id } }' })).toBe(true);
+        expect(isGraphQLRequest({ method: 'GET', query: { query: '{ users { id } }' } })).toBe(true);
+        expect(isGraphQLRequest({ method: 'POST', body: { json: { query: 'SELECT 1' } } })).toBe(false);
+    });
+
+    test('picks the named operation of a multi-operation document', () => {
+        const [parsed] = parseGraphQLRequest({
+            method: 'POST',
+            body: { json: { query: 'query A { users { id } } query B($id: ID!) { user(id: $id) { name } }', operationName: 'B', variables: { id: '7' } } }
+        });
+
+        expect(parsed.name).toBe('B');
+        expect(parsed.variables).toEqual({ id: '7' });
+        expect(() => parseGraphQLRequest({ method: 'POST', body: { json: { query: '{ users { id } }', operationName: 'C' } } }))
+            .toThrow('Operation "C" is not defined in the GraphQL document');
+    });
+});
+
+describe('parseDocument', () => {
+    test('reads operations, variables, aliases and fragments', () => {
+        const { operations, fragments } = parseDocument(`
+            # comment
+            query People($first: Int = 10) {
+                people: users(first: $first) { ...UserFields role }
+            }
+            fragment UserFields on User { id, name }
+        `);
+
+        expect(operations[0].type).toBe('query');
+        expect(operations[0].variableDefinitions.map(definition => definition.name)).toEqual(['first']);
+        expect(describeSelections(operations[0].selections)).toBe('people: users { ...UserFields role }');
+        expect(fragments.UserFields.typeCondition).toBe('User');
+    });
+});
+
+describe('validateOperation', () => {
+    test('accepts a valid operation', () => {
+        expect(validateOperation(operation('query One($id: ID!) { user(id: $id) { id name } }'), schema)).toEqual([]);
+    });
+
+    test('reports unknown fields, missing arguments and selection mistakes', () => {
+        expect(validateOperation(operation('{ user { id email role { x } } users }'), schema)).toEqual([
+            'anonymous operation.user: required argument "id: ID!" is missing',
+            'anonymous operation.user.email: cannot query field "email" on type "User"',
+            'anonymous operation.user.role: "role" is a enum and cannot have a sub-selection',
+            'anonymous operation.users: "users" of type "[User!]!" needs a selection of subfields'
+        ]);
+    });
+
+    test('checks variable definitions and usage', () => {
+        expect(validateOperation(operation('query Q($id: ID, $unused: Int) { user(id: $id) { id } }'), schema)).toEqual([
+            'Q.user(id): variable $id of type "ID" cannot be used where "ID!" is expected',
+            'Q: variable $unused is declared but never used'
+        ]);
+        expect(validateOperation(operation('mutation M { createUser(input: { email: "a@b.c", nick: "x" }) { id } }'), schema))
+            .toEqual(['M.createUser(input): "nick" is not a field of input type "UserInput"']);
+    });
+});
+
+describe('dataSchemaFor', () => {
+    test('types the selected fields from the schema', () => {
+        const data = dataSchemaFor(operation('{ users { id role } }'), schema);
+
+        expect(data.required).toEqual(['users']);
+        expect(data.properties.users.type).toBe('array');
+        expect(data.properties.users.items.properties).toEqual({
+            id: { type: ['string', 'integer'] },
+            role: { type: 'string', enum: ['ADMIN', 'VIEWER'], nullable: true }
+        });
+    });
+
+    test('only checks the selected keys without a schema and treats conditional fields as optional', () => {
+        const data = dataSchemaFor(operation('query Q($all: Boolean!) { user(id: 1) { id name @include(if: $all) } }'));
+        const user = data.properties.user.anyOf[0];
+
+        expect(user.properties).toEqual({ id: {}, name: {} });
+        expect(user.required).toEqual(['id']);
+    });
+});
+
+describe('buildOperationForField', () => {
+    test('turns required arguments into variables with sample values', () => {
+        const built = buildOperationForField(schema, 'mutation', 'createUser');
+
+        expect(built.operationName).toBe('CreateUser');
+        expect(built.document).toBe('mutation CreateUser($input: UserInput!) {\n  createUser(input: $input) { id name role }\n}');
+        expect(built.variables).toEqual({ input: { email: 'qa.user@example.com' } });
+        expect(validateOperation(operation(built.document), schema)).toEqual([]);
+    });
+});
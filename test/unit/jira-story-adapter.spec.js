@@ -0,0 +1,151 @@
+/**
+ * Unit tests for JIRA story parsing (src/adapters/jira-story-adapter.js)
+ */
+
+const path = require('path');
+const JiraStoryAdapter = require('../../src/adapters/jira-story-adapter');
+
+const adapter = new JiraStoryAdapter();
+
+describe('parseStoryText', () => {
+    const story = adapter.parseStoryText([
+        'PAY-123 Run payroll for contractors',
+        'Labels: payroll, contractors',
+        'Components: Payroll',
+        '',
+        'As a payroll admin,',
+        'I want to run payroll for contractors',
+        'so that they get paid on time.',
+        '',
+        'Relates to PAY-100',
+        '',
+        'Acceptance Criteria:',
+        '1. The run includes every active contractor',
+        '2. A confirmation is shown after submitting'
+    ].join('\n'));
+
+    test('reads the key, summary, fields and linked issues', () => {
+        expect(story.key).toBe('PAY-123');
+        expect(story.summary).toBe('Run payroll for contractors');
+        expect(story.labels).toEqual(['payroll', 'contractors']);
+        expect(story.components).toEqual(['Payroll']);
+        expect(story.linkedIssues).toEqual([{ type: 'relates to', key: 'PAY-100' }]);
+    });
+
+    test('keeps the story narrative in its own wording', () => {
+        expect(story.narrative).toBe('As a payroll admin\nI want to run payroll for contractors\nSo that they get paid on time');
+        expect(adapter.parseStoryText('PAY-1 Footer links\n\nThe footer shows the support links').narrative).toBeNull();
+    });
+
+    test('turns numbered acceptance criteria into one criterion each', () => {
+        expect(story.acceptanceCriteria.map(criterion => criterion.text)).toEqual([
+            'The run includes every active contractor',
+            'A confirmation is shown after submitting'
+        ]);
+    });
+});
+
+describe('parseAcceptanceCriteria', () => {
+    test('keeps Gherkin steps and attaches a table directly under a step as its data table', () => {
+        const [criterion] = adapter.parseAcceptanceCriteria([
+            'Scenario: Add employees',
+            'Given I am on the employees page',
+            'When I add the employees',
+            '| name | rate |',
+            '| Ana  | 20   |',
+            'Then they are listed'
+        ]);
+
+        expect(criterion.name).toBe('Add employees');
+        expect(criterion.steps.map(step => step.keyword)).toEqual(['Given', 'When', 'Then']);
+        expect(criterion.steps[1].dataTable).toEqual([['name', 'rate'], ['Ana', '20']]);
+        expect(criterion.steps[2].dataTable).toBeUndefined();
+    });
+
+    test('does not attach a table after a blank line to the step above it', () => {
+        const criteria = adapter.parseAcceptanceCriteria([
+            'Scenario: Pay rates',
+            'Given I am on the pay rates page',
+            'Then the rates are shown',
+            '',
+            '| state | rate  |',
+            '| NY    | 15.00 |'
+        ]);
+
+        expect(criteria).toHaveLength(2);
+        expect(criteria[0].steps[1].dataTable).toBeUndefined();
+        expect(criteria[1].examples).toEqual([{ state: 'NY', rate: '15.00' }]);
+    });
+
+    test('reads Examples rows of a Scenario Outline', () => {
+        const [criterion] = adapter.parseAcceptanceCriteria([
+            'Scenario Outline: Tax by state',
+            'Given the state is <state>',
+            'Then the tax is <tax>',
+            'Examples:',
+            '| state | tax |',
+            '| NY    | 4%  |'
+        ]);
+
+        expect(criterion.examples).toEqual([['state', 'tax'], ['NY', '4%']]);
+    });
+});
+
+describe('parseJiraContent', () => {
+    test('parses JSON search results with components, links and the acceptance criteria field', () => {
+        const [story] = adapter.parseJiraContent(JSON.stringify({
+            names: { customfield_100: 'Acceptance Criteria' },
+            issues: [{
+                key: 'CFC-7',
+                fields: {
+                    summary: 'Show the CFC landing page',
+                    description: 'As a RUN client I want to open CashFlow Central so that I can see my cash flow',
+                    customfield_100: '* The landing page loads\n* The menu shows CFC',
+                    components: [{ name: 'CFC' }],
+                    issuelinks: [{ type: { outward: 'blocks' }, outwardIssue: { key: 'CFC-8' } }]
+                }
+            }]
+        }));
+
+        expect(story.source).toBe('json');
+        expect(story.key).toBe('CFC-7');
+        expect(story.components).toEqual(['CFC']);
+        expect(story.linkedIssues).toEqual([{ type: 'blocks', key: 'CFC-8' }]);
+        expect(story.narrative).toBe('As a RUN client\nI want to open CashFlow Central\nSo that I can see my cash flow');
+        expect(story.acceptanceCriteria.map(criterion => criterion.text)).toEqual(['The landing page loads', 'The menu shows CFC']);
+    });
+
+    test('parses XML exports', () => {
+        const [story] = adapter.parseJiraContent([
+            '<rss><channel><item>',
+            '<key>CFC-9</key>',
+            '<summary>Bundle &amp; configure CFC</summary>',
+            '<description>&lt;p&gt;Configure the bundle&lt;/p&gt;</description>',
+            '<labels><label>cfc</label></labels>',
+            '<component>CashFlow Central</component>',
+            '</item></channel></rss>'
+        ].join('\n'), '.xml');
+
+        expect(story.source).toBe('xml');
+        expect(story.key).toBe('CFC-9');
+        expect(story.summary).toBe('Bundle & configure CFC');
+        expect(story.labels).toEqual(['cfc']);
+        expect(story.components).toEqual(['CashFlow Central']);
+    });
+});
+
+describe('resolveModule / buildBaseName', () => {
+    test('maps components to module folders from the config, else kebab-case', async () => {
+        const configured = new JiraStoryAdapter();
+        await configured.initialize();
+
+        expect(configured.resolveModule({ components: ['CFC'] })).toBe('cashflow-central');
+        expect(configured.resolveModule({ components: ['Time Off'] })).toBe('time-off');
+        expect(configured.resolveModule({ components: [] })).toBe('common');
+    });
+
+    test('names files from the key and summary, else the source file', () => {
+        expect(adapter.buildBaseName({ key: 'PAY-123', summary: 'Run payroll for contractors' })).toBe('pay-123-run-payroll-for-contractors');
+        expect(adapter.buildBaseName({ summary: '', sourceFile: path.join('requirements', 'story.txt') })).toBe('story');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for locator stability scoring (scripts/locator-scoring.js)
+ */
+
+const { WEIGHTS, strategyType, scoreLocator, rankLocators, measureSurvival } = require('../../scripts/locator-scoring');
+
+describe('strategyType', () => {
+    test.each([
+        ['[data-test-id="save"]', 'data-test-id'],
+        ['//button[@data-test-id="save"]', 'data-test-id'],
+        ['[data-testid="save"]', 'data-testid'],
+        ['[aria-label="Close"]', 'aria-label'],
+        ['#save', 'id'],
+        ['//input[@id="email"]', 'id'],
+        ['button:has-text("Save")', 'text'],
+        ['//button[normalize-space()="Save"]', 'text'],
+        ['//div/button', 'xpath'],
+        ['/html/body/div[2]/button', 'position'],
+        ['ul > li:nth-child(3)', 'position'],
+        ['.btn-primary', 'class'],
+        ['button', 'tag']
+    ])('%s relies on %s', (selector, type) => {
+        expect(strategyType(selector)).toBe(type);
+    });
+});
+
+describe('scoreLocator', () => {
+    test('weights add up to 1', () => {
+        expect(Object.values(WEIGHTS).reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(1);
+    });
+
+    test('gives a unique data-test-id the top score', () => {
+        const result = scoreLocator('[data-test-id="save"]');
+        expect(result.score).toBe(1);
+        expect(result.factors).toEqual({ uniqueness: 1, survival: null, generated: 1, depth: 1, convention: 1 });
+    });
+
+    test('penalises generated ids and hashed class names', () => {
+        expect(scoreLocator('#ember1234').factors.generated).toBe(0.3);
+        expect(scoreLocator('.css-1x2y3z').factors.generated).toBe(0.3);
+        expect(scoreLocator('#ember1234').score).toBeLessThan(scoreLocator('#save').score);
+    });
+
+    test('penalises deep and positional paths', () => {
+        const positional = scoreLocator('div > ul > li:nth-child(3) > a');
+        expect(positional.factors.depth).toBeLessThan(0.5);
+        expect(positional.score).toBeLessThan(scoreLocator('.btn-primary').score);
+    });
+
+    test('scales uniqueness by the match count and scores missing elements 0', () => {
+        expect(scoreLocator('.btn', { count: 4 }).factors.uniqueness).toBe(0.25);
+        expect(scoreLocator('#gone', { count: 0 }).score).toBe(0);
+    });
+
+    test('only weighs survival when it was measured', () => {
+        expect(scoreLocator('#save').factors.survival).toBeNull();
+        expect(scoreLocator('#save', { survival: 0 }).score).toBeLessThan(scoreLocator('#save').score);
+        expect(scoreLocator('#save', { survival: 1 }).score).toBeGreaterThan(scoreLocator('#save', { survival: 0.5 }).score);
+    });
+});
+
+describe('rankLocators', () => {
+    test('ranks best first, keeps non-matching candidates out of the fallbacks and drops duplicates', () => {
+        const ranking = rankLocators([
+            { selector: '.btn', count: 3 },
+            { selector: '[data-test-id="save"]', count: 1 },
+            { selector: '#gone', count: 0 },
+            { selector: '.btn', count: 1 },
+            { selector: '', count: 1 }
+        ]);
+
+        expect(ranking.best.selector).toBe('[data-test-id="save"]');
+        expect(ranking.fallbacks.map(candidate => candidate.selector)).toEqual(['.btn']);
+        expect(ranking.fallbacks[0].count).toBe(3);
+        expect(ranking.ranked.map(candidate => candidate.selector)).toEqual(['[data-test-id="save"]', '.btn', '#gone']);
+    });
+
+    test('has no best locator when nothing matches', () => {
+        expect(rankLocators([{ selector: '#gone', count: 0 }]).best).toBeNull();
+    });
+});
+
+describe('measureSurvival', () => {
+    test('records the share of captures matching the first non-zero count', async () => {
+        const counts = { '#stable': [1, 1, 1], '#flaky': [0, 2, 1], '#gone': [0, 0, 0] };
+        const page = { reload: jest.fn(async () => {}), waitForTimeout: jest.fn(async () => {}) };
+        let capture = -1;
+        const count = async selector => {
+            if (selector === '#stable') capture += 1;
+            return counts[selector][capture];
+        };
+
+        const result = await measureSurvival(page, ['#stable', '#flaky', '#gone', '#stable'], { captures: 3, count });
+
+        expect(result).toEqual({
+            '#stable': { count: 1, survival: 1 },
+            '#flaky': { count: 0, survival: 0.33 },
+            '#gone': { count: 0, survival: 0 }
+        });
+        expect(page.reload).toHaveBeenCalledTimes(2);
+        expect(page.waitForTimeout).not.toHaveBeenCalled();
+    });
+
+    test('waits for re-renders instead of reloading when reload is false', async () => {
+        const page = { reload: jest.fn(), waitForTimeout: jest.fn(async () => {}) };
+
+        await measureSurvival(page, ['#save'], { captures: 2, reload: false, interval: 10, count: async () => 1 });
+
+        expect(page.reload).not.toHaveBeenCalled();
+        expect(page.waitForTimeout).toHaveBeenCalledWith(10);
+    });
+});
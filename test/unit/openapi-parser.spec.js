@@ -0,0 +1,148 @@
+/**
+ * Unit tests for the OpenAPI / Swagger normalizer (src/utils/openapi-parser.js)
+ */
+
+const { isOpenApiSpec, looksLikeOpenApi, parseOpenApi, resolveRefs, sampleFromSchema, schemaBoundaries } = require('../../src/utils/openapi-parser');
+
+const petSchema = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        id: { type: 'integer', readOnly: true },
+        name: { type: 'string', example: 'Rex' },
+        status: { type: 'string', enum: ['available', 'sold'] }
+    }
+};
+
+const openApi = {
+    openapi: '3.0.3',
+    info: { title: 'Pet Store', version: '2.1.0' },
+    servers: [{ url: 'https://{region}.pets.test/v1/', variables: { region: { default: 'us' } } }],
+    security: [{ bearerAuth: [] }],
+    components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' }, apiKey: { type: 'apiKey', in: 'header', name: 'X-Key' } },
+        schemas: { Pet: petSchema }
+    },
+    paths: {
+        '/pets/{petId}': {
+            parameters: [{ name: 'petId', in: 'path', schema: { type: 'integer' } }],
+            get: {
+                responses: {
+                    200: { description: 'A pet', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+                    404: { description: 'Not found' }
+                }
+            },
+            put: {
+                operationId: 'updatePet',
+                security: [],
+                parameters: [{ name: 'verbose', in: 'query', required: true, schema: { type: 'boolean' } }],
+                requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+                responses: { 201: { description: 'Updated' }, 400: { description: 'Invalid' } }
+            }
+        }
+    }
+};
+
+describe('spec detection', () => {
+    test('recognizes OpenAPI and Swagger documents', () => {
+        expect(isOpenApiSpec(openApi)).toBe(true);
+        expect(isOpenApiSpec({ swagger: '2.0', paths: {} })).toBe(true);
+        expect(isOpenApiSpec({ info: {}, paths: {} })).toBe(false);
+        expect(looksLikeOpenApi('openapi: 3.0.0\ninfo:')).toBe(true);
+        expect(looksLikeOpenApi('{"swagger": "2.0"}')).toBe(true);
+        expect(looksLikeOpenApi('curl https://a.test')).toBe(false);
+    });
+});
+
+describe('parseOpenApi', () => {
+    const api = parseOpenApi(openApi);
+    const [getPet, updatePet] = api.operations;
+
+    test('reads the title, version and server URL with its variables', () => {
+        expect(api).toEqual(expect.objectContaining({ title: 'Pet Store', version: '2.1.0', specVersion: '3.0.3', baseUrl: 'https://us.pets.test/v1' }));
+    });
+
+    test('normalizes security schemes with their environment variables', () => {
+        expect(api.securitySchemes.bearerAuth).toEqual({ type: 'bearer', in: 'header', name: 'Authorization', env: ['API_BEARER_AUTH_TOKEN'] });
+        expect(api.securitySchemes.apiKey).toEqual({ type: 'apiKey', in: 'header', name: 'X-Key', env: ['API_API_KEY_KEY'] });
+    });
+
+    test('derives operation ids, merges path parameters and applies the default security', () => {
+        expect(getPet.operationId).toBe('getPetsPetId');
+        expect(getPet.parameters.map(parameter => [parameter.name, parameter.required])).toEqual([['petId', true]]);
+        expect(getPet.security).toEqual([['bearerAuth']]);
+        expect(updatePet.parameters.map(parameter => parameter.name)).toEqual(['petId', 'verbose']);
+        expect(updatePet.security).toEqual([]);
+    });
+
+    test('resolves request and response schemas and picks the success and error statuses', () => {
+        expect(getPet.responses['200'].schema).toEqual(petSchema);
+        expect(getPet.successStatus).toBe('200');
+        expect(getPet.errorStatuses).toEqual(['404']);
+        expect(updatePet.requestBody).toEqual(expect.objectContaining({ contentType: 'application/json', required: true, schema: petSchema }));
+        expect(updatePet.successStatus).toBe('201');
+    });
+
+    test('reads Swagger 2.0 hosts, body and form parameters', () => {
+        const swagger = parseOpenApi({
+            swagger: '2.0',
+            host: 'pets.test',
+            basePath: '/api',
+            schemes: ['http'],
+            paths: {
+                '/pets': {
+                    post: { parameters: [{ name: 'body', in: 'body', required: true, schema: petSchema }], responses: { 200: { description: 'OK', schema: petSchema } } }
+                },
+                '/pets/{id}/photo': {
+                    post: { parameters: [{ name: 'id', in: 'path', type: 'integer' }, { name: 'file', in: 'formData', type: 'file', required: true }], responses: {} }
+                }
+            }
+        });
+
+        expect(swagger.baseUrl).toBe('http://pets.test/api');
+        expect(swagger.operations[0].requestBody).toEqual(expect.objectContaining({ contentType: 'application/json', schema: petSchema }));
+        expect(swagger.operations[1].parameters[0].schema).toEqual({ type: 'integer' });
+        expect(swagger.operations[1].requestBody).toEqual(expect.objectContaining({ contentType: 'multipart/form-data', required: true }));
+    });
+});
+
+describe('resolveRefs', () => {
+    test('stops recursive schemas with an open object', () => {
+        const spec = { components: { schemas: { Node: { type: 'object', properties: { child: { $ref: '#/components/schemas/Node' } } } } } };
+        expect(resolveRefs({ $ref: '#/components/schemas/Node' }, spec).properties.child).toEqual({ type: 'object' });
+    });
+
+    test('rejects external and unresolved refs', () => {
+        expect(() => resolveRefs({ $ref: 'other.yaml#/Pet' }, {})).toThrow('External $ref is not supported: other.yaml#/Pet');
+        expect(() => resolveRefs({ $ref: '#/components/schemas/Missing' }, {})).toThrow('Unresolved $ref: #/components/schemas/Missing');
+    });
+});
+
+describe('sampleFromSchema', () => {
+    test('prefers examples and enums and skips read-only properties', () => {
+        expect(sampleFromSchema(petSchema)).toEqual({ name: 'Rex', status: 'available' });
+    });
+
+    test('respects numeric ranges, string lengths and minimum items', () => {
+        expect(sampleFromSchema({ type: 'integer', minimum: 5, maximum: 5 })).toBe(5);
+        expect(sampleFromSchema({ type: 'string', minLength: 30 }, 'code')).toHaveLength(30);
+        expect(sampleFromSchema({ type: 'array', minItems: 2, items: { type: 'boolean' } })).toEqual([true, true]);
+    });
+
+    test('is deterministic', () => {
+        const schema = { type: 'object', properties: { email: { type: 'string' }, age: { type: 'integer' } } };
+        expect(sampleFromSchema(schema)).toEqual(sampleFromSchema(schema));
+    });
+});
+
+describe('schemaBoundaries', () => {
+    test('lists the valid and invalid boundary of each constraint', () => {
+        expect(schemaBoundaries({ type: 'integer', minimum: 1, maximum: 10 }).map(item => item.boundary))
+            .toEqual(['minimum', 'below minimum', 'maximum', 'above maximum']);
+        expect(schemaBoundaries({ type: 'string', minLength: 0, maxLength: 5 })).toEqual([
+            { boundary: 'max length', valid: true },
+            { boundary: 'above max length', valid: false }
+        ]);
+        expect(schemaBoundaries({ type: 'boolean' })).toEqual([]);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for role matrix resolution and per-role scenario variants (src/utils/role-matrix.js)
+ */
+
+const gherkin = require('../../src/utils/gherkin-document');
+const { loadRoleMatrix, resolveRoleMatrix, matchCapabilities, roleAccess, applyRoleMatrix } = require('../../src/utils/role-matrix');
+
+const usersConfig = {
+    userRoles: {
+        Owner: { role: 1, permissions: ['all'] },
+        Clerk: { role: 2, permissions: ['reports'] },
+        Viewer: { role: 3, permissions: [] }
+    },
+    testScenarios: {
+        'payroll-tests': { supportedRoles: [1, 2] }
+    }
+};
+
+const matrixConfig = {
+    capabilities: {
+        payroll: { keywords: ['payroll', 'pay run'], scenario: 'payroll-tests' },
+        reports: { keywords: ['report'] }
+    },
+    roles: {
+        Clerk: { denied: ['reports'] }
+    },
+    loginSteps: {
+        default: 'Alex is logged into RunMod as a "{role}" user',
+        Owner: 'Alex is logged into RunMod with a homepage test client'
+    }
+};
+
+describe('resolveRoleMatrix', () => {
+    const matrix = resolveRoleMatrix(matrixConfig, usersConfig);
+    const access = name => matrix.roles.find(role => role.name === name).access;
+
+    test('resolves access from permissions, supportedRoles and matrix overrides', () => {
+        expect(access('Owner')).toEqual({ payroll: 'allowed', reports: 'allowed' });
+        expect(access('Clerk')).toEqual({ payroll: 'allowed', reports: 'denied' });
+        expect(access('Viewer')).toEqual({ payroll: 'denied', reports: 'denied' });
+    });
+
+    test('uses the role login step, else the default', () => {
+        expect(matrix.roles.map(role => role.loginStep)).toEqual([
+            'Alex is logged into RunMod with a homepage test client',
+            'Alex is logged into RunMod as a "Clerk" user',
+            'Alex is logged into RunMod as a "Viewer" user'
+        ]);
+    });
+
+    test('rejects unknown roles, unknown capabilities and conflicting entries', () => {
+        expect(() => resolveRoleMatrix({ ...matrixConfig, roles: { Ghost: {} } }, usersConfig))
+            .toThrow('Role matrix lists roles missing from test-users-config.json: Ghost');
+        expect(() => resolveRoleMatrix({ ...matrixConfig, roles: { Clerk: { allowed: ['billing'] } } }, usersConfig))
+            .toThrow('Role matrix entry "Clerk" uses unknown capabilities: billing');
+        expect(() => resolveRoleMatrix({ ...matrixConfig, roles: { Clerk: { allowed: ['reports'], denied: ['reports'] } } }, usersConfig))
+            .toThrow('Role matrix entry "Clerk" both allows and denies: reports');
+    });
+
+    test('loads the shipped configuration', () => {
+        const shipped = loadRoleMatrix();
+        expect(Object.keys(shipped.capabilities)).toContain('payroll');
+        expect(shipped.roles.find(role => role.name === 'ReadOnlyUser').access.reports).toBe('allowed');
+    });
+});
+
+describe('matchCapabilities / roleAccess', () => {
+    const matrix = resolveRoleMatrix(matrixConfig, usersConfig);
+
+    test('matches capability keywords as whole words, plurals included', () => {
+        expect(matchCapabilities('Submit the pay run and download reports', matrix)).toEqual(['payroll', 'reports']);
+        expect(matchCapabilities('Open the reporting dashboard', matrix)).toEqual([]);
+    });
+
+    test('allows a role only when every matched capability allows it', () => {
+        const clerk = matrix.roles.find(role => role.name === 'Clerk');
+        expect(roleAccess(clerk, ['payroll'])).toBe('allowed');
+        expect(roleAccess(clerk, ['payroll', 'reports'])).toBe('denied');
+    });
+});
+
+describe('applyRoleMatrix', () => {
+    const matrix = resolveRoleMatrix(matrixConfig, usersConfig);
+    const background = gherkin.background({ steps: ['Given I am logged in as an admin', 'And I am on the payroll page'] });
+    const scenarios = [
+        gherkin.scenario({ name: 'Run payroll', tags: ['@smoke'], steps: ['When I run payroll', 'Then the payroll is submitted'] }),
+        gherkin.scenario({ name: 'Reject empty period', tags: ['@negative'], steps: ['When I run payroll without a period', 'Then I see an error'] })
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('replaces the functional scenario with one variant per role and drops the Background', () => {
+        const children = applyRoleMatrix({ background, scenarios }, 'Run payroll for the period', matrix);
+        const text = gherkin.formatGherkin(gherkin.feature({ name: 'Payroll', children }));
+
+        expect(children.map(child => child.name)).toEqual([
+            'Run payroll - Owner (allowed)',
+            'Run payroll - Clerk (allowed)',
+            'Run payroll - Viewer (denied)',
+            'Reject empty period'
+        ]);
+        expect(text).toContain([
+            '  @smoke @role-matrix @role-3 @denied',
+            '  Scenario: Run payroll - Viewer (denied)',
+            '    Given Alex is logged into RunMod as a "Viewer" user',
+            '    And I am on the payroll page',
+            '    When I run payroll',
+            '    Then access to payroll should be denied'
+        ].join('\n'));
+        expect(children[3].steps.map(step => `${step.keyword} ${step.text}`)).toEqual([
+            'Given I am logged in as an admin',
+            'And I am on the payroll page',
+            'When I run payroll without a period',
+            'Then I see an error'
+        ]);
+    });
+
+    test('leaves the scenarios unchanged when no capability matches', () => {
+        expect(applyRoleMatrix({ background, scenarios }, 'Open the dashboard', matrix)).toEqual([background, ...scenarios]);
+        expect(console.log).toHaveBeenCalledWith('⚠️  Role matrix: no capability keywords found in the requirement - scenarios left unchanged');
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for JSON Schema inference from response samples (src/utils/schema-inferrer.js)
+ */
+
+const { inferSchema, mergeSchemas } = require('../../src/utils/schema-inferrer');
+
+describe('inferSchema', () => {
+    test('requires at least one sample', () => {
+        expect(() => inferSchema([])).toThrow('At least one response sample is required to infer a schema');
+    });
+
+    test('infers types, string formats and required keys', () => {
+        const schema = inferSchema([{
+            id: 7,
+            price: 9.5,
+            active: true,
+            email: 'ana@example.com',
+            createdAt: '2024-01-31T10:00:00Z',
+            tags: ['a'],
+            owner: null
+        }], { title: 'Order' });
+
+        expect(schema.$schema).toBe('http://json-schema.org/draft-07/schema#');
+        expect(schema.title).toBe('Order');
+        expect(schema.properties).toEqual({
+            id: { type: 'integer' },
+            price: { type: 'number' },
+            active: { type: 'boolean' },
+            email: { type: 'string', format: 'email' },
+            createdAt: { type: 'string', format: 'date-time' },
+            tags: { type: 'array', items: { type: 'string' } },
+            owner: { type: 'null' }
+        });
+        expect(schema.required).toEqual(['id', 'price', 'active', 'email', 'createdAt', 'tags', 'owner']);
+    });
+
+    test('only requires keys present in every sample and widens types', () => {
+        const schema = inferSchema([{ id: 1, amount: 10, note: 'a' }, { id: 2, amount: 10.5, note: null }]);
+
+        expect(schema.required).toEqual(['id', 'amount', 'note']);
+        expect(schema.properties.amount).toEqual({ type: 'number' });
+        expect(schema.properties.note).toEqual({ type: ['string', 'null'] });
+        expect(inferSchema([{ id: 1, extra: true }, { id: 2 }]).required).toEqual(['id']);
+    });
+
+    test('pins enum-like keys only when several samples repeat a small set of values', () => {
+        const statuses = ['active', 'inactive', 'active'].map(status => ({ status }));
+
+        expect(inferSchema(statuses).properties.status).toEqual({ type: 'string', enum: ['active', 'inactive'] });
+        expect(inferSchema([{ status: 'active' }]).properties.status).toEqual({ type: 'string' });
+        expect(inferSchema([{ status: 'a' }, { status: 'b' }, { status: 'c' }]).properties.status).toEqual({ type: 'string' });
+        expect(inferSchema([{ name: 'x' }, { name: 'x' }, { name: 'x' }]).properties.name).toEqual({ type: 'string' });
+    });
+
+    test('keeps null in the enum of a sometimes-null property and finds enums inside arrays', () => {
+        const schema = inferSchema([
+            { state: 'open', items: [{ type: 'fee' }, { type: 'fee' }, { type: 'tax' }] },
+            { state: null, items: [] },
+            { state: 'open', items: [] },
+            { state: 'closed', items: [] }
+        ]);
+
+        expect(schema.properties.state).toEqual({ type: ['string', 'null'], enum: ['open', 'closed', null] });
+        expect(schema.properties.items.items.properties.type).toEqual({ type: 'string', enum: ['fee', 'tax'] });
+    });
+
+    test('closes objects with additionalProperties false in strict mode', () => {
+        const schema = inferSchema([{ user: { id: 1 } }], { strict: true });
+        expect(schema.additionalProperties).toBe(false);
+        expect(schema.properties.user.additionalProperties).toBe(false);
+    });
+});
+
+describe('mergeSchemas', () => {
+    test('keeps a shared string format and drops a differing one', () => {
+        expect(mergeSchemas({ type: 'string', format: 'date' }, { type: 'string', format: 'date' })).toEqual({ type: 'string', format: 'date' });
+        expect(mergeSchemas({ type: 'string', format: 'date' }, { type: 'string', format: 'email' })).toEqual({ type: 'string' });
+    });
+
+    test('keeps the keywords of the non-null side', () => {
+        expect(mergeSchemas({ type: 'null' }, { type: 'string', format: 'uuid' })).toEqual({ type: ['null', 'string'], format: 'uuid' });
+    });
+});
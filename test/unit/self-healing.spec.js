@@ -0,0 +1,169 @@
+/**
+ * Unit tests for fingerprint scoring, runtime healing and patch proposals (support/self-healing.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    sidecarPath,
+    loadSidecar,
+    findFingerprint,
+    scoreCandidate,
+    pickCandidate,
+    resolveSelector,
+    resetSelfHealing
+} = require('../../support/self-healing');
+const { unifiedDiff } = require('../../support/unified-diff');
+
+const SUBMIT = {
+    tag: 'button',
+    text: 'Submit payroll',
+    attributes: { 'data-test-id': 'submit', class: 'btn btn-primary', type: 'submit' },
+    neighbourhood: { parentTag: 'form', label: '', siblings: ['button'], path: ['body', 'main', 'form'] },
+    box: { x: 100, y: 400, width: 120, height: 32 }
+};
+const RENAMED = {
+    ...SUBMIT,
+    attributes: { 'data-test-id': 'submit-payroll', class: 'btn btn-primary-v2', type: 'submit' },
+    box: { x: 104, y: 402, width: 120, height: 32 }
+};
+const CANCEL = {
+    ...SUBMIT,
+    text: 'Cancel',
+    attributes: { 'data-test-id': 'cancel', class: 'btn btn-link', type: 'button' },
+    box: { x: 240, y: 400, width: 80, height: 32 }
+};
+
+const PAGE_SOURCE = [
+    'const By = require(\'../support/By\');',
+    '',
+    'const SUBMIT_BUTTON = By.css(\'[data-test-id="submit"]\');',
+    'const CANCEL_BUTTON = By.css(\'[data-test-id="cancel"]\');',
+    ''
+].join('\n');
+
+describe('scoreCandidate / pickCandidate', () => {
+    test('scores an identical element 1 and ignores signals the fingerprint lacks', () => {
+        expect(scoreCandidate(SUBMIT, SUBMIT)).toBe(1);
+        expect(scoreCandidate({ tag: 'button', text: 'Submit payroll' }, { ...CANCEL, text: 'Submit payroll' })).toBe(1);
+        expect(scoreCandidate({}, SUBMIT)).toBe(0);
+    });
+
+    test('ranks a renamed element above a sibling and reports the runner-up', () => {
+        const candidates = [
+            { selector: '[data-test-id="cancel"]', fingerprint: CANCEL },
+            { selector: '[data-test-id="submit-payroll"]', fingerprint: RENAMED }
+        ];
+        const best = pickCandidate(SUBMIT, candidates, 0.75);
+
+        expect(best.selector).toBe('[data-test-id="submit-payroll"]');
+        expect(best.confidence).toBeGreaterThan(0.75);
+        expect(best.runnerUp).toBe(scoreCandidate(SUBMIT, CANCEL));
+    });
+
+    test('refuses low-confidence or ambiguous matches', () => {
+        expect(pickCandidate(SUBMIT, [{ selector: '#cancel', fingerprint: CANCEL }], 0.95)).toBeNull();
+        expect(pickCandidate(SUBMIT, [
+            { selector: '#a', fingerprint: RENAMED },
+            { selector: '#b', fingerprint: RENAMED }
+        ], 0.5)).toBeNull();
+        expect(pickCandidate(SUBMIT, [], 0.5)).toBeNull();
+    });
+});
+
+describe('fingerprint sidecars and resolveSelector', () => {
+    const savedEnv = {};
+    const ENV_KEYS = ['AUTO_CODER_FINGERPRINTS_DIR', 'AUTO_CODER_HEALING_DIR', 'AUTO_CODER_SELF_HEALING', 'AUTO_CODER_HEAL_THRESHOLD', 'AUTO_CODER_HEAL_TIMEOUT'];
+    let dir;
+    let pageFile;
+
+    const fakePage = (url, candidates) => ({
+        url: () => url,
+        waitForSelector: jest.fn().mockRejectedValue(new Error('Timeout')),
+        locator: () => ({ count: async () => 0 }),
+        evaluate: jest.fn().mockResolvedValue(candidates)
+    });
+
+    beforeEach(() => {
+        ENV_KEYS.forEach(key => {
+            savedEnv[key] = process.env[key];
+            delete process.env[key];
+        });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'self-healing-'));
+        pageFile = path.join(dir, 'pages', 'payroll-page.js');
+        fs.mkdirSync(path.dirname(pageFile));
+        fs.writeFileSync(pageFile, PAGE_SOURCE);
+        fs.writeFileSync(sidecarPath(pageFile), JSON.stringify({
+            elements: {
+                SUBMIT_BUTTON: { selector: '[data-test-id="submit"]', fingerprint: SUBMIT },
+                FRAMED: { selector: '#framed', fingerprint: SUBMIT, context: { frame: 'iframe#pay' } },
+                BROKEN: { selector: '#broken' }
+            }
+        }));
+        process.env.AUTO_CODER_FINGERPRINTS_DIR = path.join(dir, 'pages');
+        process.env.AUTO_CODER_HEALING_DIR = path.join(dir, 'healing');
+        resetSelfHealing();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        ENV_KEYS.forEach(key => {
+            if (savedEnv[key] === undefined) delete process.env[key];
+            else process.env[key] = savedEnv[key];
+        });
+        resetSelfHealing();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('loads complete entries and indexes only plain page selectors', () => {
+        expect(sidecarPath(pageFile)).toBe(path.join(dir, 'pages', 'payroll-page.fingerprints.json'));
+        expect(loadSidecar(pageFile).map(entry => entry.name)).toEqual(['SUBMIT_BUTTON', 'FRAMED']);
+        expect(findFingerprint('[data-test-id="submit"]')).toEqual(expect.objectContaining({ name: 'SUBMIT_BUTTON', pageFile }));
+        expect(findFingerprint('#framed')).toBeNull();
+    });
+
+    test('heals a missing selector, remembers it per page and proposes a patch', async () => {
+        const page = fakePage('https://app.test/payroll?period=1', [
+            { selector: '[data-test-id="cancel"]', fingerprint: CANCEL },
+            { selector: '[data-test-id="submit-payroll"]', fingerprint: RENAMED }
+        ]);
+
+        expect(await resolveSelector(page, '[data-test-id="submit"]', { timeout: 500 })).toBe('[data-test-id="submit-payroll"]');
+        expect(page.waitForSelector).toHaveBeenCalledWith('[data-test-id="submit"]', { state: 'attached', timeout: 500 });
+        expect(await resolveSelector(page, '[data-test-id="submit"]')).toBe('[data-test-id="submit-payroll"]');
+        expect(page.evaluate).toHaveBeenCalledTimes(1);
+
+        const patched = PAGE_SOURCE.replace('By.css(\'[data-test-id="submit"]\')', 'By.css(\'[data-test-id="submit-payroll"]\')');
+        const patch = fs.readFileSync(path.join(dir, 'healing', 'payroll-page.patch'), 'utf8');
+        expect(patch).toBe(`${unifiedDiff(PAGE_SOURCE, patched, path.relative(process.cwd(), pageFile).split(path.sep).join('/'))}\n`);
+        expect(fs.readFileSync(pageFile, 'utf8')).toBe(PAGE_SOURCE);
+    });
+
+    test('does not reuse a heal on another page', async () => {
+        const candidates = [{ selector: '[data-test-id="submit-payroll"]', fingerprint: RENAMED }];
+        const payroll = fakePage('https://app.test/payroll', candidates);
+        const reports = fakePage('https://app.test/reports', []);
+
+        await resolveSelector(payroll, '[data-test-id="submit"]', { timeout: 0 });
+        expect(await resolveSelector(reports, '[data-test-id="submit"]', { timeout: 0 })).toBe('[data-test-id="submit"]');
+        expect(reports.evaluate).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves matching, unknown and disabled selectors untouched', async () => {
+        const page = fakePage('https://app.test/payroll', []);
+        page.waitForSelector.mockResolvedValue({});
+
+        expect(await resolveSelector(page, '[data-test-id="submit"]')).toBe('[data-test-id="submit"]');
+        expect(page.waitForSelector).toHaveBeenCalledWith('[data-test-id="submit"]', { state: 'attached' });
+        expect(await resolveSelector(page, '#unknown')).toBe('#unknown');
+
+        process.env.AUTO_CODER_SELF_HEALING = 'false';
+        page.waitForSelector.mockClear();
+        expect(await resolveSelector(page, '[data-test-id="submit"]')).toBe('[data-test-id="submit"]');
+        expect(page.waitForSelector).not.toHaveBeenCalled();
+        expect(page.evaluate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for step definition matching and pending stubs (src/utils/step-usage-analyzer.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    compileCucumberExpression,
+    extractStepDefinitions,
+    extractFeatureSteps,
+    analyzeStepUsage,
+    snippetFor,
+    stepsFileFor,
+    writeStepStubs
+} = require('../../src/utils/step-usage-analyzer');
+
+const STEPS = [
+    'const { Given, When, Then } = require(\'@cucumber/cucumber\');',
+    '',
+    'Given(\'I am logged in as {string}\', async function (role) {});',
+    '// When(\'I am commented out\', async function () {});',
+    'When(/^I submit payroll for (\\d+) hours?$/i, async function (hours) {});',
+    'When(\'I submit payroll for {int} hours\', async function (hours) {});',
+    'Then(\'the report is unused\', async function () {});'
+].join('\n');
+
+const FEATURE = [
+    'Feature: Payroll',
+    '',
+    '  Background:',
+    '    Given I am logged in as "Owner"',
+    '',
+    '  Scenario Outline: Submit payroll',
+    '    When I submit payroll for <hours> hours',
+    '    And I approve the run',
+    '',
+    '    Examples:',
+    '      | hours |',
+    '      | 40    |',
+    '      | 45    |'
+].join('\n');
+
+describe('compileCucumberExpression', () => {
+    test('supports parameter types, optional text, alternatives and escapes', () => {
+        const matcher = compileCucumberExpression('I have {int} cucumber(s) in my belly/stomach \\(really)');
+
+        expect(matcher.test('I have 1 cucumber in my belly (really)')).toBe(true);
+        expect(matcher.test('I have 42 cucumbers in my stomach (really)')).toBe(true);
+        expect(matcher.test('I have many cucumbers in my belly (really)')).toBe(false);
+        expect(compileCucumberExpression('I pick {string}').test('I pick "a b"')).toBe(true);
+    });
+});
+
+describe('extractStepDefinitions / extractFeatureSteps', () => {
+    test('reads string and regex definitions with their lines, skipping comments', () => {
+        const definitions = extractStepDefinitions(STEPS, 'payroll-steps.js');
+
+        expect(definitions.map(definition => [definition.keyword, definition.pattern, definition.isRegex, definition.line])).toEqual([
+            ['Given', 'I am logged in as {string}', false, 3],
+            ['When', '^I submit payroll for (\\d+) hours?$', true, 5],
+            ['When', 'I submit payroll for {int} hours', false, 6],
+            ['Then', 'the report is unused', false, 7]
+        ]);
+        expect(definitions[1].matcher.flags).toBe('i');
+    });
+
+    test('expands outline steps per Examples row and resolves And to the previous keyword', () => {
+        expect(extractFeatureSteps(FEATURE, 'payroll.feature').map(step => [step.keyword, step.written, step.text, step.line])).toEqual([
+            ['Given', 'Given', 'I am logged in as "Owner"', 4],
+            ['When', 'When', 'I submit payroll for 40 hours', 7],
+            ['When', 'When', 'I submit payroll for 45 hours', 7],
+            ['When', 'And', 'I approve the run', 8]
+        ]);
+    });
+});
+
+describe('snippetFor / stepsFileFor', () => {
+    test('turns quoted text and numbers into parameters and escapes special characters', () => {
+        expect(snippetFor('I pay "Ana" 40 hours at 20.5 (gross) and "Bo" 8')).toEqual({
+            expression: 'I pay {string} {int} hours at {float} \\(gross\\) and {string} {int}',
+            params: ['string', 'int', 'float', 'string2', 'int2']
+        });
+    });
+
+    test('mirrors the feature path under the steps root', () => {
+        expect(stepsFileFor(path.join('features', 'payroll', 'run.feature'), 'features', 'steps')).toBe(path.join('steps', 'payroll', 'run-steps.js'));
+        expect(stepsFileFor(path.join('elsewhere', 'run.feature'), 'features', 'steps')).toBe(path.join('steps', 'run-steps.js'));
+    });
+});
+
+describe('analyzeStepUsage / writeStepStubs', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'step-usage-'));
+        fs.mkdirSync(path.join(dir, 'features'));
+        fs.mkdirSync(path.join(dir, 'steps'));
+        fs.writeFileSync(path.join(dir, 'features', 'payroll.feature'), FEATURE);
+        fs.writeFileSync(path.join(dir, 'features', 'broken.feature'), 'Feature: Broken\n  Scenario: One\n    Given a\n    Scenarioo: typo\n');
+        fs.writeFileSync(path.join(dir, 'steps', 'common-steps.js'), STEPS);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const analyze = () => analyzeStepUsage({ featuresDirs: path.join(dir, 'features'), stepsDirs: path.join(dir, 'steps') });
+
+    test('reports undefined, ambiguous, unused and invalid entries', () => {
+        const analysis = analyze();
+
+        expect(analysis.undefined.map(step => step.text)).toEqual(['I approve the run']);
+        expect(analysis.ambiguous.map(step => step.text)).toEqual(['I submit payroll for 40 hours', 'I submit payroll for 45 hours']);
+        expect(analysis.unused.map(definition => definition.pattern)).toEqual(['the report is unused']);
+        expect(analysis.invalid).toEqual([expect.objectContaining({ file: path.join(dir, 'features', 'broken.feature'), line: 4 })]);
+    });
+
+    test('writes pending stubs into the paired steps file, adding the Cucumber import', () => {
+        const [result] = writeStepStubs(analyze(), { featuresRoot: path.join(dir, 'features'), stepsRoot: path.join(dir, 'steps') });
+        const content = fs.readFileSync(result.file, 'utf8');
+
+        expect(result).toEqual({ file: path.join(dir, 'steps', 'payroll-steps.js'), created: true, stubs: ['I approve the run'] });
+        expect(content).toBe([
+            'const { When } = require(\'@cucumber/cucumber\');',
+            '',
+            'When(\'I approve the run\', async function () {',
+            '  // TODO: implement - used by payroll.feature:8',
+            '  return \'pending\';',
+            '});',
+            ''
+        ].join('\n'));
+        expect(analyze().undefined).toEqual([]);
+    });
+});
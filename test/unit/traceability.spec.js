@@ -0,0 +1,143 @@
+/**
+ * Unit tests for trace IDs and the traceability matrix (src/utils/traceability.js)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    traceId,
+    traceTag,
+    traceIdsFromTags,
+    uniqueCriteria,
+    parseStepDefinitions,
+    buildTraceabilityMatrix,
+    writeTraceabilityReport,
+    refreshTraceabilityReport
+} = require('../../src/utils/traceability');
+
+const submitId = traceId('Payroll can be submitted', 'PAY-1');
+const previewId = traceId('Totals are previewed', 'PAY-1');
+const criteria = [{ id: submitId, text: 'Payroll can be submitted' }, { id: previewId, text: 'Totals are previewed' }];
+
+const feature = [
+    'Feature: Payroll',
+    '',
+    `  ${traceTag(submitId)}`,
+    '  Scenario Outline: Submit payroll',
+    '    When I submit payroll for <hours> hours',
+    '    Then the payroll is submitted',
+    '',
+    '    Examples:',
+    '      | hours |',
+    '      | 40    |'
+].join('\n');
+
+const steps = [
+    'When(\'I submit payroll for {int} hours\', async function (hours) {',
+    '    await this.payrollPage.submitPayroll(hours);',
+    '    await this.payrollPage.waitForBanner();',
+    '});',
+    '',
+    'Then(/^the payroll is (\\w+)$/, async function (state) {',
+    '    expect(await this.payrollPage.status()).toBe(state);',
+    '});'
+].join('\n');
+
+const page = [
+    'class PayrollPage {',
+    '    async submitPayroll(hours) {',
+    '        await this.page.fill(\'#hours\', String(hours));',
+    '    }',
+    '',
+    '    async status() {',
+    '        return this.page.textContent(\'#status\');',
+    '    }',
+    '}'
+].join('\n');
+
+describe('trace IDs', () => {
+    test('are stable across case, punctuation and list markers and scoped by the issue key', () => {
+        expect(traceId('1. Payroll can be submitted!', 'PAY-1')).toBe(submitId);
+        expect(traceId('- payroll CAN be submitted', 'PAY-1')).toBe(submitId);
+        expect(submitId).toMatch(/^PAY-1-AC-[0-9a-f]{8}$/);
+        expect(traceId('Payroll can be submitted')).toMatch(/^AC-[0-9a-f]{8}$/);
+        expect(traceId('Payroll can be submitted', 'PAY-2')).not.toBe(submitId);
+    });
+
+    test('round-trip through @trace tags', () => {
+        expect(traceIdsFromTags(['@smoke', traceTag(submitId), { name: traceTag(previewId) }])).toEqual([submitId, previewId]);
+    });
+
+    test('uniqueCriteria keeps the first wording and drops empty criteria', () => {
+        expect(uniqueCriteria([...criteria, { id: submitId, text: 'payroll can be submitted.' }, { id: 'x', text: '' }])).toEqual(criteria);
+    });
+});
+
+describe('parseStepDefinitions', () => {
+    test('reads cucumber expressions, regexes and the calls in each body', () => {
+        const [submit, status] = parseStepDefinitions(steps);
+
+        expect(submit.matcher.test('I submit payroll for 40 hours')).toBe(true);
+        expect(submit.calls).toEqual([{ receiver: 'payrollPage', method: 'submitPayroll' }, { receiver: 'payrollPage', method: 'waitForBanner' }]);
+        expect(status.matcher.test('the payroll is submitted')).toBe(true);
+    });
+});
+
+describe('buildTraceabilityMatrix', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traceability-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('links criteria to scenarios, steps and page methods, flagging missing methods', () => {
+        const matrix = buildTraceabilityMatrix({ criteria, feature, steps, page });
+
+        expect(matrix.coverage).toBe(50);
+        expect(matrix.uncovered).toEqual([previewId]);
+        expect(matrix.rows[0]).toEqual({
+            id: submitId,
+            criterion: 'Payroll can be submitted',
+            covered: true,
+            scenarios: ['Submit payroll'],
+            steps: ['When I submit payroll for <hours> hours', 'Then the payroll is submitted'],
+            pageMethods: ['submitPayroll', 'waitForBanner (missing)', 'status'],
+            status: 'not run'
+        });
+        expect(matrix.rows[1].status).toBe('uncovered');
+    });
+
+    test('takes the worst scenario status from a cucumber JSON report', () => {
+        const resultsPath = path.join(dir, 'cucumber-report.json');
+        fs.writeFileSync(resultsPath, JSON.stringify([{
+            elements: [
+                { type: 'scenario', tags: [{ name: traceTag(submitId) }], steps: [{ result: { status: 'passed' } }] },
+                { type: 'scenario', tags: [{ name: traceTag(submitId) }], steps: [{ result: { status: 'passed' } }, { result: { status: 'failed' } }] }
+            ]
+        }]));
+
+        expect(buildTraceabilityMatrix({ criteria, feature, steps, page, resultsPath }).rows[0].status).toBe('failed');
+    });
+
+    test('writes HTML, CSV and JSON reports and rebuilds them from the JSON', async () => {
+        const files = { feature: path.join(dir, 'payroll.feature'), steps: path.join(dir, 'payroll-steps.js'), page: path.join(dir, 'payroll-page.js') };
+        fs.writeFileSync(files.feature, feature);
+        fs.writeFileSync(files.steps, steps);
+        fs.writeFileSync(files.page, page);
+
+        const matrix = buildTraceabilityMatrix({ criteria, feature, steps, page });
+        const reports = await writeTraceabilityReport(matrix, { outputDir: dir, baseName: 'payroll', criteria, files });
+
+        expect(fs.readFileSync(reports.csv, 'utf8').split('\n')[0]).toBe('Trace ID,Criterion,Covered,Scenarios,Steps,Page Methods,Status');
+        expect(fs.readFileSync(reports.html, 'utf8')).toContain('2 criteria, 50% covered, 1 uncovered.');
+
+        const refreshed = await refreshTraceabilityReport(reports.json, { resultsPath: path.join(dir, 'missing.json') });
+        expect(refreshed.matrix.rows).toEqual(matrix.rows);
+        expect(refreshed.files.json).toBe(reports.json);
+    });
+});